@@ -0,0 +1,39 @@
+/**
+ * Linear OAuth setup
+ *
+ * Run `npm run auth` once after setting LINEAR_OAUTH_CLIENT_ID and
+ * LINEAR_OAUTH_CLIENT_SECRET. It prints the URL of Linear's consent screen,
+ * receives the callback and stores the token where the server picks it up.
+ */
+import { getConfig } from './utils/config/mod.js';
+import { createConsoleLogger } from './effects/logging/mod.js';
+import { runAuthorizationFlow } from './effects/linear/oauth.js';
+
+const logger = createConsoleLogger();
+
+/**
+ * Authorize the server with Linear OAuth
+ */
+async function main() {
+  const config = await getConfig(logger);
+  if (!config.oauth) {
+    throw new Error(
+      'Linear OAuth is not configured. Set LINEAR_OAUTH_CLIENT_ID and LINEAR_OAUTH_CLIENT_SECRET'
+    );
+  }
+
+  await runAuthorizationFlow(config.oauth, {
+    openUrl: url => {
+      console.log('\nOpen this URL to authorize mcp-linear with Linear:\n');
+      console.log(`${url}\n`);
+    },
+    logger,
+  });
+
+  console.log('Authorized. The server will now act with the OAuth token.');
+}
+
+main().catch(error => {
+  console.error(`Authorization failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,274 @@
+/**
+ * Argument completion from cached workspace data
+ *
+ * Completing an argument needs the workspace's teams, projects, users,
+ * workflow states and labels. They are kept in the metadata cache, so typing
+ * doesn't send a round of requests to Linear for every keystroke.
+ */
+import { noopCache } from '../effects/cache/mod.js';
+import {
+  createToolClient,
+  fetchAllNodes,
+  fetchAvailableLabels,
+  selectWorkspace,
+} from '../tools/utils/mod.js';
+import { rankCompletions } from './rank.js';
+
+/**
+ * @typedef {Object} CompletionContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ * @property {import('../effects/cache/mod.js').CacheEffect} [effects.cache]
+ */
+
+/**
+ * @typedef {Object} CompletionCatalog
+ * @property {import('./rank.js').CompletionCandidate[]} teams - Teams, completing to their key
+ * @property {import('./rank.js').CompletionCandidate[]} projects - Projects, completing to their name
+ * @property {import('./rank.js').CompletionCandidate[]} users - Users, completing to their name
+ * @property {import('./rank.js').CompletionCandidate[]} states - Workflow states of every team, completing to their name
+ * @property {import('./rank.js').CompletionCandidate[]} labels - Team and workspace labels, completing to their name
+ */
+
+/**
+ * Loads the workspace data arguments complete from
+ *
+ * Each kind of entity is loaded from the cache, and from Linear only when
+ * it's missing or expired there. States and labels are kept per team.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {import('../effects/cache/mod.js').CacheEffect} [cache=noopCache] - Metadata cache
+ * @returns {Promise<CompletionCatalog>} Completion candidates by kind
+ */
+export async function loadCatalog(client, logger, cache = noopCache) {
+  logger?.debug('Loading workspace data for completions');
+
+  /**
+   * @param {any} team - Team the candidates belong to, if any
+   * @returns {(node: any) => import('./rank.js').CompletionCandidate} Candidate completing to the node's name
+   */
+  const byName = team => node => ({
+    value: node.name,
+    names: [node.name],
+    teamKey: team?.key,
+    updatedAt: node.updatedAt,
+  });
+  const teamFilter = team => ({ team: { id: { eq: team.id } } });
+
+  const [teams, projects, users, workspaceLabels] = await Promise.all([
+    cache.load('teams', 'completions', async () =>
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      (await fetchAllNodes(params => client.teams(params))).map(team => ({
+        id: team.id,
+        value: team.key,
+        names: [team.key, team.name],
+        updatedAt: team.updatedAt,
+      }))
+    ),
+    cache.load('projects', 'completions', async () =>
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      (await fetchAllNodes(params => client.projects(params))).map(byName())
+    ),
+    cache.load('users', 'completions', async () =>
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      (await fetchAllNodes(params => client.users(params)))
+        .filter(user => user.active !== false)
+        .map(user => ({
+          value: user.name,
+          names: [user.name, user.displayName, user.email].filter(Boolean),
+          updatedAt: user.updatedAt,
+        }))
+    ),
+    cache.load('labels', 'completions', async () =>
+      (await fetchAvailableLabels(client)).map(byName())
+    ),
+  ]);
+
+  const perTeam = await Promise.all(
+    teams.map(async candidate => {
+      const team = { id: candidate.id, key: candidate.value };
+      const [states, labels] = await Promise.all([
+        cache.load('states', `completions:${team.id}`, async () =>
+          (
+            await fetchAllNodes(params =>
+              client.workflowStates({ ...params, filter: teamFilter(team) })
+            )
+          ).map(byName(team))
+        ),
+        cache.load('labels', `completions:${team.id}`, async () =>
+          (
+            await fetchAllNodes(params =>
+              client.issueLabels({ ...params, filter: teamFilter(team) })
+            )
+          ).map(byName(team))
+        ),
+      ]);
+      return { states, labels };
+    })
+  );
+
+  const catalog = {
+    teams,
+    projects,
+    users,
+    states: perTeam.flatMap(({ states }) => states),
+    labels: [
+      ...workspaceLabels,
+      ...perTeam.flatMap(({ labels }) => labels),
+    ].filter(label => label.value),
+  };
+
+  logger?.debug(
+    `Loaded ${catalog.teams.length} teams, ${catalog.projects.length} projects, ${catalog.users.length} users, ${catalog.states.length} states and ${catalog.labels.length} labels for completions`
+  );
+  return catalog;
+}
+
+/**
+ * Gets the completion catalog of a workspace
+ *
+ * @param {CompletionContext} ctx - Tool context
+ * @param {string} [workspace] - Workspace name, or the default workspace when not given
+ * @returns {Promise<CompletionCatalog>} Completion candidates by kind
+ */
+export async function getCatalog(ctx, workspace) {
+  const selected = selectWorkspace(ctx, workspace);
+  const logger = ctx.effects.logger;
+
+  const client = await createToolClient(selected.ctx, logger);
+  return loadCatalog(client, logger, selected.ctx.effects.cache);
+}
+
+/**
+ * Finds the key of the team an argument refers to
+ *
+ * @param {CompletionCatalog} catalog - Completion catalog
+ * @param {string} [reference] - Team key or name given as another argument
+ * @returns {string|undefined} Team key, if the reference matches a team
+ */
+function findTeamKey(catalog, reference) {
+  const wanted = (reference || '').trim().toLowerCase();
+  if (!wanted) {
+    return undefined;
+  }
+
+  return catalog.teams.find(team =>
+    team.names.some(name => name.toLowerCase() === wanted)
+  )?.value;
+}
+
+/**
+ * Keeps the candidates of a team, plus the ones belonging to no team
+ *
+ * @param {import('./rank.js').CompletionCandidate[]} candidates - Candidates
+ * @param {string|undefined} teamKey - Team to keep candidates of, all when not given
+ * @returns {import('./rank.js').CompletionCandidate[]} Candidates of the team
+ */
+function forTeam(candidates, teamKey) {
+  if (!teamKey) {
+    return candidates;
+  }
+  return candidates.filter(
+    candidate => !candidate.teamKey || candidate.teamKey === teamKey
+  );
+}
+
+/**
+ * Candidates for each argument that completes from workspace data
+ *
+ * States and labels are narrowed to the team given as the `teamId` argument,
+ * when the client sends it along.
+ *
+ * @type {Record<string, (catalog: CompletionCatalog, args: Record<string, string>) => import('./rank.js').CompletionCandidate[]>}
+ */
+export const ARGUMENT_COMPLETIONS = {
+  teamId: catalog => catalog.teams,
+  projectId: catalog => catalog.projects,
+  status: (catalog, args) =>
+    forTeam(catalog.states, findTeamKey(catalog, args.teamId)),
+  assignee: catalog => catalog.users,
+  label: (catalog, args) =>
+    forTeam(catalog.labels, findTeamKey(catalog, args.teamId)),
+  labels: (catalog, args) =>
+    forTeam(catalog.labels, findTeamKey(catalog, args.teamId)),
+};
+
+/**
+ * Whether an argument completes from workspace data
+ *
+ * @param {string} name - Argument name
+ * @returns {boolean} Whether completeArgument() can complete it
+ */
+export function isCompletableArgument(name) {
+  return name === 'workspace' || Object.hasOwn(ARGUMENT_COMPLETIONS, name);
+}
+
+/**
+ * Completes an argument value
+ *
+ * Comma separated label lists complete their last label. Completion is best
+ * effort: when the workspace data can't be loaded nothing is offered.
+ *
+ * @param {CompletionContext} ctx - Tool context
+ * @param {string} name - Argument name
+ * @param {string} value - Value typed so far
+ * @param {Record<string, string>} [args={}] - Other arguments already given
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<string[]>} Completed values, best first
+ */
+export async function completeArgument(
+  ctx,
+  name,
+  value,
+  args = {},
+  now = Date.now()
+) {
+  if (name === 'workspace') {
+    return rankCompletions(
+      value,
+      Object.keys(ctx.config.workspaces || {}).map(workspace => ({
+        value: workspace,
+        names: [workspace],
+      })),
+      now
+    );
+  }
+
+  const candidates = ARGUMENT_COMPLETIONS[name];
+  if (!candidates) {
+    return [];
+  }
+
+  let catalog;
+  try {
+    catalog = await getCatalog(ctx, args.workspace);
+  } catch (error) {
+    ctx.effects.logger.warn(
+      `Error loading completions for ${name}: ${error.message}`
+    );
+    return [];
+  }
+
+  if (name !== 'labels') {
+    return rankCompletions(value, candidates(catalog, args), now);
+  }
+
+  // Keep the labels before the last comma and complete the one being typed
+  const separator = value.lastIndexOf(',');
+  const head = value.slice(0, separator + 1);
+  const given = head
+    .split(',')
+    .map(label => label.trim().toLowerCase())
+    .filter(Boolean);
+
+  return rankCompletions(
+    value.slice(separator + 1),
+    candidates(catalog, args).filter(
+      label => !given.includes(label.value.toLowerCase())
+    ),
+    now
+  ).map(label => (head ? `${head} ${label}` : label));
+}
@@ -0,0 +1,154 @@
+/**
+ * Tests for argument completion from cached workspace data
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createCache, DEFAULT_CACHE_TTLS } from '../effects/cache/mod.js';
+import { completeArgument } from './catalog.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const page = nodes => async () => ({ nodes });
+
+// Creates a client for a workspace with two teams, counting catalog loads
+function createCatalogClient(loads) {
+  const states = {
+    'team-1': ['Todo', 'In Review'],
+    'team-2': ['Todo', 'Ideas'],
+  };
+  const labels = { 'team-1': ['Bug'], 'team-2': ['Mockup'] };
+  const named = names => ({ nodes: names.map(name => ({ name })) });
+
+  return {
+    teams: async () => {
+      loads.count++;
+      return {
+        nodes: [
+          { id: 'team-1', key: 'ENG', name: 'Engineering' },
+          { id: 'team-2', key: 'DES', name: 'Design' },
+        ].map(team => ({ ...team, updatedAt: new Date('2024-05-01') })),
+      };
+    },
+    projects: async () => {
+      loads.projects++;
+      return {
+        nodes: [
+          { name: 'Mobile App', updatedAt: new Date('2023-01-01') },
+          { name: 'Mobile Payments', updatedAt: new Date('2024-05-30') },
+        ],
+      };
+    },
+    users: page([
+      { name: 'jsmith', displayName: 'John Smith', email: 'john@example.com' },
+      { name: 'former', displayName: 'Former', active: false },
+    ]),
+    workflowStates: async ({ filter }) => named(states[filter.team.id.eq]),
+    issueLabels: async ({ filter }) =>
+      filter.team.null ? named(['Customer']) : named(labels[filter.team.id.eq]),
+  };
+}
+
+describe('completeArgument', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  let ctx;
+  let loads;
+
+  beforeEach(() => {
+    loads = { count: 0, projects: 0 };
+    ctx = {
+      config: { linearApiKey: 'lin_api_test_mock_key_123456' },
+      effects: {
+        logger: mockLogger,
+        linear: { createClient: () => createCatalogClient(loads) },
+      },
+    };
+  });
+
+  it('should complete teams, projects and assignees', async () => {
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'teamId', 'des', {}, now),
+      ['DES']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'projectId', 'mob', {}, now),
+      ['Mobile Payments', 'Mobile App']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'assignee', 'smi', {}, now),
+      ['jsmith']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'assignee', 'for', {}, now),
+      []
+    );
+  });
+
+  it('should narrow states and labels to the given team', async () => {
+    assert.deepStrictEqual(await completeArgument(ctx, 'status', '', {}, now), [
+      'Ideas',
+      'In Review',
+      'Todo',
+    ]);
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'status', '', { teamId: 'eng' }, now),
+      ['In Review', 'Todo']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'label', '', { teamId: 'Design' }, now),
+      ['Customer', 'Mockup']
+    );
+  });
+
+  it('should complete the last label of a comma separated list', async () => {
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'labels', 'Bug, cus', {}, now),
+      ['Bug, Customer']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'labels', 'bug,', { teamId: 'ENG' }, now),
+      ['bug, Customer']
+    );
+  });
+
+  it('should reuse cached data until it expires', async () => {
+    let time = now;
+    ctx.effects.cache = createCache({ clock: () => time });
+
+    await completeArgument(ctx, 'teamId', 'e', {}, now);
+    time += DEFAULT_CACHE_TTLS.projects;
+    await completeArgument(ctx, 'teamId', 'e', {}, now);
+    assert.strictEqual(loads.count, 1);
+    assert.strictEqual(loads.projects, 2);
+
+    time += DEFAULT_CACHE_TTLS.teams - DEFAULT_CACHE_TTLS.projects;
+    await completeArgument(ctx, 'teamId', 'e', {}, now);
+    assert.strictEqual(loads.count, 2);
+  });
+
+  it('should complete workspace names and offer nothing when loading fails', async () => {
+    ctx.config.workspaces = { product: 'lin_api_1', platform: 'lin_api_2' };
+    ctx.config.defaultWorkspace = 'product';
+    ctx.effects.linear.createClient = () => {
+      throw new Error('Authentication failed');
+    };
+
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'workspace', 'p', {}, now),
+      ['platform', 'product']
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'teamId', 'e', {}, now),
+      []
+    );
+    assert.deepStrictEqual(
+      await completeArgument(ctx, 'summary', 'e', {}, now),
+      []
+    );
+  });
+});
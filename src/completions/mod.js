@@ -0,0 +1,5 @@
+/**
+ * Completions module exports
+ */
+export * from './catalog.js';
+export * from './rank.js';
@@ -0,0 +1,128 @@
+/**
+ * Completion ranking utilities
+ *
+ * Completions are ranked by how well they match what was typed so far, with
+ * recently updated teams, projects and labels ahead of stale ones that match
+ * equally well.
+ */
+
+/**
+ * Most values a completion result may hold, per the MCP specification
+ */
+export const MAX_COMPLETIONS = 100;
+
+/**
+ * How long an update counts as recent for ranking
+ */
+const RECENCY_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Most points recency adds, less than the gap between two kinds of match
+ */
+const MAX_RECENCY_BONUS = 10;
+
+/**
+ * @typedef {Object} CompletionCandidate
+ * @property {string} value - Value to complete to
+ * @property {string[]} names - Texts the typed value is matched against, such as a key, name or email
+ * @property {string} [teamKey] - Key of the team the candidate belongs to, if any
+ * @property {Date|string} [updatedAt] - When the candidate was last updated
+ */
+
+/**
+ * Scores how well a query matches a text
+ *
+ * An exact match scores highest, then a prefix of the text, a prefix of one
+ * of its words, a substring and finally the query's characters appearing in
+ * order (e.g. "ip" for "In Progress").
+ *
+ * @param {string} query - Typed value
+ * @param {string} text - Text to match against
+ * @returns {number} Score, 0 when the text doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const wanted = (query || '').trim().toLowerCase();
+  const candidate = (text || '').toLowerCase();
+
+  if (!candidate) {
+    return 0;
+  }
+  if (!wanted) {
+    return 1;
+  }
+  if (candidate === wanted) {
+    return 100;
+  }
+  if (candidate.startsWith(wanted)) {
+    return 80;
+  }
+  if (candidate.split(/[\s\-_/.@]+/).some(word => word.startsWith(wanted))) {
+    return 60;
+  }
+  if (candidate.includes(wanted)) {
+    return 40;
+  }
+
+  let position = 0;
+  for (const character of wanted) {
+    position = candidate.indexOf(character, position) + 1;
+    if (position === 0) {
+      return 0;
+    }
+  }
+  return 20;
+}
+
+/**
+ * Points a candidate earns for having been updated recently
+ *
+ * @param {Date|string|undefined} updatedAt - When the candidate was last updated
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Bonus between 0 and MAX_RECENCY_BONUS
+ */
+function recencyBonus(updatedAt, now) {
+  if (!updatedAt) {
+    return 0;
+  }
+
+  const age = now - new Date(updatedAt).getTime();
+  if (Number.isNaN(age)) {
+    return 0;
+  }
+
+  return (
+    MAX_RECENCY_BONUS * Math.max(0, Math.min(1, 1 - age / RECENCY_WINDOW_MS))
+  );
+}
+
+/**
+ * Ranks candidates against a typed value
+ *
+ * @param {string} query - Typed value
+ * @param {CompletionCandidate[]} candidates - Candidates to rank
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string[]} Matching values, best first, without duplicates
+ */
+export function rankCompletions(query, candidates, now = Date.now()) {
+  /** @type {Map<string, number>} */
+  const scores = new Map();
+
+  for (const candidate of candidates) {
+    const match = Math.max(
+      ...candidate.names.map(name => fuzzyScore(query, name))
+    );
+    if (match === 0) {
+      continue;
+    }
+
+    const score = match + recencyBonus(candidate.updatedAt, now);
+    if (score > (scores.get(candidate.value) ?? 0)) {
+      scores.set(candidate.value, score);
+    }
+  }
+
+  return [...scores.entries()]
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || a.localeCompare(b))
+    .slice(0, MAX_COMPLETIONS)
+    .map(([value]) => value);
+}
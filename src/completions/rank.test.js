@@ -0,0 +1,103 @@
+/**
+ * Tests for completion ranking utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fuzzyScore, MAX_COMPLETIONS, rankCompletions } from './rank.js';
+
+describe('fuzzyScore', () => {
+  it('should prefer exact, prefix, word prefix, substring and subsequence matches in that order', () => {
+    const scores = [
+      fuzzyScore('progress', 'Progress'),
+      fuzzyScore('prog', 'Progress'),
+      fuzzyScore('prog', 'In Progress'),
+      fuzzyScore('rogr', 'In Progress'),
+      fuzzyScore('ip', 'In Progress'),
+    ];
+
+    assert.deepStrictEqual(
+      [...scores].sort((a, b) => b - a),
+      scores
+    );
+    assert.ok(scores.every(score => score > 0));
+  });
+
+  it('should not match texts missing the typed characters', () => {
+    assert.strictEqual(fuzzyScore('done', 'In Progress'), 0);
+    assert.strictEqual(fuzzyScore('pi', 'In Progress'), 0);
+  });
+
+  it('should match everything when nothing was typed yet', () => {
+    assert.ok(fuzzyScore('', 'Backlog') > 0);
+  });
+});
+
+describe('rankCompletions', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+
+  it('should put better matches first', () => {
+    assert.deepStrictEqual(
+      rankCompletions(
+        'des',
+        [
+          { value: 'API Design', names: ['API Design'] },
+          { value: 'Design System', names: ['Design System'] },
+          { value: 'Billing', names: ['Billing'] },
+        ],
+        now
+      ),
+      ['Design System', 'API Design']
+    );
+  });
+
+  it('should rank recently updated candidates first among equal matches', () => {
+    assert.deepStrictEqual(
+      rankCompletions(
+        '',
+        [
+          { value: 'Old', names: ['Old'], updatedAt: '2023-01-01T00:00:00Z' },
+          {
+            value: 'Fresh',
+            names: ['Fresh'],
+            updatedAt: '2024-05-30T00:00:00Z',
+          },
+          {
+            value: 'Recent',
+            names: ['Recent'],
+            updatedAt: new Date('2024-05-01'),
+          },
+        ],
+        now
+      ),
+      ['Fresh', 'Recent', 'Old']
+    );
+  });
+
+  it('should match any of the names and list each value once', () => {
+    assert.deepStrictEqual(
+      rankCompletions(
+        'eng',
+        [
+          { value: 'ENG', names: ['ENG', 'Engineering'] },
+          { value: 'Done', names: ['Done'], teamKey: 'ENG' },
+          { value: 'Done', names: ['Done'], teamKey: 'PROD' },
+          { value: 'jsmith', names: ['jsmith', 'john@eng.example.com'] },
+        ],
+        now
+      ),
+      ['ENG', 'jsmith']
+    );
+  });
+
+  it('should return at most the number of values MCP allows', () => {
+    const candidates = Array.from({ length: 150 }, (_, index) => ({
+      value: `Project ${index}`,
+      names: [`Project ${index}`],
+    }));
+
+    assert.strictEqual(
+      rankCompletions('project', candidates, now).length,
+      MAX_COMPLETIONS
+    );
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Workspace metadata cache effect
+ *
+ * Teams, workflow states, labels, users and projects change rarely but are
+ * looked up on nearly every call. This cache keeps them in memory for a
+ * while, each kind of entity for as long as it usually stays unchanged, and
+ * can persist them to a file so a restarted server starts warm.
+ *
+ * Entries are JSON values, so loaders cache plain data rather than SDK
+ * models. Workspaces each get a scope of their own.
+ */
+import fs from 'fs/promises';
+import { dirname } from 'path';
+import { noopLogger } from '../logging/mod.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * How long each kind of entity is kept, in milliseconds
+ */
+export const DEFAULT_CACHE_TTLS = {
+  teams: 10 * MINUTE_MS,
+  states: 10 * MINUTE_MS,
+  labels: 5 * MINUTE_MS,
+  users: 10 * MINUTE_MS,
+  projects: 2 * MINUTE_MS,
+};
+
+/**
+ * Kinds of entities the cache keeps
+ */
+export const CACHE_KINDS = /** @type {CacheKind[]} */ (
+  Object.keys(DEFAULT_CACHE_TTLS)
+);
+
+/**
+ * @typedef {keyof typeof DEFAULT_CACHE_TTLS} CacheKind
+ */
+
+/**
+ * @typedef {Object} CacheEffect
+ * @property {(kind: CacheKind, key: string) => Promise<any>} get - Returns a cached value, undefined when missing or expired
+ * @property {(kind: CacheKind, key: string, value: unknown) => Promise<void>} set - Caches a value
+ * @property {<T>(kind: CacheKind, key: string, load: () => Promise<T>) => Promise<T>} load - Returns a cached value, loading it when missing or expired
+ * @property {(...kinds: CacheKind[]) => Promise<number>} invalidate - Drops the entries of the given kinds, or every entry when none are given, and resolves to how many were dropped
+ * @property {(name: string) => CacheEffect} scope - A view of the cache keeping its entries apart from other scopes
+ * @property {() => Promise<void>} flush - Resolves once the cache file is up to date
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {Partial<Record<CacheKind, number>>} [ttls] - Lifetimes in milliseconds overriding the defaults
+ * @property {string} [file] - File the cache is persisted to between restarts
+ * @property {() => number} [clock=Date.now] - Current time in milliseconds
+ * @property {import('../logging/mod.js').LoggingEffect} [logger=noopLogger] - Logger
+ */
+
+/**
+ * Cache that keeps nothing, for contexts without a cache
+ *
+ * @type {CacheEffect}
+ */
+export const noopCache = {
+  get: async () => undefined,
+  set: async () => {},
+  load: (kind, key, load) => load(),
+  invalidate: async () => 0,
+  scope: () => noopCache,
+  flush: async () => {},
+};
+
+/**
+ * Creates an in-memory cache, persisted to a file when one is given
+ *
+ * Entries restored from the file keep the time they were stored at, so
+ * they expire as if the server had kept running. A file that can't be read
+ * or written only costs the warm start.
+ *
+ * @param {CacheOptions} [options={}] - Options
+ * @returns {CacheEffect} Cache
+ */
+export function createCache({
+  ttls = {},
+  file,
+  clock = Date.now,
+  logger = noopLogger,
+} = {}) {
+  const lifetimes = { ...DEFAULT_CACHE_TTLS, ...ttls };
+
+  /** @type {Map<string, { kind: CacheKind, storedAt: number, value: unknown }>} */
+  const entries = new Map();
+
+  /** @type {Map<string, { kind: CacheKind, value: Promise<unknown> }>} */
+  const loading = new Map();
+
+  let saving = Promise.resolve();
+
+  /**
+   * @param {{ kind: CacheKind, storedAt: number }} entry - Cache entry
+   * @returns {boolean} Whether the entry hasn't expired
+   */
+  const isFresh = entry =>
+    clock() - entry.storedAt < (lifetimes[entry.kind] ?? 0);
+
+  const restore = async () => {
+    if (!file) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const [id, entry] of Object.entries(saved?.entries || {})) {
+        if (Object.hasOwn(lifetimes, entry?.kind) && isFresh(entry)) {
+          entries.set(id, entry);
+        }
+      }
+      logger.debug(`Restored ${entries.size} cache entries from ${file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read cache file ${file}: ${error.message}`);
+      }
+    }
+  };
+  const restored = restore();
+
+  const save = () => {
+    if (!file) {
+      return;
+    }
+
+    saving = saving.then(async () => {
+      const fresh = [...entries].filter(([, entry]) => isFresh(entry));
+      try {
+        await fs.mkdir(dirname(file), { recursive: true });
+        await fs.writeFile(
+          file,
+          JSON.stringify({ entries: Object.fromEntries(fresh) }) + '\n',
+          { mode: 0o600 }
+        );
+      } catch (error) {
+        logger.warn(`Could not write cache file ${file}: ${error.message}`);
+      }
+    });
+  };
+
+  /**
+   * @param {string} prefix - Prefix of the scope's entry IDs
+   * @returns {CacheEffect} View of the entries with that prefix
+   */
+  const view = prefix => ({
+    async get(kind, key) {
+      await restored;
+      const entry = entries.get(`${prefix}${kind}:${key}`);
+      return entry && isFresh(entry) ? entry.value : undefined;
+    },
+
+    async set(kind, key, value) {
+      await restored;
+      entries.set(`${prefix}${kind}:${key}`, {
+        kind,
+        storedAt: clock(),
+        value,
+      });
+      save();
+    },
+
+    async load(kind, key, load) {
+      await restored;
+      const id = `${prefix}${kind}:${key}`;
+
+      const entry = entries.get(id);
+      if (entry && isFresh(entry)) {
+        return /** @type {any} */ (entry.value);
+      }
+
+      // Calls asking while a load is under way share it
+      const pending = loading.get(id);
+      if (pending) {
+        return /** @type {any} */ (pending.value);
+      }
+
+      logger.debug(`Loading ${id} into the cache`);
+      const value = load();
+      const current = { kind, value };
+      loading.set(id, current);
+
+      try {
+        const loaded = await value;
+        // Invalidated while loading: the value may predate the change
+        if (loading.get(id) === current) {
+          entries.set(id, { kind, storedAt: clock(), value: loaded });
+          save();
+        }
+        return loaded;
+      } finally {
+        if (loading.get(id) === current) {
+          loading.delete(id);
+        }
+      }
+    },
+
+    async invalidate(...kinds) {
+      await restored;
+
+      /**
+       * @param {string} id - Entry ID
+       * @param {{ kind: CacheKind }} entry - Entry or load under way
+       * @returns {boolean} Whether to drop it
+       */
+      const dropped = (id, entry) =>
+        id.startsWith(prefix) &&
+        (kinds.length === 0 || kinds.includes(entry.kind));
+
+      for (const [id, pending] of loading) {
+        if (dropped(id, pending)) {
+          loading.delete(id);
+        }
+      }
+
+      let count = 0;
+      for (const [id, entry] of entries) {
+        if (dropped(id, entry)) {
+          entries.delete(id);
+          count++;
+        }
+      }
+
+      if (count > 0) {
+        logger.debug(
+          `Dropped ${count} cache entries of ${kinds.join(', ') || 'every kind'}`
+        );
+        save();
+      }
+      return count;
+    },
+
+    scope: name => view(`${prefix}${name}/`),
+
+    flush: async () => {
+      await restored;
+      await saving;
+    },
+  });
+
+  return view('');
+}
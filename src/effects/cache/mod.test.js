@@ -0,0 +1,196 @@
+/**
+ * Tests for the workspace metadata cache effect
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCache, DEFAULT_CACHE_TTLS, noopCache } from './mod.js';
+
+// A clock that only moves when told to
+function createFakeClock(start = Date.parse('2024-06-01T00:00:00Z')) {
+  const clock = () => clock.now;
+  clock.now = start;
+  clock.advance = ms => {
+    clock.now += ms;
+  };
+  return clock;
+}
+
+// A loader counting its calls
+function createLoader(value) {
+  const load = async () => {
+    load.calls++;
+    return value;
+  };
+  load.calls = 0;
+  return load;
+}
+
+describe('createCache', () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = createFakeClock();
+    cache = createCache({ clock });
+  });
+
+  it('should keep each kind for its own TTL', async () => {
+    const loadTeams = createLoader([{ key: 'ENG' }]);
+    const loadProjects = createLoader([{ name: 'Mobile App' }]);
+
+    await cache.load('teams', 'all', loadTeams);
+    await cache.load('projects', 'all', loadProjects);
+
+    clock.advance(DEFAULT_CACHE_TTLS.projects);
+    assert.deepStrictEqual(await cache.load('teams', 'all', loadTeams), [
+      { key: 'ENG' },
+    ]);
+    await cache.load('projects', 'all', loadProjects);
+    assert.strictEqual(loadTeams.calls, 1);
+    assert.strictEqual(loadProjects.calls, 2);
+
+    clock.advance(DEFAULT_CACHE_TTLS.teams);
+    await cache.load('teams', 'all', loadTeams);
+    assert.strictEqual(loadTeams.calls, 2);
+  });
+
+  it('should take TTL overrides', async () => {
+    cache = createCache({ clock, ttls: { teams: 1000 } });
+    await cache.set('teams', 'all', ['ENG']);
+
+    clock.advance(999);
+    assert.deepStrictEqual(await cache.get('teams', 'all'), ['ENG']);
+    clock.advance(1);
+    assert.strictEqual(await cache.get('teams', 'all'), undefined);
+  });
+
+  it('should share a load under way and not keep failed loads', async () => {
+    const load = createLoader(['Todo']);
+    const [first, second] = await Promise.all([
+      cache.load('states', 'team-1', load),
+      cache.load('states', 'team-1', load),
+    ]);
+    assert.deepStrictEqual(first, ['Todo']);
+    assert.strictEqual(second, first);
+    assert.strictEqual(load.calls, 1);
+
+    await assert.rejects(
+      cache.load('labels', 'team-1', async () => {
+        throw new Error('Rate limited');
+      }),
+      /Rate limited/
+    );
+    assert.deepStrictEqual(
+      await cache.load('labels', 'team-1', async () => ['Bug']),
+      ['Bug']
+    );
+  });
+
+  it('should invalidate kinds within a scope', async () => {
+    const product = cache.scope('product');
+    const platform = cache.scope('platform');
+    await product.set('teams', 'all', ['ENG']);
+    await product.set('labels', 'all', ['Bug']);
+    await platform.set('teams', 'all', ['OPS']);
+
+    assert.deepStrictEqual(await product.get('teams', 'all'), ['ENG']);
+    assert.deepStrictEqual(await platform.get('teams', 'all'), ['OPS']);
+
+    assert.strictEqual(await product.invalidate('teams'), 1);
+    assert.strictEqual(await product.get('teams', 'all'), undefined);
+    assert.deepStrictEqual(await product.get('labels', 'all'), ['Bug']);
+    assert.deepStrictEqual(await platform.get('teams', 'all'), ['OPS']);
+
+    assert.strictEqual(await cache.invalidate(), 2);
+    assert.strictEqual(await platform.get('teams', 'all'), undefined);
+  });
+
+  it('should not keep a value loaded while its kind was invalidated', async () => {
+    /** @type {(value: string[]) => void} */
+    let finish;
+    const loading = cache.load(
+      'users',
+      'all',
+      () => new Promise(resolve => (finish = resolve))
+    );
+    await new Promise(resolve => setImmediate(resolve));
+
+    await cache.invalidate('users');
+    finish(['before the change']);
+    assert.deepStrictEqual(await loading, ['before the change']);
+
+    assert.deepStrictEqual(
+      await cache.load('users', 'all', async () => ['after the change']),
+      ['after the change']
+    );
+  });
+
+  describe('with a cache file', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-linear-cache-'));
+      file = path.join(dir, 'cache', 'metadata.json');
+    });
+
+    afterEach(async () => {
+      await cache.flush();
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should restore unexpired entries after a restart', async () => {
+      cache = createCache({ clock, file });
+      await cache.set('teams', 'all', ['ENG']);
+      await cache.set('projects', 'all', ['Mobile App']);
+      await cache.flush();
+
+      clock.advance(DEFAULT_CACHE_TTLS.projects);
+      const restarted = createCache({ clock, file });
+      const load = createLoader(['OPS']);
+      assert.deepStrictEqual(await restarted.load('teams', 'all', load), [
+        'ENG',
+      ]);
+      assert.strictEqual(load.calls, 0);
+      assert.strictEqual(await restarted.get('projects', 'all'), undefined);
+
+      // The restored entry expires when it would have without the restart
+      clock.advance(DEFAULT_CACHE_TTLS.teams - DEFAULT_CACHE_TTLS.projects);
+      assert.deepStrictEqual(await restarted.load('teams', 'all', load), [
+        'OPS',
+      ]);
+
+      // The reload writes the file, finish that before it's removed
+      await restarted.flush();
+    });
+
+    it('should start empty when the file is unreadable', async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, 'not json');
+
+      cache = createCache({ clock, file });
+      assert.strictEqual(await cache.get('teams', 'all'), undefined);
+      await cache.set('teams', 'all', ['ENG']);
+      await cache.flush();
+
+      const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+      assert.deepStrictEqual(Object.keys(saved.entries), ['teams:all']);
+    });
+  });
+});
+
+describe('noopCache', () => {
+  it('should load every time and keep nothing', async () => {
+    const load = createLoader(['ENG']);
+    await noopCache.scope('product').load('teams', 'all', load);
+    await noopCache.load('teams', 'all', load);
+    await noopCache.set('teams', 'all', ['ENG']);
+
+    assert.strictEqual(load.calls, 2);
+    assert.strictEqual(await noopCache.get('teams', 'all'), undefined);
+    assert.strictEqual(await noopCache.invalidate(), 0);
+  });
+});
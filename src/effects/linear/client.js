@@ -3,17 +3,86 @@
  *
  * This module provides access to the Linear API using the official Linear SDK.
  */
+import { createHash } from 'node:crypto';
 import { LinearClient } from '@linear/sdk';
+import { createRateLimiter, withRateLimits } from './rate-limit.js';
+
+/**
+ * Most rate limiters kept at once; the least recently used one is dropped
+ * beyond that
+ */
+export const MAX_RATE_LIMITERS = 100;
+
+/**
+ * Rate limiters by hash of the API key or access token, least recently used
+ * first
+ *
+ * Linear counts requests per user or key, so every client acting with the
+ * same credentials shares one limiter. Keys are hashed so the credentials
+ * themselves are not kept around for the life of the process.
+ *
+ * @type {Map<string, import('./rate-limit.js').RateLimiter>}
+ */
+const rateLimiters = new Map();
+
+/**
+ * Returns the rate limiter of a set of credentials, creating it on first use
+ *
+ * @param {string} token - API key or access token
+ * @param {import('../logging/mod.js').LoggingEffect} [logger] - Logger for the limiter's debug output
+ * @returns {import('./rate-limit.js').RateLimiter} Rate limiter
+ */
+function getRateLimiter(token, logger) {
+  const key = createHash('sha256').update(token).digest('hex');
+  let limiter = rateLimiters.get(key);
+  if (limiter) {
+    // Move the limiter to the end of the map, as the most recently used
+    rateLimiters.delete(key);
+  } else {
+    limiter = createRateLimiter({ logger });
+  }
+  rateLimiters.set(key, limiter);
+
+  if (rateLimiters.size > MAX_RATE_LIMITERS) {
+    rateLimiters.delete(rateLimiters.keys().next().value);
+  }
+  return limiter;
+}
+
+/**
+ * Credentials a Linear client acts with: a personal API key or an OAuth
+ * access token
+ *
+ * @typedef {{ apiKey: string, accessToken?: undefined } | { accessToken: string, apiKey?: undefined }} LinearCredentials
+ */
 
 /**
  * Creates a Linear client using the official Linear SDK
- * @param {string} apiKey - Linear API key
+ *
+ * The client's requests are throttled to the rate limits Linear reports,
+ * and reads failing for a transient reason are retried.
+ *
+ * @param {string|LinearCredentials} credentials - Linear API key, or an object with an API key or OAuth access token
+ * @param {Object} [options={}] - Options
+ * @param {import('../logging/mod.js').LoggingEffect} [options.logger] - Logger for the remaining quota and retries
  * @returns {import('@linear/sdk').LinearClient} A Linear client instance
- * @throws {Error} If API key is missing or appears invalid
+ * @throws {Error} If credentials are missing or the API key appears invalid
  */
-export function createLinearClient(apiKey) {
+export function createLinearClient(credentials, { logger } = {}) {
+  const { apiKey, accessToken } =
+    typeof credentials === 'string'
+      ? { apiKey: credentials, accessToken: undefined }
+      : credentials || {};
+
+  if (accessToken) {
+    return withRateLimits(
+      new LinearClient({ accessToken }),
+      getRateLimiter(accessToken, logger)
+    );
+  }
+
   if (!apiKey) {
-    throw new Error('Linear API key is required');
+    throw new Error('Linear API key or OAuth access token is required');
   }
 
   // Basic validation that the API key looks like a token
@@ -24,5 +93,11 @@ export function createLinearClient(apiKey) {
     );
   }
 
-  return new LinearClient({ apiKey });
+  return withRateLimits(
+    new LinearClient({ apiKey }),
+    getRateLimiter(apiKey, logger)
+  );
 }
+
+// Export for testing
+export { getRateLimiter, rateLimiters };
@@ -5,6 +5,59 @@
  * It implements only the methods that are actually used in the codebase.
  */
 
+/**
+ * Creates a mock of the SDK's raw GraphQL client
+ *
+ * Each query is answered by the handler named like its operation (e.g.
+ * `Issues`) and recorded, so tests can count the requests a tool makes.
+ *
+ * @param {Record<string, (variables: Record<string, any>) => any>} handlers - Response data by operation name
+ * @returns {{ requests: Array<{ operation: string, variables: Record<string, any> }>, rawRequest: (query: string, variables?: Record<string, any>) => Promise<{ data: any, status: number, headers: Headers }> }} Mock raw GraphQL client
+ */
+export function createMockGraphQLClient(handlers) {
+  return {
+    requests: [],
+
+    async rawRequest(query, variables = {}) {
+      const operation = query.match(/query\s+(\w+)/)?.[1];
+      this.requests.push({ operation, variables });
+
+      const handler = handlers[operation];
+      if (!handler) {
+        throw new Error(`Unexpected GraphQL query ${operation}`);
+      }
+
+      return {
+        data: await handler(variables),
+        status: 200,
+        headers: new Headers(),
+      };
+    },
+  };
+}
+
+/**
+ * Resolves the lazily loaded fields of a mock issue like the IssueFields
+ * fragment selects them
+ *
+ * @param {Object} issue - Mock issue with promise fields
+ * @returns {Promise<Object>} Issue node as a GraphQL response has it
+ */
+async function toIssueNode(issue) {
+  const [state, assignee, project] = await Promise.all([
+    issue.state,
+    issue.assignee,
+    issue.project,
+  ]);
+  return {
+    ...issue,
+    state: state || null,
+    assignee: assignee || null,
+    project: project || null,
+    labels: { nodes: issue.labelNodes || [] },
+  };
+}
+
 /**
  * Creates a mock Linear client with tracking for test assertions
  *
@@ -15,6 +68,7 @@
  * @param {boolean} [options.throwOnIssueCreate] - Whether to throw an error when issueCreate is called
  * @param {Object} [options.issueData] - Mock issue data to return
  * @param {string} [options.errorMessage] - Custom error message to use when throwing
+ * @param {Record<string, (variables: Record<string, any>) => any>} [options.graphql] - Handlers of further GraphQL queries, by operation name
  * @returns {Object} Mock Linear client that partially implements the LinearClient interface
  */
 export function createMockLinearClient(options = {}) {
@@ -73,7 +127,7 @@ export function createMockLinearClient(options = {}) {
   const throwOnIssueCreate = options.throwOnIssueCreate || false;
   const mockIssueData = options.issueData || null;
 
-  return {
+  const mockClient = {
     // Track calls for assertion in tests
     _calls: {
       issues: [],
@@ -302,4 +356,30 @@ export function createMockLinearClient(options = {}) {
       });
     },
   };
+
+  // Hand-written queries see the same issues as the SDK methods
+  mockClient.client = createMockGraphQLClient({
+    Issues: async variables => {
+      const { nodes } = await mockClient.issues(variables);
+      return {
+        issues: {
+          nodes: await Promise.all(nodes.map(toIssueNode)),
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      };
+    },
+    SearchIssues: async () => {
+      const nodes = await Promise.all(mockIssues.nodes.map(toIssueNode));
+      return {
+        searchIssues: {
+          nodes,
+          pageInfo: { hasNextPage: false, endCursor: null },
+          totalCount: nodes.length,
+        },
+      };
+    },
+    ...options.graphql,
+  });
+
+  return mockClient;
 }
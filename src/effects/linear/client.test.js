@@ -0,0 +1,43 @@
+/**
+ * Tests for the Linear client factory's rate limiters
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { MAX_RATE_LIMITERS, getRateLimiter, rateLimiters } from './client.js';
+
+describe('getRateLimiter', () => {
+  beforeEach(() => {
+    rateLimiters.clear();
+  });
+
+  it('should share one limiter between uses of the same credentials', () => {
+    const limiter = getRateLimiter('lin_api_first_key_00000');
+
+    assert.strictEqual(getRateLimiter('lin_api_first_key_00000'), limiter);
+    assert.notStrictEqual(getRateLimiter('lin_api_other_key_00000'), limiter);
+  });
+
+  it('should not keep the credentials themselves', () => {
+    getRateLimiter('lin_api_secret_key_0000');
+
+    const [key] = rateLimiters.keys();
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.ok(!key.includes('secret'));
+  });
+
+  it('should drop the least recently used limiter beyond the maximum', () => {
+    const first = getRateLimiter('token-0');
+    const second = getRateLimiter('token-1');
+    for (let i = 2; i < MAX_RATE_LIMITERS; i++) {
+      getRateLimiter(`token-${i}`);
+    }
+    // Using the first limiter again makes the second the least recent one
+    getRateLimiter('token-0');
+
+    getRateLimiter('token-new');
+
+    assert.strictEqual(rateLimiters.size, MAX_RATE_LIMITERS);
+    assert.strictEqual(getRateLimiter('token-0'), first);
+    assert.notStrictEqual(getRateLimiter('token-1'), second);
+  });
+});
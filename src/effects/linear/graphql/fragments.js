@@ -0,0 +1,137 @@
+/**
+ * GraphQL fragments shared by the queries
+ *
+ * Each fragment selects the fields the tools show for one kind of entity,
+ * related entities included, so a query built from them returns everything
+ * in one request instead of one request per lazily loaded SDK field.
+ */
+
+/**
+ * A user, as an assignee, lead, member or comment author
+ */
+export const USER_FIELDS = `
+  fragment UserFields on User {
+    id
+    name
+    displayName
+    email
+    active
+  }
+`;
+
+/**
+ * Fields of an issue with its state, assignee, project and labels, selected
+ * on issues as well as on search results
+ */
+const ISSUE_SELECTION = `
+    id
+    identifier
+    url
+    title
+    description
+    priority
+    createdAt
+    updatedAt
+    completedAt
+    state {
+      id
+      name
+      type
+    }
+    assignee {
+      ...UserFields
+    }
+    project {
+      id
+      name
+    }
+    labels {
+      nodes {
+        id
+        name
+        color
+      }
+    }
+`;
+
+/**
+ * An issue with its state, assignee, project and labels
+ */
+export const ISSUE_FIELDS = `
+  fragment IssueFields on Issue {${ISSUE_SELECTION}  }
+`;
+
+/**
+ * A search result, an issue with the same fields as IssueFields
+ */
+export const ISSUE_SEARCH_RESULT_FIELDS = `
+  fragment IssueSearchResultFields on IssueSearchResult {${ISSUE_SELECTION}    archivedAt
+  }
+`;
+
+/**
+ * A comment with its author
+ */
+export const COMMENT_FIELDS = `
+  fragment CommentFields on Comment {
+    id
+    body
+    createdAt
+    updatedAt
+    user {
+      ...UserFields
+    }
+  }
+`;
+
+/**
+ * A team's own fields
+ */
+export const TEAM_FIELDS = `
+  fragment TeamFields on Team {
+    id
+    name
+    key
+    description
+    color
+    private
+    cyclesEnabled
+    timezone
+    createdAt
+    updatedAt
+  }
+`;
+
+/**
+ * A project's own fields with its lead and team
+ */
+export const PROJECT_FIELDS = `
+  fragment ProjectFields on Project {
+    id
+    name
+    description
+    state
+    progress
+    slugId
+    url
+    createdAt
+    updatedAt
+    startDate
+    targetDate
+    completedAt
+    canceledAt
+    archivedAt
+    issueCountHistory
+    completedIssueCountHistory
+    lead {
+      ...UserFields
+    }
+    teams(first: 1) {
+      nodes {
+        id
+        name
+        key
+      }
+    }
+  }
+`;
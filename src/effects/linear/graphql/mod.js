@@ -0,0 +1,5 @@
+/**
+ * GraphQL query layer exports
+ */
+export * from './fragments.js';
+export * from './queries.js';
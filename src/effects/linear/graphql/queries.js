@@ -0,0 +1,163 @@
+/**
+ * Hand-written GraphQL queries
+ *
+ * The SDK's models load every related entity with a request of its own, so
+ * listing 25 issues with their state, assignee, project and labels takes a
+ * hundred requests. These queries select the related entities up front with
+ * the shared fragments and are sent through the SDK's raw GraphQL client.
+ */
+import {
+  COMMENT_FIELDS,
+  ISSUE_FIELDS,
+  ISSUE_SEARCH_RESULT_FIELDS,
+  PROJECT_FIELDS,
+  TEAM_FIELDS,
+  USER_FIELDS,
+} from './fragments.js';
+
+/**
+ * A page of issues with their related entities
+ */
+export const ISSUES_QUERY = `
+  query Issues(
+    $filter: IssueFilter
+    $sort: [IssueSortInput!]
+    $first: Int
+    $after: String
+  ) {
+    issues(filter: $filter, sort: $sort, first: $first, after: $after) {
+      nodes {
+        ...IssueFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${ISSUE_FIELDS}
+  ${USER_FIELDS}
+`;
+
+/**
+ * A page of issues matching a search term, with their related entities
+ */
+export const SEARCH_ISSUES_QUERY = `
+  query SearchIssues(
+    $term: String!
+    $filter: IssueFilter
+    $includeArchived: Boolean
+    $first: Int
+    $after: String
+  ) {
+    searchIssues(
+      term: $term
+      filter: $filter
+      includeArchived: $includeArchived
+      first: $first
+      after: $after
+    ) {
+      nodes {
+        ...IssueSearchResultFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      totalCount
+    }
+  }
+  ${ISSUE_SEARCH_RESULT_FIELDS}
+  ${USER_FIELDS}
+`;
+
+/**
+ * A project with its members, issues and their comments
+ */
+export const PROJECT_DETAILS_QUERY = `
+  query ProjectDetails(
+    $id: String!
+    $limit: Int
+    $includeMembers: Boolean!
+    $includeIssues: Boolean!
+    $includeComments: Boolean!
+  ) {
+    project(id: $id) {
+      ...ProjectFields
+      members(first: $limit) @include(if: $includeMembers) {
+        nodes {
+          ...UserFields
+        }
+      }
+      issues(first: $limit) @include(if: $includeIssues) {
+        nodes {
+          ...IssueFields
+          comments(first: $limit) @include(if: $includeComments) {
+            nodes {
+              ...CommentFields
+            }
+          }
+        }
+      }
+    }
+  }
+  ${PROJECT_FIELDS}
+  ${ISSUE_FIELDS}
+  ${COMMENT_FIELDS}
+  ${USER_FIELDS}
+`;
+
+/**
+ * Teams by ID with their members, projects and issues to count
+ */
+export const TEAM_DETAILS_QUERY = `
+  query TeamDetails(
+    $ids: [ID!]
+    $first: Int
+    $includeMembers: Boolean!
+    $includeProjects: Boolean!
+  ) {
+    teams(filter: { id: { in: $ids } }, first: $first) {
+      nodes {
+        ...TeamFields
+        members @include(if: $includeMembers) {
+          nodes {
+            ...UserFields
+          }
+        }
+        projects @include(if: $includeProjects) {
+          nodes {
+            id
+            name
+            state
+            completedAt
+          }
+        }
+        issues {
+          nodes {
+            completedAt
+          }
+        }
+      }
+    }
+  }
+  ${TEAM_FIELDS}
+  ${USER_FIELDS}
+`;
+
+/**
+ * Sends a query through the SDK's raw GraphQL client
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} query - GraphQL document
+ * @param {Record<string, unknown>} [variables={}] - Query variables
+ * @param {import('../../logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<any>} The response data, shaped like the query
+ */
+export async function requestGraphQL(client, query, variables = {}, logger) {
+  const operation = query.match(/query\s+(\w+)/)?.[1] || 'anonymous';
+  logger?.debug(`Sending GraphQL query ${operation}`);
+
+  const response = await client.client.rawRequest(query, variables);
+  return response.data;
+}
@@ -7,6 +7,15 @@
 // Export the actual client implementation
 export * from './client.js';
 
+// Export the hand-written GraphQL queries
+export * from './graphql/mod.js';
+
+// Export the rate limiting of requests
+export * from './rate-limit.js';
+
+// Export the OAuth flow and token storage
+export * from './oauth.js';
+
 // Export the mock implementation for testing
 export * from './client.mock.js';
 
@@ -16,5 +25,6 @@ export * from './types/types.js';
 /**
  * Linear API effect interface
  * @typedef {Object} LinearEffect
- * @property {(apiKey: string) => import('@linear/sdk').LinearClient} createClient - Creates a Linear client
+ * @property {(credentials: string|import('./client.js').LinearCredentials) => import('@linear/sdk').LinearClient} createClient - Creates a Linear client
+ * @property {() => Promise<string>} [getAccessToken] - Returns the stored OAuth access token, refreshed if needed
  */
@@ -0,0 +1,341 @@
+/**
+ * Linear OAuth 2.0 effect
+ *
+ * Lets the server act with an OAuth access token instead of a personal API
+ * key. `runAuthorizationFlow()` does the first-time setup: it sends the user
+ * to Linear's consent screen and receives the authorization code on a local
+ * callback URL. The resulting token is stored on disk and refreshed by
+ * `createOAuthTokenProvider()` when it expires.
+ */
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import fs from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Linear's OAuth consent screen
+ */
+export const AUTHORIZE_URL = 'https://linear.app/oauth/authorize';
+
+/**
+ * Linear's OAuth token endpoint
+ */
+export const TOKEN_URL = 'https://api.linear.app/oauth/token';
+
+/**
+ * Tokens are refreshed when they expire within this many milliseconds
+ */
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * How long the authorization flow waits for the callback, in milliseconds
+ */
+const AUTHORIZATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} OAuthConfig
+ * @property {string} clientId - OAuth application client ID
+ * @property {string} clientSecret - OAuth application client secret
+ * @property {string[]} scopes - Scopes to request, e.g. read and write
+ * @property {string} redirectUri - Callback URL registered with the OAuth application
+ * @property {string} tokenFile - Where the token is stored
+ */
+
+/**
+ * @typedef {Object} OAuthToken
+ * @property {string} accessToken - Access token for the Linear API
+ * @property {string} [refreshToken] - Token to get a new access token with
+ * @property {string} [expiresAt] - When the access token expires (ISO 8601)
+ * @property {string} [scope] - Scopes the token was granted
+ */
+
+/**
+ * Builds the URL of Linear's consent screen
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {string} state - Value Linear passes back to the callback, to match it to this request
+ * @returns {string} Authorization URL
+ */
+export function buildAuthorizeUrl(oauth, state) {
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('client_id', oauth.clientId);
+  url.searchParams.set('redirect_uri', oauth.redirectUri);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('scope', oauth.scopes.join(','));
+  url.searchParams.set('state', state);
+  url.searchParams.set('prompt', 'consent');
+  return url.toString();
+}
+
+/**
+ * Requests a token from Linear's token endpoint
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {Record<string, string>} params - Grant parameters
+ * @param {Object} [options] - Options
+ * @param {typeof fetch} [options.fetch=globalThis.fetch] - Fetch implementation
+ * @param {() => number} [options.now=Date.now] - Current time in milliseconds
+ * @returns {Promise<OAuthToken>} The token
+ * @throws {Error} If Linear rejects the request
+ */
+async function requestToken(
+  oauth,
+  params,
+  { fetch = globalThis.fetch, now = Date.now } = {}
+) {
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: oauth.clientId,
+      client_secret: oauth.clientSecret,
+      ...params,
+    }).toString(),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    const reason =
+      body.error_description || body.error || `HTTP ${response.status}`;
+    throw new Error(`Linear OAuth token request failed: ${reason}`);
+  }
+
+  return {
+    accessToken: body.access_token,
+    refreshToken: body.refresh_token,
+    expiresAt: body.expires_in
+      ? new Date(now() + body.expires_in * 1000).toISOString()
+      : undefined,
+    scope: Array.isArray(body.scope) ? body.scope.join(',') : body.scope,
+  };
+}
+
+/**
+ * Exchanges the authorization code from the callback for a token
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {string} code - Authorization code
+ * @param {Object} [options] - Options passed to the token request
+ * @param {typeof fetch} [options.fetch] - Fetch implementation
+ * @param {() => number} [options.now] - Current time in milliseconds
+ * @returns {Promise<OAuthToken>} The token
+ */
+export function exchangeAuthorizationCode(oauth, code, options) {
+  return requestToken(
+    oauth,
+    {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oauth.redirectUri,
+    },
+    options
+  );
+}
+
+/**
+ * Gets a new access token with a refresh token
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [options] - Options passed to the token request
+ * @param {typeof fetch} [options.fetch] - Fetch implementation
+ * @param {() => number} [options.now] - Current time in milliseconds
+ * @returns {Promise<OAuthToken>} The new token
+ */
+export async function refreshOAuthToken(oauth, refreshToken, options) {
+  const token = await requestToken(
+    oauth,
+    { grant_type: 'refresh_token', refresh_token: refreshToken },
+    options
+  );
+
+  // Linear may keep the refresh token the same and leave it out
+  return { ...token, refreshToken: token.refreshToken || refreshToken };
+}
+
+/**
+ * Loads the stored token
+ *
+ * @param {string} tokenFile - Path of the token file
+ * @returns {Promise<OAuthToken|undefined>} The token, if one was stored
+ * @throws {Error} If the file exists but can't be read
+ */
+export async function loadOAuthToken(tokenFile) {
+  let contents;
+  try {
+    contents = await fs.readFile(tokenFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw new Error(
+      `Could not read Linear OAuth token ${tokenFile}: ${error.message}`
+    );
+  }
+
+  const token = JSON.parse(contents);
+  if (typeof token?.accessToken !== 'string') {
+    throw new Error(`Linear OAuth token ${tokenFile} has no access token`);
+  }
+  return token;
+}
+
+/**
+ * Stores a token, readable only by the current user
+ *
+ * @param {string} tokenFile - Path of the token file
+ * @param {OAuthToken} token - Token to store
+ * @returns {Promise<void>}
+ */
+export async function saveOAuthToken(tokenFile, token) {
+  await fs.mkdir(dirname(tokenFile), { recursive: true });
+  await fs.writeFile(tokenFile, JSON.stringify(token, null, 2) + '\n', {
+    mode: 0o600,
+  });
+}
+
+/**
+ * @typedef {Object} OAuthTokenProvider
+ * @property {() => Promise<string>} getAccessToken - Returns a valid access token, refreshing it if needed
+ */
+
+/**
+ * Creates a provider of access tokens from the stored token
+ *
+ * The token is read from disk on first use. When it is about to expire it is
+ * refreshed and stored again; concurrent calls share one refresh.
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {Object} [options] - Options
+ * @param {typeof fetch} [options.fetch] - Fetch implementation
+ * @param {() => number} [options.now=Date.now] - Current time in milliseconds
+ * @param {import('../logging/mod.js').LoggingEffect} [options.logger] - Logger
+ * @returns {OAuthTokenProvider} Token provider
+ */
+export function createOAuthTokenProvider(
+  oauth,
+  { fetch, now = Date.now, logger } = {}
+) {
+  /** @type {OAuthToken|undefined} */
+  let token;
+  /** @type {Promise<OAuthToken>|undefined} */
+  let refreshing;
+
+  const refresh = async refreshToken => {
+    logger?.info('Refreshing Linear OAuth token');
+    const refreshed = await refreshOAuthToken(oauth, refreshToken, {
+      fetch,
+      now,
+    });
+    await saveOAuthToken(oauth.tokenFile, refreshed);
+    return refreshed;
+  };
+
+  return {
+    getAccessToken: async () => {
+      token ??= await loadOAuthToken(oauth.tokenFile);
+      if (!token) {
+        throw new Error(
+          'Not authorized with Linear yet. Run `npm run auth` to authorize with OAuth'
+        );
+      }
+
+      const expiresAt = token.expiresAt ? Date.parse(token.expiresAt) : NaN;
+      if (!(expiresAt - now() < REFRESH_MARGIN_MS)) {
+        return token.accessToken;
+      }
+
+      if (!token.refreshToken) {
+        throw new Error(
+          'The Linear OAuth token expired. Run `npm run auth` to authorize again'
+        );
+      }
+
+      refreshing ??= refresh(token.refreshToken).finally(() => {
+        refreshing = undefined;
+      });
+      token = await refreshing;
+      return token.accessToken;
+    },
+  };
+}
+
+/**
+ * Runs the authorization flow and stores the resulting token
+ *
+ * Listens on the redirect URI, shows the consent screen URL through
+ * `openUrl` and waits for Linear to redirect back with a code.
+ *
+ * @param {OAuthConfig} oauth - OAuth configuration
+ * @param {Object} options - Options
+ * @param {(url: string) => void} options.openUrl - Shows the consent screen URL to the user
+ * @param {typeof fetch} [options.fetch] - Fetch implementation
+ * @param {number} [options.timeoutMs=AUTHORIZATION_TIMEOUT_MS] - How long to wait for the callback
+ * @param {import('../logging/mod.js').LoggingEffect} [options.logger] - Logger
+ * @returns {Promise<OAuthToken>} The stored token
+ * @throws {Error} If the user denies access, the callback doesn't match or doesn't arrive in time
+ */
+export async function runAuthorizationFlow(
+  oauth,
+  { openUrl, fetch, timeoutMs = AUTHORIZATION_TIMEOUT_MS, logger }
+) {
+  const redirectUri = new URL(oauth.redirectUri);
+  if (redirectUri.protocol !== 'http:') {
+    throw new Error(
+      `The redirect URI must be a local http:// URL to receive the callback, got ${oauth.redirectUri}`
+    );
+  }
+
+  const state = randomBytes(16).toString('hex');
+  const server = http.createServer();
+  let timer;
+
+  const code = await new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('Timed out waiting for the Linear callback')),
+      timeoutMs
+    );
+
+    server.on('request', (req, res) => {
+      const url = new URL(req.url || '/', oauth.redirectUri);
+      if (url.pathname !== redirectUri.pathname) {
+        res.writeHead(404).end('Not found');
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const receivedCode = url.searchParams.get('code');
+      if (error || !receivedCode) {
+        res.writeHead(400).end('Authorization failed. You can close this tab.');
+        reject(
+          new Error(
+            `Linear authorization failed: ${error || 'no code received'}`
+          )
+        );
+      } else if (url.searchParams.get('state') !== state) {
+        res.writeHead(400).end('Authorization failed. You can close this tab.');
+        reject(new Error('Linear authorization failed: state does not match'));
+      } else {
+        res
+          .writeHead(200)
+          .end('Authorized with Linear. You can close this tab.');
+        resolve(receivedCode);
+      }
+    });
+
+    server.once('error', reject);
+    server.listen(Number(redirectUri.port) || 80, redirectUri.hostname, () => {
+      logger?.info(`Waiting for the Linear callback on ${oauth.redirectUri}`);
+      openUrl(buildAuthorizeUrl(oauth, state));
+    });
+  }).finally(() => {
+    clearTimeout(timer);
+    server.close();
+    server.closeAllConnections();
+  });
+
+  const token = await exchangeAuthorizationCode(oauth, code, { fetch });
+  await saveOAuthToken(oauth.tokenFile, token);
+  logger?.info(`Stored the Linear OAuth token in ${oauth.tokenFile}`);
+  return token;
+}
@@ -0,0 +1,201 @@
+/**
+ * Tests for the Linear OAuth effect
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import net from 'node:net';
+import os from 'os';
+import path from 'path';
+import {
+  buildAuthorizeUrl,
+  createOAuthTokenProvider,
+  loadOAuthToken,
+  runAuthorizationFlow,
+  saveOAuthToken,
+  TOKEN_URL,
+} from './oauth.js';
+
+// Creates a fetch that answers token requests with the given responses
+function createTokenFetch(...responses) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({
+      url,
+      params: Object.fromEntries(new URLSearchParams(init.body)),
+    });
+    const { status = 200, body } = responses.shift();
+    return new Response(JSON.stringify(body), { status });
+  };
+  return { fetch: /** @type {any} */ (fetch), requests };
+}
+
+// Finds a free local port
+async function getFreePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+  const { port } = /** @type {net.AddressInfo} */ (server.address());
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('Linear OAuth', () => {
+  let dir;
+  let oauth;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-linear-oauth-'));
+    oauth = {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      scopes: ['read', 'write'],
+      redirectUri: 'http://127.0.0.1:8765/oauth/callback',
+      tokenFile: path.join(dir, 'token.json'),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  it('should build the consent screen URL', () => {
+    const url = new URL(buildAuthorizeUrl(oauth, 'state-123'));
+
+    assert.strictEqual(
+      url.origin + url.pathname,
+      'https://linear.app/oauth/authorize'
+    );
+    assert.strictEqual(url.searchParams.get('client_id'), 'client-id');
+    assert.strictEqual(url.searchParams.get('redirect_uri'), oauth.redirectUri);
+    assert.strictEqual(url.searchParams.get('response_type'), 'code');
+    assert.strictEqual(url.searchParams.get('scope'), 'read,write');
+    assert.strictEqual(url.searchParams.get('state'), 'state-123');
+  });
+
+  it('should return the stored access token while it is valid', async () => {
+    const now = Date.parse('2024-06-01T00:00:00Z');
+    await saveOAuthToken(oauth.tokenFile, {
+      accessToken: 'lin_oauth_current',
+      refreshToken: 'refresh-1',
+      expiresAt: '2024-06-01T12:00:00Z',
+    });
+    const { fetch, requests } = createTokenFetch();
+
+    const provider = createOAuthTokenProvider(oauth, { fetch, now: () => now });
+
+    assert.strictEqual(await provider.getAccessToken(), 'lin_oauth_current');
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('should refresh an expiring token once and store it', async () => {
+    const now = Date.parse('2024-06-01T11:58:00Z');
+    await saveOAuthToken(oauth.tokenFile, {
+      accessToken: 'lin_oauth_old',
+      refreshToken: 'refresh-1',
+      expiresAt: '2024-06-01T12:00:00Z',
+    });
+    const { fetch, requests } = createTokenFetch({
+      body: {
+        access_token: 'lin_oauth_new',
+        expires_in: 86400,
+        scope: ['read', 'write'],
+      },
+    });
+
+    const provider = createOAuthTokenProvider(oauth, { fetch, now: () => now });
+    const tokens = await Promise.all([
+      provider.getAccessToken(),
+      provider.getAccessToken(),
+    ]);
+
+    assert.deepStrictEqual(tokens, ['lin_oauth_new', 'lin_oauth_new']);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, TOKEN_URL);
+    assert.deepStrictEqual(requests[0].params, {
+      client_id: 'client-id',
+      client_secret: 'client-secret',
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-1',
+    });
+    assert.deepStrictEqual(await loadOAuthToken(oauth.tokenFile), {
+      accessToken: 'lin_oauth_new',
+      refreshToken: 'refresh-1',
+      expiresAt: '2024-06-02T11:58:00.000Z',
+      scope: 'read,write',
+    });
+  });
+
+  it('should explain what to do without a usable token', async () => {
+    const { fetch } = createTokenFetch({
+      status: 400,
+      body: {
+        error: 'invalid_grant',
+        error_description: 'Refresh token revoked',
+      },
+    });
+    const provider = createOAuthTokenProvider(oauth, { fetch });
+
+    await assert.rejects(
+      () => provider.getAccessToken(),
+      /Not authorized with Linear yet. Run `npm run auth`/
+    );
+
+    await saveOAuthToken(oauth.tokenFile, {
+      accessToken: 'lin_oauth_old',
+      refreshToken: 'refresh-1',
+      expiresAt: '2000-01-01T00:00:00Z',
+    });
+    await assert.rejects(
+      () => provider.getAccessToken(),
+      /Linear OAuth token request failed: Refresh token revoked/
+    );
+  });
+
+  it('should exchange the code from the callback for a token', async () => {
+    oauth.redirectUri = `http://127.0.0.1:${await getFreePort()}/oauth/callback`;
+    const { fetch, requests } = createTokenFetch({
+      body: { access_token: 'lin_oauth_first', refresh_token: 'refresh-1' },
+    });
+    /** @type {Promise<Response>} */
+    let callbackResponse;
+
+    const token = await runAuthorizationFlow(oauth, {
+      fetch,
+      openUrl: url => {
+        // Act as Linear redirecting the user back after consent
+        const state = new URL(url).searchParams.get('state');
+        callbackResponse = globalThis.fetch(
+          `${oauth.redirectUri}?code=auth-code&state=${state}`
+        );
+      },
+    });
+
+    assert.strictEqual((await callbackResponse).status, 200);
+    assert.strictEqual(token.accessToken, 'lin_oauth_first');
+    assert.strictEqual(requests[0].params.grant_type, 'authorization_code');
+    assert.strictEqual(requests[0].params.code, 'auth-code');
+    assert.strictEqual(requests[0].params.redirect_uri, oauth.redirectUri);
+    assert.strictEqual(
+      (await loadOAuthToken(oauth.tokenFile)).accessToken,
+      'lin_oauth_first'
+    );
+  });
+
+  it('should reject a callback with another state', async () => {
+    oauth.redirectUri = `http://127.0.0.1:${await getFreePort()}/oauth/callback`;
+    const { fetch } = createTokenFetch();
+
+    await assert.rejects(
+      () =>
+        runAuthorizationFlow(oauth, {
+          fetch,
+          openUrl: () => {
+            globalThis.fetch(
+              `${oauth.redirectUri}?code=auth-code&state=forged`
+            );
+          },
+        }),
+      /state does not match/
+    );
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Rate-limit aware request scheduling
+ *
+ * Linear limits how many requests, and how much query complexity, each user
+ * or API key may use per hour, and reports what is left in the headers of
+ * every response. The limiter reads those headers, holds requests back while
+ * the quota is used up, and retries reads that failed for a transient reason
+ * with exponential backoff. Mutations are never retried: a write that timed
+ * out may still have happened.
+ */
+import { LinearErrorType } from '@linear/sdk';
+import { print } from 'graphql';
+import { noopLogger } from '../logging/mod.js';
+
+/**
+ * Types of Linear errors that are worth retrying a read after
+ */
+const TRANSIENT_ERROR_TYPES = [
+  LinearErrorType.Ratelimited,
+  LinearErrorType.NetworkError,
+  LinearErrorType.InternalError,
+  LinearErrorType.LockTimeout,
+];
+
+/**
+ * Error codes of failed connections
+ */
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+/**
+ * Quota Linear reported in the headers of its last response
+ *
+ * @typedef {Object} RateLimitQuota
+ * @property {number} [requestsLimit] - Requests allowed per window
+ * @property {number} [requestsRemaining] - Requests left in the window
+ * @property {number} [requestsReset] - When the request window resets, in milliseconds since the epoch
+ * @property {number} [complexityLimit] - Complexity points allowed per window
+ * @property {number} [complexityRemaining] - Complexity points left in the window
+ * @property {number} [complexityReset] - When the complexity window resets, in milliseconds since the epoch
+ * @property {number} [complexity] - Complexity of the last query
+ */
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @property {number} [maxConcurrent=4] - Most requests in flight at once
+ * @property {number} [maxRetries=3] - Most retries of a failed read
+ * @property {number} [baseDelayMs=500] - Backoff before the first retry, doubled for each further one
+ * @property {number} [maxDelayMs=10000] - Longest backoff between retries
+ * @property {number} [maxWaitMs=30000] - Longest wait for a used up quota to reset; beyond it requests go out and fail
+ * @property {() => number} [clock=Date.now] - Current time in milliseconds
+ * @property {(ms: number) => Promise<void>} [sleep] - Waits the given milliseconds
+ * @property {() => number} [random=Math.random] - Random number between 0 and 1, for jitter
+ * @property {import('../logging/mod.js').LoggingEffect} [logger=noopLogger] - Logger
+ */
+
+/**
+ * @typedef {Object} RateLimiter
+ * @property {<T>(query: string, send: () => Promise<T & { headers?: Headers }>) => Promise<T>} schedule - Sends a request when the quota allows, retrying reads that fail for a transient reason
+ * @property {() => RateLimitQuota} quota - Quota reported by the last response
+ */
+
+/**
+ * Reads the rate-limit headers of a Linear response
+ *
+ * @param {Headers|undefined} headers - Response headers
+ * @returns {RateLimitQuota} Quota, without the values the headers lack
+ */
+export function parseRateLimitHeaders(headers) {
+  /**
+   * @param {string} name - Header name
+   * @returns {number|undefined} Header value as a number
+   */
+  const number = name => {
+    const value = headers?.get?.(name);
+    return value && /^\d+$/.test(value.trim()) ? Number(value) : undefined;
+  };
+
+  /** @type {RateLimitQuota} */
+  const quota = {
+    requestsLimit: number('x-ratelimit-requests-limit'),
+    requestsRemaining: number('x-ratelimit-requests-remaining'),
+    requestsReset: number('x-ratelimit-requests-reset'),
+    complexityLimit: number('x-ratelimit-complexity-limit'),
+    complexityRemaining: number('x-ratelimit-complexity-remaining'),
+    complexityReset: number('x-ratelimit-complexity-reset'),
+    complexity: number('x-complexity'),
+  };
+
+  return Object.fromEntries(
+    Object.entries(quota).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Describes a quota for debug output
+ *
+ * @param {RateLimitQuota} quota - Quota
+ * @returns {string|undefined} Description, if any quota is known
+ */
+export function describeRateLimitQuota(quota) {
+  const parts = [];
+  if (quota.requestsRemaining !== undefined) {
+    parts.push(
+      `${quota.requestsRemaining}/${quota.requestsLimit ?? '?'} requests`
+    );
+  }
+  if (quota.complexityRemaining !== undefined) {
+    parts.push(
+      `${quota.complexityRemaining}/${quota.complexityLimit ?? '?'} complexity points`
+    );
+  }
+  if (parts.length === 0) {
+    return undefined;
+  }
+
+  const reset = quota.requestsReset ?? quota.complexityReset;
+  const until = reset ? ` until ${new Date(reset).toISOString()}` : '';
+  return `Linear rate limit: ${parts.join(' and ')} left${until}`;
+}
+
+/**
+ * Whether a GraphQL document is a mutation
+ *
+ * @param {string} query - GraphQL document
+ * @returns {boolean} Whether its operation is a mutation
+ */
+export function isMutation(query) {
+  const operation = query
+    .replace(/#.*$/gm, '')
+    .match(/(?:^|[\s}])(query|mutation|subscription)\b/);
+  return operation?.[1] === 'mutation';
+}
+
+/**
+ * Whether a failed request may succeed when sent again
+ *
+ * @param {any} error - Error the request failed with
+ * @returns {boolean} Whether it's a rate limit, server or connection error
+ */
+export function isTransientError(error) {
+  if (TRANSIENT_ERROR_TYPES.includes(error?.type)) {
+    return true;
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  return (
+    TRANSIENT_ERROR_CODES.includes(code) ||
+    (error?.name === 'TypeError' && error.message === 'fetch failed')
+  );
+}
+
+/**
+ * Creates a limiter for the requests made with one set of credentials
+ *
+ * @param {RateLimiterOptions} [options={}] - Options
+ * @returns {RateLimiter} Rate limiter
+ */
+export function createRateLimiter({
+  maxConcurrent = 4,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  maxWaitMs = 30000,
+  clock = Date.now,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random,
+  logger = noopLogger,
+} = {}) {
+  /** @type {RateLimitQuota} */
+  let quota = {};
+  let inFlight = 0;
+  /** @type {Array<() => void>} */
+  const queue = [];
+
+  /**
+   * @param {Headers|undefined} headers - Headers of a response
+   */
+  const record = headers => {
+    const reported = parseRateLimitHeaders(headers);
+    if (Object.keys(reported).length === 0) {
+      return;
+    }
+
+    quota = { ...quota, ...reported };
+    logger.debug(describeRateLimitQuota(quota) || 'Linear rate limit unknown');
+  };
+
+  /**
+   * @returns {number} Milliseconds until the used up quota resets, 0 when some is left
+   */
+  const untilReset = () => {
+    const waits = [];
+    if (quota.requestsRemaining === 0 && quota.requestsReset) {
+      waits.push(quota.requestsReset - clock());
+    }
+    if (
+      quota.complexityRemaining !== undefined &&
+      quota.complexityReset &&
+      quota.complexityRemaining < (quota.complexity ?? 1)
+    ) {
+      waits.push(quota.complexityReset - clock());
+    }
+    return Math.max(0, ...waits);
+  };
+
+  /**
+   * @param {number} retry - Number of the retry, from 0
+   * @returns {number} Backoff with full jitter
+   */
+  const backoff = retry =>
+    Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** retry));
+
+  const acquire = async () => {
+    // A released slot passes straight to the next request in the queue
+    if (inFlight >= maxConcurrent) {
+      await new Promise(resolve => queue.push(() => resolve(undefined)));
+    } else {
+      inFlight++;
+    }
+
+    const wait = untilReset();
+    if (wait > 0 && wait <= maxWaitMs) {
+      logger.debug(
+        `Linear rate limit used up, waiting ${Math.ceil(wait / 1000)}s for it to reset`
+      );
+      await sleep(wait);
+    }
+  };
+
+  const release = () => {
+    const next = queue.shift();
+    if (next) {
+      next();
+    } else {
+      inFlight--;
+    }
+  };
+
+  return {
+    async schedule(query, send) {
+      const mutation = isMutation(query);
+
+      for (let retry = 0; ; retry++) {
+        await acquire();
+
+        let failure;
+        try {
+          const response = await send();
+          record(response?.headers);
+          return response;
+        } catch (error) {
+          record(error?.raw?.response?.headers);
+          failure = error;
+        } finally {
+          release();
+        }
+
+        if (mutation || retry >= maxRetries || !isTransientError(failure)) {
+          throw failure;
+        }
+
+        // A rate limited read waits for the quota to reset when it's known
+        const reset =
+          failure.type === LinearErrorType.Ratelimited ? untilReset() : 0;
+        if (reset > maxWaitMs) {
+          throw failure;
+        }
+
+        const wait = reset || backoff(retry);
+        logger.debug(
+          `Linear request failed (${failure.message}), retrying in ${wait}ms (${retry + 1}/${maxRetries})`
+        );
+        await sleep(wait);
+      }
+    },
+
+    quota: () => ({ ...quota }),
+  };
+}
+
+/**
+ * Sends every request of a Linear client through a rate limiter
+ *
+ * Both the SDK's own queries and hand-written ones sent with `rawRequest`
+ * go through the limiter, and both get the response headers to it.
+ *
+ * @template {import('@linear/sdk').LinearClient} C
+ * @param {C} client - Linear client
+ * @param {RateLimiter} limiter - Limiter of the client's credentials
+ * @returns {C} The same client
+ */
+export function withRateLimits(client, limiter) {
+  const graphQLClient = client.client;
+  const rawRequest = graphQLClient.rawRequest.bind(graphQLClient);
+
+  // @ts-ignore - Replacing the methods keeps their signatures
+  graphQLClient.rawRequest = (query, variables, requestHeaders) =>
+    limiter.schedule(query, () => rawRequest(query, variables, requestHeaders));
+
+  // @ts-ignore - The SDK only reads the data of its requests
+  graphQLClient.request = async (document, variables, requestHeaders) => {
+    const query = typeof document === 'string' ? document : print(document);
+    const response = await graphQLClient.rawRequest(
+      query,
+      variables,
+      requestHeaders
+    );
+    return response.data;
+  };
+
+  return client;
+}
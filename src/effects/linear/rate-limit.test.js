@@ -0,0 +1,232 @@
+/**
+ * Tests for the rate-limit aware request scheduling
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { LinearClient, LinearError, LinearErrorType } from '@linear/sdk';
+import {
+  createRateLimiter,
+  describeRateLimitQuota,
+  isMutation,
+  parseRateLimitHeaders,
+  withRateLimits,
+} from './rate-limit.js';
+
+const START = Date.parse('2024-06-01T00:00:00Z');
+
+/**
+ * Headers of a response with the given quota left
+ *
+ * @param {{ remaining?: number, complexity?: number, reset?: number }} quota - Quota left
+ * @returns {Headers} Response headers
+ */
+function quotaHeaders({ remaining = 1499, complexity = 249000, reset }) {
+  return new Headers({
+    'x-ratelimit-requests-limit': '1500',
+    'x-ratelimit-requests-remaining': String(remaining),
+    'x-ratelimit-requests-reset': String(reset ?? START + 60000),
+    'x-ratelimit-complexity-limit': '250000',
+    'x-ratelimit-complexity-remaining': String(complexity),
+    'x-ratelimit-complexity-reset': String(reset ?? START + 60000),
+    'x-complexity': '12',
+  });
+}
+
+// A Linear error as the SDK throws it
+function linearError(type, headers) {
+  const error = new LinearError(undefined, [], type);
+  error.raw = { response: { headers } };
+  return error;
+}
+
+// Sleeping moves a fake clock instead of waiting
+function createFakeTime() {
+  const time = { now: START, sleeps: [] };
+  time.clock = () => time.now;
+  time.sleep = async ms => {
+    time.sleeps.push(ms);
+    time.now += ms;
+  };
+  return time;
+}
+
+// A request answering with each of the given outcomes in turn
+function createSend(...outcomes) {
+  const send = async () => {
+    const outcome = outcomes[Math.min(send.calls++, outcomes.length - 1)];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return { data: outcome, headers: quotaHeaders({}), status: 200 };
+  };
+  send.calls = 0;
+  return send;
+}
+
+describe('parseRateLimitHeaders', () => {
+  it('should read the request and complexity quota', () => {
+    assert.deepStrictEqual(parseRateLimitHeaders(quotaHeaders({})), {
+      requestsLimit: 1500,
+      requestsRemaining: 1499,
+      requestsReset: START + 60000,
+      complexityLimit: 250000,
+      complexityRemaining: 249000,
+      complexityReset: START + 60000,
+      complexity: 12,
+    });
+    assert.deepStrictEqual(parseRateLimitHeaders(new Headers()), {});
+  });
+
+  it('should describe the quota for debug output', () => {
+    assert.strictEqual(
+      describeRateLimitQuota(parseRateLimitHeaders(quotaHeaders({}))),
+      'Linear rate limit: 1499/1500 requests and 249000/250000 complexity points left until 2024-06-01T00:01:00.000Z'
+    );
+    assert.strictEqual(describeRateLimitQuota({}), undefined);
+  });
+});
+
+describe('isMutation', () => {
+  it('should tell mutations from queries', () => {
+    assert.strictEqual(isMutation('mutation IssueCreate { x }'), true);
+    assert.strictEqual(
+      isMutation('fragment F on Issue { id }\nmutation M { x { ...F } }'),
+      true
+    );
+    assert.strictEqual(isMutation('query Issues { issues { id } }'), false);
+    assert.strictEqual(isMutation('{ viewer { id } }'), false);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let time;
+  let limiter;
+
+  beforeEach(() => {
+    time = createFakeTime();
+    limiter = createRateLimiter({
+      clock: time.clock,
+      sleep: time.sleep,
+      random: () => 0.5,
+    });
+  });
+
+  it('should retry a read after a transient failure with backoff', async () => {
+    const send = createSend(
+      linearError(LinearErrorType.NetworkError),
+      linearError(LinearErrorType.InternalError),
+      { viewer: { id: 'user-1' } }
+    );
+
+    const response = await limiter.schedule(
+      'query Viewer { viewer { id } }',
+      send
+    );
+
+    assert.deepStrictEqual(response.data, { viewer: { id: 'user-1' } });
+    assert.strictEqual(send.calls, 3);
+    assert.deepStrictEqual(time.sleeps, [250, 500]);
+    assert.strictEqual(limiter.quota().requestsRemaining, 1499);
+  });
+
+  it('should never retry a mutation', async () => {
+    const send = createSend(linearError(LinearErrorType.NetworkError), {});
+
+    await assert.rejects(
+      limiter.schedule(
+        'mutation IssueCreate { issueCreate { success } }',
+        send
+      ),
+      error =>
+        /** @type {LinearError} */ (error).type === LinearErrorType.NetworkError
+    );
+    assert.strictEqual(send.calls, 1);
+  });
+
+  it('should not retry errors a retry cannot fix', async () => {
+    const send = createSend(linearError(LinearErrorType.InvalidInput), {});
+
+    await assert.rejects(limiter.schedule('query Issues { x }', send));
+    assert.strictEqual(send.calls, 1);
+  });
+
+  it('should give up after the last retry', async () => {
+    const send = createSend(linearError(LinearErrorType.LockTimeout));
+
+    await assert.rejects(limiter.schedule('query Issues { x }', send));
+    assert.strictEqual(send.calls, 4);
+  });
+
+  it('should wait for a rate limited quota to reset before retrying', async () => {
+    const reset = START + 20000;
+    const send = createSend(
+      linearError(
+        LinearErrorType.Ratelimited,
+        quotaHeaders({ remaining: 0, reset })
+      ),
+      { issues: [] }
+    );
+
+    await limiter.schedule('query Issues { x }', send);
+
+    assert.deepStrictEqual(time.sleeps, [20000]);
+    assert.strictEqual(time.now, reset);
+  });
+
+  it('should hold requests back while the quota is used up', async () => {
+    const send = createSend({});
+    const headers = quotaHeaders({ remaining: 0, reset: START + 5000 });
+    await limiter.schedule('query A { x }', async () => ({
+      data: {},
+      headers,
+    }));
+
+    await limiter.schedule('mutation B { x }', send);
+
+    assert.deepStrictEqual(time.sleeps, [5000]);
+    assert.strictEqual(send.calls, 1);
+  });
+
+  it('should send at most the allowed requests at once', async () => {
+    limiter = createRateLimiter({ maxConcurrent: 2 });
+    let inFlight = 0;
+    let most = 0;
+    const send = async () => {
+      most = Math.max(most, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { data: {} };
+    };
+
+    await Promise.all(
+      Array.from({ length: 5 }, () => limiter.schedule('query A { x }', send))
+    );
+
+    assert.strictEqual(most, 2);
+  });
+});
+
+describe('withRateLimits', () => {
+  it('should send SDK queries through the limiter with their headers', async () => {
+    const client = new LinearClient({ apiKey: 'lin_api_test_key_123456' });
+    const sent = [];
+    client.client.rawRequest = /** @type {any} */ (
+      async query => {
+        sent.push(query);
+        return {
+          data: { viewer: { id: 'user-1', name: 'jsmith' } },
+          headers: quotaHeaders({ remaining: 42 }),
+          status: 200,
+        };
+      }
+    );
+    const limiter = createRateLimiter();
+
+    withRateLimits(client, limiter);
+    const viewer = await client.viewer;
+
+    assert.strictEqual(viewer.name, 'jsmith');
+    assert.match(sent[0], /query viewer/);
+    assert.strictEqual(limiter.quota().requestsRemaining, 42);
+  });
+});
@@ -21,6 +21,32 @@ export const TeamSchema = z.object({
   key: z.string(),
 });
 
+/**
+ * Linear workflow state schema
+ */
+export const WorkflowStateSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  type: z.string().optional(), // triage, backlog, unstarted, started, completed or canceled
+  color: z.string().optional(),
+  position: z.number().optional(),
+  description: z.string().optional(),
+});
+
+/**
+ * Linear cycle schema
+ */
+export const CycleSchema = z.object({
+  id: z.string(),
+  number: z.number(),
+  name: z.string().optional(),
+  startsAt: z.union([z.string(), z.date()]),
+  endsAt: z.union([z.string(), z.date()]),
+  completedAt: z.union([z.string(), z.date()]).optional(),
+  progress: z.number().optional(), // Completed share of the scope, from 0 to 1
+  status: z.enum(['past', 'current', 'upcoming']),
+});
+
 /**
  * Linear label schema
  */
@@ -68,10 +94,49 @@ export const IssueSchema = z.object({
   updatedAt: z.union([z.string(), z.date()]).optional(),
 });
 
+/**
+ * Short form of an issue, used where issues refer to other issues
+ */
+export const IssueSummarySchema = z.object({
+  id: z.string(),
+  identifier: z.string().optional(),
+  title: z.string().optional(),
+  status: z.string().optional(),
+});
+
+/**
+ * Issue with its sub-issues, nested up to a depth limit
+ *
+ * @type {z.ZodTypeAny} - Recursive schemas can't be inferred, see IssueTreeNode
+ */
+export const IssueTreeNodeSchema = IssueSummarySchema.extend({
+  children: z.lazy(() => z.array(IssueTreeNodeSchema)),
+  truncated: z.boolean().optional(), // Whether sub-issues exist below the depth limit
+});
+
+/**
+ * Relation between an issue and another issue, seen from the first issue
+ */
+export const IssueRelationSchema = z.object({
+  id: z.string(),
+  type: z.string(), // blocks, related or duplicate
+  direction: z.enum(['outbound', 'inbound']), // Whether the issue is the relation's source
+  label: z.string(), // e.g. "Blocks", "Blocked by" or "Duplicate of"
+  issue: IssueSummarySchema, // The other issue
+});
+
+/**
+ * Pagination of list results
+ */
+export const PageSchema = z.object({
+  hasMore: z.boolean().optional(), // Whether more results may follow
+  nextCursor: z.string().optional(), // Pass as `cursor` to get the next page
+});
+
 /**
  * Linear search results schema
  */
-export const SearchResultsSchema = z.object({
+export const SearchResultsSchema = PageSchema.extend({
   results: z.array(IssueSchema),
 });
 
@@ -111,6 +176,14 @@ export const CommentCreateRequestSchema = z.object({
  * @typedef {z.infer<typeof ProjectSchema>} Project
  */
 
+/**
+ * @typedef {z.infer<typeof WorkflowStateSchema>} WorkflowState
+ */
+
+/**
+ * @typedef {z.infer<typeof CycleSchema>} Cycle
+ */
+
 /**
  * @typedef {z.infer<typeof LabelSchema>} Label
  */
@@ -123,6 +196,22 @@ export const CommentCreateRequestSchema = z.object({
  * @typedef {z.infer<typeof IssueSchema>} Issue
  */
 
+/**
+ * @typedef {z.infer<typeof IssueSummarySchema>} IssueSummary
+ */
+
+/**
+ * @typedef {IssueSummary & { children: IssueTreeNode[], truncated?: boolean }} IssueTreeNode
+ */
+
+/**
+ * @typedef {z.infer<typeof PageSchema>} Page
+ */
+
+/**
+ * @typedef {z.infer<typeof IssueRelationSchema>} IssueRelation
+ */
+
 /**
  * @typedef {z.infer<typeof SearchResultsSchema>} SearchResults
  */
@@ -113,7 +113,7 @@ export function createConsoleLogger(minLevel = LogLevel.INFO) {
     [LogLevel.ERROR]: 3,
   };
 
-  const minLevelValue = levels[minLevel] || levels[LogLevel.INFO];
+  const minLevelValue = levels[minLevel] ?? levels[LogLevel.INFO];
 
   return {
     debug: message => {
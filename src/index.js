@@ -1,11 +1,24 @@
 /**
  * Main entry point for the MCP Linear server using the official MCP SDK
  */
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import * as prompts from './prompts/mod.js';
+import * as resources from './resources/mod.js';
 import * as tools from './tools/mod.js';
-import { getConfig } from './utils/config/mod.js';
+import {
+  getConfig,
+  getTransportOptions,
+  loadEnvFiles,
+} from './utils/config/mod.js';
+import { createCache } from './effects/cache/mod.js';
 import { createLogger, LogLevel } from './effects/logging/mod.js';
+import { createServer, serverInfo } from './server.js';
+import {
+  applyToolPolicy,
+  findUnmatchedToolPatterns,
+} from './tools/utils/tool-policy.js';
+import { startHttpServer } from './transports/http.js';
+import { resolveSessionCredential } from './utils/credentials/mod.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -22,7 +35,24 @@ try {
   // If we can't create logs directory, we'll fallback to noop logger
 }
 
-// Create a logger for stdio transport - logs to file instead of stdout/stderr
+/**
+ * How long to wait for open sessions to close on shutdown, in milliseconds
+ */
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+// The transport can be chosen in the .env file too, so load it first
+await loadEnvFiles();
+
+let transportOptions;
+try {
+  transportOptions = getTransportOptions();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const useStdio = transportOptions.transport === 'stdio';
+
+// The stdio transport logs to a file instead of stdout/stderr
 const logFile = path.join(logDir, 'mcp-linear.log');
 
 // Get log level from environment variable or use defaults
@@ -40,9 +70,9 @@ if (logLevelEnv) {
   logLevel = LogLevel.DEBUG;
 }
 
-// Use stdio transport, so we need file logging
+// The stdio transport needs file logging, the HTTP transport logs to the console
 const logger = createLogger({
-  useStdio: true,
+  useStdio,
   logFile,
   minLevel: logLevel,
 });
@@ -56,20 +86,58 @@ const originalConsole = {
   debug: console.debug,
 };
 
-// Only output initial messages in development mode to avoid
-// polluting Claude desktop interface
-if (process.env.NODE_ENV === 'development') {
-  originalConsole.log('Starting Linear MCP server...');
-  originalConsole.log('Redirecting logs to:', logFile);
+if (useStdio) {
+  // Only output initial messages in development mode to avoid
+  // polluting Claude desktop interface
+  if (process.env.NODE_ENV === 'development') {
+    originalConsole.log('Starting Linear MCP server...');
+    originalConsole.log('Redirecting logs to:', logFile);
+  }
+
+  // Override console methods to use our logger
+  // This prevents logs from interfering with MCP protocol messages
+  console.log = message => logger.info(message);
+  console.info = message => logger.info(message);
+  console.warn = message => logger.warn(message);
+  console.error = message => logger.error(message);
+  console.debug = message => logger.debug(message);
 }
 
-// Override console methods to use our logger
-// This prevents logs from interfering with MCP protocol messages
-console.log = message => logger.info(message);
-console.info = message => logger.info(message);
-console.warn = message => logger.warn(message);
-console.error = message => logger.error(message);
-console.debug = message => logger.debug(message);
+/**
+ * Closes the server on SIGINT and SIGTERM, then exits
+ *
+ * Exits anyway when closing takes longer than SHUTDOWN_TIMEOUT_MS, or when
+ * a second signal arrives while shutting down.
+ *
+ * @param {() => Promise<void>} close - Closes the server
+ */
+function handleShutdown(close) {
+  let shuttingDown = false;
+
+  const shutdown = async signal => {
+    if (shuttingDown) {
+      logger.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, shutting down`);
+
+    setTimeout(() => {
+      logger.warn('Shutdown timed out, exiting');
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    try {
+      await close();
+    } catch (error) {
+      logger.error(`Error during shutdown: ${error.message}`);
+    }
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
 /**
  * Initialize and run the MCP Linear server
@@ -77,78 +145,133 @@ console.debug = message => logger.debug(message);
 async function main() {
   logger.info('Initializing MCP Linear server');
 
-  // Define server info
-  const serverInfo = {
-    name: 'Linear',
-    version: '0.1.0',
-    description: 'Linear issue tracking integration',
-  };
-
-  // Create MCP server using the SDK
-  const server = new McpServer(serverInfo);
-
   try {
     // Load configuration
     const config = await getConfig(logger);
 
     // Import Linear effect
-    const { createLinearClient } = await import('./effects/linear/index.js');
+    const { createLinearClient, createOAuthTokenProvider } =
+      await import('./effects/linear/index.js');
 
-    // Create context for tools
-    const toolContext = {
-      config,
-      effects: {
-        logger,
-        linear: {
-          createClient: apiKey => createLinearClient(apiKey),
+    if (useStdio && !config.linearApiKey && !config.oauth) {
+      throw new Error(
+        'LINEAR_API_KEY environment variable is not set. Set it, or configure OAuth and run `npm run auth`'
+      );
+    }
+
+    // Sessions without credentials of their own use the stored OAuth token
+    const oauthTokens = config.oauth
+      ? createOAuthTokenProvider(config.oauth, { logger })
+      : undefined;
+    if (oauthTokens && !config.linearApiKey) {
+      logger.info(`Using the Linear OAuth token in ${config.oauth.tokenFile}`);
+    }
+
+    // Sessions acting with the server's credentials share the metadata cache
+    const sharedCache = createCache({ ...config.cache, logger });
+
+    /**
+     * Creates the tools, resources and prompts of a session, acting with the session's credentials
+     *
+     * Only sessions using the server's credentials can pick a named
+     * workspace; sessions that brought their own act as themselves.
+     *
+     * @param {import('./utils/credentials/mod.js').SessionCredential} credential - Linear credential of the session
+     */
+    const createSession = credential => {
+      const ownCredential =
+        credential.source === 'header' || credential.source === 'registry';
+
+      // Create context for tools
+      const toolContext = {
+        config: {
+          ...config,
+          linearApiKey: credential.apiKey,
+          linearAccessToken: credential.accessToken,
+          workspaces: ownCredential ? undefined : config.workspaces,
+          defaultWorkspace: ownCredential ? undefined : config.defaultWorkspace,
+        },
+        effects: {
+          logger,
+          cache: ownCredential
+            ? createCache({ ttls: config.cache?.ttls, logger })
+            : sharedCache,
+          linear: {
+            createClient: credentials =>
+              createLinearClient(credentials, { logger }),
+            getAccessToken: oauthTokens?.getAccessToken,
+          },
         },
-      },
+      };
+
+      // Initialize tools, resources and prompts with context
+      const sessionTools = [
+        new tools.ListIssues(toolContext),
+        new tools.SearchIssues(toolContext),
+        new tools.GetIssue(toolContext),
+        new tools.ListMembers(toolContext),
+        new tools.ListProjects(toolContext),
+        new tools.GetProject(toolContext),
+        new tools.ListTeams(toolContext),
+        new tools.AddComment(toolContext),
+        new tools.CreateIssue(toolContext),
+        new tools.UpdateIssue(toolContext),
+        new tools.ListWorkflowStates(toolContext),
+        new tools.TransitionIssue(toolContext),
+        new tools.ListLabels(toolContext),
+        new tools.CreateLabel(toolContext),
+        new tools.SetIssueLabels(toolContext),
+        new tools.ListCycles(toolContext),
+        new tools.GetCycle(toolContext),
+        new tools.AddIssuesToCycle(toolContext),
+        new tools.SetParent(toolContext),
+        new tools.LinkIssues(toolContext),
+        new tools.UnlinkIssues(toolContext),
+        new tools.ListWorkspaces(toolContext),
+        new tools.RefreshCache(toolContext),
+      ];
+      // Leave out the tools the configuration disables
+      const { enabled: enabledTools, disabled: disabledTools } =
+        applyToolPolicy(sessionTools, config.tools);
+
+      const sessionResources = [
+        new resources.IssueResource(toolContext),
+        new resources.ProjectResource(toolContext),
+        new resources.TeamResource(toolContext),
+        new resources.AssignedIssuesResource(toolContext),
+      ];
+
+      const sessionPrompts = [
+        new prompts.TriageInbox(toolContext),
+        new prompts.BugReport(toolContext),
+        new prompts.ProjectStatusUpdate(toolContext),
+        new prompts.PlanNextCycle(toolContext),
+      ];
+
+      return {
+        tools: enabledTools,
+        disabledTools,
+        unmatchedPatterns: findUnmatchedToolPatterns(
+          sessionTools,
+          config.tools
+        ),
+        resources: sessionResources,
+        prompts: sessionPrompts,
+      };
     };
 
-    // Initialize tools with context
-    const all_tools = [
-      new tools.ListIssues(toolContext),
-      new tools.GetIssue(toolContext),
-      new tools.ListMembers(toolContext),
-      new tools.ListProjects(toolContext),
-      new tools.GetProject(toolContext),
-      new tools.ListTeams(toolContext),
-      new tools.AddComment(toolContext),
-      new tools.CreateIssue(toolContext),
-    ];
-
-    // Register tools with the MCP server
-    for (const tool of all_tools) {
-      server.tool(
-        tool.name,
-        tool.description,
-        tool.inputSchema.shape ?? {},
-        async args => {
-          try {
-            // Call our tool
-            const result = await tool.call(args);
-
-            // Return format expected by MCP SDK
-            return {
-              content: result.content,
-              error: result.isError
-                ? {
-                    message: result.content[0]?.text || 'An error occurred',
-                  }
-                : undefined,
-            };
-          } catch (error) {
-            logger.error(`Error executing tool ${tool.name}: ${error.message}`);
-            return {
-              content: [{ type: 'text', text: `Error: ${error.message}` }],
-              error: { message: error.message },
-            };
-          }
-        }
-      );
-    }
+    const {
+      tools: all_tools,
+      disabledTools,
+      unmatchedPatterns,
+      resources: all_resources,
+      prompts: all_prompts,
+    } = createSession({
+      apiKey: config.linearApiKey,
+      source: config.linearApiKey ? 'global' : 'oauth',
+    });
 
-    // Log server information to the file
+    // Log server information
     logger.info('=== MCP Server Information ===');
     logger.info(`Name: ${serverInfo.name}`);
     logger.info(`Version: ${serverInfo.version}`);
@@ -159,9 +282,26 @@ async function main() {
     for (const tool of all_tools) {
       logger.info(`  * ${tool.name}: ${tool.description}`);
     }
+    if (disabledTools.length > 0) {
+      logger.info('Tools disabled:');
+      for (const { name, reason } of disabledTools) {
+        logger.info(`  * ${name}: ${reason}`);
+      }
+    }
+    for (const pattern of unmatchedPatterns) {
+      logger.warn(`Tool pattern "${pattern}" matches no tool`);
+    }
+    logger.info('Resources available:');
+    for (const resource of all_resources) {
+      logger.info(`  * ${resource.uri}: ${resource.description}`);
+    }
+    logger.info('Prompts available:');
+    for (const prompt of all_prompts) {
+      logger.info(`  * ${prompt.name}: ${prompt.description}`);
+    }
 
     // Only show verbose output in development mode
-    if (process.env.NODE_ENV === 'development') {
+    if (useStdio && process.env.NODE_ENV === 'development') {
       // Use original console to output visible information to terminal
       // before we start the transport
       originalConsole.log('\n=== MCP Server Information ===');
@@ -188,12 +328,44 @@ async function main() {
       );
     }
 
-    // Create a stdio transport
-    const transport = new StdioServerTransport();
+    if (useStdio) {
+      const server = createServer(all_tools, logger, {
+        resources: all_resources,
+        prompts: all_prompts,
+      });
+
+      // Create a stdio transport
+      const transport = new StdioServerTransport();
 
-    // Connect the server to the transport
-    logger.info('Starting STDIO transport');
-    await server.connect(transport);
+      // Connect the server to the transport
+      logger.info('Starting STDIO transport');
+      await server.connect(transport);
+      handleShutdown(async () => {
+        await server.close();
+        await sharedCache.flush();
+      });
+    } else {
+      // Every HTTP session gets its own server, acting with its own credentials
+      logger.info('Starting HTTP transport');
+      const httpServer = await startHttpServer({
+        authenticate: req =>
+          resolveSessionCredential(req.headers.authorization, config),
+        createServer: credential => {
+          const session = createSession(credential);
+          return createServer(session.tools, logger, {
+            resources: session.resources,
+            prompts: session.prompts,
+          });
+        },
+        host: transportOptions.host,
+        port: transportOptions.port,
+        logger,
+      });
+      handleShutdown(async () => {
+        await httpServer.close();
+        await sharedCache.flush();
+      });
+    }
   } catch (error) {
     logger.error(`Failed to start MCP server: ${error.message}`);
     // Use the original console to make sure the error is visible
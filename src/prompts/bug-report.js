@@ -0,0 +1,64 @@
+/**
+ * Prompt to write a bug report for a team
+ */
+import { z } from 'zod';
+import { create_prompt } from './create-prompt.js';
+import { formatIssueList, listIssues } from '../tools/list-issues.js';
+import { listLabels } from '../tools/list-labels.js';
+import { resolveTeam } from '../tools/utils/mod.js';
+
+/**
+ * How many open bugs the prompt loads to check for duplicates
+ */
+const OPEN_BUGS_LIMIT = 25;
+
+/**
+ * BugReport prompt factory
+ */
+export const BugReport = create_prompt({
+  name: 'bug_report',
+  title: 'Write a bug report',
+  description:
+    "Write a bug report for a team, using the team's labels and checking its open bugs for duplicates",
+  argsSchema: z.object({
+    teamId: z
+      .string()
+      .describe('Team to file the bug with, by key (e.g. ENG) or name'),
+    summary: z
+      .string()
+      .optional()
+      .describe('What went wrong, in your own words'),
+  }),
+  load: async (client, { teamId, summary }, logger) => {
+    const team = await resolveTeam(client, teamId, logger);
+    const [labels, openBugs] = await Promise.all([
+      listLabels(client, { teamId: team.id }, logger),
+      listIssues(
+        client,
+        { filter: { team: team.key, labels: ['Bug'], completed: 'none' } },
+        { limit: OPEN_BUGS_LIMIT, sortBy: 'updatedAt', sortDirection: 'DESC' },
+        logger
+      ),
+    ]);
+
+    let text = `Help me write a bug report for the ${team.name} (${team.key}) team in Linear. Ask me for anything that is missing, then draft the issue with a short title, the steps to reproduce, the expected and actual behavior, and the environment. Suggest a priority and labels from the list below. If one of the open bugs below looks like the same problem, point it out instead of filing a new issue. Create the issue with create_issue only after I confirm the draft.\n\n`;
+
+    if (summary) {
+      text += `## What went wrong\n\n${summary}\n\n`;
+    }
+
+    const labelNames = labels.results
+      .filter(label => !label.isGroup)
+      .map(label => label.name);
+    text += `## Available labels\n\n${
+      labelNames.length > 0 ? labelNames.join(', ') : 'No labels found.'
+    }\n\n`;
+
+    text += '## Open bugs\n\n';
+    text +=
+      openBugs.results.length > 0
+        ? formatIssueList(openBugs.results)
+        : 'No open issues labelled Bug.\n';
+    return text;
+  },
+});
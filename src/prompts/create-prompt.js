@@ -0,0 +1,159 @@
+/**
+ * Prompt creation utilities
+ *
+ * Prompts start a Linear workflow from the client's prompt menu. Each prompt
+ * loads the data the workflow needs with the same functions the tools use and
+ * puts it in the prompt message, so the conversation starts with context
+ * instead of a round of tool calls. Like tools, prompts take an optional
+ * `workspace` argument.
+ *
+ * Arguments such as `teamId` and `projectId` autocomplete from the
+ * workspace's data.
+ */
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { completeArgument, isCompletableArgument } from '../completions/mod.js';
+import {
+  createToolClient,
+  selectWorkspace,
+  WorkspaceSchema,
+} from '../tools/utils/mod.js';
+
+/**
+ * @typedef {Object} PromptContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * @typedef {Object} PromptMessage
+ * @property {'user'} role - Prompts are sent as the user
+ * @property {{ type: 'text', text: string }} content - Message text
+ */
+
+/**
+ * @typedef {Object} PromptResult
+ * @property {string} description - What the prompt does
+ * @property {PromptMessage[]} messages - Messages that start the workflow
+ */
+
+/**
+ * @template {import('zod').AnyZodObject} T
+ * @typedef {Object} PromptDefinition
+ * @property {string} name - Unique name of the prompt
+ * @property {string} title - Title shown in the prompt menu
+ * @property {string} description - What the prompt does
+ * @property {T} argsSchema - Arguments, all strings as MCP prompt arguments are
+ * @property {(client: import('@linear/sdk').LinearClient, args: import('zod').infer<T>, logger: import('../effects/logging/mod.js').LoggingEffect) => Promise<string>} load - Loads the data and writes the prompt text
+ */
+
+/**
+ * Makes the arguments that complete from workspace data completable
+ *
+ * @param {import('zod').ZodRawShape} shape - Prompt arguments
+ * @param {PromptContext} ctx - Context to load workspace data with
+ * @returns {import('zod').ZodRawShape} Arguments with completions
+ */
+function withCompletions(shape, ctx) {
+  /** @type {import('zod').ZodRawShape} */
+  const completableShape = {};
+
+  for (const [name, field] of Object.entries(shape)) {
+    if (!isCompletableArgument(name)) {
+      completableShape[name] = field;
+      continue;
+    }
+
+    // completable() marks the schema it wraps, so wrap a copy of the field
+    completableShape[name] = completable(
+      field.describe(field.description),
+      (value, context) => completeArgument(ctx, name, value, context?.arguments)
+    );
+  }
+
+  return completableShape;
+}
+
+/**
+ * Base prompt class
+ * @template {import('zod').AnyZodObject} T
+ */
+export class BasePrompt {
+  /**
+   * @param {{ name: string, title: string, description: string, argsSchema: T }} definition - Prompt definition
+   */
+  constructor({ name, title, description, argsSchema }) {
+    this.name = name;
+    this.title = title;
+    this.description = description;
+    this.argsSchema = argsSchema;
+    this.shape = argsSchema.shape;
+    /** @type {PromptContext|undefined} */
+    this._ctx = undefined;
+  }
+
+  /**
+   * Initialize the prompt with a context
+   * @param {PromptContext} ctx - The context to initialize with
+   */
+  initialize(ctx) {
+    this._ctx = ctx;
+  }
+}
+
+/**
+ * Create a prompt factory function
+ * @template {import('zod').AnyZodObject} T
+ * @param {PromptDefinition<T>} definition - Prompt definition
+ * @returns {new (ctx: PromptContext) => BasePrompt<T> & { get: (args: unknown) => Promise<PromptResult> }} - Prompt class constructor
+ */
+export function create_prompt({ load, ...meta }) {
+  const argsSchema = meta.argsSchema.extend({ workspace: WorkspaceSchema });
+
+  return class extends BasePrompt {
+    /**
+     * @param {PromptContext} ctx - The context to initialize with
+     */
+    constructor(ctx) {
+      super({ ...meta, argsSchema });
+      this.initialize(ctx);
+
+      this.shape = withCompletions(argsSchema.shape, ctx);
+    }
+
+    /**
+     * Loads the data and builds the prompt messages
+     * @param {unknown} args - Prompt arguments
+     * @returns {Promise<PromptResult>} The prompt
+     */
+    async get(args) {
+      if (!this._ctx) {
+        throw new Error(
+          `Prompt "${this.name}" has not been initialized with context.`
+        );
+      }
+
+      const logger = this._ctx.effects.logger;
+      const { workspace, ...promptArgs } = argsSchema.parse(args);
+      logger.debug(`Getting prompt ${this.name}`, promptArgs);
+
+      const selected = selectWorkspace(
+        this._ctx,
+        /** @type {string|undefined} */ (workspace)
+      );
+      const client = await createToolClient(selected.ctx, logger);
+      let text = await load(client, promptArgs, logger);
+
+      // Name the workspace the data came from, like tool output does
+      if (selected.name) {
+        text = `Workspace: ${selected.name}\n\n${text}`;
+      }
+
+      return {
+        description: this.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }],
+      };
+    }
+  };
+}
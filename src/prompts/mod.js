@@ -0,0 +1,8 @@
+/**
+ * MCP prompts module exports
+ */
+export * from './create-prompt.js';
+export * from './triage-inbox.js';
+export * from './bug-report.js';
+export * from './project-status-update.js';
+export * from './plan-next-cycle.js';
@@ -0,0 +1,228 @@
+/**
+ * Tests for MCP prompts, requested through an MCP client
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { LinearError, LinearErrorType } from '@linear/sdk';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../server.js';
+import { createMockGraphQLClient } from '../effects/linear/client.mock.js';
+import {
+  BugReport,
+  PlanNextCycle,
+  ProjectStatusUpdate,
+  TriageInbox,
+} from './mod.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Creates a client with one team, one label and one issue, recording issue queries
+function createPromptTestClient(issueQueries) {
+  const team = {
+    id: 'team-1',
+    name: 'Engineering',
+    key: 'ENG',
+    labels: async () => ({ nodes: [{ id: 'label-2', name: 'Regression' }] }),
+    states: async () => ({ nodes: [{ id: 'state-1', name: 'Triage' }] }),
+    cycles: async () => ({ nodes: [] }),
+  };
+
+  return {
+    teams: async () => ({ nodes: [team] }),
+    projects: async () => ({ nodes: [{ id: 'project-1', name: 'Login' }] }),
+    users: async () => ({ nodes: [] }),
+    issueLabels: async ({ filter }) =>
+      filter.team.null
+        ? { nodes: [{ id: 'label-1', name: 'Bug' }] }
+        : team.labels(),
+    workflowStates: team.states,
+    cycles: team.cycles,
+    client: createMockGraphQLClient({
+      Issues: async variables => {
+        issueQueries.push(variables);
+        // The team calls its triage state "Inbox"
+        const issue = {
+          id: 'issue-1',
+          identifier: 'ENG-1',
+          title: 'Login button does nothing',
+          priority: 2,
+          state: { name: 'Inbox', type: 'triage' },
+          createdAt: new Date('2024-01-01'),
+          updatedAt: new Date('2024-01-02'),
+        };
+        const state = variables.filter?.state;
+        const matches =
+          (!state?.name || state.name.eq === issue.state.name) &&
+          (!state?.type || state.type.eq === issue.state.type);
+        return {
+          issues: {
+            nodes: matches ? [issue] : [],
+            pageInfo: { hasNextPage: false },
+          },
+        };
+      },
+    }),
+  };
+}
+
+describe('createServer prompts', () => {
+  let client;
+  let server;
+  let issueQueries;
+
+  beforeEach(async () => {
+    issueQueries = [];
+    const ctx = {
+      config: {
+        linearApiKey: 'lin_api_product',
+        workspaces: { product: 'lin_api_product' },
+        defaultWorkspace: 'product',
+      },
+      effects: {
+        logger: mockLogger,
+        linear: {
+          createClient: () =>
+            /** @type {any} */ (createPromptTestClient(issueQueries)),
+        },
+      },
+    };
+    server = createServer([], mockLogger, {
+      prompts: [
+        new TriageInbox(ctx),
+        new BugReport(ctx),
+        new ProjectStatusUpdate(ctx),
+        new PlanNextCycle(ctx),
+      ],
+    });
+
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('should offer the workflow prompts with their arguments', async () => {
+    const { prompts } = await client.listPrompts();
+
+    assert.deepStrictEqual(
+      prompts.map(prompt => prompt.name),
+      ['triage_inbox', 'bug_report', 'project_status_update', 'plan_next_cycle']
+    );
+    const bugReport = prompts[1];
+    assert.strictEqual(bugReport.title, 'Write a bug report');
+    assert.deepStrictEqual(
+      bugReport.arguments.map(argument => [argument.name, argument.required]),
+      [
+        ['teamId', true],
+        ['summary', false],
+        ['workspace', false],
+      ]
+    );
+  });
+
+  it('should load the triage issues into the prompt, whatever the triage state is called', async () => {
+    const { messages } = await client.getPrompt({
+      name: 'triage_inbox',
+      arguments: { teamId: 'ENG' },
+    });
+    const text = String(messages[0].content.text);
+
+    assert.strictEqual(messages[0].role, 'user');
+    assert.ok(text.startsWith('Workspace: product\n\nHelp me triage'));
+    assert.ok(text.includes('## Issues in triage (oldest first)'));
+    assert.ok(text.includes('1. Login button does nothing'));
+    assert.deepStrictEqual(issueQueries[0].filter, {
+      state: { type: { eq: 'triage' } },
+      team: { key: { eqIgnoreCase: 'ENG' } },
+    });
+  });
+
+  it('should load the labels and open bugs of the team', async () => {
+    const { messages } = await client.getPrompt({
+      name: 'bug_report',
+      arguments: { teamId: 'eng', summary: 'Clicking login does nothing' },
+    });
+    const text = String(messages[0].content.text);
+
+    assert.ok(text.includes('for the Engineering (ENG) team'));
+    assert.ok(
+      text.includes('## What went wrong\n\nClicking login does nothing')
+    );
+    assert.ok(text.includes('## Available labels\n\nBug, Regression'));
+    assert.ok(text.includes('## Open bugs\n\n1. Login button does nothing'));
+  });
+
+  it('should say when the team has no cycles', async () => {
+    const { messages } = await client.getPrompt({
+      name: 'plan_next_cycle',
+      arguments: { teamId: 'ENG' },
+    });
+    const text = String(messages[0].content.text);
+
+    assert.ok(text.includes('The team has no active cycle.'));
+    assert.ok(text.includes('The next cycle has not been created yet.'));
+    assert.ok(text.includes('## Backlog (not in a cycle, not completed)'));
+  });
+
+  it('should complete team and workspace arguments', async () => {
+    const teams = await client.complete({
+      ref: { type: 'ref/prompt', name: 'bug_report' },
+      argument: { name: 'teamId', value: 'eng' },
+    });
+    const workspaces = await client.complete({
+      ref: { type: 'ref/prompt', name: 'plan_next_cycle' },
+      argument: { name: 'workspace', value: 'pr' },
+    });
+    const summaries = await client.complete({
+      ref: { type: 'ref/prompt', name: 'bug_report' },
+      argument: { name: 'summary', value: 'log' },
+    });
+
+    assert.deepStrictEqual(teams.completion.values, ['ENG']);
+    assert.deepStrictEqual(workspaces.completion.values, ['product']);
+    assert.deepStrictEqual(summaries.completion.values, []);
+  });
+});
+
+describe('PlanNextCycle prompt', () => {
+  it('should report failures to load cycles instead of saying there are none', async () => {
+    const rateLimited = new LinearError(
+      undefined,
+      [{ type: LinearErrorType.Ratelimited, message: 'Rate limit exceeded' }],
+      LinearErrorType.Ratelimited
+    );
+    const linearClient = {
+      ...createPromptTestClient([]),
+      cycles: async () => {
+        throw rateLimited;
+      },
+    };
+    const prompt = new PlanNextCycle({
+      config: { linearApiKey: 'lin_api_product' },
+      effects: {
+        logger: mockLogger,
+        linear: { createClient: () => /** @type {any} */ (linearClient) },
+      },
+    });
+
+    await assert.rejects(
+      () => prompt.get({ teamId: 'ENG' }),
+      error => error === rateLimited
+    );
+  });
+});
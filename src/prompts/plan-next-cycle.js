@@ -0,0 +1,82 @@
+/**
+ * Prompt to plan the next cycle of a team
+ */
+import { z } from 'zod';
+import { create_prompt } from './create-prompt.js';
+import { formatCycleDetails, getCycle } from '../tools/get-cycle.js';
+import { formatIssueList, listIssues } from '../tools/list-issues.js';
+import { ErrorCode, resolveTeam, ToolError } from '../tools/utils/mod.js';
+
+/**
+ * How many backlog issues the prompt loads
+ */
+const BACKLOG_ISSUES_LIMIT = 50;
+
+/**
+ * Gets a cycle, or undefined when the team has no such cycle
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {'current'|'next'} ref - Which cycle
+ * @param {string} teamId - Team ID
+ * @param {import('../effects/logging/mod.js').LoggingEffect} logger - Logger
+ * @returns {Promise<Awaited<ReturnType<typeof getCycle>>|undefined>} The cycle
+ * @throws {Error} If loading the cycle fails for another reason than it not existing
+ */
+async function findCycleIfAny(client, ref, teamId, logger) {
+  try {
+    return await getCycle(client, ref, { teamId }, logger);
+  } catch (error) {
+    // Only a missing cycle means there is none, other failures are real
+    if (!(error instanceof ToolError) || error.code !== ErrorCode.NOT_FOUND) {
+      throw error;
+    }
+    logger.debug(`No ${ref} cycle: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * PlanNextCycle prompt factory
+ */
+export const PlanNextCycle = create_prompt({
+  name: 'plan_next_cycle',
+  title: 'Plan next cycle',
+  description:
+    "Plan a team's next cycle from what is left in the current cycle and the backlog",
+  argsSchema: z.object({
+    teamId: z.string().describe('Team to plan for, by key (e.g. ENG) or name'),
+  }),
+  load: async (client, { teamId }, logger) => {
+    const team = await resolveTeam(client, teamId, logger);
+    const [current, next, backlog] = await Promise.all([
+      findCycleIfAny(client, 'current', team.id, logger),
+      findCycleIfAny(client, 'next', team.id, logger),
+      listIssues(
+        client,
+        { filter: { team: team.key, cycle: 'none', completed: 'none' } },
+        {
+          limit: BACKLOG_ISSUES_LIMIT,
+          sortBy: 'updatedAt',
+          sortDirection: 'DESC',
+        },
+        logger
+      ),
+    ]);
+
+    let text = `Help me plan the next cycle of the ${team.name} (${team.key}) team in Linear. Look at what is unfinished in the current cycle and likely to carry over, then propose which backlog issues to add, favouring urgent and high priority work and keeping the scope close to what the current cycle completed. Explain the trade-offs, and once I agree, add the issues with add_issues_to_cycle.\n\n`;
+
+    text += current
+      ? `## Current cycle\n\n${formatCycleDetails(current)}\n`
+      : '## Current cycle\n\nThe team has no active cycle.\n\n';
+    text += next
+      ? `## Next cycle\n\n${formatCycleDetails(next)}\n`
+      : '## Next cycle\n\nThe next cycle has not been created yet.\n\n';
+
+    text += '## Backlog (not in a cycle, not completed)\n\n';
+    text +=
+      backlog.results.length > 0
+        ? formatIssueList(backlog.results)
+        : 'The backlog is empty.\n';
+    return text;
+  },
+});
@@ -0,0 +1,42 @@
+/**
+ * Prompt to summarize a project for a status update
+ */
+import { z } from 'zod';
+import { create_prompt } from './create-prompt.js';
+import { formatProjectDetails, getProject } from '../tools/get-project.js';
+
+/**
+ * How many project issues the prompt loads
+ */
+const PROJECT_ISSUES_LIMIT = 50;
+
+/**
+ * ProjectStatusUpdate prompt factory
+ */
+export const ProjectStatusUpdate = create_prompt({
+  name: 'project_status_update',
+  title: 'Summarize a project',
+  description:
+    'Summarize a project for a status update: progress, what shipped, what is in flight and the risks',
+  argsSchema: z.object({
+    projectId: z
+      .string()
+      .describe('The ID or name of the Linear project to summarize'),
+  }),
+  load: async (client, { projectId }, logger) => {
+    const project = await getProject(
+      client,
+      projectId,
+      {
+        includeIssues: true,
+        includeMembers: true,
+        limit: PROJECT_ISSUES_LIMIT,
+      },
+      logger
+    );
+
+    return `Write a short status update for the Linear project below, for people outside the team. Cover the overall progress against the target date, what was completed recently, what is in progress and who is working on it, and any risks such as overdue, blocked or unassigned work. Keep it to a few paragraphs and end with the next milestones.\n\n${formatProjectDetails(
+      project
+    )}`;
+  },
+});
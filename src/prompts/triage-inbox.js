@@ -0,0 +1,51 @@
+/**
+ * Prompt to triage the issues waiting in triage
+ */
+import { z } from 'zod';
+import { create_prompt } from './create-prompt.js';
+import { formatIssueList, listIssues } from '../tools/list-issues.js';
+
+/**
+ * How many triage issues the prompt loads
+ */
+const TRIAGE_ISSUES_LIMIT = 25;
+
+/**
+ * TriageInbox prompt factory
+ */
+export const TriageInbox = create_prompt({
+  name: 'triage_inbox',
+  title: 'Triage my inbox',
+  description:
+    'Go through the issues waiting in triage and decide on priority, assignee, labels and whether to accept them',
+  argsSchema: z.object({
+    teamId: z
+      .string()
+      .optional()
+      .describe(
+        'Team key (e.g. ENG) to triage. Triages every team when omitted'
+      ),
+  }),
+  load: async (client, { teamId }, logger) => {
+    const { results, hasMore } = await listIssues(
+      client,
+      // By type, since teams can name their triage state as they like
+      { filter: { statusType: 'triage', team: teamId } },
+      { limit: TRIAGE_ISSUES_LIMIT, sortBy: 'createdAt', sortDirection: 'ASC' },
+      logger
+    );
+
+    const scope = teamId ? ` of team ${teamId}` : '';
+    let text = `Help me triage the Linear issues waiting in triage${scope}. For each issue, suggest a priority, an assignee and labels, and whether to accept it into the backlog, mark it as a duplicate or decline it. Ask me to confirm before changing anything, then apply the decisions with update_issue, set_issue_labels, transition_issue and link_issues.\n\n`;
+
+    if (results.length === 0) {
+      return `${text}There are no issues in triage right now.`;
+    }
+
+    text += `## Issues in triage (oldest first)\n\n${formatIssueList(results)}`;
+    if (hasMore) {
+      text += `There are more than ${results.length} issues in triage; start with these.\n`;
+    }
+    return text;
+  },
+});
@@ -0,0 +1,43 @@
+/**
+ * Resource of the issues assigned to the viewer
+ */
+import { create_resource } from './create-resource.js';
+import { formatIssueList, listIssues } from '../tools/list-issues.js';
+
+/**
+ * How many assigned issues the resource lists
+ */
+const ASSIGNED_ISSUES_LIMIT = 50;
+
+/**
+ * Issues assigned to the viewer, most recently updated first, rendered like
+ * list_issues
+ */
+export const AssignedIssuesResource = create_resource({
+  name: 'assigned-issues',
+  uri: 'linear://me/assigned',
+  title: 'My assigned Linear issues',
+  description: 'Linear issues assigned to you, most recently updated first',
+  read: async (client, variables, logger) => {
+    const { results, hasMore } = await listIssues(
+      client,
+      { assignedToMe: true },
+      {
+        limit: ASSIGNED_ISSUES_LIMIT,
+        sortBy: 'updatedAt',
+        sortDirection: 'DESC',
+      },
+      logger
+    );
+
+    if (results.length === 0) {
+      return 'No issues are assigned to you.';
+    }
+
+    let text = `# Issues assigned to me\n\n${formatIssueList(results)}`;
+    if (hasMore) {
+      text += `Showing the ${results.length} most recently updated issues. Use list_issues with assignedToMe to see the rest.\n`;
+    }
+    return text;
+  },
+});
@@ -0,0 +1,150 @@
+/**
+ * Resource creation utilities
+ *
+ * Resources let clients attach Linear data as context. A resource is
+ * addressed by a URI, or by a URI template such as `linear://issue/{identifier}`
+ * whose variables are passed to the read handler. Resources act in the
+ * default workspace with the session's credentials, like tools called without
+ * a workspace argument.
+ */
+import { completeArgument } from '../completions/mod.js';
+import { createToolClient, selectWorkspace } from '../tools/utils/mod.js';
+
+/**
+ * MIME type of the markdown resources render
+ */
+export const RESOURCE_MIME_TYPE = 'text/markdown';
+
+/**
+ * @typedef {Object} ResourceContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * @typedef {Object} ListedResource
+ * @property {string} uri - URI to read the resource with
+ * @property {string} name - Short name, such as an issue identifier
+ * @property {string} [title] - Human readable title
+ * @property {string} [description] - What the resource is
+ */
+
+/**
+ * @typedef {Object} ResourceDefinition
+ * @property {string} name - Unique name of the resource
+ * @property {string} uri - URI, or URI template with `{variable}` placeholders
+ * @property {string} title - Human readable title
+ * @property {string} description - What the resource is
+ * @property {(client: import('@linear/sdk').LinearClient, variables: Record<string, string>, logger: import('../effects/logging/mod.js').LoggingEffect) => Promise<string>} read - Renders the resource as markdown
+ * @property {(client: import('@linear/sdk').LinearClient, logger: import('../effects/logging/mod.js').LoggingEffect) => Promise<ListedResource[]>} [list] - Lists resources matching the template, for resources/list
+ * @property {Record<string, string>} [complete] - Template variables that autocomplete, mapped to the argument they complete like (e.g. `{ key: 'teamId' }`)
+ */
+
+/**
+ * Base resource class
+ */
+export class BaseResource {
+  /**
+   * @param {Omit<ResourceDefinition, 'read'|'list'>} definition - Resource definition
+   */
+  constructor({ name, uri, title, description, complete = {} }) {
+    this.name = name;
+    this.uri = uri;
+    this.title = title;
+    this.description = description;
+    this.isTemplate = uri.includes('{');
+    this.completions = complete;
+    /** @type {ResourceContext|undefined} */
+    this._ctx = undefined;
+  }
+
+  /**
+   * Initialize the resource with a context
+   * @param {ResourceContext} ctx - The context to initialize with
+   */
+  initialize(ctx) {
+    this._ctx = ctx;
+  }
+
+  /**
+   * Creates the Linear client of the default workspace
+   * @returns {Promise<import('@linear/sdk').LinearClient>} Linear client
+   */
+  async createClient() {
+    if (!this._ctx) {
+      throw new Error(
+        `Resource "${this.name}" has not been initialized with context.`
+      );
+    }
+
+    const { ctx } = selectWorkspace(this._ctx);
+    return createToolClient(ctx, this._ctx.effects.logger);
+  }
+
+  /**
+   * Completes a URI template variable
+   * @param {string} variable - Template variable
+   * @param {string} value - Value typed so far
+   * @returns {Promise<string[]>} Completed values, best first
+   */
+  async complete(variable, value) {
+    const argument = this.completions[variable];
+    if (!this._ctx || !argument) {
+      return [];
+    }
+
+    return completeArgument(this._ctx, argument, value);
+  }
+}
+
+/**
+ * Create a resource factory function
+ * @param {ResourceDefinition} definition - Resource definition
+ * @returns {new (ctx: ResourceContext) => BaseResource & { read: (uri: URL, variables?: Record<string, string|string[]>) => Promise<{ contents: Array<{ uri: string, mimeType: string, text: string }> }>, list?: () => Promise<ListedResource[]> }} - Resource class constructor
+ */
+export function create_resource({ read, list, ...meta }) {
+  return class extends BaseResource {
+    /**
+     * @param {ResourceContext} ctx - The context to initialize with
+     */
+    constructor(ctx) {
+      super(meta);
+      this.initialize(ctx);
+
+      if (list) {
+        /**
+         * Lists resources matching the template
+         * @returns {Promise<ListedResource[]>} Listed resources
+         */
+        this.list = async () =>
+          list(await this.createClient(), this._ctx.effects.logger);
+      }
+    }
+
+    /**
+     * Reads the resource
+     * @param {URL} uri - URI that was read
+     * @param {Record<string, string|string[]>} [variables={}] - Values of the URI template variables
+     * @returns {Promise<{ contents: Array<{ uri: string, mimeType: string, text: string }> }>} Resource contents
+     */
+    async read(uri, variables = {}) {
+      const logger = this._ctx.effects.logger;
+      logger.debug(`Reading resource ${uri.href}`);
+
+      // Template variables arrive URI-encoded, and as arrays for list expansions
+      const values = Object.fromEntries(
+        Object.entries(variables).map(([name, value]) => [
+          name,
+          decodeURIComponent(Array.isArray(value) ? value.join(',') : value),
+        ])
+      );
+
+      const text = await read(await this.createClient(), values, logger);
+      return {
+        contents: [{ uri: uri.href, mimeType: RESOURCE_MIME_TYPE, text }],
+      };
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Linear issue resource
+ */
+import { create_resource } from './create-resource.js';
+import { formatIssueDetails, getIssue } from '../tools/get-issue.js';
+import { listIssues } from '../tools/list-issues.js';
+
+/**
+ * How many recently updated issues resources/list returns
+ */
+const RECENT_ISSUES_LIMIT = 20;
+
+/**
+ * Builds the resource URI of an issue
+ *
+ * @param {string} identifier - Issue identifier, e.g. ENG-123
+ * @returns {string} Resource URI
+ */
+export function issueResourceUri(identifier) {
+  return `linear://issue/${encodeURIComponent(identifier)}`;
+}
+
+/**
+ * Issue resource, rendered like get_issue
+ *
+ * Lists the issues assigned to the viewer that were updated most recently.
+ */
+export const IssueResource = create_resource({
+  name: 'issue',
+  uri: 'linear://issue/{identifier}',
+  title: 'Linear issue',
+  description:
+    'A Linear issue with its description, relations and comments, by ID, identifier (e.g. ENG-123), URL or branch name',
+  read: async (client, { identifier }, logger) => {
+    const issue = await getIssue(client, identifier, {}, logger);
+    return formatIssueDetails(issue);
+  },
+  list: async (client, logger) => {
+    const { results } = await listIssues(
+      client,
+      { assignedToMe: true },
+      {
+        limit: RECENT_ISSUES_LIMIT,
+        sortBy: 'updatedAt',
+        sortDirection: 'DESC',
+      },
+      logger
+    );
+
+    return results
+      .filter(issue => issue.identifier)
+      .map(issue => ({
+        uri: issueResourceUri(issue.identifier),
+        name: issue.identifier,
+        title: `${issue.identifier}: ${issue.title}`,
+        description: `${issue.status || 'Unknown status'}, updated ${new Date(
+          issue.updatedAt
+        ).toLocaleString()}`,
+      }));
+  },
+});
@@ -0,0 +1,8 @@
+/**
+ * MCP resources module exports
+ */
+export * from './create-resource.js';
+export * from './issue.js';
+export * from './project.js';
+export * from './team.js';
+export * from './assigned-issues.js';
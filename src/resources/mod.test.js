@@ -0,0 +1,183 @@
+/**
+ * Tests for MCP resources, read through an MCP client
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../server.js';
+import {
+  AssignedIssuesResource,
+  IssueResource,
+  ProjectResource,
+  TeamResource,
+} from './mod.js';
+import { createMockLinearClient } from '../effects/linear/client.mock.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Creates a mock client that also knows a team, its details and projects
+function createResourceTestClient() {
+  const team = { id: 'team-1', name: 'Engineering', key: 'ENG' };
+  const client = createMockLinearClient({
+    graphql: {
+      TeamDetails: () => ({
+        teams: {
+          nodes: [
+            {
+              ...team,
+              description: 'Builds the product',
+              members: {
+                nodes: [
+                  { id: 'user-1', name: 'jsmith', displayName: 'John Smith' },
+                ],
+              },
+              projects: {
+                nodes: [{ id: 'project-1', name: 'Main Project' }],
+              },
+              issues: {
+                nodes: [{ completedAt: '2023-01-05' }, { completedAt: null }],
+              },
+            },
+          ],
+        },
+      }),
+    },
+  });
+  client.teams = async () => ({
+    nodes: [
+      {
+        ...team,
+        states: async () => ({ nodes: [] }),
+        labels: async () => ({ nodes: [] }),
+      },
+    ],
+  });
+  client.projects = async () => ({
+    nodes: [
+      { id: 'project-1', name: 'Main Project' },
+      { id: 'project-2', name: 'Secondary Project' },
+    ],
+  });
+  client.users = async () => ({ nodes: [] });
+  client.issueLabels = async () => ({ nodes: [] });
+  client.workflowStates = async () => ({ nodes: [] });
+  return client;
+}
+
+describe('createServer resources', () => {
+  let client;
+  let server;
+
+  beforeEach(async () => {
+    const ctx = {
+      config: { linearApiKey: 'lin_api_test_mock_key_123456' },
+      effects: {
+        logger: mockLogger,
+        linear: {
+          createClient: () => /** @type {any} */ (createResourceTestClient()),
+        },
+      },
+    };
+    server = createServer([], mockLogger, {
+      resources: [
+        new IssueResource(ctx),
+        new ProjectResource(ctx),
+        new TeamResource(ctx),
+        new AssignedIssuesResource(ctx),
+      ],
+    });
+
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('should offer URI templates for issues, projects and teams', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+
+    assert.deepStrictEqual(
+      resourceTemplates.map(template => template.uriTemplate),
+      [
+        'linear://issue/{identifier}',
+        'linear://project/{id}',
+        'linear://team/{key}',
+      ]
+    );
+    assert.strictEqual(resourceTemplates[0].mimeType, 'text/markdown');
+  });
+
+  it('should list assigned issues and recently updated issues', async () => {
+    const { resources } = await client.listResources();
+
+    assert.deepStrictEqual(
+      resources.map(resource => resource.uri),
+      [
+        'linear://me/assigned',
+        'linear://issue/MAIN-123',
+        'linear://issue/MAIN-124',
+      ]
+    );
+    assert.strictEqual(resources[1].title, 'MAIN-123: Mock Issue 1');
+  });
+
+  it('should render an issue like get_issue', async () => {
+    const { contents } = await client.readResource({
+      uri: 'linear://issue/MAIN-123',
+    });
+
+    assert.strictEqual(contents[0].uri, 'linear://issue/MAIN-123');
+    assert.strictEqual(contents[0].mimeType, 'text/markdown');
+    assert.match(String(contents[0].text), /^# .+\n\n\*\*ID:\*\* /);
+    assert.match(String(contents[0].text), /\*\*Status:\*\* /);
+  });
+
+  it('should render a team by key', async () => {
+    const { contents } = await client.readResource({
+      uri: 'linear://team/ENG',
+    });
+    const text = String(contents[0].text);
+
+    assert.ok(text.startsWith('# Team: Engineering (ENG)'));
+    assert.ok(text.includes('**Issues:** 1/2 completed'));
+    assert.ok(text.includes('- John Smith'));
+    assert.ok(text.includes('- Main Project [ID: project-1]'));
+  });
+
+  it('should render the assigned issues as a list', async () => {
+    const { contents } = await client.readResource({
+      uri: 'linear://me/assigned',
+    });
+
+    assert.match(String(contents[0].text), /^# Issues assigned to me\n\n1\. /);
+  });
+
+  it('should complete team keys and project names', async () => {
+    const teams = await client.complete({
+      ref: { type: 'ref/resource', uri: 'linear://team/{key}' },
+      argument: { name: 'key', value: 'engin' },
+    });
+    const projects = await client.complete({
+      ref: { type: 'ref/resource', uri: 'linear://project/{id}' },
+      argument: { name: 'id', value: 'sec' },
+    });
+
+    assert.deepStrictEqual(teams.completion.values, ['ENG']);
+    assert.deepStrictEqual(projects.completion.values, ['Secondary Project']);
+  });
+});
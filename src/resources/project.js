@@ -0,0 +1,21 @@
+/**
+ * Linear project resource
+ */
+import { create_resource } from './create-resource.js';
+import { formatProjectDetails, getProject } from '../tools/get-project.js';
+
+/**
+ * Project resource, rendered like get_project
+ */
+export const ProjectResource = create_resource({
+  name: 'project',
+  uri: 'linear://project/{id}',
+  title: 'Linear project',
+  description:
+    'A Linear project with its status, timeline, members and issues, by ID or name',
+  complete: { id: 'projectId' },
+  read: async (client, { id }, logger) => {
+    const project = await getProject(client, id, {}, logger);
+    return formatProjectDetails(project);
+  },
+});
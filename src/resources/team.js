@@ -0,0 +1,68 @@
+/**
+ * Linear team resource
+ */
+import { create_resource } from './create-resource.js';
+import { fetchTeamDetails } from '../tools/list-teams.js';
+import { resolveTeam } from '../tools/utils/mod.js';
+
+/**
+ * Formats team details as markdown
+ *
+ * @param {Awaited<ReturnType<typeof fetchTeamDetails>>[number]} team - Team details
+ * @returns {string} Markdown
+ */
+function formatTeamDetails(team) {
+  let text = `# Team: ${team.name} (${team.key})\n\n`;
+  text += `**ID:** ${team.id}\n`;
+
+  if (team.description) {
+    text += `\n**Description:**\n${team.description}\n\n`;
+  }
+
+  text += `**Members:** ${team.memberCount || 0} | **Projects:** ${
+    team.projectCount || 0
+  } | **Issues:** ${team.completedIssueCount || 0}/${
+    team.issueCount || 0
+  } completed\n`;
+
+  if (team.url) {
+    text += `**URL:** ${team.url}\n`;
+  }
+
+  if (team.members && team.members.length > 0) {
+    text += `\n## Members (${team.members.length})\n\n`;
+    team.members.forEach(member => {
+      text += `- ${member.displayName || member.name}${
+        member.active === false ? ' (inactive)' : ''
+      }\n`;
+    });
+  }
+
+  if (team.projects && team.projects.length > 0) {
+    text += `\n## Projects (${team.projects.length})\n\n`;
+    team.projects.forEach(project => {
+      text += `- ${project.name} [ID: ${project.id}]${
+        project.state ? ` - ${project.state}` : ''
+      }\n`;
+    });
+  }
+
+  return text;
+}
+
+/**
+ * Team resource with its members, projects and issue counts
+ */
+export const TeamResource = create_resource({
+  name: 'team',
+  uri: 'linear://team/{key}',
+  title: 'Linear team',
+  description:
+    'A Linear team with its members, projects and issue counts, by key (e.g. ENG), name or ID',
+  complete: { key: 'teamId' },
+  read: async (client, { key }, logger) => {
+    const team = await resolveTeam(client, key, logger);
+    const [details] = await fetchTeamDetails(client, [team.id], {}, logger);
+    return formatTeamDetails(details);
+  },
+});
@@ -0,0 +1,153 @@
+/**
+ * MCP server factory
+ *
+ * A McpServer handles a single client connection, so the stdio transport
+ * creates one and the HTTP transport creates one per client session. The
+ * tools themselves are shared between servers.
+ */
+import {
+  McpServer,
+  ResourceTemplate,
+} from '@modelcontextprotocol/sdk/server/mcp.js';
+import { RESOURCE_MIME_TYPE } from './resources/mod.js';
+
+/**
+ * Information the server reports to clients
+ */
+export const serverInfo = {
+  name: 'Linear',
+  version: '0.1.0',
+  description: 'Linear issue tracking integration',
+};
+
+/**
+ * Lists the resources matching a template, for resources/list
+ *
+ * Listing is best effort: on errors it lists nothing, reading still works.
+ *
+ * @param {string} name - Resource name, for logging
+ * @param {() => Promise<import('./resources/mod.js').ListedResource[]>} list - Lists the resources
+ * @param {import('./effects/logging/mod.js').LoggingEffect} logger - Logger
+ * @returns {Promise<{ resources: Array<import('./resources/mod.js').ListedResource & { mimeType: string }> }>} Listed resources
+ */
+async function listResources(name, list, logger) {
+  try {
+    const listed = await list();
+    return {
+      resources: listed.map(item => ({
+        ...item,
+        mimeType: RESOURCE_MIME_TYPE,
+      })),
+    };
+  } catch (error) {
+    logger.error(`Error listing resource ${name}: ${error.message}`);
+    return { resources: [] };
+  }
+}
+
+/**
+ * Creates an MCP server with the given tools, resources and prompts registered
+ *
+ * @param {Array<{ name: string, title?: string, description: string, inputSchema: any, outputSchema?: any, annotations?: import('./tools/types/mod.js').ToolAnnotations, call: (args: any) => Promise<any> }>} tools - Tools to register
+ * @param {import('./effects/logging/mod.js').LoggingEffect} logger - Logger
+ * @param {Object} [options] - Options
+ * @param {import('./resources/mod.js').BaseResource[]} [options.resources=[]] - Resources to register
+ * @param {Array<import('./prompts/mod.js').BasePrompt<any> & { get: (args: unknown) => Promise<any> }>} [options.prompts=[]] - Prompts to register
+ * @returns {McpServer} MCP server, ready to be connected to a transport
+ */
+export function createServer(
+  tools,
+  logger,
+  { resources = [], prompts = [] } = {}
+) {
+  const server = new McpServer(serverInfo);
+
+  // Register tools with the MCP server
+  for (const tool of tools) {
+    server.registerTool(
+      tool.name,
+      {
+        title: tool.title,
+        description: tool.description,
+        inputSchema: tool.inputSchema.shape ?? {},
+        outputSchema: tool.outputSchema?.shape,
+        annotations: tool.annotations,
+      },
+      async args => {
+        try {
+          // Call our tool
+          const result = await tool.call(args);
+
+          // Return format expected by MCP SDK
+          return {
+            content: result.content,
+            structuredContent: result.structuredContent,
+            isError: result.isError,
+            _meta: result._meta,
+          };
+        } catch (error) {
+          logger.error(`Error executing tool ${tool.name}: ${error.message}`);
+          return {
+            content: [
+              {
+                type: /** @type {const} */ ('text'),
+                text: `Error: ${error.message}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+      }
+    );
+  }
+
+  // Register resources, with URI templates for the ones that take variables
+  for (const resource of resources) {
+    // @ts-ignore - read and list are added by create_resource
+    const { read, list } = resource;
+    const metadata = {
+      title: resource.title,
+      description: resource.description,
+      mimeType: RESOURCE_MIME_TYPE,
+    };
+
+    if (!resource.isTemplate) {
+      server.registerResource(resource.name, resource.uri, metadata, uri =>
+        read.call(resource, uri)
+      );
+      continue;
+    }
+
+    const complete = Object.fromEntries(
+      Object.keys(resource.completions).map(variable => [
+        variable,
+        value => resource.complete(variable, value),
+      ])
+    );
+    const template = new ResourceTemplate(resource.uri, {
+      list: list && (() => listResources(resource.name, list, logger)),
+      complete,
+    });
+    server.registerResource(
+      resource.name,
+      template,
+      metadata,
+      (uri, variables) => read.call(resource, uri, variables)
+    );
+  }
+
+  // Register prompts
+  for (const prompt of prompts) {
+    server.registerPrompt(
+      prompt.name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema: prompt.shape,
+      },
+      args => prompt.get(args)
+    );
+  }
+
+  return server;
+}
@@ -2,7 +2,13 @@
  * Linear ticket comment tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  resolveIssue,
+} from './utils/mod.js';
 import { CommentSchema } from '../effects/linear/types/types.js';
 
 /**
@@ -20,19 +26,59 @@ import { CommentSchema } from '../effects/linear/types/types.js';
  * Input schema for AddComment tool
  */
 const AddCommentInputSchema = z.object({
-  ticketId: z.string().describe('The ID of the Linear ticket to comment on'),
+  ticketId: z
+    .string()
+    .describe(
+      'The Linear ticket to comment on: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
   comment: z.string().describe('The comment text to add to the ticket'),
   debug: z
     .boolean()
     .default(false)
     .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
 });
 
+/**
+ * Resolves the ticket of a new comment and builds its creation input
+ *
+ * The comment is previewed as posted by the user the client acts as.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} ticketId - The ID, identifier, URL or branch name of the ticket to comment on
+ * @param {string} comment - The comment text to add
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ input: { issueId: string, body: string }, preview: Partial<import('../effects/linear/types/types.js').Comment> }>} Creation input and preview of the comment
+ */
+async function planComment(client, ticketId, comment, logger) {
+  // First resolve the reference and verify the issue exists
+  const issue = await resolveIssue(client, ticketId, logger);
+
+  logger?.debug(`Successfully found issue: ${issue.id}, adding comment`);
+
+  // Get current user information for the response
+  const me = await client.viewer;
+  let userData = undefined;
+
+  if (me) {
+    userData = {
+      id: me.id,
+      name: me.name,
+      email: me.email,
+    };
+  }
+
+  return {
+    input: { issueId: issue.id, body: comment },
+    preview: CommentSchema.partial().parse({ body: comment, user: userData }),
+  };
+}
+
 /**
  * Adds a comment to a Linear issue
  *
  * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
- * @param {string} ticketId - The ID of the ticket to comment on
+ * @param {string} ticketId - The ID, identifier, URL or branch name of the ticket to comment on
  * @param {string} comment - The comment text to add
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
  * @returns {Promise<import('../effects/linear/types/types.js').Comment>} The created comment
@@ -41,24 +87,16 @@ async function addComment(client, ticketId, comment, logger) {
   try {
     logger?.debug(`Adding comment to Linear issue with ID: ${ticketId}`);
 
-    // First verify the issue exists
-    const issue = await client.issue(ticketId);
-
-    if (!issue) {
-      logger?.error(`Issue with ID ${ticketId} not found`);
-      throw new Error(`Issue with ID ${ticketId} not found`);
-    }
-
-    logger?.debug(`Successfully found issue: ${issue.id}, adding comment`);
+    const { input, preview } = await planComment(
+      client,
+      ticketId,
+      comment,
+      logger
+    );
 
     // Create the comment using the Linear SDK
     // The Linear SDK expects a CommentCreateInput object
-    const commentResult = await client.createComment({
-      // The issueId property is part of CommentCreateInput
-      issueId: ticketId,
-      // The body property is part of CommentCreateInput
-      body: comment,
-    });
+    const commentResult = await client.createComment(input);
 
     if (!commentResult) {
       throw new Error('Failed to create comment, received null response');
@@ -73,23 +111,11 @@ async function addComment(client, ticketId, comment, logger) {
 
     logger?.debug(`Successfully added comment: ${commentData.id}`);
 
-    // Get current user information for the response
-    const me = await client.viewer;
-    let userData = undefined;
-
-    if (me) {
-      userData = {
-        id: me.id,
-        name: me.name,
-        email: me.email,
-      };
-    }
-
     // Process and validate the comment data using our schema
     const processedComment = CommentSchema.parse({
       id: commentData.id,
       body: commentData.body,
-      user: userData,
+      user: preview.user,
       createdAt:
         commentData.createdAt instanceof Date
           ? commentData.createdAt.toISOString()
@@ -122,132 +148,88 @@ async function addComment(client, ticketId, comment, logger) {
   }
 }
 
+/**
+ * Formats an added comment, or the preview of one, as markdown
+ *
+ * @param {string} ticketId - The ticket reference the comment was added to
+ * @param {Partial<import('../effects/linear/types/types.js').Comment>} comment - Added or previewed comment
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatComment(ticketId, comment, dryRun = false) {
+  const formatDate = timestamp => {
+    if (!timestamp) return 'Just now';
+    const date = new Date(timestamp);
+    return date.toLocaleString();
+  };
+
+  let responseText = '';
+  responseText += dryRun
+    ? `Comment would be added to ticket ${ticketId}\n\n`
+    : `✅ Comment added successfully to ticket ${ticketId}\n\n`;
+
+  // Add comment details, previews have no ID yet
+  if (comment.id) {
+    responseText += `**Comment ID:** ${comment.id}\n`;
+  }
+
+  if (comment.user) {
+    responseText += `**Posted by:** ${comment.user.name}\n`;
+  }
+
+  responseText += `**Posted at:** ${formatDate(comment.createdAt)}\n\n`;
+  responseText += `**Comment:**\n${comment.body}\n`;
+
+  return responseText;
+}
+
 /**
  * Handler for AddComment tool
  * @type {import('./types/mod.js').ToolHandler<AddCommentContext, typeof AddCommentInputSchema>}
  */
-const handler = async (ctx, { ticketId, comment, debug }) => {
+const handler = async (ctx, { ticketId, comment, debug, dryRun }) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about config and parameters
-    logger.debug('Add comment called with parameters:', {
+  // Log details about config and parameters
+  logger.debug('Add comment called with parameters:', {
+    ticketId,
+    commentLength: comment?.length,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the ticket for a dry run');
+    const { input, preview } = await planComment(
+      linearClient,
       ticketId,
-      commentLength: comment?.length,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
-
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
-
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
+      comment,
+      logger
     );
 
-    // Add the comment using the Linear SDK client
-    logger.debug('Executing Linear API to add comment');
-    const result = await addComment(linearClient, ticketId, comment, logger);
-
-    // Log that we created the comment
-    logger.info(`Added comment to ticket ID: ${ticketId}`);
-
-    // Format the output
-    const formatDate = timestamp => {
-      if (!timestamp) return 'Just now';
-      const date = new Date(timestamp);
-      return date.toLocaleString();
-    };
-
-    let responseText = '';
-    responseText += `✅ Comment added successfully to ticket ${ticketId}\n\n`;
-
-    // Add comment details
-    responseText += `**Comment ID:** ${result.id}\n`;
-
-    if (result.user) {
-      responseText += `**Posted by:** ${result.user.name}\n`;
-    }
-
-    responseText += `**Posted at:** ${formatDate(result.createdAt)}\n\n`;
-    responseText += `**Comment:**\n${result.body}\n`;
+    logger.info(`Dry run of adding a comment to ticket ID: ${ticketId}`);
+    return dryRunResponse(
+      preview,
+      [{ mutation: 'commentCreate', input }],
+      formatComment(ticketId, preview, true)
+    );
+  }
 
-    logger.debug('Returning formatted comment result');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error adding comment: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error adding comment: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add parameters that were used
-      errorMessage += `\nParameters:
-- ticketId: ${ticketId}
-- comment length: ${comment?.length} characters`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
-      }
-
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
-
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
-      }
-
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
+  // Add the comment using the Linear SDK client
+  logger.debug('Executing Linear API to add comment');
+  const result = await addComment(linearClient, ticketId, comment, logger);
 
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+  // Log that we created the comment
+  logger.info(`Added comment to ticket ID: ${ticketId}`);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
-  }
+  logger.debug('Returning formatted comment result');
+  return {
+    content: [{ type: 'text', text: formatComment(ticketId, result) }],
+    structuredContent: result,
+  };
 };
 
 /**
@@ -255,11 +237,15 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const AddComment = create_tool({
   name: 'add_comment',
+  title: 'Add Comment',
   description:
     'Add a comment to a specific Linear ticket. This tool is useful for providing feedback, status updates, or additional information on existing tickets.',
   inputSchema: AddCommentInputSchema,
+  outputSchema: CommentSchema,
+  write: true,
+  annotations: { destructiveHint: false, idempotentHint: false },
   handler,
 });
 
 // Export for testing
-export { addComment };
+export { addComment, planComment };
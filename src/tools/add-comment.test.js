@@ -4,7 +4,7 @@
 // @ts-nocheck - Ignore all TypeScript errors in this file
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
-import { addComment, AddComment } from './add-comment.js';
+import { addComment, AddComment, planComment } from './add-comment.js';
 
 // Test implementation of the addComment function
 describe('addComment', () => {
@@ -159,6 +159,28 @@ describe('addComment', () => {
   });
 });
 
+describe('planComment', () => {
+  it('should resolve the ticket without adding the comment', async () => {
+    const mockClient = {
+      issue: mock.fn(async () => ({ id: 'issue-id-123' })),
+      createComment: mock.fn(),
+      viewer: Promise.resolve({ id: 'user-123', name: 'Test User' }),
+    };
+
+    const { input, preview } = await planComment(
+      mockClient,
+      'MOCK-123',
+      'Looks good'
+    );
+
+    assert.deepEqual(input, { issueId: 'issue-id-123', body: 'Looks good' });
+    assert.equal(preview.body, 'Looks good');
+    assert.equal(preview.user.name, 'Test User');
+    assert.equal(preview.id, undefined);
+    assert.equal(mockClient.createComment.mock.calls.length, 0);
+  });
+});
+
 // Test the tool class itself
 describe('AddComment tool', () => {
   it('should be exported', () => {
@@ -0,0 +1,383 @@
+/**
+ * Linear cycle planning tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  resolveCycle,
+  resolveIssue,
+  resolveTeam,
+  toCycleData,
+  ToolError,
+} from './utils/mod.js';
+import {
+  CycleSchema,
+  IssueSchema,
+  TeamSchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * AddIssuesToCycleContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} AddIssuesToCycleContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for AddIssuesToCycle tool
+ */
+const AddIssuesToCycleInputSchema = z.object({
+  issueIds: z
+    .array(z.string().min(1))
+    .min(1, { message: 'At least one issue is required' })
+    .describe(
+      'The issues to add: IDs, identifiers (e.g. ENG-123), Linear URLs or branch names'
+    ),
+  cycle: z
+    .string()
+    .min(1, { message: 'Cycle is required' })
+    .describe(
+      'The cycle to add the issues to: its number (e.g. 12), "current", "next" or a cycle ID'
+    ),
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'The team of the cycle, by ID, key (e.g. ENG) or name. Defaults to the team of the issues'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Issue moved into a cycle, with the cycle it was in before
+ */
+const MovedIssueSchema = IssueSchema.extend({
+  previousCycle: z.number().optional(),
+});
+
+/**
+ * Cycle planning result schema
+ */
+const AddIssuesToCycleResultSchema = z.object({
+  team: TeamSchema,
+  cycle: CycleSchema,
+  added: z.array(MovedIssueSchema),
+  alreadyInCycle: z.array(IssueSchema),
+});
+
+/**
+ * Resolves the issues, team and cycle, and works out which issues move
+ *
+ * Cycles are team-scoped, so every issue has to belong to the cycle's team.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string[]} issueIds - IDs, identifiers, URLs or branch names of the issues
+ * @param {string} cycleRef - Cycle number, ID, "current" or "next"
+ * @param {Object} [options] - Options
+ * @param {string} [options.teamId] - Team ID, key or name; defaults to the team of the first issue
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment relative cycle references are resolved against
+ * @returns {Promise<{ input: { cycleId: string }, preview: import('zod').infer<typeof AddIssuesToCycleResultSchema> }>} The update input of the added issues and a preview of the result
+ */
+async function planCycleChanges(
+  client,
+  issueIds,
+  cycleRef,
+  { teamId } = {},
+  logger,
+  now = new Date()
+) {
+  const issues = [];
+  for (const issueId of issueIds) {
+    issues.push(await resolveIssue(client, issueId, logger));
+  }
+
+  const team = teamId
+    ? await resolveTeam(client, teamId, logger)
+    : await issues[0].team;
+
+  if (!team) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Could not determine the team of issue ${
+        issues[0].identifier || issues[0].id
+      }. Pass teamId explicitly`
+    );
+  }
+
+  // Cycles belong to a single team, so issues of other teams can't join
+  const otherTeamIssues = [];
+  for (const issue of issues) {
+    const issueTeam = await issue.team;
+    if (issueTeam && issueTeam.id !== team.id) {
+      otherTeamIssues.push(
+        `${issue.identifier || issue.id} (${issueTeam.name})`
+      );
+    }
+  }
+
+  if (otherTeamIssues.length > 0) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Cycles belong to a single team. These issues are not in team ${
+        team.name
+      }: ${otherTeamIssues.join(', ')}`
+    );
+  }
+
+  const cycle = await resolveCycle(client, team, cycleRef, logger, now);
+
+  const added = [];
+  const alreadyInCycle = [];
+
+  for (const issue of issues) {
+    const issueData = {
+      id: issue.id,
+      identifier: issue.identifier || undefined,
+      url: issue.url || undefined,
+      title: issue.title,
+    };
+
+    const currentCycle = issue.cycle ? await issue.cycle : null;
+
+    if (currentCycle && currentCycle.id === cycle.id) {
+      logger?.debug(`Issue ${issue.id} is already in cycle ${cycle.number}`);
+      alreadyInCycle.push(issueData);
+    } else {
+      added.push({ ...issueData, previousCycle: currentCycle?.number });
+    }
+  }
+
+  return {
+    input: { cycleId: cycle.id },
+    preview: AddIssuesToCycleResultSchema.parse({
+      team: { id: team.id, name: team.name, key: team.key },
+      cycle: toCycleData(cycle, now),
+      added,
+      alreadyInCycle,
+    }),
+  };
+}
+
+/**
+ * Adds issues to a cycle of their team in Linear
+ *
+ * All references are resolved before any issue is updated.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string[]} issueIds - IDs, identifiers, URLs or branch names of the issues
+ * @param {string} cycleRef - Cycle number, ID, "current" or "next"
+ * @param {Object} [options] - Options
+ * @param {string} [options.teamId] - Team ID, key or name; defaults to the team of the first issue
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment relative cycle references are resolved against
+ * @returns {Promise<import('zod').infer<typeof AddIssuesToCycleResultSchema>>} The applied changes
+ */
+async function addIssuesToCycle(
+  client,
+  issueIds,
+  cycleRef,
+  { teamId } = {},
+  logger,
+  now = new Date()
+) {
+  try {
+    logger?.debug(`Adding ${issueIds.length} issues to cycle "${cycleRef}"`);
+
+    const { input, preview } = await planCycleChanges(
+      client,
+      issueIds,
+      cycleRef,
+      { teamId },
+      logger,
+      now
+    );
+
+    for (const issue of preview.added) {
+      const issueResult = await client.updateIssue(issue.id, input);
+
+      if (!issueResult) {
+        throw new Error(
+          `Failed to update issue ${
+            issue.identifier || issue.id
+          }, received null response`
+        );
+      }
+    }
+
+    logger?.debug(
+      `Added ${preview.added.length} issues to cycle ${preview.cycle.number}, ${preview.alreadyInCycle.length} already in it`
+    );
+
+    return preview;
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error adding Linear issues to cycle: ${error.message}`, {
+      issueIds,
+      cycleRef,
+      teamId,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Names a cycle by its number, and its name when it has one
+ *
+ * @param {import('../effects/linear/types/types.js').Cycle} cycle - Cycle data
+ * @returns {string} Cycle name
+ */
+const describeCycle = cycle =>
+  `Cycle ${cycle.number}${cycle.name ? ` (${cycle.name})` : ''}`;
+
+/**
+ * Formats the issues added to a cycle, or the preview of them, as markdown
+ *
+ * @param {import('zod').infer<typeof AddIssuesToCycleResultSchema>} result - The cycle changes
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatCycleChanges(result, dryRun = false) {
+  const cycleName = describeCycle(result.cycle);
+
+  let responseText = '';
+
+  if (result.added.length > 0) {
+    const issues = `${result.added.length} issue${
+      result.added.length === 1 ? '' : 's'
+    }`;
+    responseText += dryRun
+      ? `${issues} would be added to ${cycleName} of ${result.team.name}\n\n`
+      : `✅ Added ${issues} to ${cycleName} of ${result.team.name}\n\n`;
+
+    result.added.forEach(issue => {
+      const from =
+        issue.previousCycle !== undefined
+          ? ` (moved from Cycle ${issue.previousCycle})`
+          : '';
+      responseText += `- ${issue.identifier || issue.id}: ${
+        issue.title || 'Untitled'
+      }${from}\n`;
+    });
+  } else {
+    responseText += `No issues added. All issues are already in ${cycleName}.\n`;
+  }
+
+  if (result.added.length > 0 && result.alreadyInCycle.length > 0) {
+    responseText += `\nAlready in ${cycleName}:\n`;
+    result.alreadyInCycle.forEach(issue => {
+      responseText += `- ${issue.identifier || issue.id}: ${
+        issue.title || 'Untitled'
+      }\n`;
+    });
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for AddIssuesToCycle tool
+ * @type {import('./types/mod.js').ToolHandler<AddIssuesToCycleContext, typeof AddIssuesToCycleInputSchema>}
+ */
+const handler = async (ctx, { issueIds, cycle, teamId, debug, dryRun }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Add issues to cycle called with parameters:', {
+    issueIds,
+    cycle,
+    teamId,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the cycle and issues for a dry run');
+    const { input, preview } = await planCycleChanges(
+      linearClient,
+      issueIds,
+      cycle,
+      { teamId },
+      logger
+    );
+
+    logger.info(
+      `Dry run of adding ${preview.added.length} issues to ${describeCycle(
+        preview.cycle
+      )}`
+    );
+    return dryRunResponse(
+      preview,
+      preview.added.map(issue => ({
+        mutation: 'issueUpdate',
+        id: issue.id,
+        input,
+      })),
+      formatCycleChanges(preview, true)
+    );
+  }
+
+  // Move the issues using the Linear SDK client
+  logger.debug('Executing Linear API to add issues to cycle');
+  const result = await addIssuesToCycle(
+    linearClient,
+    issueIds,
+    cycle,
+    { teamId },
+    logger
+  );
+
+  logger.info(
+    `Added ${result.added.length} issues to ${describeCycle(result.cycle)}`
+  );
+
+  logger.debug('Returning formatted cycle planning result');
+  return {
+    content: [{ type: 'text', text: formatCycleChanges(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * AddIssuesToCycle tool factory
+ */
+export const AddIssuesToCycle = create_tool({
+  name: 'add_issues_to_cycle',
+  title: 'Add Issues to Cycle',
+  description:
+    'Add one or more Linear issues to a cycle (sprint) of their team, by cycle number or as "current" or "next". Issues in another cycle are moved.',
+  inputSchema: AddIssuesToCycleInputSchema,
+  outputSchema: AddIssuesToCycleResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { addIssuesToCycle, planCycleChanges };
@@ -0,0 +1,174 @@
+/**
+ * Tests for add-issues-to-cycle tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  addIssuesToCycle,
+  AddIssuesToCycle,
+  planCycleChanges,
+} from './add-issues-to-cycle.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const now = new Date('2024-03-13T12:00:00Z');
+
+const currentCycle = {
+  id: 'cycle-11',
+  number: 11,
+  startsAt: new Date('2024-03-04T00:00:00Z'),
+  endsAt: new Date('2024-03-18T00:00:00Z'),
+};
+
+const nextCycle = {
+  id: 'cycle-12',
+  number: 12,
+  startsAt: new Date('2024-03-18T00:00:00Z'),
+  endsAt: new Date('2024-04-01T00:00:00Z'),
+};
+
+const engineering = {
+  id: 'team-1',
+  name: 'Engineering',
+  key: 'ENG',
+};
+
+const product = { id: 'team-2', name: 'Product', key: 'PROD' };
+
+/**
+ * Creates a mock client with issues in different cycles and teams
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient() {
+  const issues = {
+    'ENG-1': {
+      id: 'issue-1',
+      identifier: 'ENG-1',
+      title: 'Unplanned',
+      team: Promise.resolve(engineering),
+      cycle: undefined,
+    },
+    'ENG-2': {
+      id: 'issue-2',
+      identifier: 'ENG-2',
+      title: 'Carried over',
+      team: Promise.resolve(engineering),
+      cycle: Promise.resolve(currentCycle),
+    },
+    'ENG-3': {
+      id: 'issue-3',
+      identifier: 'ENG-3',
+      title: 'Already planned',
+      team: Promise.resolve(engineering),
+      cycle: Promise.resolve(nextCycle),
+    },
+    'PROD-1': {
+      id: 'issue-4',
+      identifier: 'PROD-1',
+      title: 'Other team',
+      team: Promise.resolve(product),
+    },
+  };
+
+  return {
+    issue: mock.fn(async id => {
+      if (issues[id]) return issues[id];
+      throw new Error('Entity not found');
+    }),
+    cycles: mock.fn(async ({ filter }) => ({
+      nodes:
+        filter.team.id.eq === engineering.id ? [currentCycle, nextCycle] : [],
+    })),
+    updateIssue: mock.fn(async () => ({ success: true })),
+  };
+}
+
+describe('addIssuesToCycle', () => {
+  it('should add issues to the next cycle of their team', async () => {
+    const client = createMockClient();
+
+    const result = await addIssuesToCycle(
+      /** @type {any} */ (client),
+      ['ENG-1', 'ENG-2', 'ENG-3'],
+      'next',
+      {},
+      mockLogger,
+      now
+    );
+
+    assert.deepStrictEqual(
+      client.updateIssue.mock.calls.map(call => call.arguments),
+      [
+        ['issue-1', { cycleId: 'cycle-12' }],
+        ['issue-2', { cycleId: 'cycle-12' }],
+      ]
+    );
+    assert.strictEqual(result.cycle.number, 12);
+    assert.deepStrictEqual(
+      result.added.map(issue => [issue.identifier, issue.previousCycle]),
+      [
+        ['ENG-1', undefined],
+        ['ENG-2', 11],
+      ]
+    );
+    assert.deepStrictEqual(
+      result.alreadyInCycle.map(issue => issue.identifier),
+      ['ENG-3']
+    );
+  });
+
+  it('should reject issues of other teams before updating anything', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      addIssuesToCycle(
+        /** @type {any} */ (client),
+        ['ENG-1', 'PROD-1'],
+        '12',
+        {},
+        mockLogger,
+        now
+      ),
+      /not in team Engineering: PROD-1 \(Product\)/
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('planCycleChanges', () => {
+  it('should preview the issues to add without updating them', async () => {
+    const client = createMockClient();
+
+    const { input, preview } = await planCycleChanges(
+      /** @type {any} */ (client),
+      ['ENG-1', 'ENG-3'],
+      'next',
+      {},
+      mockLogger,
+      now
+    );
+
+    assert.deepStrictEqual(input, { cycleId: 'cycle-12' });
+    assert.deepStrictEqual(
+      preview.added.map(issue => issue.identifier),
+      ['ENG-1']
+    );
+    assert.deepStrictEqual(
+      preview.alreadyInCycle.map(issue => issue.identifier),
+      ['ENG-3']
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('AddIssuesToCycle tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof AddIssuesToCycle, 'function');
+  });
+});
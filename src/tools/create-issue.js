@@ -2,8 +2,23 @@
  * Linear issue creation tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
-import { IssueSchema } from '../effects/linear/types/types.js';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  formatIssueSummary,
+  resolveIssue,
+  resolveProject,
+  resolveTeam,
+  resolveUser,
+  resolveWorkflowState,
+  summarizeIssue,
+} from './utils/mod.js';
+import {
+  IssueSchema,
+  IssueSummarySchema,
+} from '../effects/linear/types/types.js';
 
 /**
  * CreateIssueContext type definition
@@ -24,7 +39,7 @@ const CreateIssueInputSchema = z.object({
   teamId: z
     .string()
     .min(1, { message: 'Team ID is required' })
-    .describe('The ID of the Linear team where the issue will be created'),
+    .describe('The team to create the issue in, by ID, key (e.g. ENG) or name'),
   description: z
     .string()
     .optional()
@@ -38,57 +53,128 @@ const CreateIssueInputSchema = z.object({
   assigneeId: z
     .string()
     .optional()
-    .describe('The ID of the user to assign the issue to'),
+    .describe('The user to assign the issue to, by ID, email or name'),
   stateId: z
     .string()
     .optional()
-    .describe('The ID of the state to set for the issue'),
+    .describe(
+      'The workflow state of the issue, by ID, name (e.g. "Todo") or type (e.g. "backlog")'
+    ),
   projectId: z
     .string()
     .optional()
-    .describe('The ID of the project to associate with the issue'),
+    .describe('The project to add the issue to, by ID or name'),
+  parentId: z
+    .string()
+    .optional()
+    .describe(
+      'The parent issue to create this issue as a sub-issue of: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
   debug: z
     .boolean()
     .default(false)
     .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
 });
 
 /**
- * Creates a new issue in Linear
+ * Created issue schema, with the parent when created as a sub-issue
+ */
+const CreatedIssueSchema = IssueSchema.extend({
+  parent: IssueSummarySchema.optional(),
+});
+
+/**
+ * Resolves every reference of a new issue and builds its creation input
+ *
+ * Nothing is created yet, so the issue is previewed from what the references
+ * resolved to, without an ID.
  *
  * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
  * @param {string} title - The title of the issue
- * @param {string} teamId - The ID of the team where the issue will be created
+ * @param {string} teamId - The ID, key or name of the team to create the issue in
  * @param {Object} options - Additional issue options
  * @param {string} [options.description] - The detailed description of the issue
  * @param {number} [options.priority] - The priority of the issue (0-4)
- * @param {string} [options.assigneeId] - The ID of the user to assign the issue to
- * @param {string} [options.stateId] - The ID of the state to set for the issue
- * @param {string} [options.projectId] - The ID of the project to associate with the issue
+ * @param {string} [options.assigneeId] - The ID, email or name of the user to assign the issue to
+ * @param {string} [options.stateId] - The ID, name or type of the state to set for the issue
+ * @param {string} [options.projectId] - The ID or name of the project to add the issue to
+ * @param {string} [options.parentId] - The ID, identifier, URL or branch name of the parent issue
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
- * @returns {Promise<import('../effects/linear/types/types.js').Issue>} The created issue
+ * @returns {Promise<{ input: import('@linear/sdk').LinearDocument.IssueCreateInput, preview: Partial<import('zod').infer<typeof CreatedIssueSchema>> }>} Creation input and preview of the issue
+ */
+async function planIssue(client, title, teamId, options = {}, logger) {
+  const team = await resolveTeam(client, teamId, logger);
+  const state = options.stateId
+    ? await resolveWorkflowState(client, team, options.stateId, logger)
+    : undefined;
+  const assignee = options.assigneeId
+    ? await resolveUser(client, options.assigneeId, logger)
+    : undefined;
+  const project = options.projectId
+    ? await resolveProject(client, options.projectId, logger)
+    : undefined;
+
+  // Resolve the parent reference so identifiers and URLs work too
+  const parent = options.parentId
+    ? await resolveIssue(client, options.parentId, logger)
+    : undefined;
+
+  // Prepare the issue creation input for the Linear SDK
+  const input = {
+    title,
+    teamId: team.id,
+    description: options.description,
+    priority: options.priority,
+    assigneeId: assignee?.id,
+    stateId: state?.id,
+    projectId: project?.id,
+    parentId: parent?.id,
+  };
+
+  // Filter out undefined values
+  Object.keys(input).forEach(key => {
+    if (input[key] === undefined) {
+      delete input[key];
+    }
+  });
+
+  const preview = CreatedIssueSchema.partial().parse({
+    title,
+    description: options.description,
+    status: state?.name,
+    priority: options.priority,
+    assignee: assignee
+      ? { id: assignee.id, name: assignee.name, email: assignee.email }
+      : undefined,
+    project: project ? { id: project.id, name: project.name } : undefined,
+    parent: parent ? await summarizeIssue(parent, logger) : undefined,
+  });
+
+  return { input, preview };
+}
+
+/**
+ * Creates a new issue in Linear
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} title - The title of the issue
+ * @param {string} teamId - The ID, key or name of the team to create the issue in
+ * @param {Object} options - Additional issue options, as planIssue takes them
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof CreatedIssueSchema>>} The created issue
  */
 async function createIssue(client, title, teamId, options = {}, logger) {
   try {
     logger?.debug(`Creating new Linear issue with title: ${title}`);
 
-    // Prepare the issue creation input for the Linear SDK
-    const issueInput = {
+    const { input: issueInput, preview } = await planIssue(
+      client,
       title,
       teamId,
-      description: options.description,
-      priority: options.priority,
-      assigneeId: options.assigneeId,
-      stateId: options.stateId,
-      projectId: options.projectId,
-    };
-
-    // Filter out undefined values
-    Object.keys(issueInput).forEach(key => {
-      if (issueInput[key] === undefined) {
-        delete issueInput[key];
-      }
-    });
+      options,
+      logger
+    );
 
     logger?.debug('Issue creation payload:', issueInput);
 
@@ -126,7 +212,7 @@ async function createIssue(client, title, teamId, options = {}, logger) {
     }
 
     // Process and validate the issue data using our schema
-    const processedIssue = IssueSchema.parse({
+    const processedIssue = CreatedIssueSchema.parse({
       id: issueData.id,
       title: issueData.title,
       description: issueData.description || undefined, // Convert null to undefined
@@ -145,6 +231,7 @@ async function createIssue(client, title, teamId, options = {}, logger) {
             name: projectData.name,
           }
         : undefined,
+      parent: preview.parent,
       createdAt:
         issueData.createdAt instanceof Date
           ? issueData.createdAt.toISOString()
@@ -178,6 +265,64 @@ async function createIssue(client, title, teamId, options = {}, logger) {
   }
 }
 
+/**
+ * Formats a created issue, or the preview of one, as markdown
+ *
+ * @param {Partial<import('zod').infer<typeof CreatedIssueSchema>>} issue - Created or previewed issue
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatIssue(issue, dryRun = false) {
+  const formatDate = timestamp => {
+    if (!timestamp) return 'Just now';
+    const date = new Date(timestamp);
+    return date.toLocaleString();
+  };
+
+  let responseText = '';
+  responseText += dryRun
+    ? 'Issue would be created\n\n'
+    : '✅ Issue created successfully\n\n';
+
+  // Add issue details, previews have no ID yet
+  if (issue.id) {
+    responseText += `**Issue ID:** ${issue.id}\n`;
+  }
+  responseText += `**Title:** ${issue.title}\n`;
+
+  if (issue.status) {
+    responseText += `**Status:** ${issue.status}\n`;
+  }
+
+  if (issue.priority !== undefined) {
+    const priorityLabels = ['No priority', 'Urgent', 'High', 'Medium', 'Low'];
+    responseText += `**Priority:** ${priorityLabels[issue.priority]}\n`;
+  }
+
+  if (issue.assignee) {
+    responseText += `**Assigned to:** ${issue.assignee.name}\n`;
+  }
+
+  if (issue.project) {
+    responseText += `**Project:** ${issue.project.name}\n`;
+  }
+
+  if (issue.parent) {
+    responseText += `**Parent:** ${formatIssueSummary(issue.parent)}\n`;
+  }
+
+  if (issue.id) {
+    responseText += `**Created at:** ${formatDate(issue.createdAt)}\n`;
+  }
+  responseText += '\n';
+
+  if (issue.description) {
+    responseText += `**Description:**\n${issue.description}\n`;
+  }
+
+  return responseText;
+}
+
 /**
  * Handler for CreateIssue tool
  * @type {import('./types/mod.js').ToolHandler<CreateIssueContext, typeof CreateIssueInputSchema>}
@@ -192,54 +337,42 @@ const handler = async (
     assigneeId,
     stateId,
     projectId,
+    parentId,
     debug,
+    dryRun,
   }
 ) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about config and parameters
-    logger.debug('Create issue called with parameters:', {
-      title,
-      teamId,
-      description: description
-        ? `${description.substring(0, 20)}...`
-        : undefined,
-      priority,
-      assigneeId,
-      stateId,
-      projectId,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
+  // Log details about config and parameters
+  logger.debug('Create issue called with parameters:', {
+    title,
+    teamId,
+    description: description ? `${description.substring(0, 20)}...` : undefined,
+    priority,
+    assigneeId,
+    stateId,
+    projectId,
+    parentId,
+    debug,
+    dryRun,
+  });
 
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
 
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
+  const options = {
+    description,
+    priority,
+    assigneeId,
+    stateId,
+    projectId,
+    parentId,
+  };
 
-    // Create the issue using the Linear SDK client
-    logger.debug('Executing Linear API to create issue');
-    const options = {
-      description,
-      priority,
-      assigneeId,
-      stateId,
-      projectId,
-    };
-
-    const result = await createIssue(
+  if (dryRun) {
+    logger.debug('Resolving issue references for a dry run');
+    const { input, preview } = await planIssue(
       linearClient,
       title,
       teamId,
@@ -247,118 +380,32 @@ const handler = async (
       logger
     );
 
-    // Log that we created the issue
-    logger.info(`Created issue with ID: ${result.id}`);
-
-    // Format the output
-    const formatDate = timestamp => {
-      if (!timestamp) return 'Just now';
-      const date = new Date(timestamp);
-      return date.toLocaleString();
-    };
-
-    let responseText = '';
-    responseText += `✅ Issue created successfully\n\n`;
-
-    // Add issue details
-    responseText += `**Issue ID:** ${result.id}\n`;
-    responseText += `**Title:** ${result.title}\n`;
-
-    if (result.status) {
-      responseText += `**Status:** ${result.status}\n`;
-    }
-
-    if (result.priority !== undefined) {
-      const priorityLabels = ['No priority', 'Urgent', 'High', 'Medium', 'Low'];
-      responseText += `**Priority:** ${priorityLabels[result.priority]}\n`;
-    }
-
-    if (result.assignee) {
-      responseText += `**Assigned to:** ${result.assignee.name}\n`;
-    }
-
-    if (result.project) {
-      responseText += `**Project:** ${result.project.name}\n`;
-    }
-
-    responseText += `**Created at:** ${formatDate(result.createdAt)}\n\n`;
-
-    if (result.description) {
-      responseText += `**Description:**\n${result.description}\n`;
-    }
-
-    logger.debug('Returning formatted issue result');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error creating issue: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error creating issue: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add parameters that were used
-      errorMessage += `\nParameters:
-- title: ${title}
-- teamId: ${teamId}
-- description: ${description ? 'provided' : 'not provided'}
-- priority: ${priority !== undefined ? priority : 'not provided'}
-- assigneeId: ${assigneeId || 'not provided'}
-- stateId: ${stateId || 'not provided'}
-- projectId: ${projectId || 'not provided'}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
-      }
-
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
-
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
-      }
-
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
-
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+    logger.info(`Dry run of creating issue "${title}"`);
+    return dryRunResponse(
+      preview,
+      [{ mutation: 'issueCreate', input }],
+      formatIssue(preview, true)
+    );
   }
+
+  // Create the issue using the Linear SDK client
+  logger.debug('Executing Linear API to create issue');
+  const result = await createIssue(
+    linearClient,
+    title,
+    teamId,
+    options,
+    logger
+  );
+
+  // Log that we created the issue
+  logger.info(`Created issue with ID: ${result.id}`);
+
+  logger.debug('Returning formatted issue result');
+  return {
+    content: [{ type: 'text', text: formatIssue(result) }],
+    structuredContent: result,
+  };
 };
 
 /**
@@ -366,11 +413,15 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const CreateIssue = create_tool({
   name: 'create_issue',
+  title: 'Create Issue',
   description:
-    'Create a new issue in Linear. This tool is useful for adding new tasks, bugs, or feature requests to your Linear workspace.',
+    'Create a new issue in Linear. This tool is useful for adding new tasks, bugs, or feature requests to your Linear workspace. Pass parentId to create a sub-issue of an existing issue, and dryRun to check the references and preview the issue without creating it.',
   inputSchema: CreateIssueInputSchema,
+  outputSchema: CreatedIssueSchema,
+  write: true,
+  annotations: { destructiveHint: false, idempotentHint: false },
   handler,
 });
 
 // Export for testing
-export { createIssue };
+export { createIssue, planIssue };
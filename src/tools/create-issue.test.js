@@ -3,7 +3,20 @@
  */
 import { test, mock } from 'node:test';
 import assert from 'node:assert';
-import { createIssue } from './create-issue.js';
+import { CreateIssue, createIssue, planIssue } from './create-issue.js';
+
+// Team the issues are created in, with its workflow states
+const mockTeam = {
+  id: 'team-123',
+  key: 'ENG',
+  name: 'Engineering',
+  states: async () => ({
+    nodes: [
+      { id: 'state-todo', name: 'Todo', type: 'unstarted' },
+      { id: 'state-in-progress', name: 'In Progress', type: 'started' },
+    ],
+  }),
+};
 
 test('createIssue with minimal parameters', async () => {
   // Setup mock data
@@ -29,6 +42,8 @@ test('createIssue with minimal parameters', async () => {
 
   // Mock client
   const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
     createIssue: mock.fn(async () => ({
       issue: Promise.resolve(mockIssueData),
     })),
@@ -103,6 +118,10 @@ test('createIssue with all parameters', async () => {
 
   // Mock client
   const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
+    user: mock.fn(async () => mockAssigneeData),
+    project: mock.fn(async () => mockProjectData),
     createIssue: mock.fn(async () => ({
       issue: Promise.resolve(mockIssueData),
     })),
@@ -171,6 +190,8 @@ test('createIssue handles errors', async () => {
 
   // Mock client that throws an error
   const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
     createIssue: mock.fn(async () => {
       throw new Error('Mock API Error');
     }),
@@ -195,3 +216,171 @@ test('createIssue handles errors', async () => {
   assert.strictEqual(mockClient.createIssue.mock.calls.length, 1);
   assert.strictEqual(mockLogger.error.mock.calls.length, 1);
 });
+
+test('createIssue as a sub-issue of a parent identifier', async () => {
+  const mockParent = {
+    id: 'parent-issue-id',
+    identifier: 'ENG-1',
+    title: 'Epic',
+    state: Promise.resolve({ id: 'state-id', name: 'In Progress' }),
+  };
+
+  // Mock logger
+  const mockLogger = {
+    debug: mock.fn(),
+    error: mock.fn(),
+    info: mock.fn(),
+    warn: mock.fn(),
+  };
+
+  // Mock client
+  const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
+    issue: mock.fn(async () => mockParent),
+    createIssue: mock.fn(async () => ({
+      issue: Promise.resolve({
+        id: 'mock-issue-id',
+        title: 'Sub-task',
+        priority: 0,
+      }),
+    })),
+  };
+
+  const result = await createIssue(
+    /** @type {any} */ (mockClient),
+    'Sub-task',
+    'team-123',
+    { parentId: 'eng-1' },
+    /** @type {any} */ (mockLogger)
+  );
+
+  // The identifier is resolved to the parent's ID
+  assert.deepStrictEqual(mockClient.issue.mock.calls[0].arguments, ['ENG-1']);
+  const args = mockClient.createIssue.mock.calls[0]?.arguments || [{}];
+  assert.deepStrictEqual(args[0], {
+    title: 'Sub-task',
+    teamId: 'team-123',
+    parentId: 'parent-issue-id',
+  });
+
+  assert.deepStrictEqual(result.parent, {
+    id: 'parent-issue-id',
+    identifier: 'ENG-1',
+    title: 'Epic',
+    status: 'In Progress',
+  });
+});
+
+test('planIssue resolves every reference without creating the issue', async () => {
+  const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
+    user: mock.fn(async () => {
+      throw new Error('Entity not found: User');
+    }),
+    users: mock.fn(async () => ({
+      nodes: [{ id: 'user-123', name: 'Jane', email: 'jane@example.com' }],
+    })),
+    project: mock.fn(async () => ({ id: 'project-123', name: 'Launch' })),
+    issue: mock.fn(async () => ({
+      id: 'parent-issue-id',
+      identifier: 'ENG-1',
+    })),
+    createIssue: mock.fn(),
+  };
+
+  const { input, preview } = await planIssue(
+    /** @type {any} */ (mockClient),
+    'Sub-task',
+    'eng',
+    {
+      priority: 2,
+      assigneeId: 'jane@example.com',
+      stateId: 'todo',
+      projectId: 'project-123',
+      parentId: 'ENG-1',
+    }
+  );
+
+  assert.deepStrictEqual(input, {
+    title: 'Sub-task',
+    teamId: 'team-123',
+    priority: 2,
+    assigneeId: 'user-123',
+    stateId: 'state-todo',
+    projectId: 'project-123',
+    parentId: 'parent-issue-id',
+  });
+  // Fields left unset are undefined, as JSON drops them
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(preview)), {
+    title: 'Sub-task',
+    status: 'Todo',
+    priority: 2,
+    assignee: { id: 'user-123', name: 'Jane', email: 'jane@example.com' },
+    project: { id: 'project-123', name: 'Launch' },
+    parent: { id: 'parent-issue-id', identifier: 'ENG-1' },
+  });
+  assert.strictEqual(mockClient.createIssue.mock.calls.length, 0);
+});
+
+test('planIssue rejects states of other teams', async () => {
+  const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
+  };
+
+  await assert.rejects(
+    planIssue(/** @type {any} */ (mockClient), 'Bug', 'ENG', {
+      stateId: 'Shipped',
+    }),
+    /Status "Shipped" not found in team Engineering/
+  );
+});
+
+test('CreateIssue dry run answers with the payload and a preview', async () => {
+  const mockClient = {
+    teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+    workflowStates: mockTeam.states,
+    createIssue: mock.fn(),
+  };
+  const tool = new CreateIssue(
+    /** @type {any} */ ({
+      config: { linearApiKey: 'lin_api_test_key_123456' },
+      effects: {
+        logger: {
+          debug: () => {},
+          info: () => {},
+          warn: () => {},
+          error: () => {},
+        },
+        linear: { createClient: () => mockClient },
+      },
+    })
+  );
+
+  const response = await tool.call({
+    title: 'Broken login',
+    teamId: 'ENG',
+    dryRun: true,
+  });
+
+  assert.ok(!response.isError, response.content[0].text);
+  assert.strictEqual(mockClient.createIssue.mock.calls.length, 0);
+  assert.deepStrictEqual(response.structuredContent, {
+    title: 'Broken login',
+    dryRun: {
+      mutations: [
+        {
+          mutation: 'issueCreate',
+          input: { title: 'Broken login', teamId: 'team-123' },
+        },
+      ],
+    },
+  });
+  assert.match(response.content[0].text, /^🔍 Dry run: nothing was changed/);
+  assert.match(response.content[0].text, /Issue would be created/);
+  assert.doesNotMatch(response.content[0].text, /created successfully/);
+  assert.match(response.content[0].text, /\*\*Title:\*\* Broken login/);
+  assert.doesNotMatch(response.content[0].text, /Issue ID/);
+});
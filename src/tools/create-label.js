@@ -0,0 +1,313 @@
+/**
+ * Linear label creation tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  resolveLabels,
+  resolveTeam,
+  ToolError,
+} from './utils/mod.js';
+import { LabelSchema } from '../effects/linear/types/types.js';
+
+/**
+ * CreateLabelContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} CreateLabelContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for CreateLabel tool
+ */
+const CreateLabelInputSchema = z.object({
+  name: z
+    .string()
+    .min(1, { message: 'Label name is required' })
+    .describe('The name of the label to create'),
+  color: z
+    .string()
+    .regex(/^#[0-9a-fA-F]{6}$/, {
+      message: 'Color must be a hex color such as #eb5757',
+    })
+    .optional()
+    .describe('The label color as a hex code (e.g. #eb5757)'),
+  description: z
+    .string()
+    .optional()
+    .describe('A description of what the label is used for'),
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'The team to create the label in, by ID, key (e.g. ENG) or name. Creates a workspace label when omitted'
+    ),
+  parent: z
+    .string()
+    .optional()
+    .describe('The name of the label group to nest the label under'),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Created label schema
+ */
+const CreatedLabelSchema = LabelSchema.extend({
+  description: z.string().optional(),
+  parentName: z.string().optional(),
+  teamName: z.string().optional(),
+});
+
+/**
+ * Resolves the team and label group of a new label and builds its input
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} name - The name of the label
+ * @param {Object} options - Additional label options
+ * @param {string} [options.color] - The label color as a hex code
+ * @param {string} [options.description] - The label description
+ * @param {string} [options.teamId] - Team ID, key or name; a workspace label when omitted
+ * @param {string} [options.parent] - Name of the label group to nest the label under
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ input: import('@linear/sdk').LinearDocument.IssueLabelCreateInput, preview: Partial<import('zod').infer<typeof CreatedLabelSchema>> }>} Creation input and preview of the label
+ */
+async function planLabel(client, name, options = {}, logger) {
+  const team = options.teamId
+    ? await resolveTeam(client, options.teamId, logger)
+    : undefined;
+
+  // Groups are resolved among the labels the new label could belong to
+  let parentLabel = undefined;
+  if (options.parent) {
+    [parentLabel] = await resolveLabels(
+      client,
+      team,
+      [options.parent],
+      { allowGroups: true },
+      logger
+    );
+
+    if (!parentLabel.isGroup) {
+      throw new ToolError(
+        ErrorCode.VALIDATION,
+        `Label "${parentLabel.name}" is not a label group and can't be used as a parent`
+      );
+    }
+  }
+
+  // Prepare the label creation input for the Linear SDK
+  const input = {
+    name,
+    color: options.color,
+    description: options.description,
+    teamId: team?.id,
+    parentId: parentLabel?.id,
+  };
+
+  // Filter out undefined values
+  Object.keys(input).forEach(key => {
+    if (input[key] === undefined) {
+      delete input[key];
+    }
+  });
+
+  const preview = CreatedLabelSchema.partial().parse({
+    name,
+    color: options.color,
+    description: options.description,
+    parentName: parentLabel?.name,
+    teamName: team?.name,
+  });
+
+  return { input, preview };
+}
+
+/**
+ * Creates a new issue label in Linear
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} name - The name of the label
+ * @param {Object} options - Additional label options, as planLabel takes them
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof CreatedLabelSchema>>} The created label
+ */
+async function createLabel(client, name, options = {}, logger) {
+  try {
+    logger?.debug(`Creating new Linear label: ${name}`);
+
+    const { input: labelInput, preview } = await planLabel(
+      client,
+      name,
+      options,
+      logger
+    );
+
+    logger?.debug('Label creation payload:', labelInput);
+
+    // Create the label using the Linear SDK
+    const labelResult = await client.createIssueLabel(labelInput);
+
+    if (!labelResult) {
+      throw new Error('Failed to create label, received null response');
+    }
+
+    // Linear API returns a promise for the created label
+    const labelData = await labelResult.issueLabel;
+
+    if (!labelData) {
+      throw new Error('Failed to retrieve label data from response');
+    }
+
+    logger?.debug(`Successfully created label: ${labelData.id}`);
+
+    return CreatedLabelSchema.parse({
+      id: labelData.id,
+      name: labelData.name,
+      color: labelData.color,
+      description: labelData.description || undefined,
+      parentName: preview.parentName,
+      teamName: preview.teamName,
+    });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error creating Linear label: ${error.message}`, {
+      name,
+      options,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats a created label, or the preview of one, as markdown
+ *
+ * @param {Partial<import('zod').infer<typeof CreatedLabelSchema>>} label - Created or previewed label
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatLabel(label, dryRun = false) {
+  let responseText = dryRun
+    ? `Label "${label.name}" would be created\n\n`
+    : `✅ Label "${label.name}" created successfully\n\n`;
+
+  // Previews have no ID yet
+  if (label.id) {
+    responseText += `**ID:** ${label.id}\n`;
+  }
+  responseText += `**Scope:** ${
+    label.teamName ? `Team ${label.teamName}` : 'Workspace'
+  }\n`;
+
+  if (label.parentName) {
+    responseText += `**Group:** ${label.parentName}\n`;
+  }
+
+  if (label.color) {
+    responseText += `**Color:** ${label.color}\n`;
+  }
+
+  if (label.description) {
+    responseText += `**Description:** ${label.description}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for CreateLabel tool
+ * @type {import('./types/mod.js').ToolHandler<CreateLabelContext, typeof CreateLabelInputSchema>}
+ */
+const handler = async (
+  ctx,
+  { name, color, description, teamId, parent, debug, dryRun }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Create label called with parameters:', {
+    name,
+    color,
+    teamId,
+    parent,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving label references for a dry run');
+    const { input, preview } = await planLabel(
+      linearClient,
+      name,
+      { color, description, teamId, parent },
+      logger
+    );
+
+    logger.info(`Dry run of creating label "${name}"`);
+    return dryRunResponse(
+      preview,
+      [{ mutation: 'issueLabelCreate', input }],
+      formatLabel(preview, true)
+    );
+  }
+
+  // Create the label using the Linear SDK client
+  logger.debug('Executing Linear API to create label');
+  const label = await createLabel(
+    linearClient,
+    name,
+    { color, description, teamId, parent },
+    logger
+  );
+
+  logger.info(`Created label with ID: ${label.id}`);
+
+  logger.debug('Returning formatted label result');
+  return {
+    content: [{ type: 'text', text: formatLabel(label) }],
+    structuredContent: label,
+  };
+};
+
+/**
+ * CreateLabel tool factory
+ */
+export const CreateLabel = create_tool({
+  name: 'create_label',
+  title: 'Create Label',
+  description:
+    'Create a Linear issue label, either for a single team or for the whole workspace, optionally nested under an existing label group.',
+  inputSchema: CreateLabelInputSchema,
+  outputSchema: CreatedLabelSchema,
+  write: true,
+  annotations: { destructiveHint: false, idempotentHint: false },
+  handler,
+});
+
+// Export for testing
+export { createLabel, planLabel };
@@ -0,0 +1,109 @@
+/**
+ * Tests for create-label tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { createLabel, CreateLabel, planLabel } from './create-label.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const createMockClient = () => ({
+  teams: mock.fn(async () => ({
+    nodes: [{ id: 'team-1', name: 'Engineering', key: 'ENG' }],
+  })),
+  issueLabels: mock.fn(async () => ({
+    nodes: [
+      { id: 'label-area', name: 'Area', isGroup: true },
+      { id: 'label-bug', name: 'Bug', isGroup: false },
+    ],
+  })),
+  createIssueLabel: mock.fn(async input => ({
+    success: true,
+    issueLabel: Promise.resolve({ id: 'label-new', ...input }),
+  })),
+});
+
+describe('createLabel', () => {
+  it('should create a workspace label', async () => {
+    const client = createMockClient();
+
+    const label = await createLabel(
+      /** @type {any} */ (client),
+      'Regression',
+      { color: '#eb5757' },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.createIssueLabel.mock.calls[0].arguments, [
+      { name: 'Regression', color: '#eb5757' },
+    ]);
+    assert.strictEqual(label.id, 'label-new');
+    assert.strictEqual(label.teamName, undefined);
+  });
+
+  it('should create a team label inside a label group', async () => {
+    const client = createMockClient();
+
+    const label = await createLabel(
+      /** @type {any} */ (client),
+      'API',
+      { teamId: 'eng', parent: 'area' },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.createIssueLabel.mock.calls[0].arguments, [
+      { name: 'API', teamId: 'team-1', parentId: 'label-area' },
+    ]);
+    assert.strictEqual(label.parentName, 'Area');
+    assert.strictEqual(label.teamName, 'Engineering');
+  });
+
+  it('should reject parents that are not label groups', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      createLabel(
+        /** @type {any} */ (client),
+        'API',
+        { parent: 'Bug' },
+        mockLogger
+      ),
+      /Label "Bug" is not a label group/
+    );
+    assert.strictEqual(client.createIssueLabel.mock.calls.length, 0);
+  });
+});
+
+describe('planLabel', () => {
+  it('should resolve the team and group without creating the label', async () => {
+    const client = createMockClient();
+
+    const { input, preview } = await planLabel(
+      /** @type {any} */ (client),
+      'API',
+      { teamId: 'ENG', parent: 'Area' },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(input, {
+      name: 'API',
+      teamId: 'team-1',
+      parentId: 'label-area',
+    });
+    assert.strictEqual(preview.id, undefined);
+    assert.strictEqual(preview.teamName, 'Engineering');
+    assert.strictEqual(client.createIssueLabel.mock.calls.length, 0);
+  });
+});
+
+describe('CreateLabel tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof CreateLabel, 'function');
+  });
+});
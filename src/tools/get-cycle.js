@@ -0,0 +1,392 @@
+/**
+ * Linear cycle details tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  ErrorCode,
+  resolveCycle,
+  resolveTeam,
+  toCycleData,
+  ToolError,
+} from './utils/mod.js';
+import {
+  CycleSchema,
+  IssueSchema,
+  TeamSchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * GetCycleContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} GetCycleContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for GetCycle tool
+ */
+const GetCycleInputSchema = z.object({
+  cycle: z
+    .string()
+    .default('current')
+    .describe(
+      'The cycle to retrieve: its number (e.g. 12), "current", "next", "previous" or a cycle ID'
+    ),
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'The team of the cycle, by ID, key (e.g. ENG) or name. Required unless a cycle ID is given'
+    ),
+  includeIssues: z
+    .boolean()
+    .default(true)
+    .describe('Whether to include the issues in the cycle'),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+});
+
+/**
+ * A day on which the scope of a cycle changed
+ */
+const ScopeChangeSchema = z.object({
+  date: z.union([z.string(), z.date()]),
+  scope: z.number(),
+  change: z.number(),
+});
+
+/**
+ * Issue in a cycle, with the time it was added to the cycle
+ */
+const CycleIssueSchema = IssueSchema.extend({
+  addedToCycleAt: z.union([z.string(), z.date()]).optional(),
+  addedAfterStart: z.boolean().optional(),
+});
+
+/**
+ * Cycle details schema
+ */
+const CycleDetailsSchema = CycleSchema.extend({
+  description: z.string().optional(),
+  team: TeamSchema.optional(),
+  initialScope: z.number().optional(),
+  scope: z.number().optional(),
+  completedScope: z.number().optional(),
+  scopeChanges: z.array(ScopeChangeSchema),
+  issues: z.array(CycleIssueSchema).optional(),
+});
+
+/**
+ * Number of milliseconds in a day, the resolution of cycle history
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Extracts the days on which the scope of a cycle changed
+ *
+ * Linear records the cycle scope once per day since the cycle started, so
+ * each entry that differs from the previous day is a scope change.
+ *
+ * @param {{ startsAt: Date|string, scopeHistory?: number[] }} cycle - The cycle
+ * @returns {Array<import('zod').infer<typeof ScopeChangeSchema>>} Scope changes
+ */
+function getScopeChanges(cycle) {
+  const history = cycle.scopeHistory || [];
+  const start = new Date(cycle.startsAt).getTime();
+
+  return history
+    .map((scope, day) => ({
+      date: new Date(start + day * DAY_MS),
+      scope,
+      change: day === 0 ? 0 : scope - history[day - 1],
+    }))
+    .filter(entry => entry.change !== 0);
+}
+
+/**
+ * Finds a cycle by team and reference, or by ID when no team is given
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} ref - Cycle number, ID, "current", "next" or "previous"
+ * @param {string} [teamId] - Team ID, key or name
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment relative references are resolved against
+ * @returns {Promise<any>} The cycle
+ */
+async function findCycleForTeam(client, ref, teamId, logger, now) {
+  if (teamId) {
+    const team = await resolveTeam(client, teamId, logger);
+    return resolveCycle(client, team, ref, logger, now);
+  }
+
+  try {
+    return await client.cycle(ref);
+  } catch (cycleError) {
+    logger?.debug(`Cycle lookup by ID failed: ${cycleError.message}`);
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `Cycle "${ref}" not found. Pass teamId to look up a cycle by number or as "current", "next" or "previous"`
+    );
+  }
+}
+
+/**
+ * Gets a cycle from Linear with its scope history and issues
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} ref - Cycle number, ID, "current", "next" or "previous"
+ * @param {Object} options - Options
+ * @param {string} [options.teamId] - Team ID, key or name; required unless `ref` is an ID
+ * @param {boolean} [options.includeIssues=true] - Whether to include the issues in the cycle
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment relative references are resolved against
+ * @returns {Promise<import('zod').infer<typeof CycleDetailsSchema>>} Cycle details
+ */
+async function getCycle(
+  client,
+  ref,
+  { teamId, includeIssues = true } = {},
+  logger,
+  now = new Date()
+) {
+  try {
+    logger?.debug(`Fetching Linear cycle: ${ref}`, { teamId });
+
+    const cycle = await findCycleForTeam(client, ref, teamId, logger, now);
+
+    logger?.debug(`Successfully retrieved cycle: ${cycle.id}`);
+
+    // Get team information (it's a promise in the Linear SDK)
+    let teamData = undefined;
+    try {
+      if (cycle.team) {
+        const team = await cycle.team;
+        if (team) {
+          teamData = { id: team.id, name: team.name, key: team.key };
+        }
+      }
+    } catch (teamError) {
+      logger?.warn(`Error fetching cycle team: ${teamError.message}`);
+    }
+
+    // Fetch issues if requested
+    let issuesData = undefined;
+    if (includeIssues) {
+      issuesData = [];
+      try {
+        const issues = await cycle.issues({ first: 250 });
+
+        for (const issue of issues.nodes) {
+          let statusName = undefined;
+          let assigneeData = undefined;
+          try {
+            const state = issue.state ? await issue.state : null;
+            statusName = state?.name;
+
+            const assignee = issue.assignee ? await issue.assignee : null;
+            if (assignee) {
+              assigneeData = {
+                id: assignee.id,
+                name: assignee.name,
+                email: assignee.email,
+              };
+            }
+          } catch (relationError) {
+            logger?.warn(
+              `Error fetching data of issue ${issue.id}: ${relationError.message}`
+            );
+          }
+
+          issuesData.push({
+            id: issue.id,
+            identifier: issue.identifier || undefined,
+            url: issue.url || undefined,
+            title: issue.title,
+            status: statusName,
+            priority: issue.priority,
+            assignee: assigneeData,
+            addedToCycleAt: issue.addedToCycleAt || undefined,
+            addedAfterStart: issue.addedToCycleAt
+              ? new Date(issue.addedToCycleAt) > new Date(cycle.startsAt)
+              : undefined,
+          });
+        }
+
+        logger?.debug(`Found ${issuesData.length} issues in cycle`);
+      } catch (issuesError) {
+        logger?.warn(`Error fetching cycle issues: ${issuesError.message}`);
+      }
+    }
+
+    return CycleDetailsSchema.parse({
+      ...toCycleData(cycle, now),
+      description: cycle.description || undefined,
+      team: teamData,
+      initialScope: cycle.scopeHistory?.[0],
+      scope: cycle.scopeHistory?.at(-1),
+      completedScope: cycle.completedScopeHistory?.at(-1),
+      scopeChanges: getScopeChanges(cycle),
+      issues: issuesData,
+    });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error retrieving Linear cycle: ${error.message}`, {
+      ref,
+      teamId,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats cycle details as markdown
+ *
+ * @param {import('zod').infer<typeof CycleDetailsSchema>} result - Cycle details
+ * @returns {string} Markdown
+ */
+function formatCycleDetails(result) {
+  // Format dates without the time of day
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+
+  const name = result.name ? ` - ${result.name}` : '';
+  let responseText = `# Cycle ${result.number}${name}\n\n`;
+  responseText += `**ID:** ${result.id}\n`;
+
+  if (result.team) {
+    responseText += `**Team:** ${result.team.name} (${result.team.key})\n`;
+  }
+
+  responseText += `**Status:** ${result.status}\n`;
+  responseText += `**Dates:** ${formatDate(result.startsAt)} → ${formatDate(
+    result.endsAt
+  )}\n`;
+
+  if (result.progress !== undefined) {
+    responseText += `**Progress:** ${Math.round(result.progress * 100)}%\n`;
+  }
+
+  if (result.scope !== undefined) {
+    responseText += `**Scope:** ${result.completedScope ?? 0} of ${
+      result.scope
+    } completed\n`;
+  }
+
+  if (result.description) {
+    responseText += `\n## Description\n\n${result.description}\n`;
+  }
+
+  // Add scope changes since the cycle started
+  if (result.scopeChanges.length > 0) {
+    responseText += '\n## Scope Changes\n\n';
+    responseText += `Initial scope: ${result.initialScope}, current scope: ${result.scope}\n\n`;
+
+    result.scopeChanges.forEach(entry => {
+      const sign = entry.change > 0 ? '+' : '';
+      responseText += `- ${formatDate(entry.date)}: ${sign}${
+        entry.change
+      } (scope ${entry.scope})\n`;
+    });
+  }
+
+  // Add issues if available
+  if (result.issues) {
+    responseText += `\n## Issues (${result.issues.length})\n\n`;
+
+    if (result.issues.length === 0) {
+      responseText += 'No issues in this cycle.\n';
+    }
+
+    result.issues.forEach(issue => {
+      const label = issue.identifier || issue.id;
+      responseText += `- ${label}: ${issue.title || 'Untitled'} [${
+        issue.status || 'Unknown'
+      }]`;
+
+      if (issue.assignee) {
+        responseText += ` - ${issue.assignee.name}`;
+      }
+
+      if (issue.addedAfterStart) {
+        responseText += ` (added ${formatDate(issue.addedToCycleAt)})`;
+      }
+
+      responseText += '\n';
+    });
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for GetCycle tool
+ * @type {import('./types/mod.js').ToolHandler<GetCycleContext, typeof GetCycleInputSchema>}
+ */
+const handler = async (ctx, { cycle, teamId, includeIssues, debug }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Get cycle called with parameters:', {
+    cycle,
+    teamId,
+    includeIssues,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // Get the cycle using the Linear SDK client
+  logger.debug('Executing Linear API to get cycle');
+  const result = await getCycle(
+    linearClient,
+    cycle,
+    { teamId, includeIssues },
+    logger
+  );
+
+  logger.info(`Found cycle with ID: ${result.id}`);
+
+  // Format the output
+  const responseText = formatCycleDetails(result);
+
+  logger.debug('Returning formatted cycle result');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * GetCycle tool factory
+ */
+export const GetCycle = create_tool({
+  name: 'get_cycle',
+  title: 'Get Cycle',
+  description:
+    'Get a Linear cycle (sprint) by number, as "current", "next" or "previous", or by ID, including its progress, the issues in it and how its scope changed since it started.',
+  inputSchema: GetCycleInputSchema,
+  outputSchema: CycleDetailsSchema,
+  handler,
+});
+
+// Export for testing
+export { formatCycleDetails, getCycle };
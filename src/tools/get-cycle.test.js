@@ -0,0 +1,127 @@
+/**
+ * Tests for get-cycle tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { getCycle, GetCycle } from './get-cycle.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const now = new Date('2024-03-13T12:00:00Z');
+
+const mockTeam = {
+  id: 'team-1',
+  name: 'Engineering',
+  key: 'ENG',
+};
+
+const currentCycle = {
+  id: 'cycle-11',
+  number: 11,
+  startsAt: new Date('2024-03-04T00:00:00Z'),
+  endsAt: new Date('2024-03-18T00:00:00Z'),
+  progress: 0.25,
+  scopeHistory: [8, 8, 10, 9],
+  completedScopeHistory: [0, 1, 2, 2],
+  team: Promise.resolve(mockTeam),
+  issues: mock.fn(async () => ({
+    nodes: [
+      {
+        id: 'issue-1',
+        identifier: 'ENG-1',
+        title: 'Planned work',
+        state: Promise.resolve({ name: 'In Progress' }),
+        addedToCycleAt: new Date('2024-03-01T00:00:00Z'),
+      },
+      {
+        id: 'issue-2',
+        identifier: 'ENG-2',
+        title: 'Urgent fix',
+        state: Promise.resolve({ name: 'Todo' }),
+        addedToCycleAt: new Date('2024-03-06T09:00:00Z'),
+      },
+    ],
+  })),
+};
+
+const createMockClient = () => ({
+  teams: mock.fn(async () => ({ nodes: [mockTeam] })),
+  cycles: mock.fn(async () => ({ nodes: [currentCycle] })),
+  cycle: mock.fn(async id => {
+    if (id === currentCycle.id) return currentCycle;
+    throw new Error('Entity not found');
+  }),
+});
+
+describe('getCycle', () => {
+  it('should get the current cycle of a team with its issues', async () => {
+    const client = createMockClient();
+
+    const result = await getCycle(
+      /** @type {any} */ (client),
+      'current',
+      { teamId: 'ENG' },
+      mockLogger,
+      now
+    );
+
+    assert.strictEqual(result.number, 11);
+    assert.strictEqual(result.status, 'current');
+    assert.deepStrictEqual(result.team, mockTeam);
+    assert.deepStrictEqual(
+      result.issues.map(issue => [issue.identifier, issue.addedAfterStart]),
+      [
+        ['ENG-1', false],
+        ['ENG-2', true],
+      ]
+    );
+  });
+
+  it('should report the days on which the scope changed', async () => {
+    const client = createMockClient();
+
+    const result = await getCycle(
+      /** @type {any} */ (client),
+      'cycle-11',
+      { includeIssues: false },
+      mockLogger,
+      now
+    );
+
+    assert.strictEqual(result.initialScope, 8);
+    assert.strictEqual(result.scope, 9);
+    assert.deepStrictEqual(
+      result.scopeChanges.map(entry => [entry.scope, entry.change]),
+      [
+        [10, 2],
+        [9, -1],
+      ]
+    );
+    assert.deepStrictEqual(
+      result.scopeChanges[0].date,
+      new Date('2024-03-06T00:00:00Z')
+    );
+    assert.strictEqual(result.issues, undefined);
+  });
+
+  it('should ask for a team when a cycle number is given alone', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      getCycle(/** @type {any} */ (client), '11', {}, mockLogger, now),
+      /Pass teamId to look up a cycle by number/
+    );
+  });
+});
+
+describe('GetCycle tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof GetCycle, 'function');
+  });
+});
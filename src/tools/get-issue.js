@@ -2,8 +2,24 @@
  * Linear issue details tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
-import { IssueSchema, CommentSchema } from '../effects/linear/types/types.js';
+import {
+  create_tool,
+  createToolClient,
+  fetchAncestors,
+  fetchIssueRelations,
+  fetchIssueTree,
+  formatIssueHierarchy,
+  formatIssueSummary,
+  resolveIssue,
+  summarizeIssue,
+} from './utils/mod.js';
+import {
+  IssueRelationSchema,
+  IssueSchema,
+  IssueSummarySchema,
+  IssueTreeNodeSchema,
+  CommentSchema,
+} from '../effects/linear/types/types.js';
 
 /**
  * GetIssueContext type definition
@@ -20,37 +36,78 @@ import { IssueSchema, CommentSchema } from '../effects/linear/types/types.js';
  * Input schema for GetIssue tool
  */
 const GetIssueInputSchema = z.object({
-  issueId: z.string(),
+  issueId: z
+    .string()
+    .describe(
+      'The issue to retrieve: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
   includeComments: z.boolean().default(true),
+  includeHierarchy: z
+    .boolean()
+    .default(false)
+    .describe(
+      'Whether to include the hierarchy tree: parent issues up to the top and all sub-issues with their status'
+    ),
+  hierarchyDepth: z
+    .number()
+    .int()
+    .min(1)
+    .max(10)
+    .default(3)
+    .describe('How many levels of parents and sub-issues to include'),
+  includeRelations: z
+    .boolean()
+    .default(true)
+    .describe(
+      'Whether to include issues this issue blocks, is blocked by, relates to or duplicates'
+    ),
   debug: z.boolean().default(false), // Debug mode to show extra diagnostics
 });
 
+/**
+ * Issue details schema, with the issue's place in the hierarchy and its relations
+ */
+const IssueDetailsSchema = IssueSchema.extend({
+  parent: IssueSummarySchema.optional(),
+  hierarchy: z
+    .object({
+      ancestors: z.array(IssueSummarySchema), // Closest parent first
+      ancestorsTruncated: z.boolean(),
+      tree: IssueTreeNodeSchema,
+    })
+    .optional(),
+  relations: z.array(IssueRelationSchema).optional(),
+});
+
 /**
  * Gets a single issue from Linear using the SDK
  *
  * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
- * @param {string} issueId - The ID of the issue to retrieve
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue to retrieve
  * @param {Object} options - Options
  * @param {boolean} [options.includeComments=true] - Whether to include comments in the result
+ * @param {boolean} [options.includeHierarchy=false] - Whether to include parents and sub-issues
+ * @param {number} [options.hierarchyDepth=3] - How many levels of parents and sub-issues to include
+ * @param {boolean} [options.includeRelations=true] - Whether to include blocking, related and duplicate issues
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
- * @returns {Promise<import('../effects/linear/types/types.js').Issue>} Issue details
+ * @returns {Promise<import('zod').infer<typeof IssueDetailsSchema>>} Issue details
  */
 async function getIssue(
   client,
   issueId,
-  { includeComments = true } = {},
+  {
+    includeComments = true,
+    includeHierarchy = false,
+    hierarchyDepth = 3,
+    includeRelations = true,
+  } = {},
   logger
 ) {
   try {
     logger?.debug(`Fetching Linear issue with ID: ${issueId}`);
 
-    // Fetch the issue from Linear
-    const issue = await client.issue(issueId);
-
-    if (!issue) {
-      logger?.error(`Issue with ID ${issueId} not found`);
-      throw new Error(`Issue with ID ${issueId} not found`);
-    }
+    // Resolve the reference and fetch the issue from Linear
+    const issue = await resolveIssue(client, issueId, logger);
 
     logger?.debug(`Successfully retrieved issue: ${issue.id}`);
 
@@ -103,6 +160,71 @@ async function getIssue(
       logger?.warn(`Error fetching project data: ${projectError.message}`);
     }
 
+    // Get labels if available (a paginated connection in the Linear SDK)
+    let labelsData = undefined;
+    try {
+      if (typeof issue.labels === 'function') {
+        const labels = await issue.labels();
+        labelsData = (labels?.nodes || []).map(label => ({
+          id: label.id,
+          name: label.name,
+          color: label.color,
+        }));
+        logger?.debug(`Found ${labelsData.length} labels`);
+      }
+    } catch (labelsError) {
+      logger?.warn(`Error fetching labels data: ${labelsError.message}`);
+    }
+
+    // Get parent issue if present (it's a promise in the Linear SDK)
+    let parentData = undefined;
+    try {
+      if (issue.parent) {
+        const parent = await issue.parent;
+        if (parent) {
+          parentData = await summarizeIssue(parent, logger);
+          logger?.debug(`Found parent: ${parent.identifier || parent.id}`);
+        }
+      }
+    } catch (parentError) {
+      logger?.warn(`Error fetching parent data: ${parentError.message}`);
+    }
+
+    // Fetch the hierarchy tree if requested
+    let hierarchyData = undefined;
+    if (includeHierarchy) {
+      try {
+        logger?.debug(`Fetching hierarchy of issue: ${issue.id}`);
+        const { ancestors, truncated } = await fetchAncestors(
+          issue,
+          hierarchyDepth
+        );
+
+        hierarchyData = {
+          ancestors: await Promise.all(
+            ancestors.map(ancestor => summarizeIssue(ancestor, logger))
+          ),
+          ancestorsTruncated: truncated,
+          tree: await fetchIssueTree(issue, hierarchyDepth, logger),
+        };
+      } catch (hierarchyError) {
+        logger?.warn(`Error fetching hierarchy: ${hierarchyError.message}`);
+        // Continue with the issue data even if the hierarchy fails
+      }
+    }
+
+    // Fetch relations in both directions if requested
+    let relationsData = undefined;
+    if (includeRelations) {
+      try {
+        logger?.debug(`Fetching relations of issue: ${issue.id}`);
+        relationsData = await fetchIssueRelations(issue, logger);
+      } catch (relationsError) {
+        logger?.warn(`Error fetching relations: ${relationsError.message}`);
+        // Continue with the issue data even if relations fail
+      }
+    }
+
     // Fetch comments if requested
     let commentsData = [];
     if (includeComments) {
@@ -151,7 +273,7 @@ async function getIssue(
     }
 
     // Process and validate the issue data
-    const processedIssue = IssueSchema.parse({
+    const processedIssue = IssueDetailsSchema.parse({
       id: issue.id,
       identifier: issue.identifier || undefined, // Add the issue identifier (e.g. TEAM-123)
       url: issue.url || undefined, // Add the issue URL for linking
@@ -160,8 +282,12 @@ async function getIssue(
       priority: issue.priority,
       assignee: assigneeData,
       project: projectData,
+      labels: labelsData,
       status: statusName,
       comments: commentsData,
+      parent: parentData,
+      hierarchy: hierarchyData,
+      relations: relationsData,
       createdAt: issue.createdAt,
       updatedAt: issue.updatedAt,
     });
@@ -172,6 +298,8 @@ async function getIssue(
     logger?.error(`Error retrieving Linear issue: ${error.message}`, {
       issueId,
       includeComments,
+      includeHierarchy,
+      includeRelations,
       stack: error.stack,
     });
 
@@ -189,187 +317,173 @@ async function getIssue(
 }
 
 /**
- * Handler for GetIssue tool
- * @type {import('./types/mod.js').ToolHandler<GetIssueContext, typeof GetIssueInputSchema>}
+ * Formats issue details as markdown
+ *
+ * @param {import('zod').infer<typeof IssueDetailsSchema>} issue - Issue details
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeComments=true] - Whether comments were requested, to say when there are none
+ * @returns {string} Markdown
  */
-const handler = async (ctx, { issueId, includeComments, debug }) => {
-  const logger = ctx.effects.logger;
-
-  try {
-    // Log details about config and parameters
-    logger.debug('Get issue called with parameters:', {
-      issueId,
-      includeComments,
-      debug,
-    });
+function formatIssueDetails(issue, { includeComments = true } = {}) {
+  let responseText = '';
+
+  // Format priority to be readable
+  const priorityMap = {
+    0: 'No priority',
+    1: 'Urgent',
+    2: 'High',
+    3: 'Medium',
+    4: 'Low',
+  };
+
+  const priority = issue.priority ?? 0;
+
+  // Format timestamps to be more readable
+  const formatDate = timestamp => {
+    if (!timestamp) return 'Unknown';
+    const date = new Date(timestamp);
+    return date.toLocaleString();
+  };
+
+  // Format the issue details
+  responseText += `# ${issue.title || 'Untitled'}\n\n`;
+  responseText += `**ID:** ${issue.id}\n`;
+  if (issue.identifier) {
+    responseText += `**Identifier:** ${issue.identifier}\n`;
+  }
+  if (issue.url) {
+    responseText += `**URL:** ${issue.url}\n`;
+  }
+  responseText += `**Status:** ${issue.status || 'Unknown'}\n`;
+  responseText += `**Priority:** ${priorityMap[priority] || 'Unknown'}\n`;
 
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
+  if (issue.project) {
+    responseText += `**Project:** ${issue.project.name}\n`;
+  }
 
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
+  if (issue.assignee) {
+    responseText += `**Assignee:** ${issue.assignee.name}\n`;
+  }
 
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
+  if (issue.labels && issue.labels.length > 0) {
+    responseText += `**Labels:** ${issue.labels
+      .map(label => label.name)
+      .join(', ')}\n`;
+  }
 
-    // Get issue using the Linear SDK client
-    logger.debug('Executing Linear API get with issue ID:', issueId);
-    const issue = await getIssue(
-      linearClient,
-      issueId,
-      {
-        includeComments,
-      },
-      logger
-    );
+  if (issue.parent) {
+    responseText += `**Parent:** ${formatIssueSummary(issue.parent)}\n`;
+  }
 
-    // Log that we found the issue
-    logger.info(`Found issue with ID: ${issue.id}`);
-
-    // Format the output
-    let responseText = '';
-
-    // Format priority to be readable
-    const priorityMap = {
-      0: 'No priority',
-      1: 'Urgent',
-      2: 'High',
-      3: 'Medium',
-      4: 'Low',
-    };
-
-    const priority = issue.priority ?? 0;
-
-    // Format timestamps to be more readable
-    const formatDate = timestamp => {
-      if (!timestamp) return 'Unknown';
-      const date = new Date(timestamp);
-      return date.toLocaleString();
-    };
-
-    // Format the issue details
-    responseText += `# ${issue.title || 'Untitled'}\n\n`;
-    responseText += `**ID:** ${issue.id}\n`;
-    if (issue.identifier) {
-      responseText += `**Identifier:** ${issue.identifier}\n`;
-    }
-    if (issue.url) {
-      responseText += `**URL:** ${issue.url}\n`;
-    }
-    responseText += `**Status:** ${issue.status || 'Unknown'}\n`;
-    responseText += `**Priority:** ${priorityMap[priority] || 'Unknown'}\n`;
+  responseText += `**Created:** ${formatDate(issue.createdAt)}\n`;
+  responseText += `**Updated:** ${formatDate(issue.updatedAt)}\n\n`;
 
-    if (issue.project) {
-      responseText += `**Project:** ${issue.project.name}\n`;
-    }
+  // Add description if available
+  if (issue.description) {
+    responseText += `## Description\n\n${issue.description}\n\n`;
+  }
 
-    if (issue.assignee) {
-      responseText += `**Assignee:** ${issue.assignee.name}\n`;
-    }
+  // Add the hierarchy tree if requested
+  if (issue.hierarchy) {
+    const hierarchyText = formatIssueHierarchy(
+      // @ts-ignore - Zod infers every field as optional without strict mode
+      issue.hierarchy
+    );
+    responseText += `## Hierarchy\n\n${hierarchyText}\n`;
+  }
 
-    responseText += `**Created:** ${formatDate(issue.createdAt)}\n`;
-    responseText += `**Updated:** ${formatDate(issue.updatedAt)}\n\n`;
+  // Add relations grouped by how they read from this issue
+  if (issue.relations && issue.relations.length > 0) {
+    responseText += `## Relations (${issue.relations.length})\n\n`;
 
-    // Add description if available
-    if (issue.description) {
-      responseText += `## Description\n\n${issue.description}\n\n`;
+    for (const relation of issue.relations) {
+      responseText += `- ${relation.label}: ${formatIssueSummary(
+        // @ts-ignore - Zod infers every field as optional without strict mode
+        relation.issue
+      )}\n`;
     }
 
-    // Add comments if available
-    if (issue.comments && issue.comments.length > 0) {
-      responseText += `## Comments (${issue.comments.length})\n\n`;
+    responseText += '\n';
+  }
 
-      issue.comments.forEach((comment, index) => {
-        const userName = comment.user ? comment.user.name : 'Unknown User';
-        const commentDate = formatDate(comment.createdAt);
+  // Add comments if available
+  if (issue.comments && issue.comments.length > 0) {
+    responseText += `## Comments (${issue.comments.length})\n\n`;
 
-        responseText += `### ${index + 1}. ${userName} (${commentDate})\n\n`;
-        responseText += `${comment.body}\n\n`;
+    issue.comments.forEach((comment, index) => {
+      const userName = comment.user ? comment.user.name : 'Unknown User';
+      const commentDate = formatDate(comment.createdAt);
 
-        // Add edit info if comment was updated
-        if (comment.updatedAt && comment.createdAt !== comment.updatedAt) {
-          responseText += `*Edited: ${formatDate(comment.updatedAt)}*\n\n`;
-        }
-      });
-    } else if (includeComments) {
-      responseText += `## Comments\n\nNo comments found for this issue.\n\n`;
-    }
+      responseText += `### ${index + 1}. ${userName} (${commentDate})\n\n`;
+      responseText += `${comment.body}\n\n`;
 
-    logger.debug('Returning formatted issue results');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error getting issue: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error getting issue: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add parameters that were used
-      errorMessage += `\nParameters:
-- issueId: ${issueId}
-- includeComments: ${includeComments}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
+      // Add edit info if comment was updated
+      if (comment.updatedAt && comment.createdAt !== comment.updatedAt) {
+        responseText += `*Edited: ${formatDate(comment.updatedAt)}*\n\n`;
       }
+    });
+  } else if (includeComments) {
+    responseText += `## Comments\n\nNo comments found for this issue.\n\n`;
+  }
 
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
-
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
-      }
-
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
-
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+  return responseText;
+}
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+/**
+ * Handler for GetIssue tool
+ * @type {import('./types/mod.js').ToolHandler<GetIssueContext, typeof GetIssueInputSchema>}
+ */
+const handler = async (
+  ctx,
+  {
+    issueId,
+    includeComments,
+    includeHierarchy,
+    hierarchyDepth,
+    includeRelations,
+    debug,
   }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Get issue called with parameters:', {
+    issueId,
+    includeComments,
+    includeHierarchy,
+    hierarchyDepth,
+    includeRelations,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // Get issue using the Linear SDK client
+  logger.debug('Executing Linear API get with issue ID:', issueId);
+  const issue = await getIssue(
+    linearClient,
+    issueId,
+    {
+      includeComments,
+      includeHierarchy,
+      hierarchyDepth,
+      includeRelations,
+    },
+    logger
+  );
+
+  // Log that we found the issue
+  logger.info(`Found issue with ID: ${issue.id}`);
+
+  // Format the output
+  const responseText = formatIssueDetails(issue, { includeComments });
+
+  logger.debug('Returning formatted issue results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: issue,
+  };
 };
 
 /**
@@ -377,11 +491,13 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const GetIssue = create_tool({
   name: 'get_issue',
+  title: 'Get Issue',
   description:
-    'Get detailed information about a specific Linear issue (also called a ticket), including comments if requested.',
+    'Get detailed information about a specific Linear issue (also called a ticket), including its parent, comments and the issues it blocks, is blocked by, relates to or duplicates, and optionally the full tree of parent and sub-issues.',
   inputSchema: GetIssueInputSchema,
+  outputSchema: IssueDetailsSchema,
   handler,
 });
 
 // Export for testing
-export { getIssue };
+export { formatIssueDetails, getIssue };
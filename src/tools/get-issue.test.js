@@ -115,6 +115,104 @@ describe('getIssue', () => {
     );
   });
 
+  it('should include the labels of the issue', async () => {
+    const client = createMockLinearClient(
+      /** @type {any} */ {
+        issueData: {
+          id: 'TEST-123',
+          title: 'Test Issue',
+          labels: () =>
+            Promise.resolve({
+              nodes: [{ id: 'label-1', name: 'Bug', color: '#eb5757' }],
+            }),
+        },
+      }
+    );
+    const logger = createMockLogger();
+
+    const result = await getIssue(client, 'TEST-123', {}, logger);
+
+    assert.deepStrictEqual(result.labels, [
+      { id: 'label-1', name: 'Bug', color: '#eb5757' },
+    ]);
+  });
+
+  it('should include the parent and the hierarchy tree when requested', async () => {
+    const epic = {
+      id: 'EPIC-1',
+      identifier: 'ENG-1',
+      title: 'Epic',
+      state: Promise.resolve({ name: 'In Progress' }),
+    };
+    const client = createMockLinearClient(
+      /** @type {any} */ {
+        issueData: {
+          id: 'TEST-123',
+          identifier: 'ENG-2',
+          title: 'Story',
+          parent: Promise.resolve(epic),
+          children: () =>
+            Promise.resolve({
+              nodes: [{ id: 'TASK-1', identifier: 'ENG-3', title: 'Task' }],
+            }),
+        },
+      }
+    );
+    const logger = createMockLogger();
+
+    const result = await getIssue(
+      client,
+      'TEST-123',
+      { includeComments: false, includeHierarchy: true, hierarchyDepth: 1 },
+      logger
+    );
+
+    assert.strictEqual(result.parent?.identifier, 'ENG-1');
+    assert.deepStrictEqual(
+      result.hierarchy?.ancestors.map(issue => issue.identifier),
+      ['ENG-1']
+    );
+    assert.deepStrictEqual(
+      result.hierarchy?.tree.children.map(issue => issue.identifier),
+      ['ENG-3']
+    );
+  });
+
+  it('should include inbound and outbound relations', async () => {
+    const blocker = {
+      id: 'BLOCKER-1',
+      identifier: 'ENG-5',
+      title: 'Blocker',
+      state: Promise.resolve({ name: 'Todo' }),
+    };
+    const client = createMockLinearClient(
+      /** @type {any} */ {
+        issueData: {
+          id: 'TEST-123',
+          title: 'Test Issue',
+          relations: () => Promise.resolve({ nodes: [] }),
+          inverseRelations: () =>
+            Promise.resolve({
+              nodes: [
+                {
+                  id: 'rel-1',
+                  type: 'blocks',
+                  issue: Promise.resolve(blocker),
+                },
+              ],
+            }),
+        },
+      }
+    );
+    const logger = createMockLogger();
+
+    const result = await getIssue(client, 'TEST-123', {}, logger);
+
+    assert.strictEqual(result.relations?.length, 1);
+    assert.strictEqual(result.relations?.[0].label, 'Blocked by');
+    assert.strictEqual(result.relations?.[0].issue.status, 'Todo');
+  });
+
   it('should throw an error when ticket is not found', async () => {
     // Create mock Linear client with custom error behavior
     const client = createMockLinearClient(
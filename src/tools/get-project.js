@@ -2,8 +2,18 @@
  * Linear project detail retrieval tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
+import {
+  create_tool,
+  createToolClient,
+  ErrorCode,
+  resolveProject,
+  ToolError,
+} from './utils/mod.js';
 import { ProjectSchema } from '../effects/linear/types/types.js';
+import {
+  PROJECT_DETAILS_QUERY,
+  requestGraphQL,
+} from '../effects/linear/graphql/mod.js';
 
 /**
  * GetProjectContext type definition
@@ -20,7 +30,9 @@ import { ProjectSchema } from '../effects/linear/types/types.js';
  * Input schema for GetProject tool
  */
 const GetProjectInputSchema = z.object({
-  projectId: z.string().describe('The ID of the Linear project to retrieve'),
+  projectId: z
+    .string()
+    .describe('The ID or name of the Linear project to retrieve'),
   includeIssues: z
     .boolean()
     .default(true)
@@ -116,7 +128,7 @@ const ExtendedProjectSchema = ProjectSchema.extend({
  * Gets detailed information about a project from Linear
  *
  * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
- * @param {string} projectId - ID of the project to retrieve
+ * @param {string} projectId - ID or name of the project to retrieve
  * @param {Object} options - Query options
  * @param {boolean} [options.includeIssues=true] - Whether to include issues in the response
  * @param {boolean} [options.includeMembers=true] - Whether to include members in the response
@@ -137,77 +149,38 @@ async function getProject(
   logger
 ) {
   try {
-    logger?.debug(`Fetching Linear project with ID: ${projectId}`);
-
-    // Get the project
-    // @ts-ignore - The Linear SDK types may not be fully accurate
-    const project = await client.project(projectId);
+    logger?.debug(`Fetching Linear project : ${projectId}`);
+
+    // Get the project, then its team, lead, members, issues and comments
+    // in one query
+    const { id } = await resolveProject(client, projectId, logger);
+    const { project } = await requestGraphQL(
+      client,
+      PROJECT_DETAILS_QUERY,
+      { id, limit, includeMembers, includeIssues, includeComments },
+      logger
+    );
 
     if (!project) {
-      throw new Error(`Project with ID ${projectId} not found`);
+      throw new ToolError(
+        ErrorCode.NOT_FOUND,
+        `Project "${projectId}" not found`,
+        {
+          nextStep:
+            'Call list_projects to find the ID or exact name of the project.',
+        }
+      );
     }
 
     logger?.debug(`Successfully retrieved project: ${project.name}`);
 
-    // Get team information if available
-    let teamData = undefined;
-    try {
-      // @ts-ignore - SDK structure may differ from types
-      if (project.team) {
-        // If it's a promise, await it
-        // @ts-ignore - SDK structure may differ from types
-        const team =
-          // @ts-ignore - SDK structure may differ from types
-          typeof project.team.then === 'function'
-            ? // @ts-ignore - SDK structure may differ from types
-              await project.team
-            : // @ts-ignore - SDK structure may differ from types
-              project.team;
-
-        if (team) {
-          teamData = {
-            id: team.id,
-            name: team.name,
-            key: team.key,
-          };
-          logger?.debug(`Found team for project: ${team.name}`);
-        }
-      }
-    } catch (teamError) {
-      logger?.warn(`Error fetching team data: ${teamError.message}`);
-    }
-
-    // Get lead information if available
-    let leadData = undefined;
-    try {
-      if (project.lead) {
-        // If it's a promise, await it
-        const lead =
-          typeof project.lead.then === 'function'
-            ? await project.lead
-            : project.lead;
-
-        if (lead) {
-          // @ts-ignore - LinearFetch<User> may not provide these properties on the type
-          leadData = {
-            // @ts-ignore - LinearFetch<User> may not provide id property
-            id: lead.id,
-            // @ts-ignore - LinearFetch<User> may not provide name property
-            name: lead.name,
-          };
-          // @ts-ignore - LinearFetch<User> may not provide name property
-          logger?.debug(`Found lead for project: ${lead.name}`);
-        }
-      }
-    } catch (leadError) {
-      logger?.warn(`Error fetching lead data: ${leadError.message}`);
-    }
+    const team = project.teams?.nodes[0];
 
     // Prepare the result object with basic project info
     const result = {
       id: project.id,
       name: project.name,
-      description: project.description,
+      description: project.description || undefined,
       // Add timestamps
       createdAt: formatDate(project.createdAt),
       updatedAt: formatDate(project.updatedAt),
@@ -219,167 +192,49 @@ async function getProject(
       // Convert date properties to boolean status
       completed: !!project.completedAt,
       canceled: !!project.canceledAt,
-      archived: !!project.archive,
+      archived: !!project.archivedAt,
       // Add team information
-      teamId: teamData?.id,
-      teamName: teamData?.name,
-      teamKey: teamData?.key,
+      teamId: team?.id,
+      teamName: team?.name,
+      teamKey: team?.key,
       // Add lead information
-      leadId: leadData?.id,
-      leadName: leadData?.name,
-      // Metrics - these might be calculated or fetched separately
-      // @ts-ignore - SDK may provide these properties
-      issueCount: project.issueCount || 0,
-      // @ts-ignore - SDK may provide these properties
-      completedIssueCount: project.completedIssueCount || 0,
-      // @ts-ignore - SDK may provide this property
-      slackChannel: project.slackChannel,
+      leadId: project.lead?.id,
+      leadName: project.lead?.name,
+      // The last entries of the weekly histories are the current counts
+      issueCount: project.issueCountHistory?.at(-1) || 0,
+      completedIssueCount: project.completedIssueCountHistory?.at(-1) || 0,
       slugId: project.slugId,
       url: project.url,
     };
 
-    // Fetch members if requested
-    if (includeMembers) {
-      logger?.debug('Fetching project members');
-      try {
-        // @ts-ignore - The Linear SDK types may not be fully accurate
-        const projectMembers = await project.members();
-        if (projectMembers && projectMembers.nodes) {
-          const memberNodes = projectMembers.nodes.slice(0, limit);
-          result.members = await Promise.all(
-            memberNodes.map(async member => {
-              // Get full member data
-              return {
-                id: member.id,
-                name: member.name,
-                email: member.email,
-                // @ts-ignore - SDK structure may differ from types
-                role: member.role || 'Member',
-              };
-            })
-          );
-          logger?.debug(`Retrieved ${result.members.length} project members`);
-        }
-      } catch (membersError) {
-        logger?.warn(`Error fetching project members: ${membersError.message}`);
-      }
+    if (project.members) {
+      result.members = project.members.nodes.map(member => ({
+        id: member.id,
+        name: member.name,
+        email: member.email,
+        role: 'Member',
+      }));
+      logger?.debug(`Retrieved ${result.members.length} project members`);
     }
 
-    // Fetch issues if requested
-    if (includeIssues) {
-      logger?.debug('Fetching project issues');
-      try {
-        // Build query params for issues
-        const issueParams = {
-          first: limit,
-          filter: {
-            project: { id: { eq: projectId } },
-          },
-        };
-
-        // @ts-ignore - The Linear SDK types may not be fully accurate
-        const projectIssues = await client.issues(issueParams);
-
-        if (projectIssues && projectIssues.nodes) {
-          result.issues = await Promise.all(
-            projectIssues.nodes.map(async issue => {
-              // Get assignee information
-              let assigneeName = undefined;
-              try {
-                if (issue.assignee) {
-                  // @ts-ignore - LinearFetch<User> types need special handling
-                  const assignee = await issue.assignee;
-                  if (assignee) {
-                    // @ts-ignore - LinearFetch<User> may not provide expected properties
-                    assigneeName = assignee.name;
-                  }
-                }
-              } catch (assigneeError) {
-                logger?.warn(
-                  `Error fetching assignee data: ${assigneeError.message}`
-                );
-              }
-
-              // Get state information
-              let stateName = undefined;
-              try {
-                if (issue.state) {
-                  // @ts-ignore - LinearFetch<WorkflowState> types need special handling
-                  const state = await issue.state;
-                  if (state) {
-                    // @ts-ignore - LinearFetch<WorkflowState> may not provide expected properties
-                    stateName = state.name;
-                  }
-                }
-              } catch (stateError) {
-                logger?.warn(
-                  `Error fetching state data: ${stateError.message}`
-                );
-              }
-
-              const issueResult = {
-                id: issue.id,
-                title: issue.title,
-                description: issue.description,
-                state: stateName,
-                priority: issue.priority,
-                assigneeName: assigneeName,
-                createdAt: formatDate(issue.createdAt),
-                updatedAt: formatDate(issue.updatedAt),
-              };
-
-              // Fetch comments if requested
-              if (includeComments) {
-                logger?.debug(`Fetching comments for issue: ${issue.id}`);
-                try {
-                  // @ts-ignore - The Linear SDK types may not be fully accurate
-                  const issueComments = await issue.comments();
-                  if (issueComments && issueComments.nodes) {
-                    issueResult.comments = await Promise.all(
-                      issueComments.nodes.slice(0, limit).map(async comment => {
-                        let userName = undefined;
-                        try {
-                          if (comment.user) {
-                            // @ts-ignore - LinearFetch<User> types need special handling
-                            const user = await comment.user;
-                            if (user) {
-                              // @ts-ignore - LinearFetch<User> may not provide expected properties
-                              userName = user.name;
-                            }
-                          }
-                        } catch (userError) {
-                          logger?.warn(
-                            `Error fetching comment user data: ${userError.message}`
-                          );
-                        }
-
-                        return {
-                          id: comment.id,
-                          body: comment.body,
-                          userName: userName,
-                          createdAt: formatDate(comment.createdAt),
-                        };
-                      })
-                    );
-                    logger?.debug(
-                      `Retrieved ${issueResult.comments.length} comments for issue ${issue.id}`
-                    );
-                  }
-                } catch (commentsError) {
-                  logger?.warn(
-                    `Error fetching issue comments: ${commentsError.message}`
-                  );
-                }
-              }
-
-              return issueResult;
-            })
-          );
-          logger?.debug(`Retrieved ${result.issues.length} project issues`);
-        }
-      } catch (issuesError) {
-        logger?.warn(`Error fetching project issues: ${issuesError.message}`);
-      }
+    if (project.issues) {
+      result.issues = project.issues.nodes.map(issue => ({
+        id: issue.id,
+        title: issue.title,
+        description: issue.description || undefined,
+        state: issue.state?.name,
+        priority: issue.priority,
+        assigneeName: issue.assignee?.name,
+        createdAt: formatDate(issue.createdAt),
+        updatedAt: formatDate(issue.updatedAt),
+        comments: issue.comments?.nodes.map(comment => ({
+          id: comment.id,
+          body: comment.body,
+          userName: comment.user?.name,
+          createdAt: formatDate(comment.createdAt),
+        })),
+      }));
+      logger?.debug(`Retrieved ${result.issues.length} project issues`);
     }
 
     // Parse the result with our schema
@@ -419,268 +274,196 @@ function formatDate(timestamp) {
 }
 
 /**
- * Handler for GetProject tool
- * @type {import('./types/mod.js').ToolHandler<GetProjectContext, typeof GetProjectInputSchema>}
+ * Formats project details as markdown
+ *
+ * @param {import('zod').infer<typeof ExtendedProjectSchema>} project - Project details
+ * @returns {string} Markdown
  */
-const handler = async (
-  ctx,
-  { projectId, includeIssues, includeMembers, includeComments, limit, debug }
-) => {
-  const logger = ctx.effects.logger;
-
-  try {
-    // Log details about parameters
-    logger.debug('Get project called with parameters:', {
-      projectId,
-      includeIssues,
-      includeMembers,
-      includeComments,
-      limit,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
-
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
+function formatProjectDetails(project) {
+  const formatDisplayDate = timestamp => {
+    if (!timestamp) return 'Not set';
+    try {
+      const date = new Date(timestamp);
+      return date.toLocaleString();
+    } catch (e) {
+      return 'Invalid date';
     }
+  };
 
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
-
-    // Get the project using the Linear SDK client
-    logger.debug('Executing Linear API to get project details');
-    const project = await getProject(
-      linearClient,
-      projectId,
-      {
-        includeIssues,
-        includeMembers,
-        includeComments,
-        limit,
-      },
-      logger
-    );
-
-    logger.info(
-      `Successfully retrieved project: ${project.name} (${project.id})`
-    );
-
-    // Format the output
-    const formatDisplayDate = timestamp => {
-      if (!timestamp) return 'Not set';
-      try {
-        const date = new Date(timestamp);
-        return date.toLocaleString();
-      } catch (e) {
-        return 'Invalid date';
-      }
-    };
-
-    // Determine project status
-    let status = 'Active';
-    if (project.archived) status = 'Archived';
-    else if (project.canceled) status = 'Canceled';
-    else if (project.completed) status = 'Completed';
-    else if (project.state) status = project.state;
+  // Determine project status
+  let status = 'Active';
+  if (project.archived) status = 'Archived';
+  else if (project.canceled) status = 'Canceled';
+  else if (project.completed) status = 'Completed';
+  else if (project.state) status = project.state;
 
-    // Format completion percentage
-    const progressPercent = Math.round(project.progress * 100);
+  // Format completion percentage
+  const progressPercent = Math.round(project.progress * 100);
 
-    // Build the response
-    let responseText = `# Project: ${project.name}\n\n`;
-    responseText += `**ID:** ${project.id}\n`;
-
-    if (project.description) {
-      responseText += `\n**Description:**\n${project.description}\n`;
-    }
+  // Build the response
+  let responseText = `# Project: ${project.name}\n\n`;
+  responseText += `**ID:** ${project.id}\n`;
 
-    responseText += `\n**Status:** ${status} (${progressPercent}% complete)\n`;
-
-    if (project.teamName) {
-      responseText += `**Team:** ${project.teamName}`;
-      if (project.teamKey) {
-        responseText += ` (${project.teamKey})`;
-      }
-      responseText += '\n';
-    }
-
-    if (project.leadName) {
-      responseText += `**Lead:** ${project.leadName}\n`;
-    }
-
-    responseText += `**Issues:** ${project.completedIssueCount}/${project.issueCount} completed\n`;
+  if (project.description) {
+    responseText += `\n**Description:**\n${project.description}\n`;
+  }
 
-    // Add dates
-    responseText += `\n**Timeline:**\n`;
-    if (project.startDate) {
-      responseText += `- Start date: ${formatDisplayDate(project.startDate)}\n`;
-    }
+  responseText += `\n**Status:** ${status} (${progressPercent}% complete)\n`;
 
-    if (project.targetDate) {
-      responseText += `- Target date: ${formatDisplayDate(
-        project.targetDate
-      )}\n`;
+  if (project.teamName) {
+    responseText += `**Team:** ${project.teamName}`;
+    if (project.teamKey) {
+      responseText += ` (${project.teamKey})`;
     }
+    responseText += '\n';
+  }
 
-    responseText += `- Created: ${formatDisplayDate(project.createdAt)}\n`;
+  if (project.leadName) {
+    responseText += `**Lead:** ${project.leadName}\n`;
+  }
 
-    if (project.updatedAt) {
-      responseText += `- Last updated: ${formatDisplayDate(
-        project.updatedAt
-      )}\n`;
-    }
+  responseText += `**Issues:** ${project.completedIssueCount}/${project.issueCount} completed\n`;
 
-    // Add URL if available
-    if (project.url) {
-      responseText += `\n**URL:** ${project.url}\n`;
-    }
+  // Add dates
+  responseText += `\n**Timeline:**\n`;
+  if (project.startDate) {
+    responseText += `- Start date: ${formatDisplayDate(project.startDate)}\n`;
+  }
 
-    // Add members if included
-    if (project.members && project.members.length > 0) {
-      responseText += `\n## Project Members (${project.members.length})\n\n`;
-      project.members.forEach((member, idx) => {
-        responseText += `${idx + 1}. **${member.name}**`;
-        if (member.role) {
-          responseText += ` - ${member.role}`;
-        }
-        if (member.email) {
-          responseText += ` <${member.email}>`;
-        }
-        responseText += '\n';
-      });
-    }
+  if (project.targetDate) {
+    responseText += `- Target date: ${formatDisplayDate(project.targetDate)}\n`;
+  }
 
-    // Add issues if included
-    if (project.issues && project.issues.length > 0) {
-      responseText += `\n## Project Issues (${project.issues.length}/${project.issueCount})\n\n`;
-      project.issues.forEach((issue, idx) => {
-        responseText += `${idx + 1}. **${issue.title}** (${issue.id})\n`;
-        if (issue.state) {
-          responseText += `   - Status: ${issue.state}\n`;
-        }
+  responseText += `- Created: ${formatDisplayDate(project.createdAt)}\n`;
 
-        if (issue.assigneeName) {
-          responseText += `   - Assigned to: ${issue.assigneeName}\n`;
-        }
+  if (project.updatedAt) {
+    responseText += `- Last updated: ${formatDisplayDate(project.updatedAt)}\n`;
+  }
 
-        if (issue.priority !== undefined) {
-          const priorityLabels = [
-            'No priority',
-            'Urgent',
-            'High',
-            'Medium',
-            'Low',
-          ];
-          responseText += `   - Priority: ${priorityLabels[issue.priority]}\n`;
-        }
+  // Add URL if available
+  if (project.url) {
+    responseText += `\n**URL:** ${project.url}\n`;
+  }
 
-        if (issue.updatedAt) {
-          responseText += `   - Last updated: ${formatDisplayDate(
-            issue.updatedAt
-          )}\n`;
-        }
+  // Add members if included
+  if (project.members && project.members.length > 0) {
+    responseText += `\n## Project Members (${project.members.length})\n\n`;
+    project.members.forEach((member, idx) => {
+      responseText += `${idx + 1}. **${member.name}**`;
+      if (member.role) {
+        responseText += ` - ${member.role}`;
+      }
+      if (member.email) {
+        responseText += ` <${member.email}>`;
+      }
+      responseText += '\n';
+    });
+  }
 
-        if (issue.comments && issue.comments.length > 0) {
-          responseText += `   - Comments (${issue.comments.length}):\n`;
-          issue.comments.forEach((comment, commentIdx) => {
-            responseText += `     ${commentIdx + 1}. `;
-            if (comment.userName) {
-              responseText += `**${comment.userName}**: `;
-            }
-
-            // Truncate long comments
-            const commentText =
-              comment.body.length > 100
-                ? comment.body.substring(0, 97) + '...'
-                : comment.body;
-
-            responseText += `${commentText}\n`;
-          });
-        }
+  // Add issues if included
+  if (project.issues && project.issues.length > 0) {
+    responseText += `\n## Project Issues (${project.issues.length}/${project.issueCount})\n\n`;
+    project.issues.forEach((issue, idx) => {
+      responseText += `${idx + 1}. **${issue.title}** (${issue.id})\n`;
+      if (issue.state) {
+        responseText += `   - Status: ${issue.state}\n`;
+      }
 
-        responseText += '\n';
-      });
-    }
+      if (issue.assigneeName) {
+        responseText += `   - Assigned to: ${issue.assigneeName}\n`;
+      }
 
-    logger.debug('Returning formatted project details');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error retrieving project: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error retrieving project: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add parameters that were used
-      errorMessage += `\nParameters:
-- projectId: ${projectId}
-- includeIssues: ${includeIssues}
-- includeMembers: ${includeMembers}
-- includeComments: ${includeComments}
-- limit: ${limit}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
+      if (issue.priority !== undefined) {
+        const priorityLabels = [
+          'No priority',
+          'Urgent',
+          'High',
+          'Medium',
+          'Low',
+        ];
+        responseText += `   - Priority: ${priorityLabels[issue.priority]}\n`;
       }
 
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
+      if (issue.updatedAt) {
+        responseText += `   - Last updated: ${formatDisplayDate(
+          issue.updatedAt
+        )}\n`;
       }
 
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
+      if (issue.comments && issue.comments.length > 0) {
+        responseText += `   - Comments (${issue.comments.length}):\n`;
+        issue.comments.forEach((comment, commentIdx) => {
+          responseText += `     ${commentIdx + 1}. `;
+          if (comment.userName) {
+            responseText += `**${comment.userName}**: `;
+          }
+
+          // Truncate long comments
+          const commentText =
+            comment.body.length > 100
+              ? comment.body.substring(0, 97) + '...'
+              : comment.body;
+
+          responseText += `${commentText}\n`;
+        });
       }
 
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
+      responseText += '\n';
+    });
+  }
 
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+  return responseText;
+}
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
-  }
+/**
+ * Handler for GetProject tool
+ * @type {import('./types/mod.js').ToolHandler<GetProjectContext, typeof GetProjectInputSchema>}
+ */
+const handler = async (
+  ctx,
+  { projectId, includeIssues, includeMembers, includeComments, limit, debug }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about parameters
+  logger.debug('Get project called with parameters:', {
+    projectId,
+    includeIssues,
+    includeMembers,
+    includeComments,
+    limit,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // Get the project using the Linear SDK client
+  logger.debug('Executing Linear API to get project details');
+  const project = await getProject(
+    linearClient,
+    projectId,
+    {
+      includeIssues,
+      includeMembers,
+      includeComments,
+      limit,
+    },
+    logger
+  );
+
+  logger.info(
+    `Successfully retrieved project: ${project.name} (${project.id})`
+  );
+
+  // Format the output
+  const responseText = formatProjectDetails(project);
+
+  logger.debug('Returning formatted project details');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: project,
+  };
 };
 
 /**
@@ -688,11 +471,13 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const GetProject = create_tool({
   name: 'get_project',
+  title: 'Get Project',
   description:
     'Get detailed information about a Linear project including team, lead, issues, and members. Use this to see comprehensive details of a specific project.',
   inputSchema: GetProjectInputSchema,
+  outputSchema: ExtendedProjectSchema,
   handler,
 });
 
 // Export for testing
-export { getProject };
+export { formatProjectDetails, getProject };
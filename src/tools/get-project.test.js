@@ -5,7 +5,10 @@ import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
 
 import { getProject, GetProject } from './get-project.js';
-import { createMockLinearClient } from '../effects/linear/client.mock.js';
+import {
+  createMockGraphQLClient,
+  createMockLinearClient,
+} from '../effects/linear/client.mock.js';
 
 describe('getProject', () => {
   /**
@@ -36,77 +39,66 @@ describe('getProject', () => {
   }
 
   it('should fetch a project by ID', async () => {
-    // Mock data for testing
+    // Mock data for testing, as the ProjectDetails query returns it
+    const issueNode = (id, title) => ({
+      id,
+      title,
+      description: `Description for ${title}`,
+      priority: 2,
+      state: { name: 'In Progress' },
+      assignee: { id: 'user-456', name: 'Test Assignee' },
+      createdAt: '2023-01-03T00:00:00.000Z',
+      updatedAt: '2023-01-04T00:00:00.000Z',
+      comments: {
+        nodes: [
+          {
+            id: `${id}-comment`,
+            body: 'Looks good',
+            user: { id: 'user-123', name: 'Test Lead' },
+            createdAt: '2023-01-05T00:00:00.000Z',
+          },
+        ],
+      },
+    });
     const mockProject = {
       id: 'project-123',
       name: 'Test Project',
       description: 'A test project',
       state: 'Active',
       progress: 0.5,
-      completed: false,
-      canceled: false,
-      archived: false,
-      createdAt: new Date('2023-01-01'),
-      updatedAt: new Date('2023-01-02'),
-      team: Promise.resolve({
-        id: 'team-123',
-        name: 'Engineering',
-        key: 'ENG',
-      }),
-      lead: Promise.resolve({
-        id: 'user-123',
-        name: 'Test Lead',
-      }),
-      issueCount: 10,
-      completedIssueCount: 5,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-02T00:00:00.000Z',
+      teams: {
+        nodes: [{ id: 'team-123', name: 'Engineering', key: 'ENG' }],
+      },
+      lead: { id: 'user-123', name: 'Test Lead' },
+      issueCountHistory: [4, 10],
+      completedIssueCountHistory: [1, 5],
       url: 'https://linear.app/project/123',
-      issues: () =>
-        Promise.resolve({
-          nodes: [
-            {
-              id: 'issue-1',
-              title: 'Test Issue 1',
-              description: 'Description for issue 1',
-              priority: 2,
-              state: Promise.resolve({ name: 'In Progress' }),
-              assignee: Promise.resolve({ name: 'Test Assignee' }),
-              createdAt: new Date('2023-01-03'),
-              updatedAt: new Date('2023-01-04'),
-              comments: () => Promise.resolve({ nodes: [] }),
-            },
-          ],
-        }),
-      members: () =>
-        Promise.resolve({
-          nodes: [
-            {
-              id: 'member-1',
-              name: 'Test Member',
-              email: 'test@example.com',
-              role: 'Member',
-            },
-          ],
-        }),
-    };
-
-    // Create mock Linear client
-    const mockClient = {
-      project: mock.fn(async () => mockProject),
-      issues: mock.fn(async () => ({
+      issues: {
+        nodes: [
+          issueNode('issue-1', 'Test Issue 1'),
+          issueNode('issue-2', 'Test Issue 2'),
+          issueNode('issue-3', 'Test Issue 3'),
+        ],
+      },
+      members: {
         nodes: [
           {
-            id: 'issue-1',
-            title: 'Test Issue 1',
-            description: 'Description for issue 1',
-            priority: 2,
-            state: Promise.resolve({ name: 'In Progress' }),
-            assignee: Promise.resolve({ name: 'Test Assignee' }),
-            createdAt: new Date('2023-01-03'),
-            updatedAt: new Date('2023-01-04'),
-            comments: () => Promise.resolve({ nodes: [] }),
+            id: 'member-1',
+            name: 'Test Member',
+            email: 'test@example.com',
           },
         ],
-      })),
+      },
+    };
+
+    // Create mock Linear client
+    const mockClient = {
+      project: mock.fn(async () => ({ id: 'project-123' })),
+      client: createMockGraphQLClient({
+        ProjectDetails: () => ({ project: mockProject }),
+      }),
     };
 
     const logger = createMockLogger();
@@ -168,7 +160,7 @@ describe('getProject', () => {
 
     assert.ok(result.issues, 'Should include issues');
     if (result.issues) {
-      assert.strictEqual(result.issues.length, 1, 'Should have one issue');
+      assert.strictEqual(result.issues.length, 3, 'Should have three issues');
       assert.strictEqual(
         result.issues[0].title,
         'Test Issue 1',
@@ -184,7 +176,23 @@ describe('getProject', () => {
         'Test Assignee',
         'Assignee name should be resolved'
       );
+      assert.strictEqual(result.issues[2].comments[0].userName, 'Test Lead');
     }
+    assert.strictEqual(result.issueCount, 10);
+    assert.strictEqual(result.completedIssueCount, 5);
+
+    // The issues' states, assignees and comments come with the one query
+    assert.deepStrictEqual(
+      mockClient.client.requests.map(request => request.operation),
+      ['ProjectDetails']
+    );
+    assert.deepStrictEqual(mockClient.client.requests[0].variables, {
+      id: 'project-123',
+      limit: 10,
+      includeMembers: true,
+      includeIssues: true,
+      includeComments: true,
+    });
   });
 
   it('should handle projects with no team or lead', async () => {
@@ -195,26 +203,19 @@ describe('getProject', () => {
       description: 'A test project',
       state: null,
       progress: 0,
-      completed: false,
-      canceled: false,
-      archived: false,
-      createdAt: new Date('2023-01-01'),
-      updatedAt: new Date('2023-01-02'),
-      team: null,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-02T00:00:00.000Z',
+      teams: { nodes: [] },
       lead: null,
-      issueCount: 0,
-      completedIssueCount: 0,
       url: 'https://linear.app/project/123',
-      issues: () => Promise.resolve({ nodes: [] }),
-      members: () => Promise.resolve({ nodes: [] }),
     };
 
     // Create mock Linear client
     const mockClient = {
-      project: mock.fn(async () => mockProject),
-      issues: mock.fn(async () => ({
-        nodes: [],
-      })),
+      project: mock.fn(async () => ({ id: 'project-123' })),
+      client: createMockGraphQLClient({
+        ProjectDetails: () => ({ project: mockProject }),
+      }),
     };
 
     const logger = createMockLogger();
@@ -262,6 +263,7 @@ describe('getProject', () => {
     // Create mock Linear client that returns null for project
     const mockClient = {
       project: mock.fn(async () => null),
+      projects: mock.fn(async () => ({ nodes: [] })),
     };
 
     const logger = createMockLogger();
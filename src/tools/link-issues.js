@@ -0,0 +1,327 @@
+/**
+ * Linear issue relation tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  describeRelation,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  fetchIssueRelations,
+  formatIssueSummary,
+  getRelationKind,
+  ISSUE_RELATION_TYPES,
+  resolveIssue,
+  summarizeIssue,
+  ToolError,
+  toRelationInput,
+} from './utils/mod.js';
+import { IssueSummarySchema } from '../effects/linear/types/types.js';
+
+/**
+ * LinkIssuesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} LinkIssuesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for LinkIssues tool
+ */
+const LinkIssuesInputSchema = z.object({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'The issue the relation starts from: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
+  relatedIssueId: z
+    .string()
+    .min(1, { message: 'Related issue ID is required' })
+    .describe(
+      'The other issue: an ID, identifier (e.g. ENG-124), Linear URL or branch name'
+    ),
+  type: z
+    .enum(/** @type {[string, ...string[]]} */ (ISSUE_RELATION_TYPES))
+    .describe(
+      'How the issue relates to the other issue: "blocks", "blocked_by", "related" or "duplicate" (the issue is a duplicate of the other issue)'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Issue link result schema
+ */
+const LinkIssuesResultSchema = z.object({
+  issue: IssueSummarySchema,
+  relatedIssue: IssueSummarySchema,
+  type: z.string(),
+  label: z.string(),
+  relationId: z.string(),
+  created: z.boolean(),
+});
+
+/**
+ * Resolves both issues and finds out whether they are already linked
+ *
+ * Relations that don't exist yet are previewed without an ID.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} relatedIssueId - The ID, identifier, URL or branch name of the other issue
+ * @param {string} type - One of blocks, blocked_by, related or duplicate
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ input: ReturnType<typeof toRelationInput>, preview: Partial<import('zod').infer<typeof LinkIssuesResultSchema>> }>} The relation creation input and a preview of the relation
+ */
+async function planLink(client, issueId, relatedIssueId, type, logger) {
+  if (!ISSUE_RELATION_TYPES.includes(type)) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Unknown relation type "${type}". Use one of: ${ISSUE_RELATION_TYPES.join(
+        ', '
+      )}`
+    );
+  }
+
+  const issue = await resolveIssue(client, issueId, logger);
+  const relatedIssue = await resolveIssue(client, relatedIssueId, logger);
+
+  if (issue.id === relatedIssue.id) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Issue ${issue.identifier || issue.id} can't be related to itself`
+    );
+  }
+
+  const input = toRelationInput(issue.id, relatedIssue.id, type);
+
+  // Don't create the same relation twice
+  const existing = (await fetchIssueRelations(issue, logger)).find(
+    relation =>
+      relation.issue.id === relatedIssue.id &&
+      getRelationKind(relation) === type
+  );
+
+  return {
+    input,
+    preview: LinkIssuesResultSchema.partial().parse({
+      issue: await summarizeIssue(issue, logger),
+      relatedIssue: await summarizeIssue(relatedIssue, logger),
+      type,
+      label: describeRelation(
+        input.type,
+        input.issueId === issue.id ? 'outbound' : 'inbound'
+      ),
+      relationId: existing?.id,
+      created: !existing,
+    }),
+  };
+}
+
+/**
+ * Creates a relation between two Linear issues
+ *
+ * Linking issues that are already linked the same way is a no-op, so the
+ * tool can safely be called again.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} relatedIssueId - The ID, identifier, URL or branch name of the other issue
+ * @param {string} type - One of blocks, blocked_by, related or duplicate
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof LinkIssuesResultSchema>>} The relation
+ */
+async function linkIssues(client, issueId, relatedIssueId, type, logger) {
+  try {
+    logger?.debug(`Linking Linear issue ${issueId} ${type} ${relatedIssueId}`);
+
+    const { input, preview } = await planLink(
+      client,
+      issueId,
+      relatedIssueId,
+      type,
+      logger
+    );
+
+    if (!preview.created) {
+      logger?.debug(`Relation ${preview.relationId} already exists`);
+      return LinkIssuesResultSchema.parse(preview);
+    }
+
+    // @ts-ignore - The relation type is validated against ISSUE_RELATION_TYPES above
+    const relationResult = await client.createIssueRelation(input);
+
+    if (!relationResult) {
+      throw new Error('Failed to create relation, received null response');
+    }
+
+    // Linear API returns a promise for the created relation
+    const relation = await relationResult.issueRelation;
+
+    if (!relation) {
+      throw new Error('Failed to retrieve relation data from response');
+    }
+
+    logger?.debug(`Successfully created relation: ${relation.id}`);
+
+    return LinkIssuesResultSchema.parse({
+      ...preview,
+      relationId: relation.id,
+    });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error linking Linear issues: ${error.message}`, {
+      issueId,
+      relatedIssueId,
+      type,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Describes a relation in a sentence, e.g. "ENG-1 blocks ENG-2"
+ *
+ * @param {Partial<import('zod').infer<typeof LinkIssuesResultSchema>>} result - The relation
+ * @returns {string} Relation sentence
+ */
+function describeLink(result) {
+  const issueLabel = result.issue.identifier || result.issue.id;
+  const relatedLabel = result.relatedIssue.identifier || result.relatedIssue.id;
+  return `${issueLabel} ${result.label.toLowerCase()} ${relatedLabel}`;
+}
+
+/**
+ * Formats a relation, or the preview of one, as markdown
+ *
+ * @param {Partial<import('zod').infer<typeof LinkIssuesResultSchema>>} result - The relation
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatLink(result, dryRun = false) {
+  const relationText = describeLink(result);
+
+  let responseText = '';
+
+  if (result.created && dryRun) {
+    responseText += `Issues would be linked: ${relationText}\n\n`;
+  } else if (result.created) {
+    responseText += `✅ Linked issues: ${relationText}\n\n`;
+  } else {
+    responseText += `Issues are already linked: ${relationText}. No changes made.\n\n`;
+  }
+
+  responseText += `**Issue:** ${formatIssueSummary(result.issue)}\n`;
+  responseText += `**${result.label}:** ${formatIssueSummary(
+    result.relatedIssue
+  )}\n`;
+
+  // Previews of new relations have no ID yet
+  if (result.relationId) {
+    responseText += `**Relation ID:** ${result.relationId}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for LinkIssues tool
+ * @type {import('./types/mod.js').ToolHandler<LinkIssuesContext, typeof LinkIssuesInputSchema>}
+ */
+const handler = async (
+  ctx,
+  { issueId, relatedIssueId, type, debug, dryRun }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Link issues called with parameters:', {
+    issueId,
+    relatedIssueId,
+    type,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the issues to link for a dry run');
+    const { input, preview } = await planLink(
+      linearClient,
+      issueId,
+      relatedIssueId,
+      type,
+      logger
+    );
+
+    logger.info(`Dry run of linking issues: ${describeLink(preview)}`);
+    return dryRunResponse(
+      preview,
+      preview.created ? [{ mutation: 'issueRelationCreate', input }] : [],
+      formatLink(preview, true)
+    );
+  }
+
+  // Create the relation using the Linear SDK client
+  logger.debug('Executing Linear API to link issues');
+  const result = await linkIssues(
+    linearClient,
+    issueId,
+    relatedIssueId,
+    type,
+    logger
+  );
+
+  if (result.created) {
+    logger.info(`Linked issues: ${describeLink(result)}`);
+  } else {
+    logger.info(`Issues already linked: ${describeLink(result)}`);
+  }
+
+  logger.debug('Returning formatted relation result');
+  return {
+    content: [{ type: 'text', text: formatLink(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * LinkIssues tool factory
+ */
+export const LinkIssues = create_tool({
+  name: 'link_issues',
+  title: 'Link Issues',
+  description:
+    'Link two Linear issues: mark an issue as blocking or blocked by another issue, as related to it, or as a duplicate of it. Linking issues that are already linked the same way does nothing.',
+  inputSchema: LinkIssuesInputSchema,
+  outputSchema: LinkIssuesResultSchema,
+  write: true,
+  annotations: { destructiveHint: false, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { linkIssues, planLink };
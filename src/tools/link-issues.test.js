@@ -0,0 +1,146 @@
+/**
+ * Tests for link-issues tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { linkIssues, LinkIssues, planLink } from './link-issues.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Creates a mock client with two issues, where ENG-1 already blocks ENG-2
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient() {
+  /** @type {Record<string, any>} */
+  const issues = {
+    'ENG-1': { id: 'issue-1', identifier: 'ENG-1', title: 'Blocker' },
+    'ENG-2': { id: 'issue-2', identifier: 'ENG-2', title: 'Feature' },
+  };
+  const blocks = {
+    id: 'rel-1',
+    type: 'blocks',
+    issue: Promise.resolve(issues['ENG-1']),
+    relatedIssue: Promise.resolve(issues['ENG-2']),
+  };
+  issues['ENG-1'].relations = async () => ({ nodes: [blocks] });
+  issues['ENG-1'].inverseRelations = async () => ({ nodes: [] });
+  issues['ENG-2'].relations = async () => ({ nodes: [] });
+  issues['ENG-2'].inverseRelations = async () => ({ nodes: [blocks] });
+
+  return {
+    issue: mock.fn(async id => {
+      if (issues[id]) return issues[id];
+      throw new Error('Entity not found');
+    }),
+    createIssueRelation: mock.fn(async () => ({
+      success: true,
+      issueRelation: Promise.resolve({ id: 'rel-new' }),
+    })),
+  };
+}
+
+describe('linkIssues', () => {
+  it('should create a relation between two issues', async () => {
+    const client = createMockClient();
+
+    const result = await linkIssues(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      'duplicate',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.createIssueRelation.mock.calls[0].arguments, [
+      { issueId: 'issue-2', relatedIssueId: 'issue-1', type: 'duplicate' },
+    ]);
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.relationId, 'rel-new');
+    assert.strictEqual(result.label, 'Duplicate of');
+  });
+
+  it('should store blocked_by as the other issue blocking this one', async () => {
+    const client = createMockClient();
+
+    const result = await linkIssues(
+      /** @type {any} */ (client),
+      'ENG-1',
+      'ENG-2',
+      'blocked_by',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.createIssueRelation.mock.calls[0].arguments, [
+      { issueId: 'issue-2', relatedIssueId: 'issue-1', type: 'blocks' },
+    ]);
+    assert.strictEqual(result.label, 'Blocked by');
+  });
+
+  it('should not create a relation that already exists', async () => {
+    const client = createMockClient();
+
+    const result = await linkIssues(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      'blocked_by',
+      mockLogger
+    );
+
+    assert.strictEqual(client.createIssueRelation.mock.callCount(), 0);
+    assert.strictEqual(result.created, false);
+    assert.strictEqual(result.relationId, 'rel-1');
+  });
+
+  it('should reject linking an issue to itself', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      () =>
+        linkIssues(
+          /** @type {any} */ (client),
+          'ENG-1',
+          'ENG-1',
+          'related',
+          mockLogger
+        ),
+      /can't be related to itself/
+    );
+  });
+});
+
+describe('planLink', () => {
+  it('should preview a new relation without creating it', async () => {
+    const client = createMockClient();
+
+    const { input, preview } = await planLink(
+      /** @type {any} */ (client),
+      'ENG-1',
+      'ENG-2',
+      'related',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(input, {
+      issueId: 'issue-1',
+      relatedIssueId: 'issue-2',
+      type: 'related',
+    });
+    assert.strictEqual(preview.created, true);
+    assert.strictEqual(preview.relationId, undefined);
+    assert.strictEqual(client.createIssueRelation.mock.callCount(), 0);
+  });
+});
+
+describe('LinkIssues tool', () => {
+  it('should be exported', () => {
+    assert.ok(LinkIssues, 'LinkIssues tool should be exported');
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Linear cycles listing tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  fetchTeamCycles,
+  resolveTeam,
+  toCycleData,
+} from './utils/mod.js';
+import { CycleSchema, TeamSchema } from '../effects/linear/types/types.js';
+
+/**
+ * ListCyclesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} ListCyclesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for ListCycles tool
+ */
+const ListCyclesInputSchema = z.object({
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'The team to list cycles for, by ID, key (e.g. ENG) or name. Lists every team that uses cycles when omitted'
+    ),
+  status: z
+    .enum(['past', 'current', 'upcoming'])
+    .optional()
+    .describe('Only list past, current or upcoming cycles'),
+  pastLimit: z
+    .number()
+    .min(0)
+    .max(50)
+    .default(3)
+    .describe(
+      'Maximum number of past cycles to list per team, most recent first'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+});
+
+/**
+ * Cycle with its scope at the latest point in time
+ */
+const CycleSummarySchema = CycleSchema.extend({
+  scope: z.number().optional(),
+  completedScope: z.number().optional(),
+});
+
+/**
+ * Cycles of a single team
+ */
+const TeamCyclesSchema = z.object({
+  team: TeamSchema,
+  cycles: z.array(CycleSummarySchema),
+});
+
+/**
+ * Cycle listing results schema
+ */
+const CycleResultsSchema = z.object({
+  results: z.array(TeamCyclesSchema),
+});
+
+/**
+ * Lists the past, current and upcoming cycles of one or all teams in Linear
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {Object} filters - Filter criteria
+ * @param {string} [filters.teamId] - Team ID, key or name to list cycles for
+ * @param {'past'|'current'|'upcoming'} [filters.status] - Only list cycles with this status
+ * @param {number} [filters.pastLimit=3] - Maximum number of past cycles per team
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment cycles are classified against
+ * @returns {Promise<import('zod').infer<typeof CycleResultsSchema>>} Cycles grouped by team
+ */
+async function listCycles(client, filters = {}, logger, now = new Date()) {
+  try {
+    logger?.debug('Listing Linear cycles', { filters });
+
+    const pastLimit = filters.pastLimit ?? 3;
+
+    let teams;
+    if (filters.teamId) {
+      teams = [await resolveTeam(client, filters.teamId, logger)];
+    } else {
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      const teamsResponse = await client.teams();
+      // Skip teams that don't use cycles unless asked for explicitly
+      teams = teamsResponse.nodes.filter(team => team.cyclesEnabled !== false);
+    }
+
+    logger?.debug(`Fetching cycles for ${teams.length} teams`);
+
+    const results = await Promise.all(
+      teams.map(async team => {
+        const cycles = (await fetchTeamCycles(client, team)).map(cycle => ({
+          ...toCycleData(cycle, now),
+          scope: cycle.scopeHistory?.at(-1),
+          completedScope: cycle.completedScopeHistory?.at(-1),
+        }));
+
+        // Keep only the most recent past cycles
+        const past = cycles.filter(cycle => cycle.status === 'past');
+        const recentPast = pastLimit > 0 ? past.slice(-pastLimit) : [];
+
+        const listed = cycles.filter(
+          cycle =>
+            (cycle.status !== 'past' || recentPast.includes(cycle)) &&
+            (!filters.status || cycle.status === filters.status)
+        );
+
+        logger?.debug(`Found ${listed.length} cycles for team ${team.name}`);
+
+        return {
+          team: { id: team.id, name: team.name, key: team.key },
+          cycles: listed,
+        };
+      })
+    );
+
+    return CycleResultsSchema.parse({ results });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error listing Linear cycles: ${error.message}`, {
+      filters,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Display headings for each cycle status
+ */
+const CYCLE_STATUS_HEADINGS = {
+  current: 'Current',
+  upcoming: 'Upcoming',
+  past: 'Past',
+};
+
+/**
+ * Handler for ListCycles tool
+ * @type {import('./types/mod.js').ToolHandler<ListCyclesContext, typeof ListCyclesInputSchema>}
+ */
+const handler = async (ctx, { teamId, status, pastLimit, debug }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about parameters
+  logger.debug('List cycles called with parameters:', {
+    teamId,
+    status,
+    pastLimit,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List cycles using the Linear SDK client
+  logger.debug('Executing Linear API to list cycles');
+  const results = await listCycles(
+    linearClient,
+    { teamId, status, pastLimit },
+    logger
+  );
+
+  // Log the results count
+  logger.info(`Found cycles for ${results.results.length} teams`);
+
+  // Format dates without the time of day
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No teams with cycles found.';
+  } else {
+    responseText = 'Cycles:\n\n';
+
+    results.results.forEach(({ team, cycles }) => {
+      responseText += `## ${team.name} (${team.key})\n\n`;
+
+      if (cycles.length === 0) {
+        responseText += 'No cycles found for this team.\n\n';
+        return;
+      }
+
+      ['current', 'upcoming', 'past'].forEach(cycleStatus => {
+        const statusCycles = cycles.filter(
+          cycle => cycle.status === cycleStatus
+        );
+        if (statusCycles.length === 0) return;
+
+        // Most recent past cycles first
+        if (cycleStatus === 'past') {
+          statusCycles.reverse();
+        }
+
+        responseText += `### ${CYCLE_STATUS_HEADINGS[cycleStatus]}\n`;
+        statusCycles.forEach(cycle => {
+          const name = cycle.name ? ` - ${cycle.name}` : '';
+          responseText += `- Cycle ${cycle.number}${name}: ${formatDate(
+            cycle.startsAt
+          )} → ${formatDate(cycle.endsAt)}`;
+
+          if (cycle.progress !== undefined && cycleStatus !== 'upcoming') {
+            responseText += `, ${Math.round(cycle.progress * 100)}% complete`;
+          }
+
+          if (cycle.scope !== undefined) {
+            responseText += ` (${cycle.completedScope ?? 0}/${
+              cycle.scope
+            } scope completed)`;
+          }
+
+          responseText += ` [ID: ${cycle.id}]\n`;
+        });
+        responseText += '\n';
+      });
+    });
+  }
+
+  logger.debug('Returning formatted cycle results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
+};
+
+/**
+ * ListCycles tool factory
+ */
+export const ListCycles = create_tool({
+  name: 'list_cycles',
+  title: 'List Cycles',
+  description:
+    'List the cycles (sprints) of Linear teams: the current cycle, upcoming cycles and the most recent past cycles, with their dates and progress.',
+  inputSchema: ListCyclesInputSchema,
+  outputSchema: CycleResultsSchema,
+  handler,
+});
+
+// Export for testing
+export { listCycles };
@@ -0,0 +1,115 @@
+/**
+ * Tests for list-cycles tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { listCycles, ListCycles } from './list-cycles.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const now = new Date('2024-03-13T12:00:00Z');
+
+/**
+ * Creates a two week cycle starting on the given date
+ * @param {number} number - Cycle number
+ * @param {string} startsAt - Start date
+ * @returns {Object} Mock cycle
+ */
+function createCycle(number, startsAt) {
+  const start = new Date(startsAt);
+  return {
+    id: `cycle-${number}`,
+    number,
+    startsAt: start,
+    endsAt: new Date(start.getTime() + 14 * 24 * 60 * 60 * 1000),
+    progress: 0.5,
+    scopeHistory: [8, 10],
+    completedScopeHistory: [0, 5],
+  };
+}
+
+const mockTeams = [
+  {
+    id: 'team-1',
+    name: 'Engineering',
+    key: 'ENG',
+    cyclesEnabled: true,
+  },
+  {
+    id: 'team-2',
+    name: 'Product',
+    key: 'PROD',
+    cyclesEnabled: false,
+  },
+];
+
+/** @type {Record<string, any[]>} */
+const mockCycles = {
+  'team-1': [
+    createCycle(12, '2024-03-18T00:00:00Z'),
+    createCycle(9, '2024-02-05T00:00:00Z'),
+    createCycle(10, '2024-02-19T00:00:00Z'),
+    createCycle(11, '2024-03-04T00:00:00Z'),
+  ],
+};
+
+const createMockClient = () => ({
+  teams: mock.fn(async () => ({ nodes: mockTeams })),
+  cycles: mock.fn(async ({ filter }) => ({
+    nodes: mockCycles[filter.team.id.eq] || [],
+  })),
+});
+
+describe('listCycles', () => {
+  it('should list cycles of teams that use cycles', async () => {
+    const client = createMockClient();
+
+    const result = await listCycles(
+      /** @type {any} */ (client),
+      { pastLimit: 1 },
+      mockLogger,
+      now
+    );
+
+    assert.strictEqual(result.results.length, 1);
+    assert.strictEqual(result.results[0].team.key, 'ENG');
+    assert.deepStrictEqual(
+      result.results[0].cycles.map(cycle => [cycle.number, cycle.status]),
+      [
+        [10, 'past'],
+        [11, 'current'],
+        [12, 'upcoming'],
+      ]
+    );
+    assert.strictEqual(result.results[0].cycles[1].scope, 10);
+    assert.strictEqual(result.results[0].cycles[1].completedScope, 5);
+  });
+
+  it('should filter cycles by status', async () => {
+    const client = createMockClient();
+
+    const result = await listCycles(
+      /** @type {any} */ (client),
+      { teamId: 'ENG', status: 'current' },
+      mockLogger,
+      now
+    );
+
+    assert.deepStrictEqual(
+      result.results[0].cycles.map(cycle => cycle.number),
+      [11]
+    );
+  });
+});
+
+describe('ListCycles tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof ListCycles, 'function');
+  });
+});
@@ -2,11 +2,18 @@
  * Linear issue listing tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
 import {
-  IssueSchema,
-  SearchResultsSchema,
-} from '../effects/linear/types/types.js';
+  buildIssueFilter,
+  collectPage,
+  create_tool,
+  createToolClient,
+  CursorSchema,
+  formatNextPageHint,
+  IssueFilterSchema,
+  issueFromNode,
+} from './utils/mod.js';
+import { SearchResultsSchema } from '../effects/linear/types/types.js';
+import { ISSUES_QUERY, requestGraphQL } from '../effects/linear/graphql/mod.js';
 
 /**
  * ListIssuesContext type definition
@@ -27,9 +34,16 @@ const ListIssuesInputSchema = z.object({
   assignee: z.string().optional(),
   status: z.string().optional(),
   project: z.string().optional(),
+  filter: z
+    .union([z.string(), IssueFilterSchema])
+    .optional()
+    .describe(
+      'Extra conditions, either structured or as a query string such as `priority<=2 label:bug -label:wontfix updated>-7d`. Query fields: assignee, creator, status, project, team, cycle, label, priority, estimate, created, updated, completed, due. Separate alternatives with OR'
+    ),
   sortBy: z.enum(['createdAt', 'updatedAt']).default('createdAt'),
   sortDirection: z.enum(['ASC', 'DESC']).default('DESC'),
   limit: z.number().min(1).max(100).default(25),
+  cursor: CursorSchema,
   debug: z.boolean().default(false), // Debug mode to show extra diagnostics
 });
 
@@ -42,17 +56,19 @@ const ListIssuesInputSchema = z.object({
  * @param {string} [filters.assignee] - Filter by assignee identifier
  * @param {string} [filters.status] - Filter by status name
  * @param {string} [filters.project] - Filter by project name
+ * @param {string|Object} [filters.filter] - Filter query string or structured filter
  * @param {Object} options - Search options
  * @param {number} [options.limit=25] - Maximum number of results to return
  * @param {'priority' | 'createdAt' | 'updatedAt'} [options.sortBy] - Field to sort by
  * @param {'ASC' | 'DESC'} [options.sortDirection='ASC'] - Direction to sort
+ * @param {string} [options.cursor] - Cursor from a previous call, to get the next page
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
  * @returns {Promise<import('../effects/linear/types/types.js').SearchResults>} Search results
  */
 async function listIssues(
   client,
   filters = {},
-  { limit = 25, sortBy, sortDirection = 'ASC' } = {},
+  { limit = 25, sortBy, sortDirection = 'ASC', cursor } = {},
   logger
 ) {
   try {
@@ -61,185 +77,44 @@ async function listIssues(
       limit,
       sortBy: sortBy || 'none',
       sortDirection,
+      cursor,
     });
 
     // Build filters properly using Linear SDK filter syntax
-    const filter = {};
-
-    // Add assignee filter
-    if (filters.assignedToMe) {
-      // For assignedToMe we'll use the viewer API directly,
-      // but we'll still build the filter for normal query as fallback
-      filter.assignee = { id: { eq: 'me' } };
-    } else if (filters.assignee) {
-      filter.assignee = { name: { eq: filters.assignee } };
-    }
-
-    // Add status filter
-    if (filters.status) {
-      // Properly filter by state name
-      filter.state = { name: { eq: filters.status } };
-      logger?.debug(`Filtering by state name: ${filters.status}`);
-    }
-
-    // Add project filter
-    if (filters.project) {
-      // Filter by project name
-      filter.project = { name: { eq: filters.project } };
-      logger?.debug(`Filtering by project name: ${filters.project}`);
-    }
+    const filter = buildIssueFilter(filters, logger);
 
     logger?.debug('Built filter object:', JSON.stringify(filter, null, 2));
 
-    // Use the sort direction as provided
-    let direction = sortDirection;
-    logger?.debug(`Using sort direction: ${direction} for field: ${sortBy}`);
-
-    // Build search parameters
-    const searchParams = {
-      first: limit,
-    };
-
-    // Add sort parameters if specified
-    if (sortBy) {
-      searchParams.orderBy = sortBy;
-      searchParams.orderDirection = direction;
-    }
-
-    // Build the full GraphQL query parameters with proper filter
-    const queryParams = {
-      filter, // Use the properly constructed filter object
-      ...searchParams,
-    };
-
-    // Log the complete query parameters for debugging
-    logger?.debug(
-      'Full Linear API query parameters:',
-      JSON.stringify(queryParams, null, 2)
-    );
-
-    let result;
-
-    try {
-      // First try using the viewer API which may be more reliable for getting assigned issues
-      if (filters.assignedToMe) {
-        logger?.debug(
-          'Using viewer.assignedIssues API for retrieving assigned issues'
+    // Sort with Linear's sort input, which can also sort by priority
+    const order = sortDirection === 'DESC' ? 'Descending' : 'Ascending';
+    const sort = sortBy ? [{ [sortBy]: { order } }] : undefined;
+    logger?.debug(`Using sort direction: ${order} for field: ${sortBy}`);
+
+    // Each page comes with the issues' state, assignee, project and labels,
+    // instead of a request per issue and field
+    const result = await collectPage(
+      async params => {
+        const data = await requestGraphQL(
+          client,
+          ISSUES_QUERY,
+          { filter, sort, ...params },
+          logger
         );
-        const me = await client.viewer;
-        result = await me.assignedIssues(searchParams);
-        logger?.debug('Successfully retrieved issues using viewer API');
-      } else {
-        // Otherwise use the direct GraphQL API from Linear SDK
-        logger?.debug('Using issues API for general issue search');
-        // @ts-ignore - The Linear SDK types are not accurate for the GraphQL API
-        result = await client.issues(queryParams);
-        logger?.debug('Successfully retrieved issues using issues API');
-      }
-    } catch (error) {
-      logger?.error(`Linear API error:`, error);
-      throw error;
-    }
-
-    // Log the raw response structure (without full content)
-    logger?.debug(`Linear API response structure:`, {
-      hasNodes: !!result.nodes,
-      nodeCount: result.nodes?.length || 0,
-      firstNodeKeys: result.nodes?.[0] ? Object.keys(result.nodes[0]) : [],
-    });
+        return data.issues;
+      },
+      { cursor, limit },
+      logger
+    );
 
-    // Log search results at debug level
     logger?.debug(`Linear list returned ${result.nodes.length} results`);
-
-    // Process issues from Linear SDK format to our domain model
-    // The Linear SDK returns promises for many fields, so we need to await them
-    const processedIssues = [];
-
-    for (const issue of result.nodes) {
-      try {
-        logger?.debug(`Processing issue ${issue.id}`);
-
-        // Get state/status information (it's a promise in the Linear SDK)
-        let statusName = 'Unknown';
-        try {
-          if (issue.state) {
-            const state = await issue.state;
-            if (state && state.name) {
-              statusName = state.name;
-              logger?.debug(`Found state: ${statusName}`);
-            }
-          }
-        } catch (stateError) {
-          logger?.warn(`Error fetching state data: ${stateError.message}`);
-        }
-
-        // Get assignee if present (it's a promise in the Linear SDK)
-        let assigneeData = undefined;
-        try {
-          if (issue.assignee) {
-            const assignee = await issue.assignee;
-            if (assignee) {
-              assigneeData = {
-                id: assignee.id,
-                name: assignee.name,
-                email: assignee.email,
-              };
-              logger?.debug(`Found assignee: ${assignee.name}`);
-            }
-          }
-        } catch (assigneeError) {
-          logger?.warn(
-            `Error fetching assignee data: ${assigneeError.message}`
-          );
-        }
-
-        // Get project if present (it's a promise in the Linear SDK)
-        let projectData = undefined;
-        try {
-          if (issue.project) {
-            const project = await issue.project;
-            if (project) {
-              projectData = {
-                id: project.id,
-                name: project.name,
-              };
-              logger?.debug(`Found project: ${project.name}`);
-            }
-          }
-        } catch (projectError) {
-          logger?.warn(`Error fetching project data: ${projectError.message}`);
-        }
-
-        const processedIssue = IssueSchema.parse({
-          id: issue.id,
-          identifier: issue.identifier || undefined, // Add the issue identifier (e.g. TEAM-123)
-          url: issue.url || undefined, // Add the issue URL for linking
-          title: issue.title,
-          description: issue.description || undefined,
-          priority: issue.priority,
-          assignee: assigneeData,
-          project: projectData,
-          status: statusName,
-          createdAt: issue.createdAt,
-          updatedAt: issue.updatedAt,
-        });
-
-        processedIssues.push(processedIssue);
-      } catch (processError) {
-        logger?.error(
-          `Error processing issue ${issue.id}: ${processError.message}`
-        );
-        // Continue processing other issues even if one fails
-      }
-    }
-
-    logger?.debug(
-      `Successfully processed ${processedIssues.length}/${result.nodes.length} issues`
-    );
-    const issues = processedIssues;
+    const issues = result.nodes.map(issueFromNode);
 
     // Return the processed results
-    return SearchResultsSchema.parse({ results: issues });
+    return SearchResultsSchema.parse({
+      results: issues,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+    });
   } catch (error) {
     // Enhanced error logging
     logger?.error(`Error listing Linear issues: ${error.message}`, {
@@ -247,6 +122,7 @@ async function listIssues(
       limit,
       sortBy,
       sortDirection,
+      cursor,
       stack: error.stack,
     });
 
@@ -263,6 +139,67 @@ async function listIssues(
   }
 }
 
+/**
+ * Formats issues as a numbered markdown list
+ *
+ * @param {import('../effects/linear/types/types.js').Issue[]} issues - Issues to list
+ * @returns {string} Markdown
+ */
+function formatIssueList(issues) {
+  let responseText = '';
+
+  issues.forEach((issue, index) => {
+    const priorityMap = {
+      0: 'No priority',
+      1: 'Urgent',
+      2: 'High',
+      3: 'Medium',
+      4: 'Low',
+    };
+
+    const priority = issue.priority ?? 0;
+
+    // Format timestamps to be more readable
+    const formatDate = timestamp => {
+      if (!timestamp) return 'Unknown';
+      const date = new Date(timestamp);
+      return date.toLocaleString();
+    };
+
+    responseText += `${index + 1}. ${issue.title || 'Untitled'}\n`;
+    responseText += `   ID: ${issue.id}\n`;
+    if (issue.identifier) {
+      responseText += `   Identifier: ${issue.identifier}\n`;
+    }
+    if (issue.url) {
+      responseText += `   URL: ${issue.url}\n`;
+    }
+    responseText += `   Status: ${issue.status || 'Unknown'}\n`;
+    responseText += `   Priority: ${priorityMap[priority] || 'Unknown'}\n`;
+
+    if (issue.project) {
+      responseText += `   Project: ${issue.project.name}\n`;
+    }
+
+    if (issue.assignee) {
+      responseText += `   Assignee: ${issue.assignee.name}\n`;
+    }
+
+    if (issue.labels && issue.labels.length > 0) {
+      responseText += `   Labels: ${issue.labels
+        .map(label => label.name)
+        .join(', ')}\n`;
+    }
+
+    responseText += `   Created: ${formatDate(issue.createdAt)}\n`;
+    responseText += `   Updated: ${formatDate(issue.updatedAt)}\n`;
+
+    responseText += '\n';
+  });
+
+  return responseText;
+}
+
 /**
  * Handler for ListIssues tool
  * @type {import('./types/mod.js').ToolHandler<ListIssuesContext, typeof ListIssuesInputSchema>}
@@ -274,191 +211,75 @@ const handler = async (
     assignee,
     status,
     project,
+    filter,
     sortBy,
     sortDirection,
     limit,
+    cursor,
     debug,
   }
 ) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about config and parameters
-    logger.debug('List issues called with parameters:', {
+  // Log details about config and parameters
+  logger.debug('List issues called with parameters:', {
+    assignedToMe,
+    assignee,
+    status,
+    project,
+    filter,
+    sortBy,
+    sortDirection,
+    limit,
+    cursor,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List issues using the Linear SDK client with filters
+  logger.debug('Executing Linear API list with filters');
+  const results = await listIssues(
+    linearClient,
+    {
       assignedToMe,
       assignee,
       status,
       project,
+      filter,
+    },
+    {
+      limit,
       sortBy,
       sortDirection,
-      limit,
-      debug,
-    });
+      cursor,
+    },
+    logger
+  );
 
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
+  // Log the results count
+  logger.info(`Found ${results.results.length} issues matching criteria`);
 
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
+  // Format the output
+  let responseText = '';
 
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
+  logger.info(`Result: ${JSON.stringify(results, null, 2)}`);
 
-    // List issues using the Linear SDK client with filters
-    logger.debug('Executing Linear API list with filters');
-    const results = await listIssues(
-      linearClient,
-      {
-        assignedToMe,
-        assignee,
-        status,
-        project,
-      },
-      {
-        limit,
-        sortBy,
-        sortDirection,
-      },
-      logger
-    );
+  if (results.results.length === 0) {
+    responseText = 'No issues found matching your criteria.';
+  } else {
+    responseText = 'Issues found:\n\n';
 
-    // Log the results count
-    logger.info(`Found ${results.results.length} issues matching criteria`);
-
-    // Format the output
-    let responseText = '';
-
-    logger.info(`Result: ${JSON.stringify(results, null, 2)}`);
-
-    if (results.results.length === 0) {
-      responseText = 'No issues found matching your criteria.';
-    } else {
-      responseText = 'Issues found:\n\n';
-
-      results.results.forEach((issue, index) => {
-        const priorityMap = {
-          0: 'No priority',
-          1: 'Urgent',
-          2: 'High',
-          3: 'Medium',
-          4: 'Low',
-        };
-
-        const priority = issue.priority ?? 0;
-
-        // Format timestamps to be more readable
-        const formatDate = timestamp => {
-          if (!timestamp) return 'Unknown';
-          const date = new Date(timestamp);
-          return date.toLocaleString();
-        };
-
-        responseText += `${index + 1}. ${issue.title || 'Untitled'}\n`;
-        responseText += `   ID: ${issue.id}\n`;
-        if (issue.identifier) {
-          responseText += `   Identifier: ${issue.identifier}\n`;
-        }
-        if (issue.url) {
-          responseText += `   URL: ${issue.url}\n`;
-        }
-        responseText += `   Status: ${issue.status || 'Unknown'}\n`;
-        responseText += `   Priority: ${priorityMap[priority] || 'Unknown'}\n`;
-
-        if (issue.project) {
-          responseText += `   Project: ${issue.project.name}\n`;
-        }
-
-        if (issue.assignee) {
-          responseText += `   Assignee: ${issue.assignee.name}\n`;
-        }
-
-        responseText += `   Created: ${formatDate(issue.createdAt)}\n`;
-        responseText += `   Updated: ${formatDate(issue.updatedAt)}\n`;
-
-        responseText += '\n';
-      });
-    }
-
-    logger.debug('Returning formatted list results');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error listing issues: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error listing issues: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add filter parameters that were used
-      errorMessage += `\nFilter parameters:
-- assignedToMe: ${assignedToMe}
-- assignee: ${assignee || '<not specified>'}
-- status: ${status || '<not specified>'}
-- project: ${project || '<not specified>'}
-- sortBy: ${sortBy}
-- sortDirection: ${sortDirection}
-- limit: ${limit}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
-      }
-
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
-
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
-      }
-
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
-
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+    responseText += formatIssueList(results.results);
+    responseText += formatNextPageHint(results);
   }
+
+  logger.debug('Returning formatted list results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
 };
 
 /**
@@ -466,11 +287,13 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const ListIssues = create_tool({
   name: 'list_issues',
+  title: 'List Issues',
   description:
-    'List Linear issues (also called tickets) with filtering by assignee, status, and project. Use this to browse and find issues in your Linear workspace.',
+    'List Linear issues (also called tickets) with filtering by assignee, status and project, plus a filter for priority, labels, team, cycle, dates, estimate, creator and OR-groups, e.g. `priority<=2 label:bug -label:wontfix updated>-7d`. Use this to browse and find issues in your Linear workspace.',
   inputSchema: ListIssuesInputSchema,
+  outputSchema: SearchResultsSchema,
   handler,
 });
 
 // Export for testing
-export { listIssues };
+export { formatIssueList, listIssues };
@@ -111,6 +111,30 @@ describe('ListIssues Tool', () => {
       // Would check project names if the mock returned them properly
     });
 
+    it('should compile a filter query into the Linear filter', async () => {
+      const client = createMockLinearClient();
+      await listIssues(
+        client,
+        { filter: 'priority<=2 team:ENG' },
+        { limit: 10 },
+        mockLogger
+      );
+
+      assert.deepStrictEqual(client._calls.issues[0].filter, {
+        team: { key: { eqIgnoreCase: 'ENG' } },
+        priority: { lte: 2, neq: 0 },
+      });
+    });
+
+    it('should reject invalid filters with a readable error', async () => {
+      const client = createMockLinearClient();
+
+      await assert.rejects(
+        () => listIssues(client, { filter: 'priority<=9' }, {}, mockLogger),
+        /Invalid filter:\n- priority/
+      );
+    });
+
     it('should correctly pass sorting parameters', async () => {
       const client = createMockLinearClient();
       const result = await listIssues(
@@ -122,8 +146,24 @@ describe('ListIssues Tool', () => {
 
       assert.ok(result);
       assert.ok(Array.isArray(result.results));
-      // We can't directly verify the sort params were applied
-      // in the mock, but we can verify the function doesn't error
+      assert.deepStrictEqual(client.client.requests[0].variables.sort, [
+        { updatedAt: { order: 'Descending' } },
+      ]);
+    });
+
+    it('should fetch a page of issues with one request', async () => {
+      const client = createMockLinearClient();
+      const result = await listIssues(client, {}, { limit: 10 }, mockLogger);
+
+      // States, assignees and projects come with the issues, not one by one
+      assert.strictEqual(result.results.length, 2);
+      assert.strictEqual(result.results[0].status, 'Backlog');
+      assert.strictEqual(result.results[0].assignee?.name, 'Mock User');
+      assert.strictEqual(result.results[1].project?.name, 'Secondary Project');
+      assert.deepStrictEqual(
+        client.client.requests.map(request => request.operation),
+        ['Issues']
+      );
     });
   });
 
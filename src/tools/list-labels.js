@@ -0,0 +1,315 @@
+/**
+ * Linear labels listing tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  fetchAllNodes,
+  fetchTeams,
+  resolveTeam,
+} from './utils/mod.js';
+import { LabelSchema } from '../effects/linear/types/types.js';
+
+/**
+ * ListLabelsContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} ListLabelsContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for ListLabels tool
+ */
+const ListLabelsInputSchema = z.object({
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'Only list labels of this team, by ID, key (e.g. ENG) or name. Lists every team when omitted'
+    ),
+  nameFilter: z
+    .string()
+    .optional()
+    .describe('Filter labels by name (partial match)'),
+  includeWorkspace: z
+    .boolean()
+    .default(true)
+    .describe('Include workspace labels that are shared by all teams'),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+});
+
+/**
+ * Extended label schema with group and team information
+ */
+const ExtendedLabelSchema = LabelSchema.extend({
+  description: z.string().optional(),
+  isGroup: z.boolean().optional(),
+  parentId: z.string().optional(),
+  parentName: z.string().optional(),
+  // Team information, absent for workspace labels
+  teamId: z.string().optional(),
+  teamName: z.string().optional(),
+  teamKey: z.string().optional(),
+});
+
+/**
+ * Label search results schema
+ */
+const LabelSearchResultsSchema = z.object({
+  results: z.array(ExtendedLabelSchema),
+});
+
+/**
+ * Converts an SDK label into our extended label shape
+ *
+ * @param {any} label - Label returned by the Linear SDK
+ * @param {{ id: string, name: string, key: string }} [team] - Team the label belongs to
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof ExtendedLabelSchema>>} Processed label
+ */
+async function processLabel(label, team, logger) {
+  // Get parent group if present (it's a promise in the Linear SDK)
+  let parent = undefined;
+  try {
+    if (label.parent) {
+      parent = await label.parent;
+    }
+  } catch (parentError) {
+    logger?.warn(`Error fetching label parent: ${parentError.message}`);
+  }
+
+  return {
+    id: label.id,
+    name: label.name,
+    color: label.color,
+    description: label.description || undefined,
+    isGroup: label.isGroup || false,
+    parentId: parent?.id,
+    parentName: parent?.name,
+    teamId: team?.id,
+    teamName: team?.name,
+    teamKey: team?.key,
+  };
+}
+
+/**
+ * Lists workspace and team labels in Linear
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {Object} filters - Filter criteria
+ * @param {string} [filters.teamId] - Team ID, key or name to list labels for
+ * @param {string} [filters.nameFilter] - Filter labels by name (partial match)
+ * @param {boolean} [filters.includeWorkspace=true] - Include workspace labels
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof LabelSearchResultsSchema>>} Search results
+ */
+async function listLabels(client, filters = {}, logger) {
+  try {
+    logger?.debug('Listing Linear labels', { filters });
+
+    const labels = [];
+
+    // Workspace labels are not attached to any team
+    if (filters.includeWorkspace !== false) {
+      const workspaceLabels = await fetchAllNodes(params =>
+        // @ts-ignore - The Linear SDK types may not be fully accurate
+        client.issueLabels({ ...params, filter: { team: { null: true } } })
+      );
+      logger?.debug(`Found ${workspaceLabels.length} workspace labels`);
+
+      for (const label of workspaceLabels) {
+        labels.push(await processLabel(label, undefined, logger));
+      }
+    }
+
+    let teams;
+    if (filters.teamId) {
+      teams = [await resolveTeam(client, filters.teamId, logger)];
+    } else {
+      teams = await fetchTeams(client);
+    }
+
+    for (const team of teams) {
+      try {
+        const teamLabels = await fetchAllNodes(params =>
+          // @ts-ignore - The Linear SDK types may not be fully accurate
+          client.issueLabels({
+            ...params,
+            filter: { team: { id: { eq: team.id } } },
+          })
+        );
+        logger?.debug(
+          `Found ${teamLabels.length} labels for team ${team.name}`
+        );
+
+        for (const label of teamLabels) {
+          labels.push(await processLabel(label, team, logger));
+        }
+      } catch (labelsError) {
+        logger?.warn(
+          `Error fetching labels for team ${team.name}: ${labelsError.message}`
+        );
+      }
+    }
+
+    // Apply name filter if provided
+    let filteredLabels = labels;
+    if (filters.nameFilter) {
+      const nameFilterLower = filters.nameFilter.toLowerCase();
+      logger?.debug(`Filtering labels by name: ${filters.nameFilter}`);
+
+      filteredLabels = labels.filter(
+        label =>
+          label.name.toLowerCase().includes(nameFilterLower) ||
+          label.parentName?.toLowerCase().includes(nameFilterLower)
+      );
+    }
+
+    logger?.debug(`Successfully processed ${filteredLabels.length} labels`);
+    return LabelSearchResultsSchema.parse({ results: filteredLabels });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error listing Linear labels: ${error.message}`, {
+      filters,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats one scope (workspace or team) of labels, nesting labels under their groups
+ *
+ * @param {Array<import('zod').infer<typeof ExtendedLabelSchema>>} labels - Labels of the scope
+ * @returns {string} Formatted label lines
+ */
+function formatLabelTree(labels) {
+  let text = '';
+  const groupIds = new Set(
+    labels.filter(label => label.isGroup).map(label => label.id)
+  );
+
+  // Top level: groups and labels whose group is not part of this listing
+  const topLevel = labels.filter(
+    label => !label.parentId || !groupIds.has(label.parentId)
+  );
+
+  topLevel.forEach(label => {
+    const name = label.parentId
+      ? `${label.parentName}/${label.name}`
+      : label.name;
+    text += `- ${name}${label.isGroup ? ' (group)' : ''} [ID: ${label.id}]\n`;
+
+    if (label.isGroup) {
+      labels
+        .filter(child => child.parentId === label.id)
+        .forEach(child => {
+          text += `  - ${child.name} [ID: ${child.id}]\n`;
+        });
+    }
+  });
+
+  return text;
+}
+
+/**
+ * Handler for ListLabels tool
+ * @type {import('./types/mod.js').ToolHandler<ListLabelsContext, typeof ListLabelsInputSchema>}
+ */
+const handler = async (
+  ctx,
+  { teamId, nameFilter, includeWorkspace, debug }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about parameters
+  logger.debug('List labels called with parameters:', {
+    teamId,
+    nameFilter,
+    includeWorkspace,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List labels using the Linear SDK client
+  logger.debug('Executing Linear API to list labels');
+  const results = await listLabels(
+    linearClient,
+    { teamId, nameFilter, includeWorkspace },
+    logger
+  );
+
+  // Log the results count
+  logger.info(`Found ${results.results.length} labels matching criteria`);
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No labels found matching your criteria.';
+  } else {
+    responseText = 'Labels found:\n\n';
+
+    const workspaceLabels = results.results.filter(label => !label.teamId);
+    if (workspaceLabels.length > 0) {
+      responseText += '## Workspace labels\n\n';
+      responseText += formatLabelTree(workspaceLabels);
+      responseText += '\n';
+    }
+
+    const teamIds = [
+      ...new Set(
+        results.results.filter(label => label.teamId).map(l => l.teamId)
+      ),
+    ];
+    teamIds.forEach(id => {
+      const teamLabels = results.results.filter(label => label.teamId === id);
+      const team = teamLabels[0];
+      responseText += `## ${team.teamName} (${team.teamKey}) labels\n\n`;
+      responseText += formatLabelTree(teamLabels);
+      responseText += '\n';
+    });
+  }
+
+  logger.debug('Returning formatted list results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
+};
+
+/**
+ * ListLabels tool factory
+ */
+export const ListLabels = create_tool({
+  name: 'list_labels',
+  title: 'List Labels',
+  description:
+    'List Linear issue labels, both workspace-wide and per team, including label groups and the labels nested under them.',
+  inputSchema: ListLabelsInputSchema,
+  outputSchema: LabelSearchResultsSchema,
+  handler,
+});
+
+// Export for testing
+export { listLabels };
@@ -0,0 +1,115 @@
+/**
+ * Tests for list-labels tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { listLabels, ListLabels } from './list-labels.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const areaGroup = { id: 'label-area', name: 'Area', isGroup: true };
+
+const mockTeams = [
+  { id: 'team-1', name: 'Engineering', key: 'ENG' },
+  { id: 'team-2', name: 'Product', key: 'PROD' },
+];
+
+/** @type {Record<string, any[]>} */
+const mockTeamLabels = {
+  'team-1': [
+    areaGroup,
+    {
+      id: 'label-api',
+      name: 'API',
+      isGroup: false,
+      parent: Promise.resolve(areaGroup),
+    },
+  ],
+  'team-2': [{ id: 'label-research', name: 'Research', isGroup: false }],
+};
+
+const createMockClient = () => ({
+  issueLabels: mock.fn(async ({ filter }) => ({
+    nodes: filter.team.null
+      ? [{ id: 'label-bug', name: 'Bug', color: '#eb5757' }]
+      : mockTeamLabels[filter.team.id.eq] || [],
+  })),
+  teams: mock.fn(async () => ({ nodes: mockTeams })),
+});
+
+describe('listLabels', () => {
+  it('should list workspace labels and the labels of every team', async () => {
+    const client = createMockClient();
+
+    const result = await listLabels(
+      /** @type {any} */ (client),
+      {},
+      mockLogger
+    );
+
+    const [params] = /** @type {any[]} */ (
+      client.issueLabels.mock.calls[0].arguments
+    );
+    assert.deepStrictEqual(params, {
+      first: 250,
+      filter: { team: { null: true } },
+    });
+    assert.deepStrictEqual(
+      result.results.map(label => label.name),
+      ['Bug', 'Area', 'API', 'Research']
+    );
+    assert.strictEqual(result.results[0].teamId, undefined);
+
+    const api = result.results[2];
+    assert.strictEqual(api.parentId, 'label-area');
+    assert.strictEqual(api.parentName, 'Area');
+    assert.strictEqual(api.teamKey, 'ENG');
+    assert.strictEqual(result.results[1].isGroup, true);
+  });
+
+  it('should list the labels of a single team without workspace labels', async () => {
+    const client = createMockClient();
+
+    const result = await listLabels(
+      /** @type {any} */ (client),
+      { teamId: 'PROD', includeWorkspace: false },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      client.issueLabels.mock.calls.map(call => call.arguments[0].filter),
+      [{ team: { id: { eq: 'team-2' } } }]
+    );
+    assert.deepStrictEqual(
+      result.results.map(label => label.name),
+      ['Research']
+    );
+  });
+
+  it('should filter labels by name, including their group name', async () => {
+    const client = createMockClient();
+
+    const result = await listLabels(
+      /** @type {any} */ (client),
+      { nameFilter: 'area' },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      result.results.map(label => label.name),
+      ['Area', 'API']
+    );
+  });
+});
+
+describe('ListLabels tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof ListLabels, 'function');
+  });
+});
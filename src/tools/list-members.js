@@ -2,8 +2,14 @@
  * Linear members listing tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
-import { UserSchema } from '../effects/linear/types/types.js';
+import {
+  collectPage,
+  create_tool,
+  createToolClient,
+  CursorSchema,
+  formatNextPageHint,
+} from './utils/mod.js';
+import { PageSchema, UserSchema } from '../effects/linear/types/types.js';
 
 /**
  * We're using JSDoc to reference types from the Linear SDK
@@ -28,6 +34,7 @@ const ListMembersInputSchema = z.object({
   teamId: z.string().optional(),
   nameFilter: z.string().optional(),
   limit: z.number().min(1).max(100).default(25),
+  cursor: CursorSchema,
   debug: z.boolean().default(false), // Debug mode to show extra diagnostics
 });
 
@@ -59,7 +66,7 @@ const ExtendedUserSchema = UserSchema.extend({
 /**
  * Member search results schema
  */
-const MemberSearchResultsSchema = z.object({
+const MemberSearchResultsSchema = PageSchema.extend({
   results: z.array(ExtendedUserSchema),
 });
 
@@ -72,55 +79,46 @@ const MemberSearchResultsSchema = z.object({
  * @param {string} [filters.nameFilter] - Filter members by name (partial match)
  * @param {Object} options - Search options
  * @param {number} [options.limit=25] - Maximum number of results to return
+ * @param {string} [options.cursor] - Cursor from a previous call, to get the next page
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
  * @returns {Promise<import('zod').infer<typeof MemberSearchResultsSchema>>} Search results
  */
-async function listMembers(client, filters = {}, { limit = 25 } = {}, logger) {
+async function listMembers(
+  client,
+  filters = {},
+  { limit = 25, cursor } = {},
+  logger
+) {
   try {
     logger?.debug('Building Linear SDK filter parameters', {
       filters,
       limit,
+      cursor,
     });
 
-    // Build query parameters similar to how issues() is used in list-tickets.js
-    const queryParams = {
-      first: limit, // Limit number of results
-    };
-
-    // Note: We're using the users() method from the Linear SDK
-    // This follows the same pattern as issues() in list-tickets.js
-    logger?.debug(
-      'Querying users with params:',
-      JSON.stringify(queryParams, null, 2)
-    );
-
-    // @ts-ignore - The Linear SDK types may not be fully accurate
-    const usersResponse = await client.users(queryParams);
-    logger?.debug(`Found ${usersResponse.nodes.length} users`);
-
-    // Process users - filter and format them
-    let filteredUsers = usersResponse.nodes;
-
-    // Apply name filter if provided
-    if (filters.nameFilter) {
-      const nameFilterLower = filters.nameFilter.toLowerCase();
+    // Name filtering happens client-side, so keep paging until enough users match
+    const nameFilterLower = filters.nameFilter?.toLowerCase();
+    if (nameFilterLower) {
       logger?.debug(`Filtering by name: ${filters.nameFilter}`);
-
-      filteredUsers = filteredUsers.filter(user => {
-        const name = user.name.toLowerCase();
-        const displayName = user.displayName?.toLowerCase() || '';
-
-        return (
-          name.includes(nameFilterLower) ||
-          displayName.includes(nameFilterLower)
-        );
-      });
-
-      logger?.debug(
-        `After name filtering, found ${filteredUsers.length} users`
-      );
     }
 
+    const page = await collectPage(
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      params => client.users(params),
+      {
+        cursor,
+        limit,
+        matches: nameFilterLower
+          ? user =>
+              user.name.toLowerCase().includes(nameFilterLower) ||
+              (user.displayName?.toLowerCase() || '').includes(nameFilterLower)
+          : undefined,
+      },
+      logger
+    );
+    const filteredUsers = page.nodes;
+    logger?.debug(`Found ${filteredUsers.length} users`);
+
     // Apply team filter if provided
     // Note: This requires looking up team membership which we'll implement if the API supports it
     if (filters.teamId) {
@@ -131,10 +129,6 @@ async function listMembers(client, filters = {}, { limit = 25 } = {}, logger) {
       logger?.warn('Team filtering not implemented yet');
     }
 
-    // Limit the results
-    filteredUsers = filteredUsers.slice(0, limit);
-    logger?.debug(`After limiting, returning ${filteredUsers.length} users`);
-
     // Convert to our schema format
     const members = await Promise.all(
       filteredUsers.map(async user => {
@@ -200,12 +194,17 @@ async function listMembers(client, filters = {}, { limit = 25 } = {}, logger) {
 
     logger?.debug(`Successfully processed ${members.length} users`);
 
-    return MemberSearchResultsSchema.parse({ results: members });
+    return MemberSearchResultsSchema.parse({
+      results: members,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
   } catch (error) {
     // Enhanced error logging
     logger?.error(`Error listing Linear members: ${error.message}`, {
       filters,
       limit,
+      cursor,
       stack: error.stack,
     });
 
@@ -226,180 +225,102 @@ async function listMembers(client, filters = {}, { limit = 25 } = {}, logger) {
  * Handler for ListMembers tool
  * @type {import('./types/mod.js').ToolHandler<ListMembersContext, typeof ListMembersInputSchema>}
  */
-const handler = async (ctx, { teamId, nameFilter, limit, debug }) => {
+const handler = async (ctx, { teamId, nameFilter, limit, cursor, debug }) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about config and parameters
-    logger.debug('List members called with parameters:', {
+  // Log details about config and parameters
+  logger.debug('List members called with parameters:', {
+    teamId,
+    nameFilter,
+    limit,
+    cursor,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List members using the Linear SDK client with filters
+  logger.debug('Executing Linear API list with filters');
+  const results = await listMembers(
+    linearClient,
+    {
       teamId,
       nameFilter,
+    },
+    {
       limit,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
-
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
-
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
-
-    // List members using the Linear SDK client with filters
-    logger.debug('Executing Linear API list with filters');
-    const results = await listMembers(
-      linearClient,
-      {
-        teamId,
-        nameFilter,
-      },
-      {
-        limit,
-      },
-      logger
-    );
-
-    // Log the results count
-    logger.info(`Found ${results.results.length} members matching criteria`);
-
-    // Format the output
-    let responseText = '';
-
-    if (results.results.length === 0) {
-      responseText = 'No members found matching your criteria.';
-    } else {
-      responseText = 'Members found:\n\n';
-
-      results.results.forEach((member, index) => {
-        // Format dates for display
-        const formatDisplayDate = timestamp => {
-          if (!timestamp) return 'Not available';
-          try {
-            const date = new Date(timestamp);
-            return date.toLocaleString();
-          } catch (e) {
-            return 'Invalid date';
-          }
-        };
-
-        // Determine member type
-        let memberType = 'Regular user';
-        if (member.organizationMembership) {
-          if (member.organizationMembership.owner) memberType = 'Owner';
-          else if (member.organizationMembership.guest) memberType = 'Guest';
-          else if (member.organizationMembership.member) memberType = 'Member';
-        }
-        if (member.admin) memberType += ' (Admin)';
-        if (member.isMe) memberType += ' (You)';
-
-        responseText += `${index + 1}. ${member.displayName}\n`;
-        responseText += `   ID: ${member.id}\n`;
-        responseText += `   Username: ${member.name}\n`;
-
-        if (member.email) {
-          responseText += `   Email: ${member.email}\n`;
-        }
-
-        responseText += `   Status: ${member.active ? 'Active' : 'Inactive'}\n`;
-        responseText += `   Role: ${
-          member.role !== 'unknown' ? member.role : memberType
-        }\n`;
-
-        // Add timestamps
-        responseText += `   Created: ${formatDisplayDate(member.createdAt)}\n`;
-        if (member.updatedAt) {
-          responseText += `   Updated: ${formatDisplayDate(
-            member.updatedAt
-          )}\n`;
-        }
-        if (member.lastSeen) {
-          responseText += `   Last seen: ${formatDisplayDate(
-            member.lastSeen
-          )}\n`;
+      cursor,
+    },
+    logger
+  );
+
+  // Log the results count
+  logger.info(`Found ${results.results.length} members matching criteria`);
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No members found matching your criteria.';
+  } else {
+    responseText = 'Members found:\n\n';
+
+    results.results.forEach((member, index) => {
+      // Format dates for display
+      const formatDisplayDate = timestamp => {
+        if (!timestamp) return 'Not available';
+        try {
+          const date = new Date(timestamp);
+          return date.toLocaleString();
+        } catch (e) {
+          return 'Invalid date';
         }
+      };
+
+      // Determine member type
+      let memberType = 'Regular user';
+      if (member.organizationMembership) {
+        if (member.organizationMembership.owner) memberType = 'Owner';
+        else if (member.organizationMembership.guest) memberType = 'Guest';
+        else if (member.organizationMembership.member) memberType = 'Member';
+      }
+      if (member.admin) memberType += ' (Admin)';
+      if (member.isMe) memberType += ' (You)';
 
-        responseText += '\n';
-      });
-    }
+      responseText += `${index + 1}. ${member.displayName}\n`;
+      responseText += `   ID: ${member.id}\n`;
+      responseText += `   Username: ${member.name}\n`;
 
-    logger.debug('Returning formatted list results');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error listing members: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error listing members: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add filter parameters that were used
-      errorMessage += `\nFilter parameters:
-- teamId: ${teamId || '<not specified>'}
-- nameFilter: ${nameFilter || '<not specified>'}
-- limit: ${limit}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
+      if (member.email) {
+        responseText += `   Email: ${member.email}\n`;
       }
 
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
+      responseText += `   Status: ${member.active ? 'Active' : 'Inactive'}\n`;
+      responseText += `   Role: ${
+        member.role !== 'unknown' ? member.role : memberType
+      }\n`;
 
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
+      // Add timestamps
+      responseText += `   Created: ${formatDisplayDate(member.createdAt)}\n`;
+      if (member.updatedAt) {
+        responseText += `   Updated: ${formatDisplayDate(member.updatedAt)}\n`;
+      }
+      if (member.lastSeen) {
+        responseText += `   Last seen: ${formatDisplayDate(member.lastSeen)}\n`;
       }
 
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
-
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+      responseText += '\n';
+    });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+    responseText += formatNextPageHint(results);
   }
+
+  logger.debug('Returning formatted list results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
 };
 
 /**
@@ -407,9 +328,11 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const ListMembers = create_tool({
   name: 'list_members',
+  title: 'List Members',
   description:
     'List Linear team members with optional filtering by name. This tool is useful for finding member details including usernames, display names, and emails.',
   inputSchema: ListMembersInputSchema,
+  outputSchema: MemberSearchResultsSchema,
   handler,
 });
 
@@ -163,6 +163,60 @@ describe('listMembers', () => {
     assert.equal(result.results.length, 2, 'Should return only 2 members');
   });
 
+  it('should page through members matching a name filter', async () => {
+    const pages = {
+      start: {
+        nodes: [
+          { id: 'user-1', name: 'ann', displayName: 'Ann', active: true },
+          { id: 'user-2', name: 'bob', displayName: 'Bob', active: true },
+        ],
+        pageInfo: { hasNextPage: true, endCursor: 'page-2' },
+      },
+      'page-2': {
+        nodes: [
+          { id: 'user-3', name: 'annie', displayName: 'Annie', active: true },
+          { id: 'user-4', name: 'joanne', displayName: 'Joanne', active: true },
+        ],
+        pageInfo: { hasNextPage: false },
+      },
+    };
+    const requests = [];
+    const mockClient = /** @type {any} */ ({
+      users: async params => {
+        requests.push(params);
+        return pages[params.after || 'start'];
+      },
+    });
+
+    const first = await listMembers(
+      mockClient,
+      { nameFilter: 'ann' },
+      { limit: 2 },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      first.results.map(member => member.id),
+      ['user-1', 'user-3']
+    );
+    assert.equal(first.hasMore, true);
+    assert.equal(requests[1].after, 'page-2');
+
+    const second = await listMembers(
+      mockClient,
+      { nameFilter: 'ann' },
+      { limit: 2, cursor: first.nextCursor },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      second.results.map(member => member.id),
+      ['user-4']
+    );
+    assert.equal(second.hasMore, false);
+    assert.equal(second.nextCursor, undefined);
+  });
+
   it('should include active status in the results', async () => {
     const mockClient = createMembersTestClient();
     const result = await listMembers(mockClient, {}, { limit: 25 }, mockLogger);
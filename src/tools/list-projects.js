@@ -2,8 +2,15 @@
  * Linear projects listing tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
-import { ProjectSchema } from '../effects/linear/types/types.js';
+import {
+  collectPage,
+  create_tool,
+  createToolClient,
+  CursorSchema,
+  decodeCursor,
+  formatNextPageHint,
+} from './utils/mod.js';
+import { PageSchema, ProjectSchema } from '../effects/linear/types/types.js';
 
 /**
  * We're using JSDoc to reference types from the Linear SDK
@@ -33,6 +40,7 @@ const ListProjectsInputSchema = z.object({
   includeThroughIssues: z.boolean().default(true), // Add option to include projects referenced by issues
   fuzzyMatch: z.boolean().default(true), // Enable fuzzy name matching by default
   limit: z.number().min(1).max(100).default(25),
+  cursor: CursorSchema,
   debug: z.boolean().default(false), // Debug mode to show extra diagnostics
 });
 
@@ -70,7 +78,7 @@ const ExtendedProjectSchema = ProjectSchema.extend({
 /**
  * Project search results schema
  */
-const ProjectSearchResultsSchema = z.object({
+const ProjectSearchResultsSchema = PageSchema.extend({
   results: z.array(ExtendedProjectSchema),
 });
 
@@ -88,16 +96,26 @@ const ProjectSearchResultsSchema = z.object({
  * @param {boolean} [filters.fuzzyMatch=true] - Use fuzzy/partial matching for names
  * @param {Object} options - Search options
  * @param {number} [options.limit=25] - Maximum number of results to return
+ * @param {string} [options.cursor] - Cursor from a previous call, to get the next page
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
  * @returns {Promise<import('zod').infer<typeof ProjectSearchResultsSchema>>} Search results
  */
-async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
+async function listProjects(
+  client,
+  filters = {},
+  { limit = 25, cursor } = {},
+  logger
+) {
   try {
     logger?.debug('Building Linear SDK filter parameters', {
       filters,
       limit,
+      cursor,
     });
 
+    // Reject bad cursors up front, since failed project queries are only logged
+    decodeCursor(cursor);
+
     // Store all projects we find
     const allProjects = new Map();
 
@@ -118,10 +136,9 @@ async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
 
     // Build query parameters for projects() method with all possible filters
     const queryParams = {
-      first: Math.min(100, limit * 2), // Request enough projects but not too many
       includeArchived: filters.includeArchived,
-      // Note: Removed orderBy parameter to fix TypeScript error
-      // Would need to use the proper enum instead of a string
+      // Most recently updated first, so pages follow the order results are shown in
+      orderBy: 'updatedAt',
     };
 
     // Initialize filter object
@@ -158,6 +175,10 @@ async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
     // No need to separately fetch team projects since we're already filtering by team in the main query
     // This simplifies the code and reduces API calls
 
+    // Name filtering happens client-side, so keep paging until enough projects match
+    /** @type {{ nodes: any[], hasMore: boolean, nextCursor?: string }} */
+    let page = { nodes: [], hasMore: false };
+
     // Skip fetching all projects if we're just looking up by ID
     if (!filters.projectId) {
       // Get all projects regardless of team
@@ -167,14 +188,27 @@ async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
       );
 
       try {
-        // @ts-ignore - The Linear SDK types may not be fully accurate
-        const projectsResponse = await client.projects(queryParams);
-        logger?.debug(
-          `Found ${projectsResponse.nodes.length} projects from direct query`
+        page = await collectPage(
+          // @ts-ignore - The Linear SDK types may not be fully accurate
+          params => client.projects({ ...queryParams, ...params }),
+          {
+            cursor,
+            limit,
+            matches: filters.nameFilter
+              ? project =>
+                  filterProjectsByName(
+                    [project],
+                    filters.nameFilter,
+                    filters.fuzzyMatch !== false
+                  ).length > 0
+              : undefined,
+          },
+          logger
         );
+        logger?.debug(`Found ${page.nodes.length} projects from direct query`);
 
         // Add all projects to our collection
-        for (const project of projectsResponse.nodes) {
+        for (const project of page.nodes) {
           allProjects.set(project.id, project);
         }
       } catch (projectsError) {
@@ -183,10 +217,13 @@ async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
     }
 
     // Add projects referenced by issues if enabled and we have fewer than expected projects
-    // Only do this as a last resort if direct project queries don't yield enough results
+    // Only do this as a last resort if direct project queries don't yield enough results,
+    // which can only happen on the first and last page
     if (
       filters.includeThroughIssues !== false &&
       !filters.projectId &&
+      !cursor &&
+      !page.hasMore &&
       allProjects.size < limit
     ) {
       logger?.debug('Looking for additional projects referenced by issues');
@@ -279,12 +316,17 @@ async function listProjects(client, filters = {}, { limit = 25 } = {}, logger) {
       `Successfully processed ${processedProjects.length} projects`
     );
 
-    return ProjectSearchResultsSchema.parse({ results: processedProjects });
+    return ProjectSearchResultsSchema.parse({
+      results: processedProjects,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
   } catch (error) {
     // Enhanced error logging
     logger?.error(`Error listing Linear projects: ${error.message}`, {
       filters,
       limit,
+      cursor,
       stack: error.stack,
     });
 
@@ -514,14 +556,34 @@ const handler = async (
     includeThroughIssues,
     fuzzyMatch,
     limit,
+    cursor,
     debug,
   }
 ) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about config and parameters
-    logger.debug('List projects called with parameters:', {
+  // Log details about config and parameters
+  logger.debug('List projects called with parameters:', {
+    teamId,
+    nameFilter,
+    projectId,
+    state,
+    includeArchived,
+    includeThroughIssues,
+    fuzzyMatch,
+    limit,
+    cursor,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List projects using the Linear SDK client with filters
+  logger.debug('Executing Linear API list with filters');
+  const results = await listProjects(
+    linearClient,
+    {
       teamId,
       nameFilter,
       projectId,
@@ -529,204 +591,104 @@ const handler = async (
       includeArchived,
       includeThroughIssues,
       fuzzyMatch,
+    },
+    {
       limit,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
-
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
-
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
-
-    // List projects using the Linear SDK client with filters
-    logger.debug('Executing Linear API list with filters');
-    const results = await listProjects(
-      linearClient,
-      {
-        teamId,
-        nameFilter,
-        projectId,
-        state,
-        includeArchived,
-        includeThroughIssues,
-        fuzzyMatch,
-      },
-      {
-        limit,
-      },
-      logger
-    );
-
-    // Log the results count
-    logger.info(`Found ${results.results.length} projects matching criteria`);
-
-    // Format the output
-    let responseText = '';
-
-    if (results.results.length === 0) {
-      responseText = 'No projects found matching your criteria.';
-    } else {
-      responseText = 'Projects found:\n\n';
-
-      results.results.forEach((project, index) => {
-        // Format dates for display
-        const formatDisplayDate = timestamp => {
-          if (!timestamp) return 'Not set';
-          try {
-            const date = new Date(timestamp);
-            return date.toLocaleString();
-          } catch (e) {
-            return 'Invalid date';
-          }
-        };
-
-        // Determine project status
-        let status = 'Active';
-        if (project.archived) status = 'Archived';
-        else if (project.canceled) status = 'Canceled';
-        else if (project.completed) status = 'Completed';
-        else if (project.state) status = project.state;
-
-        // Format completion percentage
-        const progressPercent = Math.round(project.progress * 100);
-
-        responseText += `${index + 1}. ${project.name} [ID: ${project.id}]\n`;
-
-        if (project.description) {
-          // Truncate description to keep output manageable
-          const truncatedDescription =
-            project.description.length > 100
-              ? project.description.substring(0, 97) + '...'
-              : project.description;
-          responseText += `   Description: ${truncatedDescription}\n`;
-        }
-
-        responseText += `   Status: ${status} (${progressPercent}% complete)\n`;
-
-        if (project.teamName) {
-          responseText += `   Team: ${project.teamName}\n`;
-        }
-
-        if (project.leadName) {
-          responseText += `   Lead: ${project.leadName}\n`;
-        }
-
-        responseText += `   Issues: ${project.completedIssueCount}/${project.issueCount} completed\n`;
+      cursor,
+    },
+    logger
+  );
 
-        // Add dates
-        if (project.startDate) {
-          responseText += `   Start date: ${formatDisplayDate(
-            project.startDate
-          )}\n`;
+  // Log the results count
+  logger.info(`Found ${results.results.length} projects matching criteria`);
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No projects found matching your criteria.';
+  } else {
+    responseText = 'Projects found:\n\n';
+
+    results.results.forEach((project, index) => {
+      // Format dates for display
+      const formatDisplayDate = timestamp => {
+        if (!timestamp) return 'Not set';
+        try {
+          const date = new Date(timestamp);
+          return date.toLocaleString();
+        } catch (e) {
+          return 'Invalid date';
         }
+      };
 
-        if (project.targetDate) {
-          responseText += `   Target date: ${formatDisplayDate(
-            project.targetDate
-          )}\n`;
-        }
+      // Determine project status
+      let status = 'Active';
+      if (project.archived) status = 'Archived';
+      else if (project.canceled) status = 'Canceled';
+      else if (project.completed) status = 'Completed';
+      else if (project.state) status = project.state;
+
+      // Format completion percentage
+      const progressPercent = Math.round(project.progress * 100);
+
+      responseText += `${index + 1}. ${project.name} [ID: ${project.id}]\n`;
+
+      if (project.description) {
+        // Truncate description to keep output manageable
+        const truncatedDescription =
+          project.description.length > 100
+            ? project.description.substring(0, 97) + '...'
+            : project.description;
+        responseText += `   Description: ${truncatedDescription}\n`;
+      }
 
-        responseText += `   Created: ${formatDisplayDate(project.createdAt)}\n`;
+      responseText += `   Status: ${status} (${progressPercent}% complete)\n`;
 
-        if (project.updatedAt) {
-          responseText += `   Updated: ${formatDisplayDate(
-            project.updatedAt
-          )}\n`;
-        }
+      if (project.teamName) {
+        responseText += `   Team: ${project.teamName}\n`;
+      }
 
-        if (project.url) {
-          responseText += `   URL: ${project.url}\n`;
-        }
+      if (project.leadName) {
+        responseText += `   Lead: ${project.leadName}\n`;
+      }
 
-        responseText += '\n';
-      });
-    }
+      responseText += `   Issues: ${project.completedIssueCount}/${project.issueCount} completed\n`;
 
-    logger.debug('Returning formatted list results');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error listing projects: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error listing projects: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add filter parameters that were used
-      errorMessage += `\nFilter parameters:
-- teamId: ${teamId || '<not specified>'}
-- nameFilter: ${nameFilter || '<not specified>'}
-- projectId: ${projectId || '<not specified>'}
-- state: ${state || '<not specified>'}
-- includeArchived: ${includeArchived}
-- includeThroughIssues: ${includeThroughIssues}
-- fuzzyMatch: ${fuzzyMatch}
-- limit: ${limit}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
+      // Add dates
+      if (project.startDate) {
+        responseText += `   Start date: ${formatDisplayDate(
+          project.startDate
+        )}\n`;
       }
 
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
+      if (project.targetDate) {
+        responseText += `   Target date: ${formatDisplayDate(
+          project.targetDate
+        )}\n`;
       }
 
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
+      responseText += `   Created: ${formatDisplayDate(project.createdAt)}\n`;
+
+      if (project.updatedAt) {
+        responseText += `   Updated: ${formatDisplayDate(project.updatedAt)}\n`;
       }
 
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
+      if (project.url) {
+        responseText += `   URL: ${project.url}\n`;
+      }
 
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+      responseText += '\n';
+    });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+    responseText += formatNextPageHint(results);
   }
+
+  logger.debug('Returning formatted list results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
 };
 
 /**
@@ -734,9 +696,11 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const ListProjects = create_tool({
   name: 'list_projects',
+  title: 'List Projects',
   description:
     'List Linear projects with optional filtering by team, name, and archive status. Shows project details including status, lead, progress, and dates.',
   inputSchema: ListProjectsInputSchema,
+  outputSchema: ProjectSearchResultsSchema,
   handler,
 });
 
@@ -2,8 +2,19 @@
  * Linear teams listing tool
  */
 import { z } from 'zod';
-import { create_tool } from './utils/mod.js';
-import { TeamSchema } from '../effects/linear/types/types.js';
+import {
+  collectPage,
+  create_tool,
+  createToolClient,
+  CursorSchema,
+  formatNextPageHint,
+} from './utils/mod.js';
+import { noopCache } from '../effects/cache/mod.js';
+import { PageSchema, TeamSchema } from '../effects/linear/types/types.js';
+import {
+  requestGraphQL,
+  TEAM_DETAILS_QUERY,
+} from '../effects/linear/graphql/mod.js';
 
 /**
  * ListTeamsContext type definition
@@ -14,6 +25,7 @@ import { TeamSchema } from '../effects/linear/types/types.js';
  * @property {Object} effects
  * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
  * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ * @property {import('../effects/cache/mod.js').CacheEffect} [effects.cache]
  */
 
 /**
@@ -38,6 +50,7 @@ const ListTeamsInputSchema = z.object({
     .max(100)
     .default(25)
     .describe('Maximum number of teams to return'),
+  cursor: CursorSchema,
   debug: z
     .boolean()
     .default(false)
@@ -93,7 +106,7 @@ const ExtendedTeamSchema = TeamSchema.extend({
 /**
  * Team search results schema
  */
-const TeamSearchResultsSchema = z.object({
+const TeamSearchResultsSchema = PageSchema.extend({
   results: z.array(ExtendedTeamSchema),
 });
 
@@ -107,13 +120,21 @@ const TeamSearchResultsSchema = z.object({
  * @param {boolean} [options.includeMembers=true] - Include member information
  * @param {boolean} [options.includeProjects=true] - Include project information
  * @param {number} [options.limit=25] - Maximum number of teams to return
+ * @param {string} [options.cursor] - Cursor from a previous call, to get the next page
+ * @param {import('../effects/cache/mod.js').CacheEffect} [options.cache] - Metadata cache for the team details
  * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
  * @returns {Promise<import('zod').infer<typeof TeamSearchResultsSchema>>} Search results
  */
 async function listTeams(
   client,
   filters = {},
-  { includeMembers = true, includeProjects = true, limit = 25 } = {},
+  {
+    includeMembers = true,
+    includeProjects = true,
+    limit = 25,
+    cursor,
+    cache,
+  } = {},
   logger
 ) {
   try {
@@ -122,172 +143,47 @@ async function listTeams(
       includeMembers,
       includeProjects,
       limit,
+      cursor,
     });
 
-    // Get all teams
-    // @ts-ignore - The Linear SDK types may not be fully accurate
-    const teamsResponse = await client.teams();
-    logger?.debug(`Found ${teamsResponse.nodes.length} teams`);
-
-    // Filter teams by name if specified
-    let filteredTeams = teamsResponse.nodes;
-    if (filters.nameFilter) {
-      const nameFilterLower = filters.nameFilter.toLowerCase();
+    // Name filtering happens client-side, so keep paging until enough teams match
+    const nameFilterLower = filters.nameFilter?.toLowerCase();
+    if (nameFilterLower) {
       logger?.debug(`Filtering teams by name: ${filters.nameFilter}`);
-
-      filteredTeams = filteredTeams.filter(team => {
-        const name = team.name.toLowerCase();
-        const key = team.key.toLowerCase();
-        const description = team.description?.toLowerCase() || '';
-
-        // Check for direct inclusion
-        if (
-          name.includes(nameFilterLower) ||
-          key.includes(nameFilterLower) ||
-          description.includes(nameFilterLower)
-        ) {
-          return true;
-        }
-
-        // No match found
-        return false;
-      });
-
-      logger?.debug(
-        `After name filtering, found ${filteredTeams.length} teams`
-      );
     }
 
-    // Apply limit to teams
-    filteredTeams = filteredTeams.slice(0, limit);
-
-    // Process teams to extract detailed information
-    const processedTeams = await Promise.all(
-      filteredTeams.map(async team => {
-        logger?.debug(`Processing team ${team.name} (${team.id})`);
-
-        // Build base team object
-        const teamData = {
-          id: team.id,
-          name: team.name,
-          key: team.key,
-          description: team.description,
-          createdAt: formatDate(team.createdAt),
-          updatedAt: formatDate(team.updatedAt),
-          color: team.color,
-          private: team.private,
-          // @ts-ignore - SDK may have different property name
-          cycleEnable: team.cyclesEnabled || team.cycleEnable,
-          timezone: team.timezone,
-          // @ts-ignore - SDK structure may differ from types
-          markedAsDuplicate: team.markedAsDuplicate,
-          // @ts-ignore - SDK structure may differ from types
-          issuesPerCycle: team.issuesPerCycle,
-          // @ts-ignore - SDK structure may differ from types
-          url: team.url,
-        };
-
-        // Add members if requested
-        if (includeMembers) {
-          try {
-            // @ts-ignore - The Linear SDK types may not be fully accurate
-            const membersResponse = await team.members();
-            if (membersResponse?.nodes) {
-              teamData.members = membersResponse.nodes.map(member => ({
-                id: member.id,
-                name: member.name,
-                displayName: member.displayName || member.name,
-                active: member.active !== false,
-              }));
-              teamData.memberCount = teamData.members.length;
-            }
-            logger?.debug(
-              `Added ${teamData.memberCount || 0} members for team ${team.name}`
-            );
-          } catch (membersError) {
-            logger?.warn(
-              `Error fetching members for team ${team.name}: ${membersError.message}`
-            );
-          }
-        }
-
-        // Add projects if requested
-        if (includeProjects) {
-          try {
-            // @ts-ignore - The Linear SDK types may not be fully accurate
-            const projectsResponse = await team.projects();
-            if (projectsResponse?.nodes) {
-              teamData.projects = await Promise.all(
-                projectsResponse.nodes.map(async project => {
-                  // Get state information
-                  let stateName = undefined;
-                  try {
-                    if (project.state) {
-                      const state = await project.state;
-                      if (state) {
-                        // @ts-ignore - SDK structure may differ from types
-                        stateName = state.name;
-                      }
-                    }
-                  } catch (stateError) {
-                    logger?.warn(
-                      `Error fetching project state: ${stateError.message}`
-                    );
-                  }
-
-                  return {
-                    id: project.id,
-                    name: project.name,
-                    state: stateName,
-                    // @ts-ignore - SDK has different property name
-                    completed: project.completedAt ? true : false,
-                  };
-                })
-              );
-              teamData.projectCount = teamData.projects.length;
-            }
-            logger?.debug(
-              `Added ${teamData.projectCount || 0} projects for team ${
-                team.name
-              }`
-            );
-          } catch (projectsError) {
-            logger?.warn(
-              `Error fetching projects for team ${team.name}: ${projectsError.message}`
-            );
-          }
-        }
-
-        // Add issue counts
-        try {
-          // @ts-ignore - The Linear SDK types may not be fully accurate
-          const issuesResponse = await team.issues();
-          if (issuesResponse) {
-            teamData.issueCount = issuesResponse.nodes.length;
-            teamData.activeIssueCount = issuesResponse.nodes.filter(
-              issue => !issue.completedAt
-            ).length;
-            teamData.completedIssueCount = issuesResponse.nodes.filter(
-              issue => issue.completedAt
-            ).length;
-          }
-          logger?.debug(
-            `Added issue counts for team ${team.name}: ${
-              teamData.issueCount || 0
-            } total`
-          );
-        } catch (issuesError) {
-          logger?.warn(
-            `Error fetching issues for team ${team.name}: ${issuesError.message}`
-          );
-        }
-
-        return teamData;
-      })
+    const page = await collectPage(
+      // @ts-ignore - The Linear SDK types may not be fully accurate
+      params => client.teams(params),
+      {
+        cursor,
+        limit,
+        matches: nameFilterLower
+          ? team =>
+              team.name.toLowerCase().includes(nameFilterLower) ||
+              team.key.toLowerCase().includes(nameFilterLower) ||
+              (team.description?.toLowerCase() || '').includes(nameFilterLower)
+          : undefined,
+      },
+      logger
+    );
+    const filteredTeams = page.nodes;
+    logger?.debug(`Found ${filteredTeams.length} teams`);
+
+    // Fetch the members, projects and issues of all teams in one query
+    const processedTeams = await fetchTeamDetails(
+      client,
+      filteredTeams.map(team => team.id),
+      { includeMembers, includeProjects, cache },
+      logger
     );
 
     logger?.debug(`Successfully processed ${processedTeams.length} teams`);
-    return TeamSearchResultsSchema.parse({ results: processedTeams });
+    return TeamSearchResultsSchema.parse({
+      results: processedTeams,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
   } catch (error) {
     // Enhanced error logging
     logger?.error(`Error listing Linear teams: ${error.message}`, {
@@ -295,6 +191,7 @@ async function listTeams(
       includeMembers,
       includeProjects,
       limit,
+      cursor,
       stack: error.stack,
     });
 
@@ -311,6 +208,101 @@ async function listTeams(
   }
 }
 
+/**
+ * Fetches the details of teams with their members, projects and issue counts
+ *
+ * Details found in the cache are used as they are; the other teams are
+ * fetched in one query and cached.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string[]} teamIds - IDs of the teams
+ * @param {Object} options - Options
+ * @param {boolean} [options.includeMembers=true] - Include member information
+ * @param {boolean} [options.includeProjects=true] - Include project information
+ * @param {import('../effects/cache/mod.js').CacheEffect} [options.cache=noopCache] - Metadata cache
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<Array<import('zod').infer<typeof ExtendedTeamSchema>>>} Team details, in the order of `teamIds`
+ */
+async function fetchTeamDetails(
+  client,
+  teamIds,
+  { includeMembers = true, includeProjects = true, cache = noopCache } = {},
+  logger
+) {
+  const cacheKey = id =>
+    [id, includeMembers && 'members', includeProjects && 'projects']
+      .filter(Boolean)
+      .join(':');
+
+  /** @type {Map<string, import('zod').infer<typeof ExtendedTeamSchema>>} */
+  const details = new Map();
+  for (const id of teamIds) {
+    const cached = await cache.get('teams', cacheKey(id));
+    if (cached) {
+      details.set(id, cached);
+    }
+  }
+
+  const missing = teamIds.filter(id => !details.has(id));
+  if (missing.length > 0) {
+    logger?.debug(`Fetching details of ${missing.length} teams`);
+    const { teams } = await requestGraphQL(
+      client,
+      TEAM_DETAILS_QUERY,
+      { ids: missing, first: missing.length, includeMembers, includeProjects },
+      logger
+    );
+
+    for (const team of teams.nodes) {
+      const fetched = teamDetailsFromNode(team);
+      details.set(team.id, fetched);
+      await cache.set('teams', cacheKey(team.id), fetched);
+    }
+  }
+
+  return teamIds.filter(id => details.has(id)).map(id => details.get(id));
+}
+
+/**
+ * Converts a team selected by TEAM_DETAILS_QUERY
+ *
+ * @param {any} team - Team node from a GraphQL response
+ * @returns {import('zod').infer<typeof ExtendedTeamSchema>} Team details
+ */
+function teamDetailsFromNode(team) {
+  const issues = team.issues?.nodes || [];
+
+  return ExtendedTeamSchema.parse({
+    id: team.id,
+    name: team.name,
+    key: team.key,
+    description: team.description || undefined,
+    createdAt: formatDate(team.createdAt),
+    updatedAt: formatDate(team.updatedAt),
+    color: team.color || undefined,
+    private: team.private,
+    cycleEnable: team.cyclesEnabled,
+    timezone: team.timezone,
+    members: team.members?.nodes.map(member => ({
+      id: member.id,
+      name: member.name,
+      displayName: member.displayName || member.name,
+      active: member.active !== false,
+    })),
+    memberCount: team.members?.nodes.length,
+    projects: team.projects?.nodes.map(project => ({
+      id: project.id,
+      name: project.name,
+      state: project.state || undefined,
+      completed: Boolean(project.completedAt),
+    })),
+    projectCount: team.projects?.nodes.length,
+    issueCount: issues.length,
+    activeIssueCount: issues.filter(issue => !issue.completedAt).length,
+    completedIssueCount: issues.filter(issue => issue.completedAt).length,
+  });
+}
+
 /**
  * Format a date value to ISO string
  * @param {Date|string|undefined} timestamp - The timestamp to format
@@ -327,201 +319,131 @@ function formatDate(timestamp) {
  */
 const handler = async (
   ctx,
-  { nameFilter, includeMembers, includeProjects, limit, debug }
+  { nameFilter, includeMembers, includeProjects, limit, cursor, debug }
 ) => {
   const logger = ctx.effects.logger;
 
-  try {
-    // Log details about parameters
-    logger.debug('List teams called with parameters:', {
-      nameFilter,
+  // Log details about parameters
+  logger.debug('List teams called with parameters:', {
+    nameFilter,
+    includeMembers,
+    includeProjects,
+    limit,
+    cursor,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List teams using the Linear SDK client
+  logger.debug('Executing Linear API to list teams');
+  const results = await listTeams(
+    linearClient,
+    { nameFilter },
+    {
       includeMembers,
       includeProjects,
       limit,
-      debug,
-    });
-
-    // Debug log for API key (masked)
-    const apiKey = ctx.config.linearApiKey || '';
-    const maskedKey = apiKey
-      ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
-      : '<not set>';
-    logger.debug(`Using Linear API key: ${maskedKey}`);
-
-    if (!ctx.config.linearApiKey) {
-      throw new Error('LINEAR_API_KEY is not configured');
-    }
-
-    // Create a Linear client using our effect
-    logger.debug('Creating Linear client');
-    const linearClient = ctx.effects.linear.createClient(
-      ctx.config.linearApiKey
-    );
-
-    // List teams using the Linear SDK client
-    logger.debug('Executing Linear API to list teams');
-    const results = await listTeams(
-      linearClient,
-      { nameFilter },
-      { includeMembers, includeProjects, limit },
-      logger
-    );
-
-    // Log the results count
-    logger.info(`Found ${results.results.length} teams matching criteria`);
-
-    // Format the output
-    let responseText = '';
-
-    if (results.results.length === 0) {
-      responseText = 'No teams found matching your criteria.';
-    } else {
-      responseText = 'Teams found:\n\n';
-
-      // Format dates for display
-      const formatDisplayDate = timestamp => {
-        if (!timestamp) return 'Not available';
-        try {
-          const date = new Date(timestamp);
-          return date.toLocaleString();
-        } catch (e) {
-          return 'Invalid date';
-        }
-      };
+      cursor,
+      cache: ctx.effects.cache,
+    },
+    logger
+  );
+
+  // Log the results count
+  logger.info(`Found ${results.results.length} teams matching criteria`);
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No teams found matching your criteria.';
+  } else {
+    responseText = 'Teams found:\n\n';
+
+    // Format dates for display
+    const formatDisplayDate = timestamp => {
+      if (!timestamp) return 'Not available';
+      try {
+        const date = new Date(timestamp);
+        return date.toLocaleString();
+      } catch (e) {
+        return 'Invalid date';
+      }
+    };
 
-      results.results.forEach((team, index) => {
-        responseText += `${index + 1}. **${team.name}** (${team.key}) [ID: ${
-          team.id
-        }]\n`;
+    results.results.forEach((team, index) => {
+      responseText += `${index + 1}. **${team.name}** (${team.key}) [ID: ${
+        team.id
+      }]\n`;
 
-        if (team.description) {
-          responseText += `   Description: ${team.description}\n`;
-        }
-
-        // Add metrics
-        const memberCount = team.memberCount || 0;
-        const projectCount = team.projectCount || 0;
-        const issueCount = team.issueCount || 0;
-        const completedIssueCount = team.completedIssueCount || 0;
+      if (team.description) {
+        responseText += `   Description: ${team.description}\n`;
+      }
 
-        responseText += `   Members: ${memberCount} | Projects: ${projectCount} | Issues: ${completedIssueCount}/${issueCount} completed\n`;
+      // Add metrics
+      const memberCount = team.memberCount || 0;
+      const projectCount = team.projectCount || 0;
+      const issueCount = team.issueCount || 0;
+      const completedIssueCount = team.completedIssueCount || 0;
 
-        // Add created/updated dates
-        if (team.createdAt) {
-          responseText += `   Created: ${formatDisplayDate(team.createdAt)}\n`;
-        }
+      responseText += `   Members: ${memberCount} | Projects: ${projectCount} | Issues: ${completedIssueCount}/${issueCount} completed\n`;
 
-        if (team.url) {
-          responseText += `   URL: ${team.url}\n`;
-        }
+      // Add created/updated dates
+      if (team.createdAt) {
+        responseText += `   Created: ${formatDisplayDate(team.createdAt)}\n`;
+      }
 
-        // Add members if included
-        if (team.members && team.members.length > 0) {
-          responseText += `   Members: `;
-          const memberNames = team.members
-            .slice(0, 5)
-            .map(m => m.displayName || m.name)
-            .join(', ');
+      if (team.url) {
+        responseText += `   URL: ${team.url}\n`;
+      }
 
-          responseText += memberNames;
+      // Add members if included
+      if (team.members && team.members.length > 0) {
+        responseText += `   Members: `;
+        const memberNames = team.members
+          .slice(0, 5)
+          .map(m => m.displayName || m.name)
+          .join(', ');
 
-          if (team.members.length > 5) {
-            responseText += `, +${team.members.length - 5} more`;
-          }
+        responseText += memberNames;
 
-          responseText += '\n';
+        if (team.members.length > 5) {
+          responseText += `, +${team.members.length - 5} more`;
         }
 
-        // Add projects if included
-        if (team.projects && team.projects.length > 0) {
-          responseText += `   Projects: `;
-          const projectNames = team.projects
-            .slice(0, 5)
-            .map(p => p.name)
-            .join(', ');
+        responseText += '\n';
+      }
 
-          responseText += projectNames;
+      // Add projects if included
+      if (team.projects && team.projects.length > 0) {
+        responseText += `   Projects: `;
+        const projectNames = team.projects
+          .slice(0, 5)
+          .map(p => p.name)
+          .join(', ');
 
-          if (team.projects.length > 5) {
-            responseText += `, +${team.projects.length - 5} more`;
-          }
+        responseText += projectNames;
 
-          responseText += '\n';
+        if (team.projects.length > 5) {
+          responseText += `, +${team.projects.length - 5} more`;
         }
 
         responseText += '\n';
-      });
-    }
-
-    logger.debug('Returning formatted list results');
-    return {
-      content: [{ type: 'text', text: responseText }],
-    };
-  } catch (error) {
-    logger.error(`Error listing teams: ${error.message}`);
-    logger.error(error.stack);
-
-    // Create a user-friendly error message with troubleshooting guidance
-    let errorMessage = `Error listing teams: ${error.message}`;
-
-    // Add detailed diagnostic information if in debug mode
-    if (debug) {
-      errorMessage += '\n\n=== DETAILED DEBUG INFORMATION ===';
-
-      // Add filter parameters that were used
-      errorMessage += `\nParameters:
-- nameFilter: ${nameFilter || '<not specified>'}
-- includeMembers: ${includeMembers}
-- includeProjects: ${includeProjects}
-- limit: ${limit}`;
-
-      // Check if API key is configured
-      const apiKey = ctx.config.linearApiKey || '';
-      const keyStatus = apiKey
-        ? `API key is configured (${apiKey.substring(
-            0,
-            4
-          )}...${apiKey.substring(apiKey.length - 4)})`
-        : 'API key is NOT configured - set LINEAR_API_KEY';
-
-      errorMessage += `\n\nLinear API Status: ${keyStatus}`;
-
-      // Add error details
-      if (error.name) {
-        errorMessage += `\nError type: ${error.name}`;
       }
 
-      if (error.code) {
-        errorMessage += `\nError code: ${error.code}`;
-      }
-
-      if (error.stack) {
-        errorMessage += `\n\nStack trace: ${error.stack
-          .split('\n')
-          .slice(0, 3)
-          .join('\n')}`;
-      }
-
-      // Add Linear API info for manual testing
-      errorMessage += `\n\nLinear API: Using official Linear SDK (@linear/sdk)
-For manual testing, try using the SDK directly or the Linear API Explorer in the Linear UI.`;
-    }
-
-    // Add a note that debug mode can be enabled for more details
-    if (!debug) {
-      errorMessage += `\n\nFor more detailed diagnostics, retry with debug:true in the input.`;
-    }
+      responseText += '\n';
+    });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: errorMessage,
-        },
-      ],
-      isError: true,
-    };
+    responseText += formatNextPageHint(results);
   }
+
+  logger.debug('Returning formatted list results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
 };
 
 /**
@@ -529,11 +451,13 @@ For manual testing, try using the SDK directly or the Linear API Explorer in the
  */
 export const ListTeams = create_tool({
   name: 'list_teams',
+  title: 'List Teams',
   description:
     'List Linear teams with details about their members, projects, and issues. Use this to get a high-level view of all teams in your Linear workspace.',
   inputSchema: ListTeamsInputSchema,
+  outputSchema: TeamSearchResultsSchema,
   handler,
 });
 
 // Export for testing
-export { listTeams };
+export { fetchTeamDetails, listTeams };
@@ -4,6 +4,8 @@
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
 
+import { createCache, DEFAULT_CACHE_TTLS } from '../effects/cache/mod.js';
+import { createMockGraphQLClient } from '../effects/linear/client.mock.js';
 import { listTeams, ListTeams } from './list-teams.js';
 
 describe('listTeams', () => {
@@ -91,36 +93,41 @@ describe('listTeams', () => {
         {
           id: 'project-1',
           name: 'Project One',
-          state: Promise.resolve({ name: 'Active' }),
-          completed: false,
+          state: 'started',
+          completedAt: null,
         },
         {
           id: 'project-2',
           name: 'Project Two',
-          state: Promise.resolve({ name: 'Completed' }),
-          completed: true,
+          state: 'completed',
+          completedAt: '2023-02-01T00:00:00.000Z',
         },
       ],
     };
 
     const mockIssues = {
       nodes: [
-        { id: 'issue-1', completedAt: null },
-        { id: 'issue-2', completedAt: null },
-        { id: 'issue-3', completedAt: new Date() },
+        { completedAt: null },
+        { completedAt: null },
+        { completedAt: '2023-02-01T00:00:00.000Z' },
       ],
     };
 
-    // Create mock client
+    // Create mock client: one page of teams, then their details at once
     const mockClient = {
-      teams: mock.fn(async () => ({
-        nodes: mockTeams.map(team => ({
-          ...team,
-          members: mock.fn(async () => mockMembers),
-          projects: mock.fn(async () => mockProjects),
-          issues: mock.fn(async () => mockIssues),
-        })),
-      })),
+      teams: mock.fn(async () => ({ nodes: mockTeams })),
+      client: createMockGraphQLClient({
+        TeamDetails: () => ({
+          teams: {
+            nodes: mockTeams.map(team => ({
+              ...team,
+              members: mockMembers,
+              projects: mockProjects,
+              issues: mockIssues,
+            })),
+          },
+        }),
+      }),
     };
 
     const logger = createMockLogger();
@@ -136,6 +143,16 @@ describe('listTeams', () => {
     // Verify function was called correctly
     assert.strictEqual(mockClient.teams.mock.calls.length, 1);
 
+    // Both teams' members, projects and issues come with one query
+    assert.deepStrictEqual(
+      mockClient.client.requests.map(request => request.operation),
+      ['TeamDetails']
+    );
+    assert.deepStrictEqual(mockClient.client.requests[0].variables.ids, [
+      'team-1',
+      'team-2',
+    ]);
+
     // Verify the results
     assert.ok(results, 'Results should exist');
     assert.ok(Array.isArray(results.results), 'Results should be an array');
@@ -176,14 +193,16 @@ describe('listTeams', () => {
   it('should filter teams by name (partial match)', async () => {
     // Create mock client
     const mockClient = {
-      teams: mock.fn(async () => ({
-        nodes: mockTeams.map(team => ({
-          ...team,
-          members: mock.fn(async () => ({ nodes: [] })),
-          projects: mock.fn(async () => ({ nodes: [] })),
-          issues: mock.fn(async () => ({ nodes: [] })),
-        })),
-      })),
+      teams: mock.fn(async () => ({ nodes: mockTeams })),
+      client: createMockGraphQLClient({
+        TeamDetails: ({ ids }) => ({
+          teams: {
+            nodes: mockTeams
+              .filter(team => ids.includes(team.id))
+              .map(team => ({ ...team, issues: { nodes: [] } })),
+          },
+        }),
+      }),
     };
 
     const logger = createMockLogger();
@@ -209,6 +228,51 @@ describe('listTeams', () => {
     );
   });
 
+  it('should reuse cached team details until they expire', async () => {
+    const mockClient = {
+      teams: mock.fn(async () => ({ nodes: mockTeams })),
+      client: createMockGraphQLClient({
+        TeamDetails: ({ ids }) => ({
+          teams: {
+            nodes: mockTeams
+              .filter(team => ids.includes(team.id))
+              .map(team => ({ ...team, issues: { nodes: [] } })),
+          },
+        }),
+      }),
+    };
+    let now = Date.parse('2024-06-01T00:00:00Z');
+    const cache = createCache({ clock: () => now });
+    const options = { includeMembers: false, includeProjects: false, cache };
+    const logger = /** @type {any} */ (createMockLogger());
+
+    await listTeams(/** @type {any} */ (mockClient), {}, options, logger);
+    const cached = await listTeams(
+      /** @type {any} */ (mockClient),
+      {},
+      options,
+      logger
+    );
+    assert.deepStrictEqual(
+      cached.results.map(team => team.key),
+      ['ENG', 'PROD']
+    );
+    assert.strictEqual(mockClient.client.requests.length, 1);
+
+    // Other details of the same teams are cached apart
+    await listTeams(
+      /** @type {any} */ (mockClient),
+      {},
+      { ...options, includeMembers: true },
+      logger
+    );
+    assert.strictEqual(mockClient.client.requests.length, 2);
+
+    now += DEFAULT_CACHE_TTLS.teams;
+    await listTeams(/** @type {any} */ (mockClient), {}, options, logger);
+    assert.strictEqual(mockClient.client.requests.length, 3);
+  });
+
   it('should handle errors gracefully', async () => {
     // Create mock client that throws
     const mockClient = {
@@ -0,0 +1,214 @@
+/**
+ * Linear workflow states listing tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  fetchTeams,
+  fetchTeamStates,
+  resolveTeam,
+  WORKFLOW_STATE_TYPES,
+} from './utils/mod.js';
+import {
+  TeamSchema,
+  WorkflowStateSchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * ListWorkflowStatesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} ListWorkflowStatesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for ListWorkflowStates tool
+ */
+const ListWorkflowStatesInputSchema = z.object({
+  teamId: z
+    .string()
+    .optional()
+    .describe(
+      'The team to list states for, by ID, key (e.g. ENG) or name. Lists every team when omitted'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+});
+
+/**
+ * Workflow states of a single team
+ */
+const TeamWorkflowStatesSchema = z.object({
+  team: TeamSchema,
+  states: z.array(WorkflowStateSchema),
+});
+
+/**
+ * Workflow state listing results schema
+ */
+const WorkflowStateResultsSchema = z.object({
+  results: z.array(TeamWorkflowStatesSchema),
+});
+
+/**
+ * Display headings for each workflow state type
+ */
+const STATE_TYPE_HEADINGS = {
+  triage: 'Triage',
+  backlog: 'Backlog',
+  unstarted: 'Unstarted',
+  started: 'Started',
+  completed: 'Completed',
+  canceled: 'Canceled',
+};
+
+/**
+ * Lists the workflow states of one or all teams in Linear
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {Object} filters - Filter criteria
+ * @param {string} [filters.teamId] - Team ID, key or name to list states for
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof WorkflowStateResultsSchema>>} States grouped by team
+ */
+async function listWorkflowStates(client, filters = {}, logger) {
+  try {
+    logger?.debug('Listing Linear workflow states', { filters });
+
+    let teams;
+    if (filters.teamId) {
+      teams = [await resolveTeam(client, filters.teamId, logger)];
+    } else {
+      teams = await fetchTeams(client);
+    }
+
+    logger?.debug(`Fetching workflow states for ${teams.length} teams`);
+
+    const results = await Promise.all(
+      teams.map(async team => {
+        const states = await fetchTeamStates(client, team);
+
+        logger?.debug(`Found ${states.length} states for team ${team.name}`);
+
+        return {
+          team: { id: team.id, name: team.name, key: team.key },
+          states,
+        };
+      })
+    );
+
+    return WorkflowStateResultsSchema.parse({ results });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error listing Linear workflow states: ${error.message}`, {
+      filters,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Handler for ListWorkflowStates tool
+ * @type {import('./types/mod.js').ToolHandler<ListWorkflowStatesContext, typeof ListWorkflowStatesInputSchema>}
+ */
+const handler = async (ctx, { teamId, debug }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about parameters
+  logger.debug('List workflow states called with parameters:', {
+    teamId,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // List workflow states using the Linear SDK client
+  logger.debug('Executing Linear API to list workflow states');
+  const results = await listWorkflowStates(linearClient, { teamId }, logger);
+
+  // Log the results count
+  logger.info(`Found workflow states for ${results.results.length} teams`);
+
+  // Format the output
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = 'No teams found.';
+  } else {
+    responseText = 'Workflow states:\n\n';
+
+    results.results.forEach(({ team, states }) => {
+      responseText += `## ${team.name} (${team.key})\n\n`;
+
+      if (states.length === 0) {
+        responseText += 'No workflow states found for this team.\n\n';
+        return;
+      }
+
+      // Group the (already sorted) states by type
+      const otherStates = states.filter(
+        state => !WORKFLOW_STATE_TYPES.includes(state.type)
+      );
+
+      WORKFLOW_STATE_TYPES.forEach(type => {
+        const typeStates = states.filter(state => state.type === type);
+        if (typeStates.length === 0) return;
+
+        responseText += `### ${STATE_TYPE_HEADINGS[type]}\n`;
+        typeStates.forEach(state => {
+          responseText += `- ${state.name} [ID: ${state.id}]\n`;
+        });
+        responseText += '\n';
+      });
+
+      if (otherStates.length > 0) {
+        responseText += '### Other\n';
+        otherStates.forEach(state => {
+          responseText += `- ${state.name} [ID: ${state.id}]\n`;
+        });
+        responseText += '\n';
+      }
+    });
+  }
+
+  logger.debug('Returning formatted workflow state results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
+};
+
+/**
+ * ListWorkflowStates tool factory
+ */
+export const ListWorkflowStates = create_tool({
+  name: 'list_workflow_states',
+  title: 'List Workflow States',
+  description:
+    'List the workflow states (statuses) of Linear teams, grouped by type (triage, backlog, unstarted, started, completed, canceled) in board order. Use this to find valid status names and state IDs.',
+  inputSchema: ListWorkflowStatesInputSchema,
+  outputSchema: WorkflowStateResultsSchema,
+  handler,
+});
+
+// Export for testing
+export { listWorkflowStates };
@@ -0,0 +1,100 @@
+/**
+ * Tests for list-workflow-states tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  listWorkflowStates,
+  ListWorkflowStates,
+} from './list-workflow-states.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const mockTeams = [
+  { id: 'team-1', name: 'Engineering', key: 'ENG' },
+  { id: 'team-2', name: 'Product', key: 'PROD' },
+];
+
+/** @type {Record<string, any[]>} */
+const mockStates = {
+  'team-1': [
+    { id: 's-done', name: 'Done', type: 'completed', position: 0 },
+    { id: 's-progress', name: 'In Progress', type: 'started', position: 1 },
+    { id: 's-backlog', name: 'Backlog', type: 'backlog', position: 0 },
+  ],
+  'team-2': [{ id: 's-todo', name: 'Todo', type: 'unstarted', position: 0 }],
+};
+
+const createMockClient = () => ({
+  teams: mock.fn(async () => ({ nodes: mockTeams })),
+  workflowStates: mock.fn(async ({ filter }) => ({
+    nodes: mockStates[filter.team.id.eq] || [],
+  })),
+});
+
+describe('listWorkflowStates', () => {
+  it('should list the states of every team in board order', async () => {
+    const client = createMockClient();
+
+    const result = await listWorkflowStates(
+      /** @type {any} */ (client),
+      {},
+      mockLogger
+    );
+
+    assert.strictEqual(result.results.length, 2);
+    assert.deepStrictEqual(result.results[0].team, {
+      id: 'team-1',
+      name: 'Engineering',
+      key: 'ENG',
+    });
+    assert.deepStrictEqual(
+      result.results[0].states.map(state => state.name),
+      ['Backlog', 'In Progress', 'Done']
+    );
+  });
+
+  it('should list the states of a single team by key', async () => {
+    const client = createMockClient();
+
+    const result = await listWorkflowStates(
+      /** @type {any} */ (client),
+      { teamId: 'prod' },
+      mockLogger
+    );
+
+    assert.strictEqual(result.results.length, 1);
+    assert.strictEqual(result.results[0].team.key, 'PROD');
+    assert.strictEqual(result.results[0].states[0].type, 'unstarted');
+  });
+});
+
+describe('ListWorkflowStates tool', () => {
+  it('should group states by type in its output', async () => {
+    const tool = new ListWorkflowStates({
+      config: { linearApiKey: 'lin_api_test_mock_key_123456' },
+      effects: {
+        logger: mockLogger,
+        linear: {
+          createClient: () => /** @type {any} */ (createMockClient()),
+        },
+      },
+    });
+
+    const response = await tool.call({ teamId: 'ENG' });
+    const text = response.content[0].text;
+
+    assert.ok(!response.isError);
+    assert.ok(text.includes('## Engineering (ENG)'));
+    assert.ok(
+      text.indexOf('### Backlog') < text.indexOf('### Started') &&
+        text.indexOf('### Started') < text.indexOf('### Completed')
+    );
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Linear workspaces listing tool
+ */
+import { z } from 'zod';
+import { create_tool, createToolClient, selectWorkspace } from './utils/mod.js';
+
+/**
+ * ListWorkspacesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} ListWorkspacesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for ListWorkspaces tool
+ */
+const ListWorkspacesInputSchema = z.object({
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+});
+
+/**
+ * A workspace with the organization and user its credentials act as
+ */
+const WorkspaceResultSchema = z.object({
+  name: z.string().optional(),
+  default: z.boolean(),
+  organization: z
+    .object({
+      id: z.string(),
+      name: z.string(),
+      urlKey: z.string().optional(),
+    })
+    .optional(),
+  viewer: z
+    .object({
+      id: z.string(),
+      name: z.string(),
+      email: z.string().optional(),
+    })
+    .optional(),
+  error: z.string().optional(),
+});
+
+/**
+ * Workspace listing results schema
+ */
+const WorkspaceResultsSchema = z.object({
+  results: z.array(WorkspaceResultSchema),
+});
+
+/**
+ * Lists the organization and viewer of each workspace
+ *
+ * A workspace whose credentials fail is listed with the error, so one
+ * revoked key doesn't hide the other workspaces.
+ *
+ * @param {Array<{ name?: string, default: boolean, getClient: () => Promise<import('@linear/sdk').LinearClient> }>} workspaces - Workspaces to describe
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof WorkspaceResultsSchema>>} Workspaces
+ */
+async function listWorkspaces(workspaces, logger) {
+  const results = await Promise.all(
+    workspaces.map(async ({ name, default: isDefault, getClient }) => {
+      try {
+        logger?.debug(`Fetching organization of workspace ${name}`);
+        const client = await getClient();
+        const [organization, viewer] = await Promise.all([
+          client.organization,
+          client.viewer,
+        ]);
+
+        return {
+          name,
+          default: isDefault,
+          organization: {
+            id: organization.id,
+            name: organization.name,
+            urlKey: organization.urlKey,
+          },
+          viewer: {
+            id: viewer.id,
+            name: viewer.displayName || viewer.name,
+            email: viewer.email,
+          },
+        };
+      } catch (error) {
+        logger?.warn(
+          `Error fetching organization of workspace ${name}: ${error.message}`
+        );
+        return { name, default: isDefault, error: error.message };
+      }
+    })
+  );
+
+  return WorkspaceResultsSchema.parse({ results });
+}
+
+/**
+ * Handler for ListWorkspaces tool
+ * @type {import('./types/mod.js').ToolHandler<ListWorkspacesContext, typeof ListWorkspacesInputSchema>}
+ */
+const handler = async (ctx, { debug }) => {
+  const logger = ctx.effects.logger;
+
+  logger.debug('List workspaces called with parameters:', { debug });
+
+  // Without named workspaces, describe the session's own credentials
+  const { workspaces, defaultWorkspace } = ctx.config;
+  const names = workspaces ? Object.keys(workspaces) : [undefined];
+
+  const results = await listWorkspaces(
+    names.map(name => ({
+      name,
+      default: name === defaultWorkspace,
+      getClient: () => createToolClient(selectWorkspace(ctx, name).ctx, logger),
+    })),
+    logger
+  );
+
+  logger.info(`Listed ${results.results.length} workspaces`);
+
+  let responseText = workspaces
+    ? 'Workspaces:\n\n'
+    : 'No named workspaces are configured. Tools act in this workspace:\n\n';
+
+  results.results.forEach((workspace, index) => {
+    responseText += workspace.name
+      ? `${index + 1}. **${workspace.name}**${workspace.default ? ' (default)' : ''}\n`
+      : `${index + 1}. **Current workspace**\n`;
+
+    if (workspace.error) {
+      responseText += `   Error: ${workspace.error}\n\n`;
+      return;
+    }
+
+    responseText += `   Organization: ${workspace.organization.name}`;
+    if (workspace.organization.urlKey) {
+      responseText += ` (linear.app/${workspace.organization.urlKey})`;
+    }
+    responseText += '\n';
+
+    responseText += `   Viewer: ${workspace.viewer.name}`;
+    if (workspace.viewer.email) {
+      responseText += ` <${workspace.viewer.email}>`;
+    }
+    responseText += '\n\n';
+  });
+
+  if (workspaces) {
+    responseText +=
+      'Pass the workspace name as the workspace argument of any tool to act in that workspace.';
+  }
+
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
+};
+
+/**
+ * ListWorkspaces tool factory
+ */
+export const ListWorkspaces = create_tool({
+  name: 'list_workspaces',
+  title: 'List Workspaces',
+  description:
+    'List the Linear workspaces this server can act in, with the organization and user behind each one. Use this to find the names to pass as the workspace argument of other tools.',
+  inputSchema: ListWorkspacesInputSchema,
+  outputSchema: WorkspaceResultsSchema,
+  handler,
+  workspace: false,
+});
+
+// Export for testing
+export { listWorkspaces };
@@ -0,0 +1,94 @@
+/**
+ * Tests for the list-workspaces tool
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ListWorkspaces } from './list-workspaces.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Creates a client for the organization an API key belongs to
+function createWorkspaceClient(apiKey) {
+  if (apiKey === 'lin_api_revoked') {
+    const rejected = Promise.reject(new Error('Authentication required'));
+    rejected.catch(() => {});
+    return { organization: rejected, viewer: rejected };
+  }
+
+  const organization = apiKey === 'lin_api_product' ? 'Product' : 'Labs';
+  return {
+    organization: Promise.resolve({
+      id: `org-${organization}`,
+      name: `Acme ${organization}`,
+      urlKey: `acme-${organization.toLowerCase()}`,
+    }),
+    viewer: Promise.resolve({
+      id: 'user-1',
+      name: 'jsmith',
+      displayName: 'John Smith',
+      email: 'john.smith@example.com',
+    }),
+  };
+}
+
+// Creates the tool for a server with the given config
+function createTool(config) {
+  return new ListWorkspaces({
+    config,
+    effects: {
+      logger: mockLogger,
+      linear: {
+        createClient: credentials =>
+          /** @type {any} */ (
+            createWorkspaceClient(/** @type {any} */ (credentials).apiKey)
+          ),
+      },
+    },
+  });
+}
+
+describe('ListWorkspaces tool', () => {
+  it('should list the organization and viewer of each workspace', async () => {
+    const tool = createTool({
+      linearApiKey: 'lin_api_product',
+      workspaces: {
+        product: 'lin_api_product',
+        labs: 'lin_api_labs',
+        old: 'lin_api_revoked',
+      },
+      defaultWorkspace: 'product',
+    });
+
+    const response = await tool.call({});
+    const text = response.content[0].text;
+
+    assert.ok(!response.isError);
+    assert.ok(text.startsWith('Workspaces:'));
+    assert.ok(text.includes('1. **product** (default)'));
+    assert.ok(
+      text.includes('Organization: Acme Product (linear.app/acme-product)')
+    );
+    assert.ok(text.includes('2. **labs**\n   Organization: Acme Labs'));
+    assert.ok(text.includes('Viewer: John Smith <john.smith@example.com>'));
+    assert.ok(text.includes('3. **old**\n   Error: Authentication required'));
+  });
+
+  it('should describe the current workspace without named workspaces', async () => {
+    const tool = createTool({ linearApiKey: 'lin_api_labs' });
+
+    const response = await tool.call({});
+    const text = response.content[0].text;
+
+    assert.ok(text.startsWith('No named workspaces are configured'));
+    assert.ok(
+      text.includes('**Current workspace**\n   Organization: Acme Labs')
+    );
+    assert.ok(!('workspace' in tool.shape));
+  });
+});
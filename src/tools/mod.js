@@ -2,6 +2,7 @@
  * MCP tools module exports
  */
 export * from './list-issues.js';
+export * from './search-issues.js';
 export * from './get-issue.js';
 export * from './list-members.js';
 export * from './list-projects.js';
@@ -9,3 +10,17 @@ export * from './get-project.js';
 export * from './list-teams.js';
 export * from './add-comment.js';
 export * from './create-issue.js';
+export * from './update-issue.js';
+export * from './list-workflow-states.js';
+export * from './transition-issue.js';
+export * from './list-labels.js';
+export * from './create-label.js';
+export * from './set-issue-labels.js';
+export * from './list-cycles.js';
+export * from './get-cycle.js';
+export * from './add-issues-to-cycle.js';
+export * from './set-parent.js';
+export * from './link-issues.js';
+export * from './unlink-issues.js';
+export * from './list-workspaces.js';
+export * from './refresh-cache.js';
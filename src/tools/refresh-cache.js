@@ -0,0 +1,103 @@
+/**
+ * Metadata cache refresh tool
+ */
+import { z } from 'zod';
+import { CACHE_KINDS, noopCache } from '../effects/cache/mod.js';
+import { create_tool } from './utils/mod.js';
+
+/**
+ * RefreshCacheContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} RefreshCacheContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ * @property {import('../effects/cache/mod.js').CacheEffect} [effects.cache]
+ */
+
+/**
+ * Input schema for RefreshCache tool
+ */
+const RefreshCacheInputSchema = z.object({
+  kinds: z
+    .array(
+      z.enum(
+        /** @type {[import('../effects/cache/mod.js').CacheKind, ...import('../effects/cache/mod.js').CacheKind[]]} */ (
+          CACHE_KINDS
+        )
+      )
+    )
+    .optional()
+    .describe(
+      `Kinds of cached data to drop: ${CACHE_KINDS.join(', ')}. Drops everything when not given`
+    ),
+});
+
+/**
+ * Refresh results schema
+ */
+const RefreshCacheResultSchema = z.object({
+  cleared: z.number().describe('Number of cache entries dropped'),
+  kinds: z.array(z.string()).describe('Kinds of cached data dropped'),
+});
+
+/**
+ * Drops cached metadata, so it's loaded from Linear on its next use
+ *
+ * @param {import('../effects/cache/mod.js').CacheEffect} cache - Metadata cache of the workspace
+ * @param {import('../effects/cache/mod.js').CacheKind[]} [kinds] - Kinds to drop, all when not given
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof RefreshCacheResultSchema>>} What was dropped
+ */
+async function refreshCache(cache, kinds = [], logger) {
+  const cleared = await cache.invalidate(...kinds);
+  logger?.info(`Dropped ${cleared} cache entries`);
+
+  return RefreshCacheResultSchema.parse({
+    cleared,
+    kinds: kinds.length > 0 ? kinds : CACHE_KINDS,
+  });
+}
+
+/**
+ * Handler for RefreshCache tool
+ * @type {import('./types/mod.js').ToolHandler<RefreshCacheContext, typeof RefreshCacheInputSchema>}
+ */
+const handler = async (ctx, { kinds }) => {
+  const logger = ctx.effects.logger;
+  logger.debug('Refresh cache called with parameters:', { kinds });
+
+  const result = await refreshCache(
+    ctx.effects.cache || noopCache,
+    kinds,
+    logger
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Dropped ${result.cleared} cached entries of ${result.kinds.join(', ')}. They are loaded from Linear on their next use.`,
+      },
+    ],
+    structuredContent: result,
+  };
+};
+
+/**
+ * RefreshCache tool factory
+ */
+export const RefreshCache = create_tool({
+  name: 'refresh_cache',
+  title: 'Refresh Metadata Cache',
+  description:
+    'Drop the cached teams, workflow states, labels, users and projects of a workspace, so they are loaded afresh from Linear. Use this after changing them in Linear itself.',
+  inputSchema: RefreshCacheInputSchema,
+  outputSchema: RefreshCacheResultSchema,
+  annotations: { openWorldHint: false },
+  handler,
+});
+
+// Export for testing
+export { refreshCache };
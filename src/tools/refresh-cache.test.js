@@ -0,0 +1,138 @@
+/**
+ * Tests for the refresh-cache tool
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createCache } from '../effects/cache/mod.js';
+import { RefreshCache } from './refresh-cache.js';
+import { AddComment } from './add-comment.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Creates a tool context whose cache holds teams and labels of two workspaces
+async function createCachedContext() {
+  const cache = createCache();
+  for (const workspace of ['product', 'labs']) {
+    await cache.scope(workspace).set('teams', 'all', ['ENG']);
+    await cache.scope(workspace).set('labels', 'all', ['Bug']);
+  }
+
+  return {
+    cache,
+    ctx: {
+      config: {
+        linearApiKey: 'lin_api_product',
+        workspaces: { product: 'lin_api_product', labs: 'lin_api_labs' },
+        defaultWorkspace: 'product',
+      },
+      effects: {
+        logger: mockLogger,
+        cache,
+        linear: {
+          createClient: () =>
+            /** @type {any} */ ({
+              issue: async () => ({ id: 'issue-1', identifier: 'ENG-1' }),
+              viewer: Promise.resolve({ id: 'user-1', name: 'jsmith' }),
+              createComment: async () => ({
+                success: true,
+                comment: Promise.resolve({
+                  id: 'comment-1',
+                  body: 'Done',
+                  createdAt: new Date('2024-06-01'),
+                  user: Promise.resolve({ id: 'user-1', name: 'jsmith' }),
+                }),
+              }),
+            }),
+        },
+      },
+    },
+  };
+}
+
+describe('RefreshCache tool', () => {
+  it('should drop the cached kinds of the workspace', async () => {
+    const { cache, ctx } = await createCachedContext();
+    const tool = new RefreshCache(ctx);
+
+    const response = await tool.call({ workspace: 'labs', kinds: ['labels'] });
+
+    assert.deepStrictEqual(response.structuredContent, {
+      cleared: 1,
+      kinds: ['labels'],
+      workspace: 'labs',
+    });
+    assert.strictEqual(
+      await cache.scope('labs').get('labels', 'all'),
+      undefined
+    );
+    assert.deepStrictEqual(await cache.scope('labs').get('teams', 'all'), [
+      'ENG',
+    ]);
+    assert.deepStrictEqual(await cache.scope('product').get('labels', 'all'), [
+      'Bug',
+    ]);
+  });
+
+  it('should drop everything in the workspace without kinds', async () => {
+    const { cache, ctx } = await createCachedContext();
+    const tool = new RefreshCache(ctx);
+
+    const response = await tool.call({});
+
+    assert.strictEqual(response.structuredContent?.cleared, 2);
+    assert.match(response.content[0].text, /Dropped 2 cached entries/);
+    assert.strictEqual(
+      await cache.scope('product').get('teams', 'all'),
+      undefined
+    );
+    assert.deepStrictEqual(await cache.scope('labs').get('teams', 'all'), [
+      'ENG',
+    ]);
+  });
+
+  it('should leave nothing to drop after a write tool', async () => {
+    const { cache, ctx } = await createCachedContext();
+    const tool = new AddComment(ctx);
+
+    const response = await tool.call({ ticketId: 'ENG-1', comment: 'Done' });
+
+    assert.ok(!response.isError, response.content[0].text);
+    assert.strictEqual(
+      await cache.scope('product').get('labels', 'all'),
+      undefined
+    );
+    assert.deepStrictEqual(await cache.scope('labs').get('labels', 'all'), [
+      'Bug',
+    ]);
+  });
+
+  it('should keep the cache on dry runs of write tools', async () => {
+    const { cache, ctx } = await createCachedContext();
+    const tool = new AddComment(ctx);
+
+    const response = await tool.call({
+      ticketId: 'ENG-1',
+      comment: 'Done',
+      dryRun: true,
+    });
+
+    assert.ok(!response.isError, response.content[0].text);
+    assert.deepStrictEqual(response.structuredContent?.dryRun, {
+      mutations: [
+        {
+          mutation: 'commentCreate',
+          input: { issueId: 'issue-1', body: 'Done' },
+        },
+      ],
+    });
+    assert.deepStrictEqual(await cache.scope('product').get('labels', 'all'), [
+      'Bug',
+    ]);
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Linear issue search tool
+ */
+import { z } from 'zod';
+import {
+  buildIssueFilter,
+  collectPage,
+  create_tool,
+  createToolClient,
+  CursorSchema,
+  formatNextPageHint,
+  IssueFilterSchema,
+  issueFromNode,
+} from './utils/mod.js';
+import { IssueSchema, PageSchema } from '../effects/linear/types/types.js';
+import {
+  requestGraphQL,
+  SEARCH_ISSUES_QUERY,
+} from '../effects/linear/graphql/mod.js';
+
+/**
+ * SearchIssuesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} SearchIssuesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for SearchIssues tool
+ */
+const SearchIssuesInputSchema = z.object({
+  query: z
+    .string()
+    .min(1, { message: 'Search query is required' })
+    .describe('Free-text search over issue titles, descriptions and comments'),
+  assignedToMe: z.boolean().default(false),
+  assignee: z.string().optional(),
+  status: z.string().optional(),
+  project: z.string().optional(),
+  filter: z
+    .union([z.string(), IssueFilterSchema])
+    .optional()
+    .describe(
+      'Extra conditions, either structured or as a query string such as `priority<=2 label:bug -label:wontfix updated>-7d`. Query fields: assignee, creator, status, project, team, cycle, label, priority, estimate, created, updated, completed, due. Separate alternatives with OR'
+    ),
+  includeArchived: z
+    .boolean()
+    .default(false)
+    .describe('Whether to include archived issues in the results'),
+  limit: z.number().min(1).max(100).default(25),
+  cursor: CursorSchema,
+  debug: z.boolean().default(false), // Debug mode to show extra diagnostics
+});
+
+/**
+ * Search result schema, an issue with the text that matched the query
+ */
+const IssueSearchResultSchema = IssueSchema.extend({
+  snippet: z.string().optional(), // Matching text with the query terms in bold
+  archivedAt: z.union([z.string(), z.date()]).optional(),
+});
+
+/**
+ * Search results schema
+ */
+const IssueSearchResultsSchema = PageSchema.extend({
+  results: z.array(IssueSearchResultSchema),
+  totalCount: z.number().optional(), // Matches before structured filters are applied
+});
+
+/**
+ * Characters of context kept around the first match in a snippet
+ */
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Splits a search query into the terms to highlight
+ *
+ * @param {string} query - Search query
+ * @returns {string[]} Terms, longest first
+ */
+function getQueryTerms(query) {
+  return [
+    ...new Set(
+      query
+        .toLowerCase()
+        .split(/\s+/)
+        .map(term => term.replace(/^["'(]+|["'),.:;!?]+$/g, ''))
+        .filter(term => term.length > 1)
+    ),
+  ].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Cuts the part of a text around the first query term and highlights every term in it
+ *
+ * @param {string|undefined} text - Text to search in, e.g. an issue description
+ * @param {string} query - Search query
+ * @returns {string|undefined} Snippet with terms in bold, or undefined without a match
+ */
+function highlightSnippet(text, query) {
+  const terms = getQueryTerms(query);
+  if (!text || terms.length === 0) {
+    return undefined;
+  }
+
+  const escaped = terms.map(term =>
+    term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  );
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  const match = pattern.exec(text);
+  if (!match) {
+    return undefined;
+  }
+
+  const start = Math.max(0, match.index - SNIPPET_CONTEXT);
+  const end = Math.min(
+    text.length,
+    match.index + match[0].length + SNIPPET_CONTEXT
+  );
+
+  const snippet = text
+    .slice(start, end)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(pattern, '**$1**');
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Searches Linear issues by free text, narrowed down by structured filters
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} query - Free-text search query
+ * @param {import('./utils/issue-filter.js').IssueFilters} filters - Filter criteria, as in list_issues
+ * @param {Object} options - Search options
+ * @param {number} [options.limit=25] - Maximum number of results to return
+ * @param {boolean} [options.includeArchived=false] - Whether to include archived issues
+ * @param {string} [options.cursor] - Cursor from a previous call, to get the next page
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof IssueSearchResultsSchema>>} Search results
+ */
+async function searchIssues(
+  client,
+  query,
+  filters = {},
+  { limit = 25, includeArchived = false, cursor } = {},
+  logger
+) {
+  try {
+    logger?.debug(`Searching Linear issues for: ${query}`, {
+      filters,
+      limit,
+      includeArchived,
+      cursor,
+    });
+
+    const filter = buildIssueFilter(filters, logger);
+    logger?.debug('Built filter object:', JSON.stringify(filter, null, 2));
+
+    // Each page comes with the issues' state, assignee, project and labels,
+    // instead of a request per issue and field
+    let totalCount = undefined;
+    const result = await collectPage(
+      async params => {
+        const data = await requestGraphQL(
+          client,
+          SEARCH_ISSUES_QUERY,
+          { term: query, filter, includeArchived, ...params },
+          logger
+        );
+        totalCount = data.searchIssues.totalCount;
+        return data.searchIssues;
+      },
+      { cursor, limit },
+      logger
+    );
+
+    logger?.debug(
+      `Linear search returned ${result.nodes.length} of ${totalCount} results`
+    );
+
+    const processedIssues = result.nodes.map(issue =>
+      IssueSearchResultSchema.parse({
+        ...issueFromNode(issue),
+        snippet:
+          highlightSnippet(issue.description, query) ||
+          highlightSnippet(issue.title, query),
+        archivedAt: issue.archivedAt || undefined,
+      })
+    );
+
+    return IssueSearchResultsSchema.parse({
+      results: processedIssues,
+      totalCount: totalCount ?? undefined,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error searching Linear issues: ${error.message}`, {
+      query,
+      filters,
+      limit,
+      includeArchived,
+      cursor,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Handler for SearchIssues tool
+ * @type {import('./types/mod.js').ToolHandler<SearchIssuesContext, typeof SearchIssuesInputSchema>}
+ */
+const handler = async (
+  ctx,
+  {
+    query,
+    assignedToMe,
+    assignee,
+    status,
+    project,
+    filter,
+    includeArchived,
+    limit,
+    cursor,
+    debug,
+  }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Search issues called with parameters:', {
+    query,
+    assignedToMe,
+    assignee,
+    status,
+    project,
+    filter,
+    includeArchived,
+    limit,
+    cursor,
+    debug,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  // Search issues using the Linear SDK client
+  logger.debug('Executing Linear API search');
+  const results = await searchIssues(
+    linearClient,
+    query,
+    {
+      assignedToMe,
+      assignee,
+      status,
+      project,
+      filter,
+    },
+    {
+      limit,
+      includeArchived,
+      cursor,
+    },
+    logger
+  );
+
+  logger.info(`Found ${results.results.length} issues matching "${query}"`);
+
+  let responseText = '';
+
+  if (results.results.length === 0) {
+    responseText = `No issues found matching "${query}".`;
+  } else {
+    responseText = `Issues matching "${query}":\n\n`;
+
+    results.results.forEach((issue, index) => {
+      const label = issue.identifier ? `${issue.identifier}: ` : '';
+      const archived = issue.archivedAt ? ' (archived)' : '';
+
+      responseText += `${index + 1}. ${label}${
+        issue.title || 'Untitled'
+      }${archived}\n`;
+      if (issue.url) {
+        responseText += `   URL: ${issue.url}\n`;
+      }
+      responseText += `   Status: ${issue.status || 'Unknown'}\n`;
+
+      if (issue.project) {
+        responseText += `   Project: ${issue.project.name}\n`;
+      }
+
+      if (issue.assignee) {
+        responseText += `   Assignee: ${issue.assignee.name}\n`;
+      }
+
+      if (issue.snippet) {
+        responseText += `   Match: ${issue.snippet}\n`;
+      }
+
+      responseText += '\n';
+    });
+
+    responseText += formatNextPageHint(results);
+  }
+
+  logger.debug('Returning formatted search results');
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: results,
+  };
+};
+
+/**
+ * SearchIssues tool factory
+ */
+export const SearchIssues = create_tool({
+  name: 'search_issues',
+  title: 'Search Issues',
+  description:
+    'Search Linear issues by free text in titles, descriptions and comments, optionally narrowed down by the same filters as list_issues. Each result shows the matching text. Use list_issues to browse issues without a search term.',
+  inputSchema: SearchIssuesInputSchema,
+  outputSchema: IssueSearchResultsSchema,
+  handler,
+});
+
+// Export for testing
+export { searchIssues, highlightSnippet };
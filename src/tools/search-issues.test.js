@@ -0,0 +1,144 @@
+/**
+ * Tests for search-issues tool
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  highlightSnippet,
+  searchIssues,
+  SearchIssues,
+} from './search-issues.js';
+import { createMockLinearClient } from '../effects/linear/client.mock.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Creates a mock client whose search returns two issues
+ * @returns {any} Mock Linear client
+ */
+function createMockClient() {
+  return createMockLinearClient({
+    graphql: {
+      SearchIssues: () => ({
+        searchIssues: {
+          totalCount: 5,
+          nodes: [
+            {
+              id: 'issue-1',
+              identifier: 'ENG-1',
+              title: 'Login fails on Safari',
+              description:
+                'Users report that the login form does nothing after submitting.',
+              state: { name: 'Todo' },
+            },
+            {
+              id: 'issue-2',
+              identifier: 'ENG-2',
+              title: 'Old login page',
+              archivedAt: new Date('2024-01-01'),
+              state: { name: 'Done' },
+            },
+          ],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      }),
+    },
+  });
+}
+
+describe('searchIssues', () => {
+  it('should search with the query, filters and archive option', async () => {
+    const client = createMockClient();
+
+    await searchIssues(
+      client,
+      'login',
+      { status: 'Todo', assignedToMe: true },
+      { limit: 10, includeArchived: true },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.client.requests[0].variables, {
+      term: 'login',
+      includeArchived: true,
+      filter: {
+        assignee: { isMe: { eq: true } },
+        state: { name: { eq: 'Todo' } },
+      },
+      first: 10,
+      after: undefined,
+    });
+  });
+
+  it('should return results with highlighted snippets', async () => {
+    const client = createMockClient();
+
+    const result = await searchIssues(client, 'login', {}, {}, mockLogger);
+
+    assert.strictEqual(result.totalCount, 5);
+    assert.strictEqual(
+      result.results[0].snippet,
+      'Users report that the **login** form does nothing after submitting.'
+    );
+    // Falls back to the title without a description
+    assert.strictEqual(result.results[1].snippet, 'Old **login** page');
+    assert.ok(result.results[1].archivedAt);
+  });
+
+  it('should fetch a page of results with one request', async () => {
+    const client = createMockLinearClient();
+    const result = await searchIssues(
+      client,
+      'mock',
+      {},
+      { limit: 10 },
+      mockLogger
+    );
+
+    // States, assignees and projects come with the issues, not one by one
+    assert.strictEqual(result.results.length, 2);
+    assert.strictEqual(result.results[0].status, 'Backlog');
+    assert.strictEqual(result.results[0].assignee?.name, 'Mock User');
+    assert.strictEqual(result.results[1].project?.name, 'Secondary Project');
+    assert.deepStrictEqual(
+      client.client.requests.map(request => request.operation),
+      ['SearchIssues']
+    );
+  });
+});
+
+describe('highlightSnippet', () => {
+  it('should cut long text around the first match', () => {
+    const text = `${'a'.repeat(200)} needle ${'b'.repeat(200)}`;
+    const snippet = highlightSnippet(text, 'needle') || '';
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('**needle**'));
+    assert.ok(snippet.length < text.length);
+  });
+
+  it('should highlight every term regardless of case', () => {
+    assert.strictEqual(
+      highlightSnippet('Crash when Saving drafts', 'saving "draft"'),
+      'Crash when **Saving** **draft**s'
+    );
+  });
+
+  it('should return undefined without a match', () => {
+    assert.strictEqual(highlightSnippet('Something else', 'login'), undefined);
+    assert.strictEqual(highlightSnippet(undefined, 'login'), undefined);
+  });
+});
+
+describe('SearchIssues tool', () => {
+  it('should be exported', () => {
+    assert.ok(SearchIssues, 'SearchIssues tool should be exported');
+  });
+});
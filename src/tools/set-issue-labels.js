@@ -0,0 +1,329 @@
+/**
+ * Linear issue labelling tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  resolveIssue,
+  resolveLabels,
+  ToolError,
+} from './utils/mod.js';
+import { IssueSchema, LabelSchema } from '../effects/linear/types/types.js';
+
+/**
+ * SetIssueLabelsContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} SetIssueLabelsContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for SetIssueLabels tool
+ */
+const SetIssueLabelsInputSchema = z.object({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'The issue to label: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
+  add: z
+    .array(z.string())
+    .default([])
+    .describe('Names of labels to add to the issue'),
+  remove: z
+    .array(z.string())
+    .default([])
+    .describe('Names of labels to remove from the issue'),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Issue label change result schema
+ */
+const SetIssueLabelsResultSchema = z.object({
+  issue: IssueSchema,
+  added: z.array(LabelSchema),
+  removed: z.array(LabelSchema),
+  labels: z.array(LabelSchema),
+});
+
+/**
+ * Reduces an SDK label to our label shape
+ *
+ * @param {any} label - Label returned by the Linear SDK
+ * @returns {import('../effects/linear/types/types.js').Label} Label data
+ */
+const toLabel = label => ({
+  id: label.id,
+  name: label.name,
+  color: label.color,
+});
+
+/**
+ * Resolves label names and works out which labels really change
+ *
+ * Labels already on the issue are not added again, and labels the issue
+ * doesn't have are not removed, so only real changes are reported.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {Object} changes - Label changes
+ * @param {string[]} [changes.add] - Names of labels to add
+ * @param {string[]} [changes.remove] - Names of labels to remove
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ issue: any, input: { addedLabelIds: string[], removedLabelIds: string[] }, preview: import('zod').infer<typeof SetIssueLabelsResultSchema> }>} The issue, the update input and a preview of the labels
+ */
+async function planLabelChanges(
+  client,
+  issueId,
+  { add = [], remove = [] } = {},
+  logger
+) {
+  if (add.length === 0 && remove.length === 0) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      'No label changes provided. Specify labels to add or remove'
+    );
+  }
+
+  const issue = await resolveIssue(client, issueId, logger);
+  const team = await issue.team;
+
+  // Resolve every name up front so nothing changes when a name is wrong
+  const toAdd = await resolveLabels(client, team, add, {}, logger);
+  const toRemove = await resolveLabels(client, team, remove, {}, logger);
+
+  const currentResponse = await issue.labels();
+  const currentLabels = (currentResponse?.nodes || []).map(toLabel);
+  const currentIds = new Set(currentLabels.map(label => label.id));
+
+  const added = toAdd.filter(label => !currentIds.has(label.id)).map(toLabel);
+  const removed = toRemove
+    .filter(label => currentIds.has(label.id))
+    .map(toLabel);
+
+  const removedIds = new Set(removed.map(label => label.id));
+  const labels = [
+    ...currentLabels.filter(label => !removedIds.has(label.id)),
+    ...added,
+  ];
+
+  return {
+    issue,
+    input: {
+      addedLabelIds: added.map(label => label.id),
+      removedLabelIds: removed.map(label => label.id),
+    },
+    preview: SetIssueLabelsResultSchema.parse({
+      issue: {
+        id: issue.id,
+        identifier: issue.identifier || undefined,
+        url: issue.url || undefined,
+        title: issue.title,
+      },
+      added,
+      removed,
+      labels,
+    }),
+  };
+}
+
+/**
+ * Adds and removes labels on a Linear issue by label name
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {Object} changes - Label changes
+ * @param {string[]} [changes.add] - Names of labels to add
+ * @param {string[]} [changes.remove] - Names of labels to remove
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof SetIssueLabelsResultSchema>>} The applied changes
+ */
+async function setIssueLabels(
+  client,
+  issueId,
+  { add = [], remove = [] } = {},
+  logger
+) {
+  try {
+    logger?.debug(`Setting labels on Linear issue ${issueId}`, {
+      add,
+      remove,
+    });
+
+    const { issue, input, preview } = await planLabelChanges(
+      client,
+      issueId,
+      { add, remove },
+      logger
+    );
+
+    if (preview.added.length === 0 && preview.removed.length === 0) {
+      logger?.debug(`Labels of issue ${issue.id} are already up to date`);
+      return preview;
+    }
+
+    const issueResult = await client.updateIssue(issue.id, input);
+
+    if (!issueResult) {
+      throw new Error('Failed to update issue, received null response');
+    }
+
+    logger?.debug(
+      `Added ${preview.added.length} and removed ${preview.removed.length} labels on issue ${issue.id}`
+    );
+
+    return preview;
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error setting Linear issue labels: ${error.message}`, {
+      issueId,
+      add,
+      remove,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats label changes, or the preview of them, as markdown
+ *
+ * @param {import('zod').infer<typeof SetIssueLabelsResultSchema>} result - The label changes
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatLabelChanges(result, dryRun = false) {
+  const issueLabel = result.issue.identifier || result.issue.id;
+  const names = labels => labels.map(label => label.name).join(', ');
+
+  let responseText = '';
+
+  if (result.added.length === 0 && result.removed.length === 0) {
+    responseText += `Labels of issue ${issueLabel} are already up to date. No changes made.\n\n`;
+  } else {
+    responseText += dryRun
+      ? `Labels of issue ${issueLabel} would be updated\n\n`
+      : `✅ Labels of issue ${issueLabel} updated\n\n`;
+
+    if (result.added.length > 0) {
+      responseText += `**Added:** ${names(result.added)}\n`;
+    }
+
+    if (result.removed.length > 0) {
+      responseText += `**Removed:** ${names(result.removed)}\n`;
+    }
+  }
+
+  responseText += `**Labels:** ${names(result.labels) || 'None'}\n`;
+
+  if (result.issue.url) {
+    responseText += `**URL:** ${result.issue.url}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for SetIssueLabels tool
+ * @type {import('./types/mod.js').ToolHandler<SetIssueLabelsContext, typeof SetIssueLabelsInputSchema>}
+ */
+const handler = async (ctx, { issueId, add, remove, debug, dryRun }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Set issue labels called with parameters:', {
+    issueId,
+    add,
+    remove,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving label changes for a dry run');
+    const { issue, input, preview } = await planLabelChanges(
+      linearClient,
+      issueId,
+      { add, remove },
+      logger
+    );
+    const changed = preview.added.length > 0 || preview.removed.length > 0;
+
+    logger.info(
+      `Dry run of setting labels of issue ${issue.identifier || issue.id}`
+    );
+    return dryRunResponse(
+      preview,
+      changed ? [{ mutation: 'issueUpdate', id: issue.id, input }] : [],
+      formatLabelChanges(preview, true)
+    );
+  }
+
+  // Change the labels using the Linear SDK client
+  logger.debug('Executing Linear API to set issue labels');
+  const result = await setIssueLabels(
+    linearClient,
+    issueId,
+    { add, remove },
+    logger
+  );
+
+  const issueLabel = result.issue.identifier || result.issue.id;
+
+  if (result.added.length === 0 && result.removed.length === 0) {
+    logger.info(`Labels of issue ${issueLabel} already up to date`);
+  } else {
+    logger.info(`Updated labels of issue ${issueLabel}`);
+  }
+
+  logger.debug('Returning formatted label result');
+  return {
+    content: [{ type: 'text', text: formatLabelChanges(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * SetIssueLabels tool factory
+ */
+export const SetIssueLabels = create_tool({
+  name: 'set_issue_labels',
+  title: 'Set Issue Labels',
+  description:
+    'Add or remove labels on a Linear issue by label name. Labels not mentioned are left unchanged. Use list_labels to see the available labels.',
+  inputSchema: SetIssueLabelsInputSchema,
+  outputSchema: SetIssueLabelsResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { planLabelChanges, setIssueLabels };
@@ -0,0 +1,147 @@
+/**
+ * Tests for set-issue-labels tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  planLabelChanges,
+  setIssueLabels,
+  SetIssueLabels,
+} from './set-issue-labels.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Creates a mock client with a single issue labelled "Bug"
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient() {
+  const issue = {
+    id: 'issue-1',
+    identifier: 'ENG-123',
+    title: 'Fix login',
+    team: Promise.resolve({ id: 'team-1', name: 'Engineering' }),
+    labels: async () => ({
+      nodes: [{ id: 'label-bug', name: 'Bug' }],
+    }),
+  };
+
+  return {
+    issue: mock.fn(async () => issue),
+    issueLabels: mock.fn(async () => ({
+      nodes: [
+        { id: 'label-bug', name: 'Bug', isGroup: false },
+        { id: 'label-feature', name: 'Feature', isGroup: false },
+        { id: 'label-docs', name: 'Docs', isGroup: false },
+      ],
+    })),
+    updateIssue: mock.fn(async () => ({ success: true })),
+  };
+}
+
+describe('setIssueLabels', () => {
+  it('should add and remove labels by name', async () => {
+    const client = createMockClient();
+
+    const result = await setIssueLabels(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { add: ['feature'], remove: ['Bug'] },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.updateIssue.mock.calls[0].arguments, [
+      'issue-1',
+      { addedLabelIds: ['label-feature'], removedLabelIds: ['label-bug'] },
+    ]);
+    assert.deepStrictEqual(
+      result.labels.map(label => label.name),
+      ['Feature']
+    );
+  });
+
+  it('should only report labels that actually change', async () => {
+    const client = createMockClient();
+
+    const result = await setIssueLabels(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { add: ['Bug', 'Docs'], remove: ['Feature'] },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.updateIssue.mock.calls[0].arguments, [
+      'issue-1',
+      { addedLabelIds: ['label-docs'], removedLabelIds: [] },
+    ]);
+    assert.deepStrictEqual(
+      result.added.map(label => label.name),
+      ['Docs']
+    );
+    assert.strictEqual(result.removed.length, 0);
+  });
+
+  it('should not update issues that already have the labels', async () => {
+    const client = createMockClient();
+
+    const result = await setIssueLabels(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { add: ['Bug'] },
+      mockLogger
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    assert.strictEqual(result.added.length, 0);
+  });
+
+  it('should reject unknown labels without updating the issue', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      setIssueLabels(
+        /** @type {any} */ (client),
+        'ENG-123',
+        { add: ['Urgent'] },
+        mockLogger
+      ),
+      /Label not found for team Engineering: Urgent\. Available labels: Bug, Feature, Docs/
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('planLabelChanges', () => {
+  it('should preview the labels without updating the issue', async () => {
+    const client = createMockClient();
+
+    const { input, preview } = await planLabelChanges(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { add: ['Docs'] },
+      mockLogger
+    );
+
+    assert.deepStrictEqual(input, {
+      addedLabelIds: ['label-docs'],
+      removedLabelIds: [],
+    });
+    assert.deepStrictEqual(
+      preview.labels.map(label => label.name),
+      ['Bug', 'Docs']
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('SetIssueLabels tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof SetIssueLabels, 'function');
+  });
+});
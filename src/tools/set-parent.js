@@ -0,0 +1,301 @@
+/**
+ * Linear issue parent tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  fetchAncestors,
+  formatIssueSummary,
+  resolveIssue,
+  summarizeIssue,
+  ToolError,
+} from './utils/mod.js';
+import {
+  IssueSchema,
+  IssueSummarySchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * SetParentContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} SetParentContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for SetParent tool
+ */
+const SetParentInputSchema = z.object({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'The issue to move: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
+  parentId: z
+    .string()
+    .min(1)
+    .nullable()
+    .describe(
+      'The new parent issue: an ID, identifier, Linear URL or branch name. Pass null to detach the issue from its parent'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Parent change result schema
+ */
+const SetParentResultSchema = z.object({
+  issue: IssueSchema,
+  previousParent: IssueSummarySchema.nullable(),
+  parent: IssueSummarySchema.nullable(),
+  changed: z.boolean(),
+});
+
+/**
+ * Deepest hierarchy walked when checking for loops
+ */
+const MAX_HIERARCHY_DEPTH = 50;
+
+/**
+ * Resolves the issue and its new parent, and checks the move makes no loop
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string|null} parentId - The ID, identifier, URL or branch name of the new parent, or null
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ issue: any, input: { parentId: string|null }, preview: import('zod').infer<typeof SetParentResultSchema> }>} The issue, the update input and a preview of the change
+ */
+async function planParentChange(client, issueId, parentId, logger) {
+  const issue = await resolveIssue(client, issueId, logger);
+  const currentParent = issue.parent ? await issue.parent : null;
+  const parent = parentId ? await resolveIssue(client, parentId, logger) : null;
+
+  const issueLabel = issue.identifier || issue.id;
+
+  if (parent) {
+    if (parent.id === issue.id) {
+      throw new ToolError(
+        ErrorCode.VALIDATION,
+        `Issue ${issueLabel} can't be its own parent`
+      );
+    }
+
+    // An issue can't move below one of its own sub-issues
+    const { ancestors } = await fetchAncestors(parent, MAX_HIERARCHY_DEPTH);
+    if (ancestors.some(ancestor => ancestor.id === issue.id)) {
+      throw new ToolError(
+        ErrorCode.VALIDATION,
+        `Issue ${
+          parent.identifier || parent.id
+        } is a sub-issue of ${issueLabel}, so it can't be its parent`
+      );
+    }
+  }
+
+  return {
+    issue,
+    input: { parentId: parent ? parent.id : null },
+    preview: SetParentResultSchema.parse({
+      issue: {
+        id: issue.id,
+        identifier: issue.identifier || undefined,
+        url: issue.url || undefined,
+        title: issue.title,
+      },
+      previousParent: currentParent
+        ? await summarizeIssue(currentParent, logger)
+        : null,
+      parent: parent ? await summarizeIssue(parent, logger) : null,
+      changed: (currentParent?.id ?? null) !== (parent?.id ?? null),
+    }),
+  };
+}
+
+/**
+ * Makes an issue a sub-issue of another issue, or detaches it from its parent
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string|null} parentId - The ID, identifier, URL or branch name of the new parent, or null
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof SetParentResultSchema>>} The applied change
+ */
+async function setParent(client, issueId, parentId, logger) {
+  try {
+    logger?.debug(`Setting parent of Linear issue ${issueId} to ${parentId}`);
+
+    const { issue, input, preview } = await planParentChange(
+      client,
+      issueId,
+      parentId,
+      logger
+    );
+
+    // Nothing to do when the parent doesn't change
+    if (!preview.changed) {
+      logger?.debug(`Issue ${issue.id} already has the requested parent`);
+      return preview;
+    }
+
+    const issueResult = await client.updateIssue(issue.id, input);
+
+    if (!issueResult) {
+      throw new Error('Failed to update issue, received null response');
+    }
+
+    logger?.debug(
+      `Moved issue ${issue.id} from parent ${preview.previousParent?.id} to ${preview.parent?.id}`
+    );
+
+    return preview;
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error setting Linear issue parent: ${error.message}`, {
+      issueId,
+      parentId,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats a parent change, or the preview of one, as markdown
+ *
+ * @param {import('zod').infer<typeof SetParentResultSchema>} result - The parent change
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatParentChange(result, dryRun = false) {
+  const issueLabel = result.issue.identifier || result.issue.id;
+  const parentLabel = result.parent?.identifier || result.parent?.id;
+  const describeParent = parent =>
+    parent ? formatIssueSummary(parent) : 'None';
+
+  let responseText = '';
+
+  if (!result.changed && result.parent) {
+    responseText += `Issue ${issueLabel} is already a sub-issue of ${parentLabel}. No changes made.\n\n`;
+  } else if (!result.changed) {
+    responseText += `Issue ${issueLabel} has no parent. No changes made.\n\n`;
+  } else if (result.parent) {
+    responseText += dryRun
+      ? `Issue ${issueLabel} would become a sub-issue of ${parentLabel}\n\n`
+      : `✅ Issue ${issueLabel} is now a sub-issue of ${parentLabel}\n\n`;
+    responseText += `**Previous parent:** ${describeParent(
+      result.previousParent
+    )}\n`;
+  } else {
+    const previousParent = describeParent(result.previousParent);
+    responseText += dryRun
+      ? `Issue ${issueLabel} would be detached from ${previousParent}\n\n`
+      : `✅ Issue ${issueLabel} detached from ${previousParent}\n\n`;
+  }
+
+  responseText += `**Parent:** ${describeParent(result.parent)}\n`;
+
+  if (result.issue.url) {
+    responseText += `**URL:** ${result.issue.url}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for SetParent tool
+ * @type {import('./types/mod.js').ToolHandler<SetParentContext, typeof SetParentInputSchema>}
+ */
+const handler = async (ctx, { issueId, parentId, debug, dryRun }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Set parent called with parameters:', {
+    issueId,
+    parentId,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the parent change for a dry run');
+    const { issue, input, preview } = await planParentChange(
+      linearClient,
+      issueId,
+      parentId,
+      logger
+    );
+
+    logger.info(
+      `Dry run of setting the parent of issue ${issue.identifier || issue.id}`
+    );
+    return dryRunResponse(
+      preview,
+      preview.changed ? [{ mutation: 'issueUpdate', id: issue.id, input }] : [],
+      formatParentChange(preview, true)
+    );
+  }
+
+  // Change the parent using the Linear SDK client
+  logger.debug('Executing Linear API to set issue parent');
+  const result = await setParent(linearClient, issueId, parentId, logger);
+
+  const issueLabel = result.issue.identifier || result.issue.id;
+
+  if (!result.changed) {
+    logger.info(`Parent of issue ${issueLabel} unchanged`);
+  } else if (result.parent) {
+    logger.info(`Made issue ${issueLabel} a sub-issue`);
+  } else {
+    logger.info(`Detached issue ${issueLabel} from its parent`);
+  }
+
+  logger.debug('Returning formatted parent result');
+  return {
+    content: [{ type: 'text', text: formatParentChange(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * SetParent tool factory
+ */
+export const SetParent = create_tool({
+  name: 'set_parent',
+  title: 'Set Parent Issue',
+  description:
+    'Make a Linear issue a sub-issue of another issue, or pass a null parentId to detach it from its parent. Use this to break an epic into tasks.',
+  inputSchema: SetParentInputSchema,
+  outputSchema: SetParentResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { planParentChange, setParent };
@@ -0,0 +1,130 @@
+/**
+ * Tests for set-parent tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { planParentChange, setParent, SetParent } from './set-parent.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Creates a mock client with an epic, a story below it and a loose task
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient() {
+  /** @type {Record<string, any>} */
+  const issues = {
+    'ENG-1': { id: 'issue-1', identifier: 'ENG-1', title: 'Epic' },
+    'ENG-3': { id: 'issue-3', identifier: 'ENG-3', title: 'Task' },
+  };
+  issues['ENG-2'] = {
+    id: 'issue-2',
+    identifier: 'ENG-2',
+    title: 'Story',
+    parent: Promise.resolve(issues['ENG-1']),
+  };
+
+  return {
+    issue: mock.fn(async id => {
+      if (issues[id]) return issues[id];
+      throw new Error('Entity not found');
+    }),
+    updateIssue: mock.fn(async () => ({ success: true })),
+  };
+}
+
+describe('setParent', () => {
+  it('should make an issue a sub-issue of another issue', async () => {
+    const client = createMockClient();
+
+    const result = await setParent(
+      /** @type {any} */ (client),
+      'ENG-3',
+      'ENG-2',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.updateIssue.mock.calls[0].arguments, [
+      'issue-3',
+      { parentId: 'issue-2' },
+    ]);
+    assert.strictEqual(result.changed, true);
+    assert.strictEqual(result.previousParent, null);
+    assert.strictEqual(result.parent?.identifier, 'ENG-2');
+  });
+
+  it('should detach an issue from its parent', async () => {
+    const client = createMockClient();
+
+    const result = await setParent(
+      /** @type {any} */ (client),
+      'ENG-2',
+      null,
+      mockLogger
+    );
+
+    assert.deepStrictEqual(client.updateIssue.mock.calls[0].arguments, [
+      'issue-2',
+      { parentId: null },
+    ]);
+    assert.strictEqual(result.previousParent?.identifier, 'ENG-1');
+  });
+
+  it('should not update issues that already have the parent', async () => {
+    const client = createMockClient();
+
+    const result = await setParent(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      mockLogger
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    assert.strictEqual(result.changed, false);
+  });
+
+  it('should refuse to move an issue below its own sub-issue', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      setParent(/** @type {any} */ (client), 'ENG-1', 'ENG-2', mockLogger),
+      /ENG-2 is a sub-issue of ENG-1/
+    );
+    await assert.rejects(
+      setParent(/** @type {any} */ (client), 'ENG-1', 'ENG-1', mockLogger),
+      /can't be its own parent/
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('planParentChange', () => {
+  it('should preview the new parent without updating the issue', async () => {
+    const client = createMockClient();
+
+    const { input, preview } = await planParentChange(
+      /** @type {any} */ (client),
+      'ENG-2',
+      null,
+      mockLogger
+    );
+
+    assert.deepStrictEqual(input, { parentId: null });
+    assert.strictEqual(preview.changed, true);
+    assert.strictEqual(preview.previousParent?.identifier, 'ENG-1');
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('SetParent tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof SetParent, 'function');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Linear issue transition tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  resolveIssue,
+  resolveIssueWorkflowState,
+} from './utils/mod.js';
+import { IssueSchema } from '../effects/linear/types/types.js';
+
+/**
+ * TransitionIssueContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} TransitionIssueContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for TransitionIssue tool
+ */
+const TransitionIssueInputSchema = z.object({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'The issue to move: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
+  state: z
+    .string()
+    .min(1, { message: 'State is required' })
+    .describe(
+      'The state to move the issue to, by name (e.g. "In Review") or type (triage, backlog, unstarted, started, completed, canceled, or "done")'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Issue transition result schema
+ */
+const TransitionResultSchema = z.object({
+  issue: IssueSchema,
+  from: z.string().nullable(),
+  to: z.string(),
+  changed: z.boolean(),
+});
+
+/**
+ * Resolves the issue and the state to move it to
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} target - State name, type or alias to move the issue to
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ issue: any, input: { stateId: string }, preview: import('zod').infer<typeof TransitionResultSchema> }>} The issue, the update input and a preview of the transition
+ */
+async function planTransition(client, issueId, target, logger) {
+  const issue = await resolveIssue(client, issueId, logger);
+  const currentState = issue.state ? await issue.state : null;
+  const targetState = await resolveIssueWorkflowState(
+    client,
+    issue,
+    target,
+    logger
+  );
+
+  const issueData = {
+    id: issue.id,
+    identifier: issue.identifier || undefined,
+    url: issue.url || undefined,
+    title: issue.title,
+    status: targetState.name,
+  };
+
+  return {
+    issue,
+    input: { stateId: targetState.id },
+    preview: TransitionResultSchema.parse({
+      issue: issueData,
+      from: currentState?.name ?? null,
+      to: targetState.name,
+      changed: !currentState || currentState.id !== targetState.id,
+    }),
+  };
+}
+
+/**
+ * Moves a Linear issue to another workflow state of its team
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} target - State name, type or alias to move the issue to
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof TransitionResultSchema>>} The transition that was applied
+ */
+async function transitionIssue(client, issueId, target, logger) {
+  try {
+    logger?.debug(`Transitioning Linear issue ${issueId} to "${target}"`);
+
+    const { issue, input, preview } = await planTransition(
+      client,
+      issueId,
+      target,
+      logger
+    );
+
+    // Nothing to do when the issue is already in the requested state
+    if (!preview.changed) {
+      logger?.debug(`Issue ${issue.id} is already in ${preview.to}`);
+      return preview;
+    }
+
+    const issueResult = await client.updateIssue(issue.id, input);
+
+    if (!issueResult) {
+      throw new Error('Failed to update issue, received null response');
+    }
+
+    logger?.debug(
+      `Moved issue ${issue.id} from ${preview.from} to ${preview.to}`
+    );
+
+    return preview;
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error transitioning Linear issue: ${error.message}`, {
+      issueId,
+      target,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats a transition, or the preview of one, as markdown
+ *
+ * @param {import('zod').infer<typeof TransitionResultSchema>} result - The transition
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatTransition(result, dryRun = false) {
+  const issueLabel = result.issue.identifier || result.issue.id;
+
+  let responseText = '';
+
+  if (result.changed) {
+    responseText += dryRun
+      ? `Issue ${issueLabel} would move to ${result.to}\n\n`
+      : `✅ Issue ${issueLabel} moved to ${result.to}\n\n`;
+    responseText += `**Status:** ${result.from || 'Unknown'} → ${result.to}\n`;
+  } else {
+    responseText += `Issue ${issueLabel} is already in ${result.to}. No changes made.\n\n`;
+  }
+
+  responseText += `**Title:** ${result.issue.title || 'Untitled'}\n`;
+
+  if (result.issue.url) {
+    responseText += `**URL:** ${result.issue.url}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for TransitionIssue tool
+ * @type {import('./types/mod.js').ToolHandler<TransitionIssueContext, typeof TransitionIssueInputSchema>}
+ */
+const handler = async (ctx, { issueId, state, debug, dryRun }) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Transition issue called with parameters:', {
+    issueId,
+    state,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the transition for a dry run');
+    const { issue, input, preview } = await planTransition(
+      linearClient,
+      issueId,
+      state,
+      logger
+    );
+
+    logger.info(
+      `Dry run of moving issue ${issue.identifier || issue.id} to ${preview.to}`
+    );
+    return dryRunResponse(
+      preview,
+      preview.changed ? [{ mutation: 'issueUpdate', id: issue.id, input }] : [],
+      formatTransition(preview, true)
+    );
+  }
+
+  // Move the issue using the Linear SDK client
+  logger.debug('Executing Linear API to transition issue');
+  const result = await transitionIssue(linearClient, issueId, state, logger);
+
+  const issueLabel = result.issue.identifier || result.issue.id;
+
+  if (result.changed) {
+    logger.info(`Moved issue ${issueLabel} to ${result.to}`);
+  } else {
+    logger.info(`Issue ${issueLabel} already in ${result.to}`);
+  }
+
+  logger.debug('Returning formatted transition result');
+  return {
+    content: [{ type: 'text', text: formatTransition(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * TransitionIssue tool factory
+ */
+export const TransitionIssue = create_tool({
+  name: 'transition_issue',
+  title: 'Transition Issue',
+  description:
+    'Move a Linear issue to another workflow state, by state name (e.g. "In Review") or by type such as "started" or "done". Use list_workflow_states to see the available states.',
+  inputSchema: TransitionIssueInputSchema,
+  outputSchema: TransitionResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { planTransition, transitionIssue };
@@ -0,0 +1,142 @@
+/**
+ * Tests for transition-issue tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { transitionIssue, TransitionIssue } from './transition-issue.js';
+
+/**
+ * Creates a mock logger for testing
+ * @returns {Object} Mock logger
+ */
+function createMockLogger() {
+  return {
+    debug: mock.fn(),
+    error: mock.fn(),
+    info: mock.fn(),
+    warn: mock.fn(),
+  };
+}
+
+const mockTeam = {
+  id: 'team-1',
+  name: 'Engineering',
+  states: async () => ({
+    nodes: [
+      { id: 's-todo', name: 'Todo', type: 'unstarted', position: 0 },
+      { id: 's-progress', name: 'In Progress', type: 'started', position: 0 },
+      { id: 's-done', name: 'Done', type: 'completed', position: 0 },
+    ],
+  }),
+};
+
+/**
+ * Creates a mock client with a single issue in the given state
+ * @param {Object} state - Current state of the issue
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient(state) {
+  const issue = {
+    id: 'issue-1',
+    identifier: 'ENG-123',
+    title: 'Fix login',
+    state: Promise.resolve(state),
+    team: Promise.resolve(mockTeam),
+  };
+
+  return {
+    issue: mock.fn(async () => issue),
+    workflowStates: mockTeam.states,
+    updateIssue: mock.fn(async () => ({ success: true })),
+  };
+}
+
+describe('transitionIssue', () => {
+  it('should move an issue to the first state of a type', async () => {
+    const client = createMockClient({ id: 's-todo', name: 'Todo' });
+
+    const result = await transitionIssue(
+      /** @type {any} */ (client),
+      'ENG-123',
+      'started',
+      /** @type {any} */ (createMockLogger())
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 1);
+    assert.deepStrictEqual(client.updateIssue.mock.calls[0].arguments, [
+      'issue-1',
+      { stateId: 's-progress' },
+    ]);
+    assert.strictEqual(result.from, 'Todo');
+    assert.strictEqual(result.to, 'In Progress');
+    assert.strictEqual(result.changed, true);
+  });
+
+  it('should not update issues already in the target state', async () => {
+    const client = createMockClient({ id: 's-done', name: 'Done' });
+
+    const result = await transitionIssue(
+      /** @type {any} */ (client),
+      'ENG-123',
+      'done',
+      /** @type {any} */ (createMockLogger())
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    assert.strictEqual(result.changed, false);
+  });
+
+  it('should reject unknown states', async () => {
+    const client = createMockClient({ id: 's-todo', name: 'Todo' });
+
+    await assert.rejects(
+      transitionIssue(
+        /** @type {any} */ (client),
+        'ENG-123',
+        'Blocked',
+        /** @type {any} */ (createMockLogger())
+      ),
+      /Available states: Todo, In Progress, Done/
+    );
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('TransitionIssue tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof TransitionIssue, 'function');
+  });
+
+  it('should preview the transition on dry runs', async () => {
+    const client = createMockClient({ id: 's-todo', name: 'Todo' });
+    const tool = new TransitionIssue(
+      /** @type {any} */ ({
+        config: { linearApiKey: 'lin_api_test_key_123456' },
+        effects: {
+          logger: createMockLogger(),
+          linear: { createClient: () => client },
+        },
+      })
+    );
+
+    const response = await tool.call({
+      issueId: 'ENG-123',
+      state: 'done',
+      dryRun: true,
+    });
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    assert.strictEqual(response.structuredContent?.changed, true);
+    assert.deepStrictEqual(response.structuredContent?.dryRun, {
+      mutations: [
+        {
+          mutation: 'issueUpdate',
+          id: 'issue-1',
+          input: { stateId: 's-done' },
+        },
+      ],
+    });
+    assert.match(response.content[0].text, /Issue ENG-123 would move to Done/);
+    assert.doesNotMatch(response.content[0].text, /✅/);
+  });
+});
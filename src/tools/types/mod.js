@@ -16,7 +16,9 @@ export const ContentItemSchema = z.object({
  */
 export const McpToolResponseSchema = z.object({
   content: z.array(ContentItemSchema),
+  structuredContent: z.record(z.any()).optional(),
   isError: z.boolean().optional(),
+  _meta: z.record(z.any()).optional(),
 });
 
 /**
@@ -31,12 +33,27 @@ export const McpToolResponseSchema = z.object({
  * @typedef {Promise<McpToolResponse>} ToolResponse
  */
 
+/**
+ * Hints MCP clients use to decide whether a tool call needs confirmation
+ *
+ * @typedef {Object} ToolAnnotations
+ * @property {string} [title] - Human-readable name of the tool
+ * @property {boolean} [readOnlyHint] - Whether the tool leaves Linear unchanged
+ * @property {boolean} [destructiveHint] - Whether a write may change or remove existing data, rather than only add to it
+ * @property {boolean} [idempotentHint] - Whether calling a write again with the same arguments has no further effect
+ * @property {boolean} [openWorldHint] - Whether the tool acts on an external system
+ */
+
 /**
  * @template {import('zod').ZodTypeAny} T
  * @typedef {Object} BaseToolInput
  * @property {string} name
+ * @property {string} [title]
  * @property {string} description
  * @property {T} inputSchema
+ * @property {import('zod').AnyZodObject} [outputSchema]
+ * @property {ToolAnnotations} [annotations]
+ * @property {boolean} [write]
  */
 
 /**
@@ -50,7 +67,12 @@ export const McpToolResponseSchema = z.object({
  * @template {import('zod').ZodTypeAny} T
  * @typedef {Object} ToolDefinition
  * @property {string} name
+ * @property {string} [title] - Human-readable name clients show for the tool
  * @property {string} description
  * @property {T} inputSchema
+ * @property {import('zod').AnyZodObject} [outputSchema] - Schema of the `structuredContent` the handler returns on success
  * @property {ToolHandler<C, T>} handler
+ * @property {boolean} [workspace=true] - Whether the tool takes a `workspace` argument
+ * @property {boolean} [write=false] - Whether the tool changes data in Linear. Write tools are left out in read-only mode, and a successful call drops the workspace's cached metadata. They must take a `dryRun` argument
+ * @property {Omit<ToolAnnotations, 'title'|'readOnlyHint'>} [annotations] - Annotations overriding the ones that follow from `write`
  */
@@ -0,0 +1,279 @@
+/**
+ * Linear issue relation removal tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  fetchIssueRelations,
+  formatIssueSummary,
+  getRelationKind,
+  ISSUE_RELATION_TYPES,
+  resolveIssue,
+  summarizeIssue,
+  ToolError,
+} from './utils/mod.js';
+import {
+  IssueRelationSchema,
+  IssueSummarySchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * UnlinkIssuesContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} UnlinkIssuesContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for UnlinkIssues tool
+ */
+const UnlinkIssuesInputSchema = z.object({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'One of the linked issues: an ID, identifier (e.g. ENG-123), Linear URL or branch name'
+    ),
+  relatedIssueId: z
+    .string()
+    .min(1, { message: 'Related issue ID is required' })
+    .describe(
+      'The other linked issue: an ID, identifier (e.g. ENG-124), Linear URL or branch name'
+    ),
+  type: z
+    .enum(/** @type {[string, ...string[]]} */ (ISSUE_RELATION_TYPES))
+    .optional()
+    .describe(
+      'Only remove this kind of relation, as seen from issueId. Removes every relation between the issues when omitted'
+    ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * Issue unlink result schema
+ */
+const UnlinkIssuesResultSchema = z.object({
+  issue: IssueSummarySchema,
+  relatedIssue: IssueSummarySchema,
+  removed: z.array(IssueRelationSchema),
+});
+
+/**
+ * Resolves both issues and finds the relations between them to remove
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} relatedIssueId - The ID, identifier, URL or branch name of the other issue
+ * @param {string} [type] - Only remove relations of this kind, as seen from the issue
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof UnlinkIssuesResultSchema>>} Preview of the relations to remove
+ */
+async function planUnlink(client, issueId, relatedIssueId, type, logger) {
+  const issue = await resolveIssue(client, issueId, logger);
+  const relatedIssue = await resolveIssue(client, relatedIssueId, logger);
+  const issueLabel = issue.identifier || issue.id;
+  const relatedLabel = relatedIssue.identifier || relatedIssue.id;
+
+  const relations = (await fetchIssueRelations(issue, logger)).filter(
+    relation =>
+      relation.issue.id === relatedIssue.id &&
+      (!type || getRelationKind(relation) === type)
+  );
+
+  if (relations.length === 0) {
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `No ${
+        type ? `"${type}" ` : ''
+      }relation between ${issueLabel} and ${relatedLabel}`
+    );
+  }
+
+  return UnlinkIssuesResultSchema.parse({
+    issue: await summarizeIssue(issue, logger),
+    relatedIssue: await summarizeIssue(relatedIssue, logger),
+    removed: relations,
+  });
+}
+
+/**
+ * Removes the relations between two Linear issues
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue
+ * @param {string} relatedIssueId - The ID, identifier, URL or branch name of the other issue
+ * @param {string} [type] - Only remove relations of this kind, as seen from the issue
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof UnlinkIssuesResultSchema>>} The removed relations
+ */
+async function unlinkIssues(client, issueId, relatedIssueId, type, logger) {
+  try {
+    logger?.debug(
+      `Unlinking Linear issues ${issueId} and ${relatedIssueId}${
+        type ? ` (${type})` : ''
+      }`
+    );
+
+    const preview = await planUnlink(
+      client,
+      issueId,
+      relatedIssueId,
+      type,
+      logger
+    );
+
+    for (const relation of preview.removed) {
+      const result = await client.deleteIssueRelation(relation.id);
+
+      if (!result?.success) {
+        throw new Error(`Failed to remove relation ${relation.id}`);
+      }
+
+      logger?.debug(`Removed relation ${relation.id}`);
+    }
+
+    return preview;
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error unlinking Linear issues: ${error.message}`, {
+      issueId,
+      relatedIssueId,
+      type,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Formats removed relations, or the preview of them, as markdown
+ *
+ * @param {import('zod').infer<typeof UnlinkIssuesResultSchema>} result - The removed relations
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatUnlink(result, dryRun = false) {
+  const issueLabel = result.issue.identifier || result.issue.id;
+  const relatedLabel = result.relatedIssue.identifier || result.relatedIssue.id;
+
+  let responseText = dryRun
+    ? `${issueLabel} and ${relatedLabel} would be unlinked\n\n`
+    : `✅ Unlinked ${issueLabel} and ${relatedLabel}\n\n`;
+  responseText += `**Issue:** ${formatIssueSummary(result.issue)}\n\n`;
+  responseText += dryRun ? 'Relations to remove:\n' : 'Removed relations:\n';
+
+  for (const relation of result.removed) {
+    responseText += `- ${relation.label}: ${formatIssueSummary(
+      relation.issue
+    )}\n`;
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for UnlinkIssues tool
+ * @type {import('./types/mod.js').ToolHandler<UnlinkIssuesContext, typeof UnlinkIssuesInputSchema>}
+ */
+const handler = async (
+  ctx,
+  { issueId, relatedIssueId, type, debug, dryRun }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Unlink issues called with parameters:', {
+    issueId,
+    relatedIssueId,
+    type,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  if (dryRun) {
+    logger.debug('Resolving the relations to remove for a dry run');
+    const preview = await planUnlink(
+      linearClient,
+      issueId,
+      relatedIssueId,
+      type,
+      logger
+    );
+
+    logger.info(`Dry run of removing ${preview.removed.length} relation(s)`);
+    return dryRunResponse(
+      preview,
+      preview.removed.map(relation => ({
+        mutation: 'issueRelationDelete',
+        id: relation.id,
+      })),
+      formatUnlink(preview, true)
+    );
+  }
+
+  // Remove the relations using the Linear SDK client
+  logger.debug('Executing Linear API to unlink issues');
+  const result = await unlinkIssues(
+    linearClient,
+    issueId,
+    relatedIssueId,
+    type,
+    logger
+  );
+
+  const issueLabel = result.issue.identifier || result.issue.id;
+  const relatedLabel = result.relatedIssue.identifier || result.relatedIssue.id;
+
+  logger.info(
+    `Removed ${result.removed.length} relation(s) between ${issueLabel} and ${relatedLabel}`
+  );
+
+  logger.debug('Returning formatted unlink result');
+  return {
+    content: [{ type: 'text', text: formatUnlink(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * UnlinkIssues tool factory
+ */
+export const UnlinkIssues = create_tool({
+  name: 'unlink_issues',
+  title: 'Unlink Issues',
+  description:
+    'Remove the relations between two Linear issues. Pass a type (blocks, blocked_by, related or duplicate) to only remove that kind of relation.',
+  inputSchema: UnlinkIssuesInputSchema,
+  outputSchema: UnlinkIssuesResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { planUnlink, unlinkIssues };
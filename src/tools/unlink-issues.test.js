@@ -0,0 +1,134 @@
+/**
+ * Tests for unlink-issues tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { planUnlink, unlinkIssues, UnlinkIssues } from './unlink-issues.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Creates a mock client where ENG-1 blocks and relates to ENG-2
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient() {
+  /** @type {Record<string, any>} */
+  const issues = {
+    'ENG-1': { id: 'issue-1', identifier: 'ENG-1', title: 'Blocker' },
+    'ENG-2': { id: 'issue-2', identifier: 'ENG-2', title: 'Feature' },
+    'ENG-3': { id: 'issue-3', identifier: 'ENG-3', title: 'Unrelated' },
+  };
+  const relations = [
+    {
+      id: 'rel-1',
+      type: 'blocks',
+      issue: Promise.resolve(issues['ENG-1']),
+      relatedIssue: Promise.resolve(issues['ENG-2']),
+    },
+    {
+      id: 'rel-2',
+      type: 'related',
+      issue: Promise.resolve(issues['ENG-1']),
+      relatedIssue: Promise.resolve(issues['ENG-2']),
+    },
+  ];
+  issues['ENG-2'].relations = async () => ({ nodes: [] });
+  issues['ENG-2'].inverseRelations = async () => ({ nodes: relations });
+
+  return {
+    issue: mock.fn(async id => {
+      if (issues[id]) return issues[id];
+      throw new Error('Entity not found');
+    }),
+    deleteIssueRelation: mock.fn(async () => ({ success: true })),
+  };
+}
+
+describe('unlinkIssues', () => {
+  it('should remove every relation between the issues', async () => {
+    const client = createMockClient();
+
+    const result = await unlinkIssues(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      undefined,
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      client.deleteIssueRelation.mock.calls.map(call => call.arguments[0]),
+      ['rel-1', 'rel-2']
+    );
+    assert.deepStrictEqual(
+      result.removed.map(relation => relation.label),
+      ['Blocked by', 'Related to']
+    );
+  });
+
+  it('should only remove relations of the requested type', async () => {
+    const client = createMockClient();
+
+    await unlinkIssues(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      'blocked_by',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      client.deleteIssueRelation.mock.calls.map(call => call.arguments[0]),
+      ['rel-1']
+    );
+  });
+
+  it('should fail when the issues are not related', async () => {
+    const client = createMockClient();
+
+    await assert.rejects(
+      () =>
+        unlinkIssues(
+          /** @type {any} */ (client),
+          'ENG-2',
+          'ENG-3',
+          undefined,
+          mockLogger
+        ),
+      /No relation between ENG-2 and ENG-3/
+    );
+    assert.strictEqual(client.deleteIssueRelation.mock.callCount(), 0);
+  });
+});
+
+describe('planUnlink', () => {
+  it('should find the relations without removing them', async () => {
+    const client = createMockClient();
+
+    const preview = await planUnlink(
+      /** @type {any} */ (client),
+      'ENG-2',
+      'ENG-1',
+      'blocked_by',
+      mockLogger
+    );
+
+    assert.deepStrictEqual(
+      preview.removed.map(relation => relation.id),
+      ['rel-1']
+    );
+    assert.strictEqual(client.deleteIssueRelation.mock.callCount(), 0);
+  });
+});
+
+describe('UnlinkIssues tool', () => {
+  it('should be exported', () => {
+    assert.ok(UnlinkIssues, 'UnlinkIssues tool should be exported');
+  });
+});
@@ -0,0 +1,506 @@
+/**
+ * Linear issue update tool
+ */
+import { z } from 'zod';
+import {
+  create_tool,
+  createToolClient,
+  DryRunSchema,
+  dryRunResponse,
+  ErrorCode,
+  resolveIssue,
+  resolveIssueWorkflowState,
+  resolveUser,
+  ToolError,
+} from './utils/mod.js';
+import {
+  IssueSchema,
+  IssueUpdateRequestSchema,
+} from '../effects/linear/types/types.js';
+
+/**
+ * UpdateIssueContext type definition
+ * Using JSDoc for now, but this could be converted to TypeScript or Zod schema in the future
+ *
+ * @typedef {Object} UpdateIssueContext
+ * @property {import('../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../effects/logging/mod.js').LoggingEffect} effects.logger
+ */
+
+/**
+ * Input schema for UpdateIssue tool
+ */
+const UpdateIssueInputSchema = IssueUpdateRequestSchema.extend({
+  issueId: z
+    .string()
+    .min(1, { message: 'Issue ID is required' })
+    .describe(
+      'The issue to update: an ID, identifier (e.g. TEAM-123), Linear URL or branch name'
+    ),
+  title: IssueUpdateRequestSchema.shape.title.describe(
+    'The new title of the issue'
+  ),
+  description: IssueUpdateRequestSchema.shape.description.describe(
+    'The new description of the issue'
+  ),
+  status: IssueUpdateRequestSchema.shape.status.describe(
+    'The workflow state to move the issue to, by name (e.g. "In Progress") or type (e.g. "started", "done")'
+  ),
+  priority: z
+    .number()
+    .min(0)
+    .max(4)
+    .optional()
+    .describe('The new priority of the issue (0-4)'),
+  assigneeId: IssueUpdateRequestSchema.shape.assigneeId.describe(
+    'The user to assign the issue to, by ID, email or name'
+  ),
+  labelIds: IssueUpdateRequestSchema.shape.labelIds.describe(
+    'The complete list of label IDs to set on the issue'
+  ),
+  debug: z
+    .boolean()
+    .default(false)
+    .describe('Debug mode to show extra diagnostics'),
+  dryRun: DryRunSchema,
+});
+
+/**
+ * A single field change produced by an update
+ */
+const IssueChangeSchema = z.object({
+  field: z.string(),
+  before: z.string().nullable(),
+  after: z.string().nullable(),
+});
+
+/**
+ * Issue update result schema
+ */
+const IssueUpdateResultSchema = z.object({
+  issue: IssueSchema,
+  changes: z.array(IssueChangeSchema),
+});
+
+/**
+ * Fields compared when building the before/after diff, with display labels
+ */
+const DIFF_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  assignee: 'Assignee',
+  labels: 'Labels',
+};
+
+const PRIORITY_LABELS = ['No priority', 'Urgent', 'High', 'Medium', 'Low'];
+
+/**
+ * Resolves the related data of an issue into a flat snapshot used for diffing
+ *
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<Object>} Snapshot of the issue's comparable fields
+ */
+async function snapshotIssue(issue, logger) {
+  let state = null;
+  let assignee = null;
+  let labels = [];
+
+  try {
+    state = issue.state ? await issue.state : null;
+  } catch (stateError) {
+    logger?.warn(`Error fetching state data: ${stateError.message}`);
+  }
+
+  try {
+    assignee = issue.assignee ? await issue.assignee : null;
+  } catch (assigneeError) {
+    logger?.warn(`Error fetching assignee data: ${assigneeError.message}`);
+  }
+
+  try {
+    if (typeof issue.labels === 'function') {
+      const labelsResponse = await issue.labels();
+      labels = labelsResponse?.nodes || [];
+    }
+  } catch (labelsError) {
+    logger?.warn(`Error fetching label data: ${labelsError.message}`);
+  }
+
+  return {
+    id: issue.id,
+    identifier: issue.identifier || undefined,
+    url: issue.url || undefined,
+    title: issue.title,
+    description: issue.description || undefined,
+    status: state?.name,
+    priority: issue.priority,
+    assignee: assignee
+      ? { id: assignee.id, name: assignee.name, email: assignee.email }
+      : undefined,
+    labels: labels.map(label => ({
+      id: label.id,
+      name: label.name,
+      color: label.color,
+    })),
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+  };
+}
+
+/**
+ * Converts a snapshot field to a comparable display string
+ *
+ * @param {Object} snapshot - Issue snapshot
+ * @param {string} field - Field name from DIFF_FIELDS
+ * @returns {string|null} Display value, or null when the field is empty
+ */
+function displayValue(snapshot, field) {
+  const value = snapshot[field];
+
+  if (field === 'priority') {
+    return value === undefined || value === null
+      ? null
+      : PRIORITY_LABELS[value] || String(value);
+  }
+
+  if (field === 'assignee') {
+    return value ? value.name : null;
+  }
+
+  if (field === 'labels') {
+    if (!value || value.length === 0) return null;
+    return value
+      .map(label => label.name)
+      .sort()
+      .join(', ');
+  }
+
+  return value === undefined || value === null || value === ''
+    ? null
+    : String(value);
+}
+
+/**
+ * Computes the list of fields that differ between two issue snapshots
+ *
+ * @param {Object} before - Snapshot taken before the update
+ * @param {Object} after - Snapshot taken after the update
+ * @returns {Array<import('zod').infer<typeof IssueChangeSchema>>} Changed fields
+ */
+function diffIssues(before, after) {
+  const changes = [];
+
+  for (const [field, label] of Object.entries(DIFF_FIELDS)) {
+    const beforeValue = displayValue(before, field);
+    const afterValue = displayValue(after, field);
+
+    if (beforeValue !== afterValue) {
+      changes.push({ field: label, before: beforeValue, after: afterValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Resolves the references of an issue update and builds its input
+ *
+ * The updated issue is previewed by applying the update to a snapshot of the
+ * issue as it is now.
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue to update
+ * @param {import('../effects/linear/types/types.js').IssueUpdateRequest} updates - Fields to update
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ issue: any, before: Object, input: Record<string, any>, preview: import('zod').infer<typeof IssueUpdateResultSchema> }>} The issue, its snapshot, the update input and a preview of the result
+ */
+async function planIssueUpdate(client, issueId, updates = {}, logger) {
+  // Fetch the issue first so we can resolve names and diff the result
+  const issue = await resolveIssue(client, issueId, logger);
+
+  const before = await snapshotIssue(issue, logger);
+
+  const state = updates.status
+    ? await resolveIssueWorkflowState(client, issue, updates.status, logger)
+    : undefined;
+  const assignee = updates.assigneeId
+    ? await resolveUser(client, updates.assigneeId, logger)
+    : undefined;
+  const labels = updates.labelIds
+    ? await Promise.all(updates.labelIds.map(id => client.issueLabel(id)))
+    : undefined;
+
+  // Prepare the issue update input for the Linear SDK
+  const input = {
+    title: updates.title,
+    description: updates.description,
+    stateId: state?.id,
+    priority: updates.priority,
+    assigneeId: assignee?.id,
+    labelIds: labels?.map(label => label.id),
+  };
+
+  // Filter out undefined values
+  Object.keys(input).forEach(key => {
+    if (input[key] === undefined) {
+      delete input[key];
+    }
+  });
+
+  if (Object.keys(input).length === 0) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      'No updates provided. Specify at least one of: title, description, status, priority, assigneeId, labelIds'
+    );
+  }
+
+  const after = {
+    ...before,
+    title: updates.title ?? before.title,
+    description: updates.description ?? before.description,
+    status: state ? state.name : before.status,
+    priority: updates.priority ?? before.priority,
+    assignee: assignee
+      ? { id: assignee.id, name: assignee.name, email: assignee.email }
+      : before.assignee,
+    labels:
+      labels?.map(label => ({
+        id: label.id,
+        name: label.name,
+        color: label.color,
+      })) ?? before.labels,
+  };
+
+  return {
+    issue,
+    before,
+    input,
+    preview: IssueUpdateResultSchema.parse({
+      issue: after,
+      changes: diffIssues(before, after),
+    }),
+  };
+}
+
+/**
+ * Applies a partial update to a Linear issue
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} issueId - The ID, identifier, URL or branch name of the issue to update
+ * @param {import('../effects/linear/types/types.js').IssueUpdateRequest} updates - Fields to update
+ * @param {import('../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('zod').infer<typeof IssueUpdateResultSchema>>} Updated issue with the changed fields
+ */
+async function updateIssue(client, issueId, updates = {}, logger) {
+  try {
+    logger?.debug(`Updating Linear issue with ID: ${issueId}`);
+
+    const {
+      issue,
+      before,
+      input: issueInput,
+    } = await planIssueUpdate(client, issueId, updates, logger);
+
+    logger?.debug('Issue update payload:', issueInput);
+
+    // Update the issue using the Linear SDK
+    const issueResult = await client.updateIssue(issue.id, issueInput);
+
+    if (!issueResult) {
+      throw new Error('Failed to update issue, received null response');
+    }
+
+    // Linear API returns a promise for the updated issue
+    const issueData = await issueResult.issue;
+
+    if (!issueData) {
+      throw new Error('Failed to retrieve issue data from response');
+    }
+
+    logger?.debug(`Successfully updated issue: ${issueData.id}`);
+
+    const after = await snapshotIssue(issueData, logger);
+
+    return IssueUpdateResultSchema.parse({
+      issue: after,
+      changes: diffIssues(before, after),
+    });
+  } catch (error) {
+    // Enhanced error logging
+    logger?.error(`Error updating Linear issue: ${error.message}`, {
+      issueId,
+      updates,
+      stack: error.stack,
+    });
+
+    // Check if it's a Zod validation error (formatted differently)
+    if (error.name === 'ZodError') {
+      logger?.error(
+        'Zod validation error details:',
+        JSON.stringify(error.errors, null, 2)
+      );
+    }
+
+    // Rethrow the error for the tool to handle
+    throw error;
+  }
+}
+
+/**
+ * Truncates long values so the diff stays readable
+ *
+ * @param {string|null} value - Value to display
+ * @returns {string} Display string
+ */
+function formatChangeValue(value) {
+  if (value === null) return '_empty_';
+  const singleLine = value.replace(/\s+/g, ' ');
+  return singleLine.length > 80
+    ? `${singleLine.substring(0, 77)}...`
+    : singleLine;
+}
+
+/**
+ * Formats the result of an issue update, or the preview of one, as markdown
+ *
+ * @param {import('zod').infer<typeof IssueUpdateResultSchema>} result - Updated issue with the changed fields
+ * @param {boolean} [dryRun=false] - Whether the result is the preview of a dry run
+ * @returns {string} Markdown text
+ */
+function formatUpdate(result, dryRun = false) {
+  const issue = result.issue;
+  const issueLabel = issue.identifier || issue.id;
+
+  let responseText = '';
+  responseText += dryRun
+    ? `Issue ${issueLabel} would be updated\n\n`
+    : `✅ Issue ${issueLabel} updated successfully\n\n`;
+
+  // Add issue details
+  responseText += `**Issue ID:** ${issue.id}\n`;
+  responseText += `**Title:** ${issue.title}\n`;
+
+  if (issue.url) {
+    responseText += `**URL:** ${issue.url}\n`;
+  }
+
+  // Add the before/after diff
+  if (result.changes.length === 0) {
+    responseText += '\nNo fields changed.\n';
+  } else {
+    responseText += `\n## Changes (${result.changes.length})\n\n`;
+    result.changes.forEach(change => {
+      responseText += `- **${change.field}:** ${formatChangeValue(
+        change.before
+      )} → ${formatChangeValue(change.after)}\n`;
+    });
+  }
+
+  return responseText;
+}
+
+/**
+ * Handler for UpdateIssue tool
+ * @type {import('./types/mod.js').ToolHandler<UpdateIssueContext, typeof UpdateIssueInputSchema>}
+ */
+const handler = async (
+  ctx,
+  {
+    issueId,
+    title,
+    description,
+    status,
+    priority,
+    assigneeId,
+    labelIds,
+    debug,
+    dryRun,
+  }
+) => {
+  const logger = ctx.effects.logger;
+
+  // Log details about config and parameters
+  logger.debug('Update issue called with parameters:', {
+    issueId,
+    title,
+    description: description ? `${description.substring(0, 20)}...` : undefined,
+    status,
+    priority,
+    assigneeId,
+    labelIds,
+    debug,
+    dryRun,
+  });
+
+  // Create a Linear client with the session's credentials
+  const linearClient = await createToolClient(ctx, logger);
+
+  const updates = {
+    title,
+    description,
+    status,
+    priority,
+    assigneeId,
+    labelIds,
+  };
+
+  if (dryRun) {
+    logger.debug('Resolving issue update references for a dry run');
+    const { issue, input, preview } = await planIssueUpdate(
+      linearClient,
+      issueId,
+      updates,
+      logger
+    );
+
+    logger.info(
+      `Dry run of updating issue ${issue.identifier || issue.id} (${preview.changes.length} fields would change)`
+    );
+    return dryRunResponse(
+      preview,
+      [{ mutation: 'issueUpdate', id: issue.id, input }],
+      formatUpdate(preview, true)
+    );
+  }
+
+  // Update the issue using the Linear SDK client
+  logger.debug('Executing Linear API to update issue');
+  const result = await updateIssue(linearClient, issueId, updates, logger);
+
+  const issue = result.issue;
+  const issueLabel = issue.identifier || issue.id;
+
+  // Log that we updated the issue
+  logger.info(
+    `Updated issue ${issueLabel} (${result.changes.length} fields changed)`
+  );
+
+  logger.debug('Returning formatted update result');
+  return {
+    content: [{ type: 'text', text: formatUpdate(result) }],
+    structuredContent: result,
+  };
+};
+
+/**
+ * UpdateIssue tool factory
+ */
+export const UpdateIssue = create_tool({
+  name: 'update_issue',
+  title: 'Update Issue',
+  description:
+    'Update an existing Linear issue (also called a ticket). Change its title, description, status (by name), priority, assignee or labels, and get back a before/after summary of what changed. Pass dryRun to preview the changes without applying them.',
+  inputSchema: UpdateIssueInputSchema,
+  outputSchema: IssueUpdateResultSchema,
+  write: true,
+  annotations: { destructiveHint: true, idempotentHint: true },
+  handler,
+});
+
+// Export for testing
+export { updateIssue, planIssueUpdate, diffIssues };
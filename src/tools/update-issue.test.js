@@ -0,0 +1,225 @@
+/**
+ * Tests for Linear update-issue tool
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { planIssueUpdate, updateIssue, UpdateIssue } from './update-issue.js';
+
+/**
+ * Creates a mock logger for testing
+ * @returns {Object} Mock logger
+ */
+function createMockLogger() {
+  return {
+    debug: mock.fn(),
+    error: mock.fn(),
+    info: mock.fn(),
+    warn: mock.fn(),
+  };
+}
+
+// Workflow states of the mock team
+const mockStates = [
+  { id: 'state-todo', name: 'Todo' },
+  { id: 'state-in-progress', name: 'In Progress' },
+  { id: 'state-done', name: 'Done' },
+];
+
+const mockTeam = {
+  id: 'team-1',
+  name: 'Engineering',
+  key: 'ENG',
+  states: mock.fn(async () => ({ nodes: mockStates })),
+};
+
+/**
+ * Creates a mock client whose issue changes after updateIssue is called
+ * @param {Object} afterOverrides - Fields of the updated issue
+ * @returns {Object} Mock Linear client
+ */
+function createMockClient(afterOverrides = {}) {
+  const beforeIssue = {
+    id: 'issue-1',
+    identifier: 'ENG-123',
+    url: 'https://linear.app/scoutos/issue/ENG-123/test',
+    title: 'Old title',
+    description: 'Old description',
+    priority: 3,
+    state: Promise.resolve({ id: 'state-todo', name: 'Todo' }),
+    assignee: Promise.resolve(null),
+    team: Promise.resolve(mockTeam),
+    labels: async () => ({ nodes: [{ id: 'label-1', name: 'bug' }] }),
+    createdAt: new Date('2023-01-01'),
+    updatedAt: new Date('2023-01-01'),
+  };
+
+  const afterIssue = {
+    ...beforeIssue,
+    updatedAt: new Date('2023-01-02'),
+    ...afterOverrides,
+  };
+
+  return {
+    issue: mock.fn(async () => beforeIssue),
+    workflowStates: mockTeam.states,
+    updateIssue: mock.fn(async () => ({
+      success: true,
+      issue: Promise.resolve(afterIssue),
+    })),
+  };
+}
+
+describe('updateIssue', () => {
+  it('should resolve status names and return the changed fields', async () => {
+    const client = createMockClient({
+      title: 'New title',
+      priority: 1,
+      state: Promise.resolve({ id: 'state-in-progress', name: 'In Progress' }),
+    });
+    const logger = createMockLogger();
+
+    const result = await updateIssue(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { title: 'New title', status: 'in progress', priority: 1 },
+      /** @type {any} */ (logger)
+    );
+
+    // The issue is looked up by the identifier, but updated by its ID
+    assert.strictEqual(client.issue.mock.calls[0].arguments[0], 'ENG-123');
+    assert.strictEqual(client.updateIssue.mock.calls.length, 1);
+    const [id, input] = client.updateIssue.mock.calls[0].arguments;
+    assert.strictEqual(id, 'issue-1');
+    assert.deepStrictEqual(input, {
+      title: 'New title',
+      stateId: 'state-in-progress',
+      priority: 1,
+    });
+
+    assert.strictEqual(result.issue.status, 'In Progress');
+    assert.deepStrictEqual(result.changes, [
+      { field: 'Title', before: 'Old title', after: 'New title' },
+      { field: 'Status', before: 'Todo', after: 'In Progress' },
+      { field: 'Priority', before: 'Medium', after: 'Urgent' },
+    ]);
+  });
+
+  it('should reject unknown status names and list the available states', async () => {
+    const client = createMockClient();
+    const logger = createMockLogger();
+
+    await assert.rejects(
+      updateIssue(
+        /** @type {any} */ (client),
+        'ENG-123',
+        { status: 'Blocked' },
+        /** @type {any} */ (logger)
+      ),
+      /Status "Blocked" not found in team Engineering\. Available states: Todo, In Progress, Done/
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+
+  it('should require at least one field to update', async () => {
+    const client = createMockClient();
+    const logger = createMockLogger();
+
+    await assert.rejects(
+      updateIssue(
+        /** @type {any} */ (client),
+        'ENG-123',
+        {},
+        /** @type {any} */ (logger)
+      ),
+      /No updates provided/
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+
+  it('should throw when the issue is not found', async () => {
+    const client = {
+      issue: mock.fn(async () => null),
+      updateIssue: mock.fn(),
+    };
+    const logger = createMockLogger();
+
+    await assert.rejects(
+      updateIssue(
+        /** @type {any} */ (client),
+        'ENG-404',
+        { title: 'New title' },
+        /** @type {any} */ (logger)
+      ),
+      /not found/
+    );
+
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    assert.strictEqual(logger.error.mock.calls.length > 0, true);
+  });
+});
+
+describe('planIssueUpdate', () => {
+  it('should preview the changes without updating the issue', async () => {
+    const client = {
+      ...createMockClient(),
+      user: mock.fn(async () => ({
+        id: 'user-2',
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+      })),
+      issueLabel: mock.fn(async id => ({ id, name: 'feature' })),
+    };
+
+    const { input, preview } = await planIssueUpdate(
+      /** @type {any} */ (client),
+      'ENG-123',
+      { status: 'done', assigneeId: 'user-2', labelIds: ['label-2'] }
+    );
+
+    assert.deepStrictEqual(input, {
+      stateId: 'state-done',
+      assigneeId: 'user-2',
+      labelIds: ['label-2'],
+    });
+    assert.deepStrictEqual(preview.changes, [
+      { field: 'Status', before: 'Todo', after: 'Done' },
+      { field: 'Assignee', before: null, after: 'Jane Smith' },
+      { field: 'Labels', before: 'bug', after: 'feature' },
+    ]);
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+  });
+});
+
+describe('UpdateIssue tool', () => {
+  it('should be exported', () => {
+    assert.equal(typeof UpdateIssue, 'function');
+  });
+
+  it('should word dry runs as a preview', async () => {
+    const client = createMockClient();
+    const tool = new UpdateIssue(
+      /** @type {any} */ ({
+        config: { linearApiKey: 'lin_api_test_key_123456' },
+        effects: {
+          logger: createMockLogger(),
+          linear: { createClient: () => client },
+        },
+      })
+    );
+
+    const response = await tool.call({
+      issueId: 'ENG-123',
+      status: 'done',
+      dryRun: true,
+    });
+
+    assert.ok(!response.isError, response.content[0].text);
+    assert.strictEqual(client.updateIssue.mock.calls.length, 0);
+    const text = response.content[0].text;
+    assert.match(text, /^🔍 Dry run: nothing was changed in Linear/);
+    assert.match(text, /Issue ENG-123 would be updated/);
+    assert.doesNotMatch(text, /updated successfully/);
+  });
+});
@@ -1,8 +1,23 @@
 /**
  * Tool creation utilities
  */
-import { ZodError } from 'zod';
+import { z, ZodError } from 'zod';
 import { McpToolResponseSchema } from '../types/mod.js';
+import { DryRunResultSchema } from './dry-run.js';
+import {
+  classifyError,
+  describeErrorDetails,
+  ErrorCode,
+  errorResponse,
+  ToolError,
+} from './errors.js';
+import { describeCredentialStatus } from './linear-client.js';
+import { FormatSchema, formatResponse } from './output-format.js';
+import {
+  labelWorkspace,
+  selectWorkspace,
+  WorkspaceSchema,
+} from './workspace.js';
 
 /**
  * Base tool abstract class
@@ -13,12 +28,24 @@ export class BaseTool {
   /**
    * @param {import('../types/mod.js').BaseToolInput<T>} input - Tool definition
    */
-  constructor({ name, description, inputSchema }) {
+  constructor({
+    name,
+    title,
+    description,
+    inputSchema,
+    outputSchema,
+    annotations,
+    write = false,
+  }) {
     this.name = name;
+    this.title = title;
     this.description = description;
+    this.annotations = annotations;
+    this.write = write;
     this.inputSchema = inputSchema;
     // @ts-ignore - inputSchema.shape may not exist on all Zod schemas
     this.shape = inputSchema.shape;
+    this.outputSchema = outputSchema;
     this._ctx = undefined;
   }
 
@@ -32,6 +59,11 @@ export class BaseTool {
 
   /**
    * Call the tool
+   *
+   * Handlers throw when they fail. The error is classified here, so every
+   * tool answers with the same error codes and next steps, and with debug
+   * details when called with `debug: true`.
+   *
    * @param {unknown} args - The arguments to pass to the tool
    * @returns {Promise<import('../types/mod.js').McpToolResponse>} - The tool response
    */
@@ -42,9 +74,10 @@ export class BaseTool {
       );
     }
 
+    let validatedArgs;
     try {
       // Validate input arguments against schema
-      const validatedArgs = this.inputSchema.parse(args);
+      validatedArgs = this.inputSchema.parse(args);
 
       // Handle the validated arguments and get response
       // @ts-ignore - handle method is implemented by subclasses
@@ -53,53 +86,213 @@ export class BaseTool {
       // Validate the response against our schema
       return McpToolResponseSchema.parse(response);
     } catch (error) {
-      if (error instanceof ZodError) {
-        // Create a validated error response
-        return McpToolResponseSchema.parse({
-          content: [
-            {
-              type: 'text',
-              text: `Validation Error: ${JSON.stringify(
-                error.errors,
-                null,
-                2
-              )}`,
-            },
-          ],
-          isError: true,
-        });
+      // Only the arguments are the caller's to fix, other Zod errors are ours
+      const failure = classifyError(
+        validatedArgs || !(error instanceof ZodError)
+          ? error
+          : invalidArguments(error)
+      );
+
+      // @ts-ignore - Tool contexts carry a logger
+      const logger = this._ctx.effects?.logger;
+      logger?.error(
+        `${this.name} failed [${failure.code}]: ${failure.message}`
+      );
+      if (failure.code === ErrorCode.UNKNOWN) {
+        logger?.error(error.stack);
       }
-      throw error;
+
+      return McpToolResponseSchema.parse(
+        errorResponse(
+          failure,
+          validatedArgs?.debug ? this.describeFailure(error, validatedArgs) : []
+        )
+      );
     }
   }
+
+  /**
+   * Describes a failed call for its debug output
+   *
+   * @param {any} error - Error the call failed with
+   * @param {Record<string, unknown>} args - Validated arguments of the call
+   * @returns {string[]} Lines describing the call and the error
+   */
+  describeFailure(error, args) {
+    return [
+      `Tool: ${this.name}`,
+      `Parameters: ${JSON.stringify({ ...args, debug: undefined })}`,
+      // @ts-ignore - Tool contexts carry the config and Linear effect
+      `Linear API Status: ${describeCredentialStatus(this.contextFor(args))}`,
+      ...describeErrorDetails(error),
+    ];
+  }
+
+  /**
+   * Returns the context a call with the given arguments acts with
+   *
+   * @param {Record<string, any>} args - Validated arguments of the call
+   * @returns {C} Context of the workspace the call acts in
+   */
+  contextFor(args) {
+    if (this.shape?.workspace) {
+      try {
+        // @ts-ignore - Tool contexts carry the config and Linear effect
+        const { ctx } = selectWorkspace(this._ctx, args.workspace);
+        return /** @type {C} */ (ctx);
+      } catch {
+        // Unknown workspaces fail the call before acting anywhere
+      }
+    }
+    return /** @type {C} */ (this._ctx);
+  }
+}
+
+/**
+ * Turns a failed argument validation into a tool error
+ *
+ * @param {ZodError} error - Validation error
+ * @returns {ToolError} Validation error listing each invalid argument
+ */
+function invalidArguments(error) {
+  const issues = error.issues.map(
+    issue => `\n- ${issue.path.join('.') || 'arguments'}: ${issue.message}`
+  );
+  return new ToolError(
+    ErrorCode.VALIDATION,
+    `Invalid arguments:${issues.join('')}`
+  );
 }
 
 /**
  * Create a tool factory function
+ *
+ * Unless the definition opts out with `workspace: false`, the tool takes an
+ * optional `workspace` argument. The handler is called with a context acting
+ * in that workspace and its response is labelled with the workspace name.
+ *
+ * Tools with an `outputSchema` return their result as `structuredContent`
+ * and take a `format` argument picking what their text holds.
+ *
+ * Tools that change data in Linear set `write`. They are left out in
+ * read-only mode, and after they succeed the workspace's metadata is loaded
+ * afresh instead of from the cache.
+ *
+ * Write tools must also take a `dryRun` argument. A dry run acts with a
+ * client that can't send mutations and leaves the cache alone. Its result
+ * previews the real one, without the IDs of entities it would create, so the
+ * fields of a write tool's output schema are optional, and the mutations it
+ * would send are added as `dryRun`.
+ *
+ * The tool's MCP annotations follow from `write`: other tools are read-only,
+ * so clients can run them without asking, while write tools are marked as
+ * destructive and not idempotent unless their `annotations` say otherwise.
+ * Every tool acts in Linear, an open world.
+ *
  * @template C
  * @template {import('zod').ZodTypeAny} T
  * @param {import('../types/mod.js').ToolDefinition<C, T>} definition - Tool definition
  * @returns {new (ctx: C) => BaseTool<C, T>} - Tool class constructor
  */
-export function create_tool({ handler, ...meta }) {
+export function create_tool({
+  handler,
+  workspace = true,
+  write = false,
+  annotations,
+  ...meta
+}) {
+  let inputSchema = meta.inputSchema;
+  let outputSchema = meta.outputSchema;
+  if (write) {
+    // @ts-ignore - Tool input schemas are Zod objects
+    if (!inputSchema.shape?.dryRun) {
+      throw new Error(`Write tool "${meta.name}" must take a dryRun argument`);
+    }
+    outputSchema = outputSchema
+      ?.partial()
+      .extend({ dryRun: DryRunResultSchema.optional() });
+  }
+  if (workspace) {
+    // @ts-ignore - Tool input schemas are Zod objects
+    inputSchema = inputSchema.extend({ workspace: WorkspaceSchema });
+    outputSchema = outputSchema?.extend({
+      workspace: z
+        .string()
+        .optional()
+        .describe('Workspace the result came from, with named workspaces'),
+    });
+  }
+  if (outputSchema) {
+    // @ts-ignore - Tool input schemas are Zod objects
+    inputSchema = inputSchema.extend({ format: FormatSchema });
+  }
+
+  /** @type {import('../types/mod.js').ToolAnnotations} */
+  const toolAnnotations = {
+    title: meta.title,
+    readOnlyHint: !write,
+    ...(write && { destructiveHint: true, idempotentHint: false }),
+    openWorldHint: true,
+    ...annotations,
+  };
+
+  /**
+   * Drops the cached metadata a successful write may have changed
+   *
+   * @param {any} ctx - Context the handler was called with
+   * @param {import('../types/mod.js').McpToolResponse} response - Handler response
+   */
+  const invalidateAfter = async (ctx, response) => {
+    if (write && !ctx.dryRun && !response.isError) {
+      await ctx.effects?.cache?.invalidate();
+    }
+  };
+
   return class extends BaseTool {
     /**
      * @param {C} ctx - The context to initialize with
      */
     constructor(ctx) {
-      super(meta);
+      super({
+        ...meta,
+        inputSchema,
+        outputSchema,
+        annotations: toolAnnotations,
+        write,
+      });
       this.initialize(ctx);
     }
 
     /**
-     * @param {C} ctx - The context to use for handling
+     * @param {C} baseCtx - The context to use for handling
      * @param {import('zod').infer<T>} args - The validated arguments
      * @returns {Promise<import('../types/mod.js').McpToolResponse>} - The tool response
      */
-    async handle(ctx, args) {
-      // Use the handler and ensure the response is validated
-      const response = await handler(ctx, args);
-      return McpToolResponseSchema.parse(response);
+    async handle(baseCtx, args) {
+      const { format = 'markdown', ...toolArgs } = args;
+      const ctx = toolArgs.dryRun
+        ? /** @type {C} */ ({ ...baseCtx, dryRun: true })
+        : baseCtx;
+
+      if (!workspace) {
+        // Use the handler and ensure the response is validated
+        const response = await handler(ctx, toolArgs);
+        await invalidateAfter(ctx, response);
+        return formatResponse(McpToolResponseSchema.parse(response), format);
+      }
+
+      const { workspace: requested, ...handlerArgs } = toolArgs;
+      // @ts-ignore - Tool contexts carry the config and Linear effect
+      const selected = selectWorkspace(ctx, requested);
+      const response = await handler(
+        /** @type {C} */ (selected.ctx),
+        handlerArgs
+      );
+      await invalidateAfter(selected.ctx, response);
+      return formatResponse(
+        labelWorkspace(McpToolResponseSchema.parse(response), selected.name),
+        format
+      );
     }
   };
 }
@@ -0,0 +1,91 @@
+/**
+ * Tests for the tool creation utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { z } from 'zod';
+import { createServer } from '../../server.js';
+import { create_tool } from './create-tool.js';
+import { ListIssues } from '../list-issues.js';
+import { AddComment } from '../add-comment.js';
+import { UpdateIssue } from '../update-issue.js';
+
+// Mock logger for testing
+const mockLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const ctx = /** @type {any} */ ({
+  config: { linearApiKey: 'lin_api_test_key_123456' },
+  effects: { logger: mockLogger, linear: {} },
+});
+
+describe('create_tool annotations', () => {
+  it('should mark tools without writes as read-only', () => {
+    assert.deepStrictEqual(new ListIssues(ctx).annotations, {
+      title: 'List Issues',
+      readOnlyHint: true,
+      openWorldHint: true,
+    });
+  });
+
+  it('should mark write tools as destructive unless they say otherwise', () => {
+    assert.deepStrictEqual(new AddComment(ctx).annotations, {
+      title: 'Add Comment',
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true,
+    });
+    assert.strictEqual(new UpdateIssue(ctx).annotations?.destructiveHint, true);
+  });
+
+  it('should list the title and annotations of tools to MCP clients', async () => {
+    const server = createServer(
+      [new ListIssues(ctx), new AddComment(ctx)],
+      mockLogger
+    );
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    try {
+      const { tools } = await client.listTools();
+      const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+
+      assert.strictEqual(byName.list_issues.title, 'List Issues');
+      assert.strictEqual(byName.list_issues.annotations?.readOnlyHint, true);
+      assert.strictEqual(byName.add_comment.annotations?.readOnlyHint, false);
+      assert.strictEqual(
+        byName.add_comment.annotations?.destructiveHint,
+        false
+      );
+    } finally {
+      await client.close();
+      await server.close();
+    }
+  });
+});
+
+describe('create_tool dry runs', () => {
+  it('should require write tools to take a dryRun argument', () => {
+    assert.throws(
+      () =>
+        create_tool({
+          name: 'archive_issue',
+          description: 'Archive an issue',
+          inputSchema: z.object({ issueId: z.string() }),
+          write: true,
+          handler: async () => ({ content: [] }),
+        }),
+      /Write tool "archive_issue" must take a dryRun argument/
+    );
+  });
+});
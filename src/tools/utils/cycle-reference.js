@@ -0,0 +1,169 @@
+/**
+ * Cycle reference resolution utilities
+ *
+ * Cycles belong to a team and are numbered within it, so a cycle is referred
+ * to by its number, by its position relative to today ("current", "next",
+ * "previous") or by its ID.
+ */
+import { fetchAllNodes } from './pagination.js';
+import { ErrorCode, ToolError } from './errors.js';
+
+/**
+ * References that pick a cycle relative to today
+ */
+const RELATIVE_CYCLE_REFERENCES = ['current', 'next', 'previous'];
+
+/**
+ * Classifies a cycle as past, current or upcoming
+ *
+ * @param {{ startsAt: Date|string, endsAt: Date|string }} cycle - The cycle
+ * @param {Date} [now] - The moment to classify against
+ * @returns {'past'|'current'|'upcoming'} Cycle status
+ */
+export function getCycleStatus(cycle, now = new Date()) {
+  if (new Date(cycle.endsAt) <= now) {
+    return 'past';
+  }
+
+  if (new Date(cycle.startsAt) <= now) {
+    return 'current';
+  }
+
+  return 'upcoming';
+}
+
+/**
+ * Sorts cycles by start date, oldest first
+ *
+ * @template {{ startsAt: Date|string }} C
+ * @param {C[]} cycles - Cycles to sort
+ * @returns {C[]} A sorted copy of the cycles
+ */
+export function sortCycles(cycles) {
+  return [...cycles].sort(
+    (a, b) => new Date(a.startsAt).getTime() - new Date(b.startsAt).getTime()
+  );
+}
+
+/**
+ * Fetches every cycle of a team, oldest first
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string }} team - Team whose cycles to fetch
+ * @returns {Promise<any[]>} The team's cycles
+ */
+export async function fetchTeamCycles(client, team) {
+  return sortCycles(
+    await fetchAllNodes(params =>
+      client.cycles({ ...params, filter: { team: { id: { eq: team.id } } } })
+    )
+  );
+}
+
+/**
+ * Finds a cycle by number, ID or relative reference
+ *
+ * @template {{ id: string, number: number, startsAt: Date|string, endsAt: Date|string }} C
+ * @param {C[]} cycles - The team's cycles
+ * @param {string|number} ref - Cycle number, ID, "current", "next" or "previous"
+ * @param {Date} [now] - The moment relative references are resolved against
+ * @returns {C|undefined} The matching cycle
+ */
+export function findCycle(cycles, ref, now = new Date()) {
+  const wanted = String(ref).trim().toLowerCase();
+  const sorted = sortCycles(cycles);
+
+  if (RELATIVE_CYCLE_REFERENCES.includes(wanted)) {
+    const status = {
+      current: 'current',
+      next: 'upcoming',
+      previous: 'past',
+    }[wanted];
+    const matches = sorted.filter(
+      cycle => getCycleStatus(cycle, now) === status
+    );
+
+    // The previous cycle is the most recent past one
+    return wanted === 'previous' ? matches.pop() : matches[0];
+  }
+
+  // Issue-style references such as "#12" or "Cycle 12" work as numbers too
+  const number = wanted.replace(/^(cycle\s*|#)/, '');
+  if (/^\d+$/.test(number)) {
+    return sorted.find(cycle => cycle.number === Number(number));
+  }
+
+  return sorted.find(cycle => cycle.id === String(ref).trim());
+}
+
+/**
+ * Resolves a cycle of a team from its number, ID or relative reference
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string, name: string }} team - Team the cycle belongs to
+ * @param {string|number} ref - Cycle number, ID, "current", "next" or "previous"
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @param {Date} [now] - The moment relative references are resolved against
+ * @returns {Promise<any>} The matching cycle
+ * @throws {Error} If the cycle cannot be found, listing the team's cycles
+ */
+export async function resolveCycle(
+  client,
+  team,
+  ref,
+  logger,
+  now = new Date()
+) {
+  logger?.debug(`Resolving cycle "${ref}" in team ${team.name}`);
+
+  const cycles = await fetchTeamCycles(client, team);
+  const match = findCycle(cycles, ref, now);
+
+  if (!match) {
+    if (cycles.length === 0) {
+      throw new ToolError(
+        ErrorCode.NOT_FOUND,
+        `Team ${team.name} has no cycles`,
+        { nextStep: 'Enable cycles in the team settings in Linear first.' }
+      );
+    }
+
+    const available = cycles
+      .filter(cycle => getCycleStatus(cycle, now) !== 'past')
+      .map(cycle => `#${cycle.number}`)
+      .join(', ');
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `Cycle "${ref}" not found in team ${team.name}. Current and upcoming cycles: ${
+        available || 'none'
+      }`,
+      {
+        nextStep:
+          'Use one of the listed cycle numbers, "current", "next" or "previous", or call list_cycles to see all cycles of the team.',
+      }
+    );
+  }
+
+  logger?.debug(`Resolved cycle "${ref}" to #${match.number} (${match.id})`);
+  return match;
+}
+
+/**
+ * Reduces an SDK cycle to our cycle shape
+ *
+ * @param {any} cycle - Cycle returned by the Linear SDK
+ * @param {Date} [now] - The moment to classify the cycle against
+ * @returns {import('../../effects/linear/types/types.js').Cycle} Cycle data
+ */
+export function toCycleData(cycle, now = new Date()) {
+  return {
+    id: cycle.id,
+    number: cycle.number,
+    name: cycle.name || undefined,
+    startsAt: cycle.startsAt,
+    endsAt: cycle.endsAt,
+    completedAt: cycle.completedAt || undefined,
+    progress: cycle.progress ?? undefined,
+    status: getCycleStatus(cycle, now),
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for cycle reference resolution utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { findCycle, getCycleStatus, resolveCycle } from './cycle-reference.js';
+
+const now = new Date('2024-03-13T12:00:00Z');
+
+const cycles = [
+  {
+    id: 'cycle-12',
+    number: 12,
+    startsAt: '2024-03-18T00:00:00Z',
+    endsAt: '2024-04-01T00:00:00Z',
+  },
+  {
+    id: 'cycle-10',
+    number: 10,
+    startsAt: '2024-02-19T00:00:00Z',
+    endsAt: '2024-03-04T00:00:00Z',
+  },
+  {
+    id: 'cycle-11',
+    number: 11,
+    startsAt: '2024-03-04T00:00:00Z',
+    endsAt: '2024-03-18T00:00:00Z',
+  },
+];
+
+describe('getCycleStatus', () => {
+  it('should classify cycles relative to now', () => {
+    assert.strictEqual(getCycleStatus(cycles[1], now), 'past');
+    assert.strictEqual(getCycleStatus(cycles[2], now), 'current');
+    assert.strictEqual(getCycleStatus(cycles[0], now), 'upcoming');
+  });
+});
+
+describe('findCycle', () => {
+  it('should find cycles relative to now', () => {
+    assert.strictEqual(findCycle(cycles, 'current', now).number, 11);
+    assert.strictEqual(findCycle(cycles, 'Next', now).number, 12);
+    assert.strictEqual(findCycle(cycles, 'previous', now).number, 10);
+  });
+
+  it('should find cycles by number or ID', () => {
+    assert.strictEqual(findCycle(cycles, 12, now).id, 'cycle-12');
+    assert.strictEqual(findCycle(cycles, '#10', now).id, 'cycle-10');
+    assert.strictEqual(findCycle(cycles, 'Cycle 11', now).id, 'cycle-11');
+    assert.strictEqual(findCycle(cycles, 'cycle-12', now).number, 12);
+  });
+});
+
+describe('resolveCycle', () => {
+  const team = { id: 'team-1', name: 'Engineering' };
+  const client = /** @type {any} */ ({
+    cycles: mock.fn(async () => ({ nodes: cycles })),
+  });
+
+  it('should resolve cycles of a team', async () => {
+    const cycle = await resolveCycle(client, team, 'current', undefined, now);
+
+    assert.strictEqual(cycle.id, 'cycle-11');
+    assert.deepStrictEqual(client.cycles.mock.calls[0].arguments[0].filter, {
+      team: { id: { eq: 'team-1' } },
+    });
+  });
+
+  it('should list current and upcoming cycles when nothing matches', async () => {
+    await assert.rejects(
+      resolveCycle(client, team, '42', undefined, now),
+      /Cycle "42" not found in team Engineering\. Current and upcoming cycles: #11, #12/
+    );
+  });
+
+  it('should explain when a team has no cycles', async () => {
+    const noCycles = /** @type {any} */ ({
+      cycles: async () => ({ nodes: [] }),
+    });
+
+    await assert.rejects(
+      resolveCycle(
+        noCycles,
+        { id: 'team-2', name: 'Design' },
+        'current',
+        undefined,
+        now
+      ),
+      /Team Design has no cycles/
+    );
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Dry run utilities
+ *
+ * Every write tool takes a `dryRun` argument. A dry run resolves and checks
+ * every reference like a real call, then answers with the mutations it would
+ * send and a preview of its result instead of changing anything in Linear.
+ */
+import { z } from 'zod';
+import { isMutation } from '../../effects/linear/rate-limit.js';
+
+/**
+ * Schema of the `dryRun` argument of write tools
+ */
+export const DryRunSchema = z
+  .boolean()
+  .default(false)
+  .describe(
+    'Check the call and preview its result without changing anything in Linear'
+  );
+
+/**
+ * A mutation a write tool sends to Linear
+ */
+export const PlannedMutationSchema = z.object({
+  mutation: z.string(), // Name of the GraphQL mutation, e.g. issueCreate
+  id: z.string().optional(), // ID of the entity the mutation changes
+  input: z.record(z.any()).optional(), // Input with every reference resolved to an ID
+});
+
+/**
+ * Schema of the `dryRun` field of dry run results
+ */
+export const DryRunResultSchema = z
+  .object({
+    mutations: z.array(PlannedMutationSchema),
+  })
+  .describe('Mutations a dry run would have sent, set on dry runs only');
+
+/**
+ * @typedef {z.infer<typeof PlannedMutationSchema>} PlannedMutation
+ */
+
+/**
+ * Makes a Linear client refuse to send mutations
+ *
+ * Write tools don't send their mutations on dry runs. Blocking them on the
+ * client as well makes sure a tool missing a check fails instead of writing.
+ *
+ * @template {import('@linear/sdk').LinearClient} T
+ * @param {T} client - Linear client
+ * @returns {T} The same client, failing every mutation
+ */
+export function withoutMutations(client) {
+  const graphQLClient = client.client;
+  if (!graphQLClient) {
+    return client;
+  }
+
+  const rawRequest = graphQLClient.rawRequest.bind(graphQLClient);
+
+  // @ts-ignore - Replacing the method keeps its signature
+  graphQLClient.rawRequest = (query, variables, requestHeaders) => {
+    if (isMutation(query)) {
+      return Promise.reject(
+        new Error('Mutations are not sent to Linear on dry runs')
+      );
+    }
+    return rawRequest(query, variables, requestHeaders);
+  };
+
+  return client;
+}
+
+/**
+ * Builds the response of a dry run
+ *
+ * The text describes what the call would do, below a note that nothing was
+ * changed and followed by the mutations that would be sent.
+ *
+ * @param {Record<string, any>} result - Result the call would have
+ * @param {PlannedMutation[]} mutations - Mutations the call would send
+ * @param {string} text - Markdown preview of the call's result
+ * @returns {import('../types/mod.js').McpToolResponse} Dry run response
+ */
+export function dryRunResponse(result, mutations, text) {
+  let responseText = '🔍 Dry run: nothing was changed in Linear.\n\n';
+  responseText += `${text.trimEnd()}\n\n`;
+
+  if (mutations.length === 0) {
+    responseText += '**Mutations:** None, nothing needs to change\n';
+  } else {
+    responseText += `**Mutations (${mutations.length}):**\n`;
+    for (const { mutation, id, input } of mutations) {
+      responseText += `\n- \`${mutation}\`${id ? ` of ${id}` : ''}\n`;
+      if (input) {
+        responseText += `\`\`\`json\n${JSON.stringify(input, null, 2)}\n\`\`\`\n`;
+      }
+    }
+  }
+
+  return {
+    content: [{ type: 'text', text: responseText }],
+    structuredContent: { ...result, dryRun: { mutations } },
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Tool error classification
+ *
+ * Tools fail for a handful of reasons an agent can act on: bad credentials,
+ * missing access, a reference that matches nothing, invalid input, a used up
+ * rate limit, an unreachable API or a request Linear refused. Errors are
+ * sorted into those categories, each with a stable code and a next step, so
+ * agents get the same kind of answer from every tool.
+ */
+import { LinearErrorType } from '@linear/sdk';
+import {
+  describeRateLimitQuota,
+  isTransientError,
+  parseRateLimitHeaders,
+} from '../../effects/linear/rate-limit.js';
+
+/**
+ * Stable codes of the categories tool errors fall into
+ */
+export const ErrorCode = {
+  AUTHENTICATION: 'authentication',
+  PERMISSION: 'permission',
+  NOT_FOUND: 'not_found',
+  VALIDATION: 'validation',
+  RATE_LIMITED: 'rate_limited',
+  NETWORK: 'network',
+  USER_ERROR: 'user_error',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * @typedef {typeof ErrorCode[keyof typeof ErrorCode]} ErrorCodeValue
+ */
+
+/**
+ * A classified tool error
+ *
+ * @typedef {Object} ToolFailure
+ * @property {ErrorCodeValue} code - Stable error code
+ * @property {string} message - What went wrong
+ * @property {string} [nextStep] - What the agent can do about it
+ */
+
+/**
+ * Next steps for the categories, unless the error brings its own
+ *
+ * @type {Record<ErrorCodeValue, string|undefined>}
+ */
+const NEXT_STEPS = {
+  [ErrorCode.AUTHENTICATION]:
+    'Check that LINEAR_API_KEY is set to a valid, unrevoked API key, or run `npm run auth` to authorize again.',
+  [ErrorCode.PERMISSION]:
+    "The credentials lack access to this. Ask a workspace admin for it, or pick a workspace they can act in; calling again won't help.",
+  [ErrorCode.NOT_FOUND]:
+    'Check the reference, or use the matching list or search tool to find a valid one.',
+  [ErrorCode.VALIDATION]:
+    "Fix the arguments as described and call again; check them against the tool's input schema.",
+  [ErrorCode.RATE_LIMITED]:
+    'Wait for the rate limit to reset before calling again, and fetch fewer or smaller pages.',
+  [ErrorCode.NETWORK]:
+    'Linear could not be reached or failed to answer. Call again in a little while.',
+  [ErrorCode.USER_ERROR]:
+    'Change the request as the message says; calling again unchanged fails the same way.',
+  [ErrorCode.UNKNOWN]:
+    'For more detailed diagnostics, retry with debug:true in the input.',
+};
+
+/**
+ * Categories of the Linear SDK's error types
+ *
+ * @type {Partial<Record<string, ErrorCodeValue>>}
+ */
+const LINEAR_ERROR_CODES = {
+  [LinearErrorType.AuthenticationError]: ErrorCode.AUTHENTICATION,
+  [LinearErrorType.Forbidden]: ErrorCode.PERMISSION,
+  [LinearErrorType.FeatureNotAccessible]: ErrorCode.PERMISSION,
+  [LinearErrorType.Ratelimited]: ErrorCode.RATE_LIMITED,
+  [LinearErrorType.NetworkError]: ErrorCode.NETWORK,
+  [LinearErrorType.InternalError]: ErrorCode.NETWORK,
+  [LinearErrorType.LockTimeout]: ErrorCode.NETWORK,
+  [LinearErrorType.InvalidInput]: ErrorCode.VALIDATION,
+  [LinearErrorType.UserError]: ErrorCode.USER_ERROR,
+};
+
+/**
+ * An error a tool raises on purpose, with its category and next step
+ */
+export class ToolError extends Error {
+  /**
+   * @param {ErrorCodeValue} code - Stable error code
+   * @param {string} message - What went wrong
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.nextStep] - What the agent can do about it, instead of the category's default
+   * @param {unknown} [options.cause] - Error this one was raised for
+   */
+  constructor(code, message, { nextStep, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ToolError';
+    this.code = code;
+    this.nextStep = nextStep;
+  }
+}
+
+/**
+ * Reads the message Linear meant for people out of an SDK error
+ *
+ * @param {any} error - Linear SDK error
+ * @returns {string} Message
+ */
+function linearErrorMessage(error) {
+  const graphQLError = error.errors?.[0];
+  return (
+    graphQLError?.userPresentableMessage ||
+    graphQLError?.message ||
+    error.message
+  );
+}
+
+/**
+ * Sorts an error into one of the categories agents can act on
+ *
+ * @param {any} error - Error a tool failed with
+ * @returns {ToolFailure} Its category, message and next step
+ */
+export function classifyError(error) {
+  if (error instanceof ToolError) {
+    return {
+      code: error.code,
+      message: error.message,
+      nextStep: error.nextStep || NEXT_STEPS[error.code],
+    };
+  }
+
+  const linearCode = LINEAR_ERROR_CODES[error?.type];
+  if (linearCode) {
+    const message = linearErrorMessage(error);
+    // Linear reports lookups of unknown IDs as invalid input
+    const code =
+      linearCode === ErrorCode.VALIDATION && /not found/i.test(message)
+        ? ErrorCode.NOT_FOUND
+        : linearCode;
+
+    let nextStep = NEXT_STEPS[code];
+    const quota = parseRateLimitHeaders(error.raw?.response?.headers);
+    const reset = quota.requestsReset ?? quota.complexityReset;
+    if (code === ErrorCode.RATE_LIMITED && reset) {
+      nextStep = `Wait until ${new Date(reset).toISOString()}, when the rate limit resets, before calling again.`;
+    }
+
+    return { code, message, nextStep };
+  }
+
+  const message = error?.message || String(error);
+  let code = ErrorCode.UNKNOWN;
+  if (isTransientError(error)) {
+    code = ErrorCode.NETWORK;
+  } else if (/not found/i.test(message)) {
+    code = ErrorCode.NOT_FOUND;
+  }
+
+  return { code, message, nextStep: NEXT_STEPS[code] };
+}
+
+/**
+ * Tells whether a lookup failed because nothing matched
+ *
+ * Linear answers lookups of unknown or malformed IDs with invalid input
+ * errors. Anything else, such as bad credentials, a used up rate limit or a
+ * network failure, is a real failure rather than a miss.
+ *
+ * @param {any} error - Error a lookup failed with
+ * @returns {boolean} Whether the lookup found nothing
+ */
+export function isLookupMiss(error) {
+  const { code } = classifyError(error);
+  return code === ErrorCode.NOT_FOUND || code === ErrorCode.VALIDATION;
+}
+
+/**
+ * Describes an error for the debug output of a failed tool call
+ *
+ * @param {any} error - Error the tool failed with
+ * @returns {string[]} Lines describing it
+ */
+export function describeErrorDetails(error) {
+  const lines = [];
+
+  if (error?.name) {
+    lines.push(`Error type: ${error.name}`);
+  }
+  if (error?.type) {
+    lines.push(`Linear error type: ${error.type}`);
+  }
+  if (error?.status) {
+    lines.push(`HTTP status: ${error.status}`);
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  if (code && !(error instanceof ToolError)) {
+    lines.push(`Error code: ${code}`);
+  }
+
+  const quota = describeRateLimitQuota(
+    parseRateLimitHeaders(error?.raw?.response?.headers)
+  );
+  if (quota) {
+    lines.push(quota);
+  }
+
+  if (error?.stack) {
+    lines.push(
+      '',
+      `Stack trace: ${error.stack.split('\n').slice(0, 3).join('\n')}`
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Creates the response of a failed tool call
+ *
+ * The text starts with the error code, and `_meta` holds the code, message
+ * and next step for clients that read them programmatically. Failures carry
+ * no `structuredContent`, as clients check it against the tool's output
+ * schema even on errors.
+ *
+ * @param {ToolFailure} failure - Classified error
+ * @param {string[]} [details=[]] - Debug output to append
+ * @returns {import('../types/mod.js').McpToolResponse} Error response
+ */
+export function errorResponse(failure, details = []) {
+  let text = `Error [${failure.code}]: ${failure.message}`;
+  if (failure.nextStep) {
+    text += `\n\nNext step: ${failure.nextStep}`;
+  }
+  if (details.length > 0) {
+    text += `\n\n=== DETAILED DEBUG INFORMATION ===\n${details.join('\n')}`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    isError: true,
+    _meta: { error: failure },
+  };
+}
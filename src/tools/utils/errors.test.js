@@ -0,0 +1,209 @@
+/**
+ * Tests for the tool error classification
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { z } from 'zod';
+import { LinearError, LinearErrorType } from '@linear/sdk';
+import { classifyError, ErrorCode, ToolError } from './errors.js';
+import { create_tool } from './create-tool.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../../server.js';
+import { ListIssues } from '../list-issues.js';
+
+// A Linear error as the SDK throws it
+function linearError(type, message, headers) {
+  const error = new LinearError(
+    undefined,
+    [{ type, message, userError: type === LinearErrorType.UserError }],
+    type
+  );
+  error.raw = { response: { headers } };
+  return error;
+}
+
+// A tool failing with the given error
+const FailingTool = create_tool({
+  name: 'failing_tool',
+  description: 'Fails',
+  inputSchema: z.object({
+    teamId: z.string(),
+    debug: z.boolean().default(false),
+  }),
+  handler: async ctx => {
+    throw ctx.error;
+  },
+});
+
+// A context acting with an API key
+function createContext(error) {
+  const logs = [];
+  return {
+    logs,
+    ctx: {
+      error,
+      config: { linearApiKey: 'lin_api_product_key_123456' },
+      effects: {
+        logger: {
+          debug: () => {},
+          info: () => {},
+          warn: () => {},
+          error: message => logs.push(message),
+        },
+        linear: {},
+      },
+    },
+  };
+}
+
+describe('classifyError', () => {
+  it('should sort Linear SDK errors into categories', () => {
+    const cases = [
+      [LinearErrorType.AuthenticationError, ErrorCode.AUTHENTICATION],
+      [LinearErrorType.Forbidden, ErrorCode.PERMISSION],
+      [LinearErrorType.FeatureNotAccessible, ErrorCode.PERMISSION],
+      [LinearErrorType.Ratelimited, ErrorCode.RATE_LIMITED],
+      [LinearErrorType.NetworkError, ErrorCode.NETWORK],
+      [LinearErrorType.InternalError, ErrorCode.NETWORK],
+      [LinearErrorType.InvalidInput, ErrorCode.VALIDATION],
+      [LinearErrorType.UserError, ErrorCode.USER_ERROR],
+      [LinearErrorType.Unknown, ErrorCode.UNKNOWN],
+    ];
+
+    for (const [type, code] of cases) {
+      const failure = classifyError(linearError(type, 'Nope'));
+      assert.strictEqual(failure.code, code, type);
+      assert.ok(failure.nextStep, type);
+    }
+  });
+
+  it('should tell unknown IDs from other invalid input', () => {
+    const failure = classifyError(
+      linearError(LinearErrorType.InvalidInput, 'Entity not found: Team')
+    );
+
+    assert.strictEqual(failure.code, ErrorCode.NOT_FOUND);
+    assert.strictEqual(failure.message, 'Entity not found: Team');
+  });
+
+  it('should say when a used up rate limit resets', () => {
+    const failure = classifyError(
+      linearError(
+        LinearErrorType.Ratelimited,
+        'Rate limit exceeded',
+        new Headers({
+          'x-ratelimit-requests-remaining': '0',
+          'x-ratelimit-requests-reset': String(
+            Date.parse('2024-06-01T01:00:00Z')
+          ),
+        })
+      )
+    );
+
+    assert.match(failure.nextStep, /Wait until 2024-06-01T01:00:00.000Z/);
+  });
+
+  it('should keep the next step of tool errors', () => {
+    const failure = classifyError(
+      new ToolError(ErrorCode.NOT_FOUND, 'Team "OPS" not found', {
+        nextStep: 'Call list_teams to find a valid team ID, key or name.',
+      })
+    );
+
+    assert.deepStrictEqual(failure, {
+      code: ErrorCode.NOT_FOUND,
+      message: 'Team "OPS" not found',
+      nextStep: 'Call list_teams to find a valid team ID, key or name.',
+    });
+  });
+
+  it('should recognize connection failures', () => {
+    const error = new TypeError('fetch failed');
+    error.cause = { code: 'ECONNRESET' };
+
+    assert.strictEqual(classifyError(error).code, ErrorCode.NETWORK);
+    assert.strictEqual(
+      classifyError(new Error('Something broke')).code,
+      ErrorCode.UNKNOWN
+    );
+  });
+});
+
+describe('BaseTool error responses', () => {
+  it('should answer with the code and next step of the error', async () => {
+    const { ctx, logs } = createContext(
+      linearError(LinearErrorType.Forbidden, 'Access denied')
+    );
+
+    const response = await new FailingTool(ctx).call({ teamId: 'ENG' });
+
+    assert.strictEqual(response.isError, true);
+    assert.match(
+      response.content[0].text,
+      /^Error \[permission\]: Access denied\n\nNext step: /
+    );
+    assert.strictEqual(response._meta.error.code, 'permission');
+    assert.deepStrictEqual(logs, [
+      'failing_tool failed [permission]: Access denied',
+    ]);
+  });
+
+  it('should report invalid arguments as validation errors', async () => {
+    const { ctx } = createContext();
+
+    const response = await new FailingTool(ctx).call({});
+
+    assert.strictEqual(response._meta.error.code, 'validation');
+    assert.match(response.content[0].text, /- teamId: Required/);
+  });
+
+  it('should add debug details when asked for them', async () => {
+    const { ctx } = createContext(new Error('Something broke'));
+
+    const response = await new FailingTool(ctx).call({
+      teamId: 'ENG',
+      debug: true,
+    });
+    const text = response.content[0].text;
+
+    assert.match(text, /=== DETAILED DEBUG INFORMATION ===/);
+    assert.match(text, /Parameters: \{"teamId":"ENG"\}/);
+    assert.match(text, /Linear API Status: API key is configured/);
+    assert.doesNotMatch(text, /lin_api_product_key_123456/);
+  });
+});
+
+describe('Tool error responses over MCP', () => {
+  it('should reach clients of tools with an output schema', async () => {
+    const { ctx } = createContext();
+    ctx.effects.linear = { createClient: () => ({}) };
+    const server = createServer(
+      [new ListIssues(/** @type {any} */ (ctx))],
+      ctx.effects.logger
+    );
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    try {
+      const result = await client.callTool({
+        name: 'list_issues',
+        arguments: { filter: 'bogus:1' },
+      });
+
+      assert.strictEqual(result.isError, true);
+      assert.strictEqual(result.structuredContent, undefined);
+      assert.match(result.content[0].text, /^Error \[validation\]: /);
+      assert.strictEqual(
+        /** @type {any} */ (result._meta).error.code,
+        'validation'
+      );
+    } finally {
+      await client.close();
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Issue filter query parser
+ *
+ * Parses filter query strings such as
+ * `priority<=2 label:bug -label:wontfix updated>-7d` into the structured
+ * filter accepted by compileIssueFilter(). Terms are separated by spaces and
+ * must all match; `OR` separates groups of terms of which one must match.
+ * Values with spaces are quoted: `status:"In Progress"`.
+ */
+import { ErrorCode, ToolError } from './errors.js';
+
+/**
+ * Fields that take a single name or keyword
+ */
+const NAME_FIELDS = {
+  assignee: 'assignee',
+  creator: 'creator',
+  status: 'status',
+  state: 'status',
+  project: 'project',
+  team: 'team',
+  cycle: 'cycle',
+};
+
+/**
+ * Fields compared as numbers
+ */
+const NUMBER_FIELDS = ['priority', 'estimate'];
+
+/**
+ * Fields compared as dates
+ */
+const DATE_FIELDS = ['created', 'updated', 'completed', 'due'];
+
+/**
+ * Fields a filter query can use
+ */
+export const FILTER_QUERY_FIELDS = [
+  ...Object.keys(NAME_FIELDS),
+  'label',
+  ...NUMBER_FIELDS,
+  ...DATE_FIELDS,
+];
+
+/**
+ * Comparison operators and the number comparator each maps to
+ */
+const NUMBER_OPERATORS = {
+  ':': 'eq',
+  '=': 'eq',
+  '!=': 'neq',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte',
+};
+
+/**
+ * Priority names accepted in place of numbers
+ */
+const PRIORITY_NAMES = {
+  none: 0,
+  urgent: 1,
+  high: 2,
+  medium: 3,
+  normal: 3,
+  low: 4,
+};
+
+/**
+ * Splits a query into terms, keeping quoted values together
+ *
+ * @param {string} query - Filter query
+ * @returns {string[]} Terms
+ */
+function tokenize(query) {
+  return query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+}
+
+/**
+ * Adds a term to the conditions of a group
+ *
+ * @param {Record<string, any>} conditions - Conditions of the current group
+ * @param {{ negated: boolean, field: string, operator: string, value: string }} term - Parsed term
+ * @returns {string|undefined} Error message, if the term can't be used
+ */
+function applyTerm(conditions, { negated, field, operator, value }) {
+  const isEquality = operator === ':' || operator === '=';
+  const isExclusion = negated || operator === '!=';
+
+  if (field === 'label' || field === 'labels') {
+    if (!isEquality && operator !== '!=') {
+      return 'labels can only be matched with label:name or -label:name';
+    }
+    const key = isExclusion ? 'excludeLabels' : 'labels';
+    conditions[key] = [...(conditions[key] || []), value];
+    return undefined;
+  }
+
+  if (NAME_FIELDS[field]) {
+    const key = NAME_FIELDS[field];
+
+    if (isExclusion) {
+      if (key !== 'status') {
+        return `${field} can't be negated, only label and status can`;
+      }
+      conditions.excludeStatus = [...(conditions.excludeStatus || []), value];
+      return undefined;
+    }
+
+    if (!isEquality) {
+      return `${field} can only be matched with ${field}:value`;
+    }
+
+    if (conditions[key] !== undefined) {
+      return `${field} is given more than once; use OR to match either value`;
+    }
+
+    if (key === 'cycle' && /^#?\d+$/.test(value)) {
+      conditions.cycle = Number(value.replace('#', ''));
+    } else {
+      conditions[key] = key === 'cycle' ? value.toLowerCase() : value;
+    }
+    return undefined;
+  }
+
+  if (NUMBER_FIELDS.includes(field)) {
+    if (negated) {
+      return `use ${field}!=value instead of -${field}`;
+    }
+
+    const number =
+      field === 'priority' && value.toLowerCase() in PRIORITY_NAMES
+        ? PRIORITY_NAMES[value.toLowerCase()]
+        : Number(value);
+
+    if (value === '' || Number.isNaN(number)) {
+      if (field !== 'priority') {
+        return `${field} must be a number`;
+      }
+      const names = Object.keys(PRIORITY_NAMES).join(', ');
+      return `priority must be a number from 0 to 4 or one of ${names}`;
+    }
+
+    conditions[field] = {
+      ...(conditions[field] || {}),
+      [NUMBER_OPERATORS[operator]]: number,
+    };
+    return undefined;
+  }
+
+  if (DATE_FIELDS.includes(field)) {
+    if (negated || operator === '!=') {
+      return `${field} can't be negated`;
+    }
+
+    if (isEquality) {
+      if (value.toLowerCase() !== 'none') {
+        return `compare ${field} with > or <, e.g. ${field}>-7d or ${field}<2024-01-31`;
+      }
+      conditions[field] = 'none';
+      return undefined;
+    }
+
+    const bound = operator.startsWith('>') ? 'after' : 'before';
+    conditions[field] = { ...(conditions[field] || {}), [bound]: value };
+    return undefined;
+  }
+
+  return `unknown field "${field}". Use one of: ${FILTER_QUERY_FIELDS.join(
+    ', '
+  )}`;
+}
+
+/**
+ * Parses a filter query into a structured filter
+ *
+ * The result still has to be validated, which compileIssueFilter() does.
+ *
+ * @param {string} query - Filter query, e.g. `priority<=2 label:bug updated>-7d`
+ * @returns {Record<string, any>} Structured filter
+ * @throws {Error} When terms can't be parsed, listing every problem
+ */
+export function parseIssueFilterQuery(query) {
+  const groups = [{}];
+  const errors = [];
+
+  for (const token of tokenize(query)) {
+    if (token.toUpperCase() === 'OR') {
+      groups.push({});
+      continue;
+    }
+
+    const match = token.match(/^(-?)([a-zA-Z]+)(<=|>=|!=|:|=|<|>)(.*)$/);
+    if (!match) {
+      errors.push(
+        `- "${token}": expected field:value or a comparison like priority<=2`
+      );
+      continue;
+    }
+
+    const [, negated, field, operator, rawValue] = match;
+    const value = rawValue.replace(/^"(.*)"$/, '$1');
+
+    const term = {
+      negated: negated === '-',
+      field: field.toLowerCase(),
+      operator,
+      value,
+    };
+    const error = value
+      ? applyTerm(groups[groups.length - 1], term)
+      : `${field} needs a value`;
+
+    if (error) {
+      errors.push(`- "${token}": ${error}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Invalid filter:\n${errors.join('\n')}`
+    );
+  }
+
+  const nonEmpty = groups.filter(group => Object.keys(group).length > 0);
+  if (nonEmpty.length <= 1) {
+    return nonEmpty[0] || {};
+  }
+
+  return { or: nonEmpty };
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for the issue filter query parser
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseIssueFilterQuery } from './issue-filter-query.js';
+
+describe('parseIssueFilterQuery', () => {
+  it('should parse terms into a structured filter', () => {
+    assert.deepStrictEqual(
+      parseIssueFilterQuery(
+        'priority>=1 priority<=high label:bug -label:wontfix status:"In Progress" -status:Done updated>-7d due<+2w assignee:me cycle:#12'
+      ),
+      {
+        priority: { gte: 1, lte: 2 },
+        labels: ['bug'],
+        excludeLabels: ['wontfix'],
+        status: 'In Progress',
+        excludeStatus: ['Done'],
+        updated: { after: '-7d' },
+        due: { before: '+2w' },
+        assignee: 'me',
+        cycle: 12,
+      }
+    );
+  });
+
+  it('should split OR-groups', () => {
+    assert.deepStrictEqual(
+      parseIssueFilterQuery('label:bug OR label:regression team:ENG'),
+      { or: [{ labels: ['bug'] }, { labels: ['regression'], team: 'ENG' }] }
+    );
+  });
+
+  it('should return an empty filter for an empty query', () => {
+    assert.deepStrictEqual(parseIssueFilterQuery('  '), {});
+  });
+
+  it('should report every term it cannot use', () => {
+    assert.throws(
+      () =>
+        parseIssueFilterQuery(
+          'colour:red priority:soon -assignee:me updated:yesterday bug'
+        ),
+      /** @param {Error} error */
+      error => {
+        const lines = error.message.split('\n');
+        return (
+          lines[0] === 'Invalid filter:' &&
+          lines[1].startsWith('- "colour:red": unknown field "colour"') &&
+          lines[2].startsWith('- "priority:soon": priority must be') &&
+          lines[3] ===
+            '- "-assignee:me": assignee can\'t be negated, only label and status can' &&
+          lines[4].startsWith(
+            '- "updated:yesterday": compare updated with >'
+          ) &&
+          lines[5].startsWith('- "bug": expected field:value')
+        );
+      }
+    );
+  });
+});
@@ -0,0 +1,399 @@
+/**
+ * Issue filter utilities
+ *
+ * Builds Linear `IssueFilter` objects from the filters tools accept, so
+ * listing and searching issues filter the same way. Filters can be given as
+ * a structured object (see IssueFilterSchema) or as a query string such as
+ * `priority<=2 label:bug -label:wontfix updated>-7d` (see issue-filter-query.js).
+ */
+import { z } from 'zod';
+import { parseIssueFilterQuery } from './issue-filter-query.js';
+import { ErrorCode, ToolError } from './errors.js';
+import { WORKFLOW_STATE_TYPES } from './workflow-state.js';
+
+/**
+ * Comparison on a number field, or a plain number to match exactly
+ */
+const NumberFilterSchema = (min, max) =>
+  z.union([
+    z.number().min(min).max(max),
+    z
+      .object({
+        eq: z.number().min(min).max(max).optional(),
+        neq: z.number().min(min).max(max).optional(),
+        lt: z.number().min(min).max(max).optional(),
+        lte: z.number().min(min).max(max).optional(),
+        gt: z.number().min(min).max(max).optional(),
+        gte: z.number().min(min).max(max).optional(),
+      })
+      .strict(),
+  ]);
+
+/**
+ * Absolute date (2024-01-31, or a full ISO timestamp), ISO 8601 duration
+ * (-P2W) or short relative time (-7d, +2w, -3m, -1y, -12h)
+ */
+const DateValueSchema = z
+  .string()
+  .regex(
+    /^(\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?|[+-]?\d+[hdwmy]|-?P[\dYMWDTHS.]+)$/i,
+    {
+      message:
+        'Must be a date like 2024-01-31 or a relative time like -7d, -2w or +1m',
+    }
+  );
+
+/**
+ * Date window, open on either end
+ */
+const DateRangeSchema = z
+  .object({
+    after: DateValueSchema.optional(),
+    before: DateValueSchema.optional(),
+  })
+  .strict();
+
+/**
+ * Conditions on issue fields, all of which must match
+ */
+export const IssueFilterConditionsSchema = z
+  .object({
+    assignee: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Assignee name, "me" or "none" for unassigned issues'),
+    creator: z.string().min(1).optional().describe('Creator name or "me"'),
+    status: z.string().min(1).optional().describe('Workflow state name'),
+    excludeStatus: z
+      .array(z.string().min(1))
+      .optional()
+      .describe('Workflow state names to leave out'),
+    statusType: z
+      .enum(/** @type {[string, ...string[]]} */ (WORKFLOW_STATE_TYPES))
+      .optional()
+      .describe(
+        'Workflow state type, e.g. triage or started, whatever the team named its states'
+      ),
+    project: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Project name, or "none" for issues without a project'),
+    team: z.string().min(1).optional().describe('Team key, e.g. ENG'),
+    cycle: z
+      .union([
+        z.enum(['current', 'next', 'previous', 'none']),
+        z.number().int().min(1),
+      ])
+      .optional()
+      .describe('Cycle number, "current", "next", "previous" or "none"'),
+    labels: z
+      .array(z.string().min(1))
+      .optional()
+      .describe('Label names the issue must all have'),
+    excludeLabels: z
+      .array(z.string().min(1))
+      .optional()
+      .describe('Label names the issue must not have'),
+    priority: NumberFilterSchema(0, 4)
+      .optional()
+      .describe(
+        '1 = Urgent, 2 = High, 3 = Medium, 4 = Low, 0 = No priority. lt/lte leave out issues without priority'
+      ),
+    estimate: NumberFilterSchema(0, 1000).optional(),
+    created: DateRangeSchema.optional(),
+    updated: DateRangeSchema.optional(),
+    completed: z
+      .union([z.literal('none'), DateRangeSchema])
+      .optional()
+      .describe('Completion window, or "none" for open issues'),
+    due: z
+      .union([z.literal('none'), DateRangeSchema])
+      .optional()
+      .describe('Due date window, or "none" for issues without a due date'),
+  })
+  .strict();
+
+/**
+ * Structured issue filter: conditions that must all match, plus optional
+ * groups of which at least one must match
+ */
+export const IssueFilterSchema = IssueFilterConditionsSchema.extend({
+  or: z
+    .array(IssueFilterConditionsSchema)
+    .min(1)
+    .optional()
+    .describe('Groups of conditions of which at least one must match'),
+}).strict();
+
+/**
+ * Structured issue filters accepted by tools
+ *
+ * @typedef {Object} IssueFilters
+ * @property {boolean} [assignedToMe] - Only issues assigned to the authenticated user
+ * @property {string} [assignee] - Assignee name
+ * @property {string} [status] - Workflow state name
+ * @property {string} [project] - Project name
+ * @property {string|z.infer<typeof IssueFilterSchema>} [filter] - Filter query string or structured filter
+ */
+
+/**
+ * Converts a short relative time into the ISO 8601 duration Linear expects
+ *
+ * @param {string} value - Date value, e.g. -7d or 2024-01-31
+ * @returns {string} Value for a Linear date comparator
+ */
+function toDateValue(value) {
+  const match = value.match(/^([+-]?)(\d+)([hdwmy])$/i);
+  if (!match) {
+    return value;
+  }
+
+  const [, sign, amount, unit] = match;
+  const duration =
+    unit.toLowerCase() === 'h'
+      ? `PT${amount}H`
+      : `P${amount}${unit.toUpperCase()}`;
+
+  return `${sign === '-' ? '-' : ''}${duration}`;
+}
+
+/**
+ * Compiles a date window into a Linear date comparator
+ *
+ * @param {'none'|{ after?: string, before?: string }} range - Date window
+ * @returns {Record<string, any>} Date comparator
+ */
+function compileDateRange(range) {
+  if (range === 'none') {
+    return { null: true };
+  }
+
+  const comparator = {};
+  if (range.after) {
+    comparator.gt = toDateValue(range.after);
+  }
+  if (range.before) {
+    comparator.lt = toDateValue(range.before);
+  }
+  return comparator;
+}
+
+/**
+ * Compiles a number filter into a Linear number comparator
+ *
+ * @param {number|Record<string, number>} value - Number or comparison
+ * @returns {Record<string, number>} Number comparator
+ */
+function compileNumber(value) {
+  return typeof value === 'number' ? { eq: value } : { ...value };
+}
+
+/**
+ * Compiles a user reference into a Linear user filter
+ *
+ * @param {string} user - User name, "me" or "none"
+ * @returns {Record<string, any>} User filter
+ */
+function compileUser(user) {
+  if (user.toLowerCase() === 'me') {
+    return { isMe: { eq: true } };
+  }
+  if (user.toLowerCase() === 'none') {
+    return { null: true };
+  }
+  return { name: { eq: user } };
+}
+
+/**
+ * Compiles conditions into Linear filter clauses, one per condition
+ *
+ * @param {z.infer<typeof IssueFilterConditionsSchema>} conditions - Validated conditions
+ * @returns {Record<string, any>[]} Filter clauses
+ */
+function compileConditions(conditions) {
+  const clauses = [];
+
+  if (conditions.assignee) {
+    clauses.push({ assignee: compileUser(conditions.assignee) });
+  }
+
+  if (conditions.creator) {
+    clauses.push({ creator: compileUser(conditions.creator) });
+  }
+
+  if (conditions.status) {
+    clauses.push({ state: { name: { eq: conditions.status } } });
+  }
+
+  if (conditions.excludeStatus?.length) {
+    clauses.push({ state: { name: { nin: conditions.excludeStatus } } });
+  }
+
+  if (conditions.statusType) {
+    clauses.push({ state: { type: { eq: conditions.statusType } } });
+  }
+
+  if (conditions.project) {
+    clauses.push({
+      project:
+        conditions.project.toLowerCase() === 'none'
+          ? { null: true }
+          : { name: { eq: conditions.project } },
+    });
+  }
+
+  if (conditions.team) {
+    clauses.push({ team: { key: { eqIgnoreCase: conditions.team } } });
+  }
+
+  if (conditions.cycle !== undefined) {
+    const cycleFilters = {
+      current: { isActive: { eq: true } },
+      next: { isNext: { eq: true } },
+      previous: { isPrevious: { eq: true } },
+      none: { null: true },
+    };
+    clauses.push({
+      cycle:
+        typeof conditions.cycle === 'number'
+          ? { number: { eq: conditions.cycle } }
+          : cycleFilters[conditions.cycle],
+    });
+  }
+
+  for (const label of conditions.labels || []) {
+    clauses.push({ labels: { some: { name: { eqIgnoreCase: label } } } });
+  }
+
+  for (const label of conditions.excludeLabels || []) {
+    clauses.push({ labels: { every: { name: { neqIgnoreCase: label } } } });
+  }
+
+  if (conditions.priority !== undefined) {
+    const priority = compileNumber(conditions.priority);
+    // Priority 0 means "No priority", which nobody means by "priority<=2"
+    if (
+      (priority.lt !== undefined || priority.lte !== undefined) &&
+      priority.eq === undefined
+    ) {
+      priority.neq = 0;
+    }
+    clauses.push({ priority });
+  }
+
+  if (conditions.estimate !== undefined) {
+    clauses.push({ estimate: compileNumber(conditions.estimate) });
+  }
+
+  const dateFields = {
+    created: 'createdAt',
+    updated: 'updatedAt',
+    completed: 'completedAt',
+    due: 'dueDate',
+  };
+  for (const [field, linearField] of Object.entries(dateFields)) {
+    if (conditions[field]) {
+      clauses.push({ [linearField]: compileDateRange(conditions[field]) });
+    }
+  }
+
+  return clauses;
+}
+
+/**
+ * Combines filter clauses, merging them into one object when they don't overlap
+ *
+ * @param {Record<string, any>[]} clauses - Filter clauses
+ * @returns {Record<string, any>} Linear IssueFilter
+ */
+function combineClauses(clauses) {
+  const keys = clauses.flatMap(clause => Object.keys(clause));
+
+  if (new Set(keys).size === keys.length) {
+    return Object.assign({}, ...clauses);
+  }
+
+  return { and: clauses };
+}
+
+/**
+ * Formats Zod validation issues as one readable line each
+ *
+ * @param {z.ZodError} error - Validation error
+ * @returns {string} Readable error list
+ */
+function formatFilterIssues(error) {
+  return error.issues
+    .map(issue => {
+      const path = issue.path.join('.');
+      return `- ${path ? `${path}: ` : ''}${issue.message}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Validates a filter and compiles it into a Linear issue filter
+ *
+ * @param {string|Record<string, any>} input - Filter query string or structured filter
+ * @returns {Record<string, any>} Linear IssueFilter
+ * @throws {Error} When the filter is invalid, listing every problem
+ */
+export function compileIssueFilter(input) {
+  const structured =
+    typeof input === 'string' ? parseIssueFilterQuery(input) : input;
+
+  const parsed = IssueFilterSchema.safeParse(structured);
+  if (!parsed.success) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Invalid filter:\n${formatFilterIssues(parsed.error)}`
+    );
+  }
+
+  const { or, ...conditions } = parsed.data;
+  const clauses = compileConditions(conditions);
+
+  if (or) {
+    clauses.push({
+      or: or.map(group => combineClauses(compileConditions(group))),
+    });
+  }
+
+  return combineClauses(clauses);
+}
+
+/**
+ * Builds a Linear issue filter from the filters a tool was called with
+ *
+ * @param {IssueFilters} filters - Filter criteria
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Record<string, any>} Linear IssueFilter
+ * @throws {Error} When the filter is invalid
+ */
+export function buildIssueFilter(filters, logger) {
+  const clauses = compileConditions({
+    assignee: filters.assignedToMe ? 'me' : filters.assignee,
+    status: filters.status,
+    project: filters.project,
+  });
+
+  if (filters.status) {
+    logger?.debug(`Filtering by state name: ${filters.status}`);
+  }
+
+  if (filters.project) {
+    logger?.debug(`Filtering by project name: ${filters.project}`);
+  }
+
+  if (filters.filter) {
+    logger?.debug('Compiling filter:', JSON.stringify(filters.filter));
+    const compiled = compileIssueFilter(filters.filter);
+    if (Object.keys(compiled).length > 0) {
+      clauses.push(compiled);
+    }
+  }
+
+  return combineClauses(clauses);
+}
@@ -0,0 +1,125 @@
+/**
+ * Tests for issue filter utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildIssueFilter, compileIssueFilter } from './issue-filter.js';
+
+describe('buildIssueFilter', () => {
+  it('should return an empty filter without criteria', () => {
+    assert.deepStrictEqual(buildIssueFilter({}), {});
+  });
+
+  it('should filter by assignee, status and project names', () => {
+    assert.deepStrictEqual(
+      buildIssueFilter({
+        assignee: 'Jane Doe',
+        status: 'In Progress',
+        project: 'Website',
+      }),
+      {
+        assignee: { name: { eq: 'Jane Doe' } },
+        state: { name: { eq: 'In Progress' } },
+        project: { name: { eq: 'Website' } },
+      }
+    );
+  });
+
+  it('should prefer assignedToMe over an assignee name', () => {
+    assert.deepStrictEqual(
+      buildIssueFilter({ assignedToMe: true, assignee: 'Jane Doe' }),
+      { assignee: { isMe: { eq: true } } }
+    );
+  });
+
+  it('should combine a filter with the other criteria', () => {
+    assert.deepStrictEqual(
+      buildIssueFilter({ status: 'Todo', filter: 'team:eng' }),
+      {
+        state: { name: { eq: 'Todo' } },
+        team: { key: { eqIgnoreCase: 'eng' } },
+      }
+    );
+  });
+});
+
+describe('compileIssueFilter', () => {
+  it('should compile a query string into a Linear filter', () => {
+    assert.deepStrictEqual(
+      compileIssueFilter('priority<=2 label:bug -label:wontfix updated>-7d'),
+      {
+        and: [
+          { labels: { some: { name: { eqIgnoreCase: 'bug' } } } },
+          { labels: { every: { name: { neqIgnoreCase: 'wontfix' } } } },
+          { priority: { lte: 2, neq: 0 } },
+          { updatedAt: { gt: '-P7D' } },
+        ],
+      }
+    );
+  });
+
+  it('should compile structured filters', () => {
+    assert.deepStrictEqual(
+      compileIssueFilter({
+        assignee: 'none',
+        creator: 'me',
+        cycle: 'current',
+        estimate: { gte: 3 },
+        due: { before: '+1w' },
+        completed: 'none',
+        created: { after: '2024-01-01', before: '-12h' },
+      }),
+      {
+        assignee: { null: true },
+        creator: { isMe: { eq: true } },
+        cycle: { isActive: { eq: true } },
+        estimate: { gte: 3 },
+        createdAt: { gt: '2024-01-01', lt: '-PT12H' },
+        completedAt: { null: true },
+        dueDate: { lt: 'P1W' },
+      }
+    );
+  });
+
+  it('should filter by workflow state type', () => {
+    assert.deepStrictEqual(compileIssueFilter({ statusType: 'triage' }), {
+      state: { type: { eq: 'triage' } },
+    });
+    assert.throws(() => compileIssueFilter({ statusType: 'inbox' }));
+  });
+
+  it('should compile OR-groups', () => {
+    assert.deepStrictEqual(
+      compileIssueFilter('team:ENG label:bug OR label:regression cycle:12'),
+      {
+        or: [
+          {
+            team: { key: { eqIgnoreCase: 'ENG' } },
+            labels: { some: { name: { eqIgnoreCase: 'bug' } } },
+          },
+          {
+            cycle: { number: { eq: 12 } },
+            labels: { some: { name: { eqIgnoreCase: 'regression' } } },
+          },
+        ],
+      }
+    );
+  });
+
+  it('should list every problem with an invalid filter', () => {
+    assert.throws(
+      () =>
+        compileIssueFilter({
+          priority: 7,
+          updated: { after: 'last week' },
+          color: 'red',
+        }),
+      /** @param {Error} error */
+      error =>
+        error.message.startsWith('Invalid filter:') &&
+        error.message.includes('priority') &&
+        error.message.includes('updated.after: Must be a date') &&
+        error.message.includes("Unrecognized key(s) in object: 'color'")
+    );
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Issue hierarchy utilities
+ *
+ * Issues can have a parent issue and any number of sub-issues. These helpers
+ * walk the hierarchy in both directions with a depth limit, so an epic with
+ * deeply nested tasks can't turn one tool call into hundreds of requests.
+ */
+
+/**
+ * Summarizes an SDK issue for use in a hierarchy
+ *
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('../../effects/linear/types/types.js').IssueSummary>} Issue summary
+ */
+export async function summarizeIssue(issue, logger) {
+  let statusName = undefined;
+  try {
+    const state = issue.state ? await issue.state : null;
+    statusName = state?.name;
+  } catch (stateError) {
+    logger?.warn(`Error fetching state data: ${stateError.message}`);
+  }
+
+  return {
+    id: issue.id,
+    identifier: issue.identifier || undefined,
+    title: issue.title,
+    status: statusName,
+  };
+}
+
+/**
+ * Fetches the ancestors of an issue, closest first
+ *
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {number} maxDepth - Maximum number of ancestors to fetch
+ * @returns {Promise<{ ancestors: any[], truncated: boolean }>} Ancestor issues, and whether more exist
+ */
+export async function fetchAncestors(issue, maxDepth) {
+  const ancestors = [];
+  let current = issue;
+
+  while (current.parent) {
+    const parent = await current.parent;
+    if (!parent) {
+      break;
+    }
+
+    if (ancestors.length >= maxDepth) {
+      return { ancestors, truncated: true };
+    }
+
+    ancestors.push(parent);
+    current = parent;
+  }
+
+  return { ancestors, truncated: false };
+}
+
+/**
+ * Builds the sub-issue tree below an issue
+ *
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {number} maxDepth - Number of sub-issue levels to fetch
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('../../effects/linear/types/types.js').IssueTreeNode>} The issue with its sub-issues
+ */
+export async function fetchIssueTree(issue, maxDepth, logger) {
+  /** @type {import('../../effects/linear/types/types.js').IssueTreeNode} */
+  const node = { ...(await summarizeIssue(issue, logger)), children: [] };
+
+  if (typeof issue.children !== 'function') {
+    return node;
+  }
+
+  const childrenResponse = await issue.children({ first: 250 });
+  const children = childrenResponse?.nodes || [];
+
+  if (maxDepth <= 0) {
+    if (children.length > 0) {
+      node.truncated = true;
+    }
+    return node;
+  }
+
+  for (const child of children) {
+    node.children.push(await fetchIssueTree(child, maxDepth - 1, logger));
+  }
+
+  return node;
+}
+
+/**
+ * Formats an issue summary as a single line
+ *
+ * @param {import('../../effects/linear/types/types.js').IssueSummary} issue - Issue summary
+ * @returns {string} Formatted issue
+ */
+export function formatIssueSummary(issue) {
+  return `${issue.identifier || issue.id}: ${issue.title || 'Untitled'} [${
+    issue.status || 'Unknown'
+  }]`;
+}
+
+/**
+ * Formats a hierarchy as an indented list, root ancestor first
+ *
+ * @param {Object} hierarchy - The hierarchy to format
+ * @param {import('../../effects/linear/types/types.js').IssueSummary[]} hierarchy.ancestors - Ancestors, closest first
+ * @param {boolean} [hierarchy.ancestorsTruncated] - Whether more ancestors exist
+ * @param {import('../../effects/linear/types/types.js').IssueTreeNode} hierarchy.tree - The issue with its sub-issues
+ * @returns {string} Formatted hierarchy
+ */
+export function formatIssueHierarchy({ ancestors, ancestorsTruncated, tree }) {
+  let text = '';
+  let depth = 0;
+
+  if (ancestorsTruncated) {
+    text += '- …\n';
+    depth++;
+  }
+
+  [...ancestors].reverse().forEach(ancestor => {
+    text += `${'  '.repeat(depth)}- ${formatIssueSummary(ancestor)}\n`;
+    depth++;
+  });
+
+  const formatNode = (node, level, isRoot) => {
+    const marker = isRoot ? ' ← this issue' : '';
+    text += `${'  '.repeat(level)}- ${formatIssueSummary(node)}${marker}\n`;
+    node.children.forEach(child => formatNode(child, level + 1, false));
+    if (node.truncated) {
+      text += `${'  '.repeat(level + 1)}- … (more sub-issues below the depth limit)\n`;
+    }
+  };
+  formatNode(tree, depth, true);
+
+  return text;
+}
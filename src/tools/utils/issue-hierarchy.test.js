@@ -0,0 +1,91 @@
+/**
+ * Tests for issue hierarchy utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  fetchAncestors,
+  fetchIssueTree,
+  formatIssueHierarchy,
+} from './issue-hierarchy.js';
+
+/**
+ * Creates a mock issue with sub-issues
+ * @param {string} identifier - Issue identifier
+ * @param {Array} [children] - Sub-issues
+ * @returns {Object} Mock issue
+ */
+function createIssue(identifier, children = []) {
+  const issue = {
+    id: identifier.toLowerCase(),
+    identifier,
+    title: `Issue ${identifier}`,
+    state: Promise.resolve({ name: 'Todo' }),
+    parent: undefined,
+    children: async () => ({ nodes: children }),
+  };
+  children.forEach(child => {
+    child.parent = Promise.resolve(issue);
+  });
+  return issue;
+}
+
+describe('issue hierarchy utilities', () => {
+  const leaf = createIssue('ENG-4');
+  const task = createIssue('ENG-3', [leaf]);
+  const story = createIssue('ENG-2', [task]);
+  const epic = createIssue('ENG-1', [story]);
+
+  it('should fetch ancestors closest first up to the depth limit', async () => {
+    const all = await fetchAncestors(leaf, 10);
+    assert.deepStrictEqual(
+      all.ancestors.map(issue => issue.identifier),
+      ['ENG-3', 'ENG-2', 'ENG-1']
+    );
+    assert.strictEqual(all.truncated, false);
+
+    const limited = await fetchAncestors(leaf, 2);
+    assert.strictEqual(limited.ancestors.length, 2);
+    assert.strictEqual(limited.truncated, true);
+  });
+
+  it('should fetch sub-issues up to the depth limit', async () => {
+    const tree = await fetchIssueTree(epic, 2);
+
+    assert.strictEqual(tree.identifier, 'ENG-1');
+    assert.strictEqual(tree.status, 'Todo');
+    assert.strictEqual(tree.children[0].identifier, 'ENG-2');
+    assert.strictEqual(tree.children[0].children[0].identifier, 'ENG-3');
+    assert.deepStrictEqual(tree.children[0].children[0].children, []);
+    assert.strictEqual(tree.children[0].children[0].truncated, true);
+  });
+
+  it('should format the hierarchy as an indented list', async () => {
+    const text = formatIssueHierarchy({
+      ancestors: [{ id: 'eng-1', identifier: 'ENG-1', title: 'Epic' }],
+      ancestorsTruncated: false,
+      tree: {
+        id: 'eng-2',
+        identifier: 'ENG-2',
+        title: 'Story',
+        status: 'Todo',
+        children: [
+          {
+            id: 'eng-3',
+            identifier: 'ENG-3',
+            title: 'Task',
+            status: 'Done',
+            children: [],
+          },
+        ],
+      },
+    });
+
+    assert.strictEqual(
+      text,
+      '- ENG-1: Epic [Unknown]\n' +
+        '  - ENG-2: Story [Todo] ← this issue\n' +
+        '    - ENG-3: Task [Done]\n'
+    );
+  });
+});
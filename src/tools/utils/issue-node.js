@@ -0,0 +1,36 @@
+/**
+ * Issue node utilities
+ *
+ * Tools that query issues with the IssueFields fragment, or search results
+ * with its IssueSearchResultFields twin, turn the nodes into issues here, so
+ * they show issues alike.
+ */
+import { IssueSchema } from '../../effects/linear/types/types.js';
+
+/**
+ * Converts an issue selected with the IssueFields fragment
+ *
+ * @param {any} issue - Issue node from a GraphQL response
+ * @returns {import('zod').infer<typeof IssueSchema>} Issue
+ */
+export function issueFromNode(issue) {
+  return IssueSchema.parse({
+    id: issue.id,
+    identifier: issue.identifier || undefined,
+    url: issue.url || undefined,
+    title: issue.title,
+    description: issue.description || undefined,
+    priority: issue.priority,
+    // The schemas keep only the user's and project's summary fields
+    assignee: issue.assignee || undefined,
+    project: issue.project || undefined,
+    labels: issue.labels?.nodes.map(label => ({
+      id: label.id,
+      name: label.name,
+      color: label.color,
+    })),
+    status: issue.state?.name || 'Unknown',
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+  });
+}
@@ -0,0 +1,43 @@
+/**
+ * Tests for issue node utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { issueFromNode } from './issue-node.js';
+
+describe('issueFromNode', () => {
+  it('should flatten the related entities of an issue node', () => {
+    const issue = issueFromNode({
+      id: 'issue-1',
+      identifier: 'ENG-1',
+      url: null,
+      title: 'Login fails',
+      description: null,
+      priority: 2,
+      state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+      assignee: { id: 'user-1', name: 'Jane Doe', email: 'jane@example.com' },
+      project: null,
+      labels: { nodes: [{ id: 'label-1', name: 'bug', color: '#f00' }] },
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z',
+    });
+
+    assert.strictEqual(issue.status, 'Todo');
+    assert.strictEqual(issue.url, undefined);
+    assert.strictEqual(issue.project, undefined);
+    assert.deepStrictEqual(issue.assignee, {
+      id: 'user-1',
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+    });
+    assert.deepStrictEqual(issue.labels, [
+      { id: 'label-1', name: 'bug', color: '#f00' },
+    ]);
+  });
+
+  it('should show issues without a state as Unknown', () => {
+    const issue = issueFromNode({ id: 'issue-2', title: 'No state' });
+
+    assert.strictEqual(issue.status, 'Unknown');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Issue reference resolution utilities
+ *
+ * Agents are often handed issues as pasted Linear URLs, `ENG-482` style
+ * identifiers or git branch names rather than raw IDs. These helpers turn any
+ * of those forms into the issue itself so every issue-taking tool accepts the
+ * same inputs.
+ */
+import { ErrorCode, isLookupMiss, ToolError } from './errors.js';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IDENTIFIER_PATTERN = /^[a-z][a-z0-9]*-\d+$/i;
+const URL_PATTERN = /linear\.app\/[^/]+\/issue\/([a-z][a-z0-9]*-\d+)/i;
+const BRANCH_PATTERN = /(?:^|\/)([a-z][a-z0-9]*-\d+)(?:-|$)/i;
+
+/**
+ * @typedef {Object} IssueReferenceCandidate
+ * @property {'id' | 'identifier' | 'url' | 'branch'} kind - How the reference was interpreted
+ * @property {string} value - The value to look up
+ */
+
+/**
+ * Parses an issue reference into the lookups worth trying, in order
+ *
+ * @param {string} reference - UUID, identifier, Linear URL or branch name
+ * @returns {IssueReferenceCandidate[]} Candidate lookups
+ */
+export function parseIssueReference(reference) {
+  const value = (reference || '').trim();
+
+  if (!value) {
+    return [];
+  }
+
+  if (UUID_PATTERN.test(value)) {
+    return [{ kind: 'id', value: value.toLowerCase() }];
+  }
+
+  if (IDENTIFIER_PATTERN.test(value)) {
+    return [{ kind: 'identifier', value: value.toUpperCase() }];
+  }
+
+  const urlMatch = value.match(URL_PATTERN);
+  if (urlMatch) {
+    return [{ kind: 'url', value: urlMatch[1].toUpperCase() }];
+  }
+
+  // Anything else is either a branch name or an ID format we don't know,
+  // so try the exact branch first and then the identifier embedded in it
+  /** @type {IssueReferenceCandidate[]} */
+  const candidates = [{ kind: 'branch', value }];
+
+  const branchMatch = value.match(BRANCH_PATTERN);
+  if (branchMatch) {
+    candidates.push({
+      kind: 'identifier',
+      value: branchMatch[1].toUpperCase(),
+    });
+  }
+
+  candidates.push({ kind: 'id', value });
+
+  return candidates;
+}
+
+/**
+ * Looks up a single candidate, returning null when it does not match
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {IssueReferenceCandidate} candidate - Candidate to look up
+ * @returns {Promise<any>} The issue, or null
+ */
+async function lookupCandidate(client, candidate) {
+  if (candidate.kind === 'branch') {
+    if (typeof client.issueVcsBranchSearch !== 'function') {
+      return null;
+    }
+    return (await client.issueVcsBranchSearch(candidate.value)) || null;
+  }
+
+  return (await client.issue(candidate.value)) || null;
+}
+
+/**
+ * Resolves an issue reference to the issue it points at
+ *
+ * Accepts issue UUIDs, identifiers (`ENG-482`), Linear issue URLs and branch
+ * names (`eng-482-fix-login`, `alice/eng-482-fix-login`).
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} reference - The issue reference to resolve
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('@linear/sdk').Issue>} The resolved issue
+ * @throws {Error} If no candidate matches, listing every lookup that was
+ * tried, or the error of a lookup that failed for another reason
+ */
+export async function resolveIssue(client, reference, logger) {
+  const candidates = parseIssueReference(reference);
+
+  if (candidates.length === 0) {
+    throw new ToolError(ErrorCode.VALIDATION, 'Issue reference is required');
+  }
+
+  const attempts = [];
+
+  for (const candidate of candidates) {
+    logger?.debug(
+      `Resolving issue reference "${reference}" as ${candidate.kind}: ${candidate.value}`
+    );
+
+    try {
+      const issue = await lookupCandidate(client, candidate);
+
+      if (issue) {
+        logger?.debug(
+          `Resolved issue reference "${reference}" to ${
+            issue.identifier || issue.id
+          }`
+        );
+        return issue;
+      }
+
+      attempts.push(`${candidate.kind} "${candidate.value}" (no match)`);
+    } catch (error) {
+      // Only misses move on to the next candidate, other failures are real
+      if (!isLookupMiss(error)) {
+        throw error;
+      }
+      attempts.push(
+        `${candidate.kind} "${candidate.value}" (${error.message})`
+      );
+    }
+  }
+
+  throw new ToolError(
+    ErrorCode.NOT_FOUND,
+    `Issue "${reference}" not found. Tried: ${attempts.join('; ')}`,
+    {
+      nextStep:
+        'Call search_issues or list_issues to find the identifier of the issue, such as ENG-123.',
+    }
+  );
+}
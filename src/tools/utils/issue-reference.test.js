@@ -0,0 +1,117 @@
+/**
+ * Tests for issue reference resolution utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { LinearError, LinearErrorType } from '@linear/sdk';
+import { parseIssueReference, resolveIssue } from './issue-reference.js';
+
+describe('parseIssueReference', () => {
+  it('should recognise issue UUIDs', () => {
+    assert.deepStrictEqual(
+      parseIssueReference('5A7C2E1B-0F3D-4C6A-9B8E-1D2F3A4B5C6D'),
+      [{ kind: 'id', value: '5a7c2e1b-0f3d-4c6a-9b8e-1d2f3a4b5c6d' }]
+    );
+  });
+
+  it('should normalise identifiers to upper case', () => {
+    assert.deepStrictEqual(parseIssueReference(' eng-482 '), [
+      { kind: 'identifier', value: 'ENG-482' },
+    ]);
+  });
+
+  it('should extract the identifier from Linear URLs', () => {
+    assert.deepStrictEqual(
+      parseIssueReference(
+        'https://linear.app/scoutos/issue/ENG-482/fix-login-redirect'
+      ),
+      [{ kind: 'url', value: 'ENG-482' }]
+    );
+  });
+
+  it('should try the branch and its embedded identifier for branch names', () => {
+    assert.deepStrictEqual(parseIssueReference('alice/eng-482-fix-login'), [
+      { kind: 'branch', value: 'alice/eng-482-fix-login' },
+      { kind: 'identifier', value: 'ENG-482' },
+      { kind: 'id', value: 'alice/eng-482-fix-login' },
+    ]);
+  });
+
+  it('should return no candidates for empty input', () => {
+    assert.deepStrictEqual(parseIssueReference('  '), []);
+  });
+});
+
+describe('resolveIssue', () => {
+  const mockIssue = { id: 'issue-1', identifier: 'ENG-482' };
+
+  it('should look up identifiers directly', async () => {
+    const client = /** @type {any} */ ({
+      issue: mock.fn(async () => mockIssue),
+      issueVcsBranchSearch: mock.fn(),
+    });
+
+    const issue = await resolveIssue(client, 'eng-482');
+
+    assert.strictEqual(issue, mockIssue);
+    assert.strictEqual(client.issue.mock.calls[0].arguments[0], 'ENG-482');
+    assert.strictEqual(client.issueVcsBranchSearch.mock.calls.length, 0);
+  });
+
+  it('should fall back to the identifier in a branch name', async () => {
+    const client = /** @type {any} */ ({
+      issue: mock.fn(async () => mockIssue),
+      issueVcsBranchSearch: mock.fn(async () => undefined),
+    });
+
+    const issue = await resolveIssue(client, 'eng-482-fix-login');
+
+    assert.strictEqual(issue, mockIssue);
+    assert.strictEqual(
+      client.issueVcsBranchSearch.mock.calls[0].arguments[0],
+      'eng-482-fix-login'
+    );
+    assert.strictEqual(client.issue.mock.calls[0].arguments[0], 'ENG-482');
+  });
+
+  it('should list every attempt when nothing matches', async () => {
+    const client = /** @type {any} */ ({
+      issue: mock.fn(async () => {
+        throw new Error('Entity not found');
+      }),
+      issueVcsBranchSearch: mock.fn(async () => undefined),
+    });
+
+    await assert.rejects(
+      resolveIssue(client, 'eng-999-missing'),
+      /** @param {Error} error */
+      error => {
+        assert.strictEqual(
+          error.message,
+          'Issue "eng-999-missing" not found. Tried: branch "eng-999-missing" (no match); identifier "ENG-999" (Entity not found); id "eng-999-missing" (Entity not found)'
+        );
+        return true;
+      }
+    );
+  });
+
+  it('should rethrow lookup failures that are not misses', async () => {
+    const authError = new LinearError(
+      undefined,
+      [{ type: LinearErrorType.AuthenticationError, message: 'Bad key' }],
+      LinearErrorType.AuthenticationError
+    );
+    const client = /** @type {any} */ ({
+      issue: mock.fn(async () => {
+        throw authError;
+      }),
+      issueVcsBranchSearch: mock.fn(async () => undefined),
+    });
+
+    await assert.rejects(
+      resolveIssue(client, 'eng-482-fix-login'),
+      error => error === authError
+    );
+    assert.strictEqual(client.issue.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Issue relation utilities
+ *
+ * Linear stores a relation once, from the issue that created it to the
+ * related issue, with one of three types. Which way round it is decides
+ * whether an issue "blocks" or "is blocked by" the other, so these helpers
+ * always describe relations from the point of view of one issue.
+ */
+import { summarizeIssue } from './issue-hierarchy.js';
+
+/**
+ * Relation types that can be created, as seen from the source issue
+ *
+ * `blocked_by` is stored as a `blocks` relation in the opposite direction.
+ */
+export const ISSUE_RELATION_TYPES = [
+  'blocks',
+  'blocked_by',
+  'related',
+  'duplicate',
+];
+
+/**
+ * How each stored relation type reads from either side
+ */
+const RELATION_LABELS = {
+  blocks: { outbound: 'Blocks', inbound: 'Blocked by' },
+  related: { outbound: 'Related to', inbound: 'Related to' },
+  duplicate: { outbound: 'Duplicate of', inbound: 'Duplicated by' },
+};
+
+/**
+ * Converts a requested relation type into the relation Linear stores
+ *
+ * @param {string} issueId - ID of the issue the relation is requested for
+ * @param {string} relatedIssueId - ID of the other issue
+ * @param {string} type - One of ISSUE_RELATION_TYPES
+ * @returns {{ issueId: string, relatedIssueId: string, type: string }} Relation to create
+ */
+export function toRelationInput(issueId, relatedIssueId, type) {
+  if (type === 'blocked_by') {
+    return { issueId: relatedIssueId, relatedIssueId: issueId, type: 'blocks' };
+  }
+
+  return { issueId, relatedIssueId, type };
+}
+
+/**
+ * Describes a stored relation from one side
+ *
+ * @param {string} type - Stored relation type
+ * @param {'outbound'|'inbound'} direction - Whether the issue is the relation's source
+ * @returns {string} Human readable relation, e.g. "Blocked by"
+ */
+export function describeRelation(type, direction) {
+  return RELATION_LABELS[type]?.[direction] || type;
+}
+
+/**
+ * Fetches every relation of an issue in both directions
+ *
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('../../effects/linear/types/types.js').IssueRelation[]>} Relations, outbound first
+ */
+export async function fetchIssueRelations(issue, logger) {
+  const relations = [];
+
+  /** @type {{ direction: 'outbound'|'inbound', fetch: string, other: string }[]} */
+  const sides = [
+    { direction: 'outbound', fetch: 'relations', other: 'relatedIssue' },
+    { direction: 'inbound', fetch: 'inverseRelations', other: 'issue' },
+  ];
+
+  for (const side of sides) {
+    if (typeof issue[side.fetch] !== 'function') {
+      continue;
+    }
+
+    const response = await issue[side.fetch]({ first: 250 });
+
+    for (const relation of response?.nodes || []) {
+      const other = await relation[side.other];
+      if (!other) {
+        logger?.warn(`Skipping relation ${relation.id} without an issue`);
+        continue;
+      }
+
+      relations.push({
+        id: relation.id,
+        type: relation.type,
+        direction: side.direction,
+        label: describeRelation(relation.type, side.direction),
+        issue: await summarizeIssue(other, logger),
+      });
+    }
+  }
+
+  logger?.debug(`Found ${relations.length} relations of issue ${issue.id}`);
+  return relations;
+}
+
+/**
+ * Names a relation the way relation types are requested in tool inputs
+ *
+ * An inbound duplicate has no requestable name and comes back as
+ * `duplicated_by`.
+ *
+ * @param {{ type?: string, direction?: string }} relation - Relation seen from an issue
+ * @returns {string} Relation type, e.g. `blocked_by`
+ */
+export function getRelationKind(relation) {
+  if (relation.direction === 'outbound' || relation.type === 'related') {
+    return relation.type;
+  }
+
+  const inboundKinds = { blocks: 'blocked_by', duplicate: 'duplicated_by' };
+  return inboundKinds[relation.type] || relation.type;
+}
@@ -0,0 +1,111 @@
+/**
+ * Tests for issue relation utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  describeRelation,
+  fetchIssueRelations,
+  getRelationKind,
+  toRelationInput,
+} from './issue-relations.js';
+
+describe('issue relation utilities', () => {
+  const blocker = {
+    id: 'issue-1',
+    identifier: 'ENG-1',
+    title: 'Blocker',
+    state: Promise.resolve({ name: 'In Progress' }),
+  };
+  const duplicate = {
+    id: 'issue-3',
+    identifier: 'ENG-3',
+    title: 'Duplicate',
+    state: Promise.resolve({ name: 'Canceled' }),
+  };
+  const issue = {
+    id: 'issue-2',
+    identifier: 'ENG-2',
+    title: 'Feature',
+    relations: async () => ({
+      nodes: [
+        {
+          id: 'rel-1',
+          type: 'related',
+          relatedIssue: Promise.resolve(blocker),
+        },
+      ],
+    }),
+    inverseRelations: async () => ({
+      nodes: [
+        { id: 'rel-2', type: 'blocks', issue: Promise.resolve(blocker) },
+        { id: 'rel-3', type: 'duplicate', issue: Promise.resolve(duplicate) },
+      ],
+    }),
+  };
+
+  it('should store blocked_by as a blocks relation in the other direction', () => {
+    assert.deepStrictEqual(toRelationInput('a', 'b', 'blocked_by'), {
+      issueId: 'b',
+      relatedIssueId: 'a',
+      type: 'blocks',
+    });
+    assert.deepStrictEqual(toRelationInput('a', 'b', 'duplicate'), {
+      issueId: 'a',
+      relatedIssueId: 'b',
+      type: 'duplicate',
+    });
+  });
+
+  it('should describe relations from either side', () => {
+    assert.strictEqual(describeRelation('blocks', 'outbound'), 'Blocks');
+    assert.strictEqual(describeRelation('blocks', 'inbound'), 'Blocked by');
+    assert.strictEqual(
+      describeRelation('duplicate', 'inbound'),
+      'Duplicated by'
+    );
+    assert.strictEqual(describeRelation('similar', 'inbound'), 'similar');
+  });
+
+  it('should fetch outbound and inbound relations with their status', async () => {
+    const relations = await fetchIssueRelations(issue);
+
+    assert.deepStrictEqual(
+      relations.map(relation => [
+        relation.id,
+        relation.direction,
+        relation.label,
+      ]),
+      [
+        ['rel-1', 'outbound', 'Related to'],
+        ['rel-2', 'inbound', 'Blocked by'],
+        ['rel-3', 'inbound', 'Duplicated by'],
+      ]
+    );
+    assert.deepStrictEqual(relations[1].issue, {
+      id: 'issue-1',
+      identifier: 'ENG-1',
+      title: 'Blocker',
+      status: 'In Progress',
+    });
+  });
+
+  it('should name relations the way they are requested', () => {
+    assert.strictEqual(
+      getRelationKind({ type: 'blocks', direction: 'outbound' }),
+      'blocks'
+    );
+    assert.strictEqual(
+      getRelationKind({ type: 'blocks', direction: 'inbound' }),
+      'blocked_by'
+    );
+    assert.strictEqual(
+      getRelationKind({ type: 'related', direction: 'inbound' }),
+      'related'
+    );
+    assert.strictEqual(
+      getRelationKind({ type: 'duplicate', direction: 'inbound' }),
+      'duplicated_by'
+    );
+  });
+});
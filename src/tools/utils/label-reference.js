@@ -0,0 +1,109 @@
+/**
+ * Label reference resolution utilities
+ *
+ * Labels are referred to by name in tool inputs. An issue can use its own
+ * team's labels as well as workspace-wide labels, so names are resolved
+ * against both. The labels available to each team are kept in the metadata
+ * cache.
+ */
+import { fetchAllNodes } from './pagination.js';
+import { ErrorCode, ToolError } from './errors.js';
+import { metadataCache } from './metadata-cache.js';
+
+/**
+ * Fetches the labels that can be used on issues of a team, from the metadata
+ * cache when it has them
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string }} [team] - Team whose labels to include; workspace labels only when omitted
+ * @returns {Promise<Array<{ id: string, name: string, color?: string, isGroup: boolean, updatedAt?: string }>>} Team and workspace labels
+ */
+export async function fetchAvailableLabels(client, team) {
+  const workspaceFilter = { team: { null: true } };
+  const filter = team
+    ? { or: [{ team: { id: { eq: team.id } } }, workspaceFilter] }
+    : workspaceFilter;
+
+  return metadataCache(client).load(
+    'labels',
+    team ? `available:${team.id}` : 'available',
+    async () =>
+      (
+        await fetchAllNodes(params =>
+          // @ts-ignore - The Linear SDK types may not be fully accurate
+          client.issueLabels({ ...params, filter })
+        )
+      ).map(label => ({
+        id: label.id,
+        name: label.name,
+        color: label.color,
+        isGroup: Boolean(label.isGroup),
+        updatedAt: label.updatedAt,
+      }))
+  );
+}
+
+/**
+ * Resolves label names to labels available to a team
+ *
+ * Names match case-insensitively. Label groups can't be applied to issues,
+ * so they only match when `allowGroups` is set (e.g. to pick a parent).
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string, name?: string } | undefined} team - Team whose labels to include, if any
+ * @param {string[]} names - Label names to resolve
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowGroups=false] - Whether label groups may match
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<Array<{ id: string, name: string, color?: string, isGroup: boolean }>>} The matching labels, in the order of `names`
+ * @throws {Error} If any name does not match, listing the available labels
+ */
+export async function resolveLabels(
+  client,
+  team,
+  names,
+  { allowGroups = false } = {},
+  logger
+) {
+  if (!names || names.length === 0) {
+    return [];
+  }
+
+  logger?.debug(`Resolving labels: ${names.join(', ')}`);
+
+  const available = (await fetchAvailableLabels(client, team)).filter(
+    label => allowGroups || !label.isGroup
+  );
+
+  const missing = [];
+  const labels = [];
+
+  for (const name of names) {
+    const wanted = name.trim().toLowerCase();
+    const label = available.find(label => label.name.toLowerCase() === wanted);
+
+    if (label) {
+      labels.push(label);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  if (missing.length > 0) {
+    const scope = team?.name ? ` for team ${team.name}` : '';
+    const availableNames = available.map(label => label.name).join(', ');
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `Label${missing.length > 1 ? 's' : ''} not found${scope}: ${missing.join(
+        ', '
+      )}. Available labels: ${availableNames || 'none'}`,
+      {
+        nextStep:
+          'Use one of the available labels, call list_labels to see them all, or create the label with create_label.',
+      }
+    );
+  }
+
+  logger?.debug(`Resolved ${labels.length} labels`);
+  return labels;
+}
@@ -0,0 +1,80 @@
+/**
+ * Tests for label reference resolution utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { createCache } from '../../effects/cache/mod.js';
+import { fetchAvailableLabels, resolveLabels } from './label-reference.js';
+import { withMetadataCache } from './metadata-cache.js';
+
+describe('label reference utilities', () => {
+  const labels = [
+    { id: 'label-bug', name: 'Bug', isGroup: false },
+    { id: 'label-feature', name: 'Feature', isGroup: false },
+    { id: 'label-area', name: 'Area', isGroup: true },
+  ];
+
+  /**
+   * Creates a mock client with the labels
+   * @returns {Object} Mock Linear client
+   */
+  const createClient = () => ({
+    issueLabels: mock.fn(async () => ({ nodes: labels })),
+  });
+
+  it('should fetch team and workspace labels for a team', async () => {
+    const client = createClient();
+
+    await fetchAvailableLabels(client, { id: 'team-1' });
+
+    assert.deepStrictEqual(client.issueLabels.mock.calls[0].arguments[0], {
+      first: 250,
+      filter: {
+        or: [{ team: { id: { eq: 'team-1' } } }, { team: { null: true } }],
+      },
+    });
+  });
+
+  it('should look labels up in the metadata cache', async () => {
+    const client = withMetadataCache(createClient(), createCache());
+
+    await resolveLabels(client, { id: 'team-1' }, ['Bug']);
+    await resolveLabels(client, { id: 'team-1' }, ['Feature']);
+    await resolveLabels(client, undefined, ['Bug']);
+
+    assert.strictEqual(client.issueLabels.mock.callCount(), 2);
+  });
+
+  it('should resolve label names case-insensitively', async () => {
+    const result = await resolveLabels(createClient(), undefined, [
+      'bug',
+      ' FEATURE ',
+    ]);
+
+    assert.deepStrictEqual(
+      result.map(label => label.id),
+      ['label-bug', 'label-feature']
+    );
+  });
+
+  it('should only match label groups when allowed', async () => {
+    await assert.rejects(
+      resolveLabels(createClient(), { id: 'team-1', name: 'Engineering' }, [
+        'Area',
+      ]),
+      /Label not found for team Engineering: Area\. Available labels: Bug, Feature/
+    );
+
+    const [group] = await resolveLabels(createClient(), undefined, ['area'], {
+      allowGroups: true,
+    });
+    assert.strictEqual(group.id, 'label-area');
+  });
+
+  it('should list every missing label', async () => {
+    await assert.rejects(
+      resolveLabels(createClient(), undefined, ['Bug', 'Urgent', 'Docs']),
+      /Labels not found: Urgent, Docs\./
+    );
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Linear client utilities
+ *
+ * Tools act with the credentials of their session: a Linear API key, an OAuth
+ * access token the session brought, or the server's stored OAuth token, which
+ * is refreshed when it expires.
+ */
+import { maskApiKey } from '../../utils/credentials/mod.js';
+import { withoutMutations } from './dry-run.js';
+import { ErrorCode, ToolError } from './errors.js';
+import { withMetadataCache } from './metadata-cache.js';
+
+/**
+ * Context a tool creates its Linear client from
+ *
+ * @typedef {Object} LinearClientContext
+ * @property {import('../../utils/config/mod.js').Config} config
+ * @property {Object} effects
+ * @property {import('../../effects/linear/index.js').LinearEffect} effects.linear
+ * @property {import('../../effects/cache/mod.js').CacheEffect} [effects.cache]
+ * @property {boolean} [dryRun] - Whether the call is a dry run, which sends no mutations
+ */
+
+/**
+ * Creates the Linear client a tool call acts with
+ *
+ * @param {LinearClientContext} ctx - Tool context
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<import('@linear/sdk').LinearClient>} Linear client
+ * @throws {Error} If the context has no credentials
+ */
+export async function createToolClient(ctx, logger) {
+  const { linearApiKey, linearAccessToken } = ctx.config;
+
+  /** @type {import('../../effects/linear/client.js').LinearCredentials} */
+  let credentials;
+  if (linearApiKey) {
+    logger?.debug(`Using Linear API key: ${maskApiKey(linearApiKey)}`);
+    credentials = { apiKey: linearApiKey };
+  } else if (linearAccessToken) {
+    logger?.debug(
+      `Using Linear OAuth access token: ${maskApiKey(linearAccessToken)}`
+    );
+    credentials = { accessToken: linearAccessToken };
+  } else if (ctx.effects.linear.getAccessToken) {
+    logger?.debug('Using the stored Linear OAuth token');
+    credentials = { accessToken: await ctx.effects.linear.getAccessToken() };
+  } else {
+    throw new ToolError(
+      ErrorCode.AUTHENTICATION,
+      'No Linear credentials configured. Set LINEAR_API_KEY or run `npm run auth` to authorize with OAuth'
+    );
+  }
+
+  logger?.debug('Creating Linear client');
+  const client = withMetadataCache(
+    ctx.effects.linear.createClient(credentials),
+    ctx.effects.cache
+  );
+  return ctx.dryRun ? withoutMutations(client) : client;
+}
+
+/**
+ * Describes the credentials of a tool context for debug output
+ *
+ * @param {LinearClientContext} ctx - Tool context
+ * @returns {string} Credential status
+ */
+export function describeCredentialStatus(ctx) {
+  const { linearApiKey, linearAccessToken } = ctx.config;
+
+  if (linearApiKey) {
+    return `API key is configured (${maskApiKey(linearApiKey)})`;
+  }
+  if (linearAccessToken) {
+    return `OAuth access token is configured (${maskApiKey(linearAccessToken)})`;
+  }
+  if (ctx.effects.linear.getAccessToken) {
+    return 'Using the stored OAuth token';
+  }
+  return 'No credentials configured - set LINEAR_API_KEY or run `npm run auth`';
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for Linear client utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createToolClient, describeCredentialStatus } from './linear-client.js';
+
+/**
+ * Creates a tool context whose client is the credentials it was created with
+ * @param {Object} config - Configuration
+ * @param {() => Promise<string|undefined>} [getAccessToken] - Stored OAuth token lookup
+ * @returns {Object} Tool context
+ */
+function createContext(config, getAccessToken) {
+  return {
+    config,
+    effects: {
+      linear: {
+        createClient: credentials => ({ credentials }),
+        getAccessToken,
+      },
+    },
+  };
+}
+
+describe('createToolClient', () => {
+  it('should prefer the API key of the session', async () => {
+    const ctx = createContext(
+      { linearApiKey: 'lin_api_session_key_0123456789' },
+      async () => 'lin_oauth_stored'
+    );
+
+    const client = /** @type {any} */ (await createToolClient(ctx));
+
+    assert.deepStrictEqual(client.credentials, {
+      apiKey: 'lin_api_session_key_0123456789',
+    });
+  });
+
+  it('should use an OAuth access token the session brought', async () => {
+    const ctx = createContext({ linearAccessToken: 'lin_oauth_session' });
+
+    const client = /** @type {any} */ (await createToolClient(ctx));
+
+    assert.deepStrictEqual(client.credentials, {
+      accessToken: 'lin_oauth_session',
+    });
+  });
+
+  it('should fall back to the stored OAuth token', async () => {
+    const ctx = createContext({}, async () => 'lin_oauth_stored');
+
+    const client = /** @type {any} */ (await createToolClient(ctx));
+
+    assert.deepStrictEqual(client.credentials, {
+      accessToken: 'lin_oauth_stored',
+    });
+    assert.strictEqual(
+      describeCredentialStatus(ctx),
+      'Using the stored OAuth token'
+    );
+  });
+
+  it('should explain how to configure credentials when there are none', async () => {
+    const ctx = createContext({});
+
+    await assert.rejects(
+      () => createToolClient(ctx),
+      /No Linear credentials configured. Set LINEAR_API_KEY or run `npm run auth`/
+    );
+    assert.match(describeCredentialStatus(ctx), /No credentials configured/);
+  });
+});
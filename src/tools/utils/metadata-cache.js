@@ -0,0 +1,37 @@
+/**
+ * Metadata cache lookup for Linear clients
+ *
+ * Reference resolvers are handed a Linear client deep inside tools, far from
+ * the tool context. The client a tool call acts with carries the metadata
+ * cache of its workspace, so resolvers look teams, states, labels, users and
+ * projects up there before asking Linear.
+ */
+import { noopCache } from '../../effects/cache/mod.js';
+
+/** @type {WeakMap<object, import('../../effects/cache/mod.js').CacheEffect>} */
+const caches = new WeakMap();
+
+/**
+ * Attaches a workspace's metadata cache to a Linear client
+ *
+ * @template {object} T
+ * @param {T} client - Linear client
+ * @param {import('../../effects/cache/mod.js').CacheEffect} [cache] - Metadata cache of the client's workspace
+ * @returns {T} The same client
+ */
+export function withMetadataCache(client, cache) {
+  if (cache) {
+    caches.set(client, cache);
+  }
+  return client;
+}
+
+/**
+ * Returns the metadata cache attached to a Linear client
+ *
+ * @param {object} client - Linear client
+ * @returns {import('../../effects/cache/mod.js').CacheEffect} Its cache, or one keeping nothing
+ */
+export function metadataCache(client) {
+  return caches.get(client) || noopCache;
+}
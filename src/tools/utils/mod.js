@@ -2,3 +2,23 @@
  * Tool utilities module exports
  */
 export * from './create-tool.js';
+export * from './cycle-reference.js';
+export * from './dry-run.js';
+export * from './errors.js';
+export * from './issue-filter.js';
+export * from './issue-filter-query.js';
+export * from './issue-hierarchy.js';
+export * from './issue-node.js';
+export * from './issue-reference.js';
+export * from './issue-relations.js';
+export * from './label-reference.js';
+export * from './linear-client.js';
+export * from './metadata-cache.js';
+export * from './output-format.js';
+export * from './pagination.js';
+export * from './project-reference.js';
+export * from './team-reference.js';
+export * from './tool-policy.js';
+export * from './user-reference.js';
+export * from './workflow-state.js';
+export * from './workspace.js';
@@ -0,0 +1,82 @@
+/**
+ * Tool output format utilities
+ *
+ * Tools with an output schema return their result as `structuredContent`
+ * next to the text. The `format` argument picks what the text holds: the
+ * markdown written for people, the structured result as JSON, or a compact
+ * JSON line without empty fields that costs the fewest tokens.
+ */
+import { z } from 'zod';
+
+/**
+ * Schema of the `format` argument of tools with an output schema
+ */
+export const FormatSchema = z
+  .enum(['markdown', 'json', 'compact'])
+  .default('markdown')
+  .describe(
+    'Format of the text output: markdown (default) for reading, json for the structured result as indented JSON, compact for single-line JSON without empty fields'
+  );
+
+/**
+ * @typedef {z.infer<typeof FormatSchema>} OutputFormat
+ */
+
+/**
+ * Drops null, undefined, empty string and empty array values, recursively
+ *
+ * @param {unknown} value - Value to compact
+ * @returns {unknown} The value without empty fields
+ */
+function withoutEmptyFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutEmptyFields);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(
+        ([, field]) =>
+          field !== null &&
+          field !== undefined &&
+          field !== '' &&
+          !(Array.isArray(field) && field.length === 0)
+      )
+      .map(([name, field]) => [name, withoutEmptyFields(field)])
+  );
+}
+
+/**
+ * Writes the text of a tool response in the requested format
+ *
+ * Structured content is sent as JSON, so dates become ISO strings here,
+ * before the output schema is checked. Error responses and responses
+ * without structured content keep their text.
+ *
+ * @param {import('../types/mod.js').McpToolResponse} response - Tool response with markdown text
+ * @param {OutputFormat} format - Requested format
+ * @returns {import('../types/mod.js').McpToolResponse} The response with its text in that format
+ */
+export function formatResponse(response, format) {
+  if (response.isError || !response.structuredContent) {
+    return response;
+  }
+
+  const structuredContent = JSON.parse(
+    JSON.stringify(response.structuredContent)
+  );
+  if (format === 'markdown') {
+    return { ...response, structuredContent };
+  }
+
+  const text =
+    format === 'json'
+      ? JSON.stringify(structuredContent, null, 2)
+      : JSON.stringify(withoutEmptyFields(structuredContent));
+
+  return { ...response, content: [{ type: 'text', text }], structuredContent };
+}
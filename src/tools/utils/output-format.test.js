@@ -0,0 +1,113 @@
+/**
+ * Tests for tool output format utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { z } from 'zod';
+import { create_tool } from './create-tool.js';
+import { formatResponse } from './output-format.js';
+
+/** @type {import('../types/mod.js').McpToolResponse} */
+const response = {
+  content: [{ type: 'text', text: '# ENG-1: Fix login' }],
+  structuredContent: {
+    id: 'issue-1',
+    title: 'Fix login',
+    description: undefined,
+    labels: [],
+    assignee: null,
+    updatedAt: new Date('2024-06-01T12:00:00Z'),
+  },
+};
+
+// A tool that returns one issue
+const GetTestIssue = create_tool({
+  name: 'get_test_issue',
+  description: 'Returns a fixed issue',
+  inputSchema: z.object({}),
+  outputSchema: z.object({ id: z.string(), title: z.string() }),
+  handler: async () => ({
+    content: [{ type: 'text', text: '# Fix login' }],
+    structuredContent: { id: 'issue-1', title: 'Fix login' },
+  }),
+});
+
+describe('formatResponse', () => {
+  it('should keep the markdown and send the result as JSON values', () => {
+    const formatted = formatResponse(response, 'markdown');
+
+    assert.strictEqual(formatted.content[0].text, '# ENG-1: Fix login');
+    assert.deepStrictEqual(formatted.structuredContent, {
+      id: 'issue-1',
+      title: 'Fix login',
+      labels: [],
+      assignee: null,
+      updatedAt: '2024-06-01T12:00:00.000Z',
+    });
+  });
+
+  it('should write the result as indented JSON', () => {
+    const formatted = formatResponse(response, 'json');
+
+    assert.deepStrictEqual(
+      JSON.parse(formatted.content[0].text),
+      formatted.structuredContent
+    );
+    assert.ok(formatted.content[0].text.includes('\n  "id": "issue-1"'));
+  });
+
+  it('should write the result as one JSON line without empty fields', () => {
+    assert.strictEqual(
+      formatResponse(response, 'compact').content[0].text,
+      '{"id":"issue-1","title":"Fix login","updatedAt":"2024-06-01T12:00:00.000Z"}'
+    );
+  });
+
+  it('should leave errors and plain text responses alone', () => {
+    /** @type {import('../types/mod.js').McpToolResponse} */
+    const error = { content: [{ type: 'text', text: 'Oops' }], isError: true };
+    /** @type {import('../types/mod.js').McpToolResponse} */
+    const plain = { content: [{ type: 'text', text: 'Done' }] };
+
+    assert.strictEqual(formatResponse(error, 'json'), error);
+    assert.strictEqual(formatResponse(plain, 'compact'), plain);
+  });
+});
+
+describe('create_tool output schema', () => {
+  it('should take a format argument and return structured content', async () => {
+    const tool = new GetTestIssue({ config: {} });
+
+    assert.ok('format' in tool.shape);
+    assert.ok('title' in tool.outputSchema.shape);
+
+    const markdown = await tool.call({});
+    const json = await tool.call({ format: 'json' });
+
+    assert.strictEqual(markdown.content[0].text, '# Fix login');
+    assert.deepStrictEqual(markdown.structuredContent, {
+      id: 'issue-1',
+      title: 'Fix login',
+    });
+    assert.deepStrictEqual(
+      JSON.parse(json.content[0].text),
+      markdown.structuredContent
+    );
+  });
+
+  it('should name the workspace in the structured content', async () => {
+    const tool = new GetTestIssue({
+      config: {
+        workspaces: { product: 'lin_api_product' },
+        defaultWorkspace: 'product',
+      },
+    });
+
+    const result = await tool.call({ format: 'compact' });
+
+    assert.strictEqual(
+      result.content[0].text,
+      '{"id":"issue-1","title":"Fix login","workspace":"product"}'
+    );
+  });
+});
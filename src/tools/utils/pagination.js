@@ -0,0 +1,200 @@
+/**
+ * Pagination utilities
+ *
+ * List tools return at most `limit` results and an opaque `nextCursor` to
+ * continue from. The cursor wraps Linear's own page cursor plus the number of
+ * nodes already used from the page it points to, so tools that filter
+ * results client-side can stop in the middle of a page and pick up from the
+ * same spot on the next call.
+ */
+import { z } from 'zod';
+import { ErrorCode, ToolError } from './errors.js';
+
+/**
+ * Input schema for the cursor of list tools
+ */
+export const CursorSchema = z
+  .string()
+  .min(1)
+  .optional()
+  .describe(
+    'The nextCursor returned by a previous call, to get the next page of results'
+  );
+
+/**
+ * Most pages fetched in one call when results are filtered client-side
+ */
+const MAX_PAGES_PER_CALL = 10;
+
+/**
+ * Page size used when results are filtered client-side
+ */
+const FILTERED_PAGE_SIZE = 100;
+
+/**
+ * Encodes a position in a Linear connection as an opaque cursor
+ *
+ * @param {{ after?: string, skip?: number }} position - Linear cursor and nodes to skip after it
+ * @returns {string} Cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor()
+ *
+ * @param {string|undefined} cursor - Cursor from a previous call
+ * @returns {{ after?: string, skip: number }} Linear cursor and nodes to skip after it
+ * @throws {Error} When the cursor wasn't created by this server
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return { after: undefined, skip: 0 };
+  }
+
+  try {
+    const position = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+
+    if (
+      typeof position !== 'object' ||
+      position === null ||
+      (position.after !== undefined && typeof position.after !== 'string') ||
+      (position.skip !== undefined && !Number.isInteger(position.skip))
+    ) {
+      throw new Error('Unexpected cursor contents');
+    }
+
+    return { after: position.after, skip: position.skip || 0 };
+  } catch (parseError) {
+    throw new ToolError(ErrorCode.VALIDATION, 'Invalid cursor', {
+      nextStep:
+        'Pass the nextCursor from a previous call unchanged, or leave out the cursor to start from the first page.',
+    });
+  }
+}
+
+/**
+ * Collects one page of results from a Linear connection
+ *
+ * Without a `matches` filter this makes a single request of `limit` nodes.
+ * With one, it keeps fetching pages until `limit` nodes match, the
+ * connection ends or MAX_PAGES_PER_CALL pages were read.
+ *
+ * @template T
+ * @param {(params: { first: number, after?: string }) => Promise<{ nodes: T[], pageInfo?: { hasNextPage?: boolean, endCursor?: string } }>} fetchPage - Fetches a page of the connection
+ * @param {Object} options - Pagination options
+ * @param {string} [options.cursor] - Cursor from a previous call
+ * @param {number} options.limit - Maximum number of results
+ * @param {(node: T) => boolean|Promise<boolean>} [options.matches] - Client-side filter
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<{ nodes: T[], hasMore: boolean, nextCursor?: string }>} Results and where to continue
+ */
+export async function collectPage(
+  fetchPage,
+  { cursor, limit, matches },
+  logger
+) {
+  let { after, skip } = decodeCursor(cursor);
+  const pageSize = matches ? Math.max(limit, FILTERED_PAGE_SIZE) : limit;
+  const nodes = [];
+
+  for (let pageCount = 1; ; pageCount++) {
+    // The page must reach past the nodes already used from it
+    const page = await fetchPage({
+      first: Math.max(pageSize, skip + 1),
+      after,
+    });
+    const pageNodes = page?.nodes || [];
+    const hasNextPage = Boolean(
+      page?.pageInfo?.hasNextPage && page.pageInfo.endCursor
+    );
+
+    logger?.debug(
+      `Fetched page ${pageCount} with ${pageNodes.length} nodes (skipping ${skip})`
+    );
+
+    for (let index = skip; index < pageNodes.length; index++) {
+      if (matches && !(await matches(pageNodes[index]))) {
+        continue;
+      }
+
+      nodes.push(pageNodes[index]);
+
+      if (nodes.length >= limit) {
+        if (index + 1 < pageNodes.length) {
+          return {
+            nodes,
+            hasMore: true,
+            nextCursor: encodeCursor({ after, skip: index + 1 }),
+          };
+        }
+
+        if (!hasNextPage) {
+          return { nodes, hasMore: false };
+        }
+        return {
+          nodes,
+          hasMore: true,
+          nextCursor: encodeCursor({ after: page.pageInfo.endCursor }),
+        };
+      }
+    }
+
+    if (!hasNextPage) {
+      return { nodes, hasMore: false };
+    }
+
+    after = page.pageInfo.endCursor;
+    skip = 0;
+
+    if (pageCount >= MAX_PAGES_PER_CALL) {
+      logger?.debug(
+        `Stopping after ${pageCount} pages with ${nodes.length} results`
+      );
+      return { nodes, hasMore: true, nextCursor: encodeCursor({ after }) };
+    }
+  }
+}
+
+/**
+ * Fetches every node of a Linear connection
+ *
+ * @template T
+ * @param {(params: { first: number, after?: string }) => Promise<{ nodes: T[], pageInfo?: { hasNextPage?: boolean, endCursor?: string } }>} fetchPage - Fetches a page of the connection
+ * @param {number} [pageSize=250] - Nodes per request
+ * @returns {Promise<T[]>} All nodes
+ */
+export async function fetchAllNodes(fetchPage, pageSize = 250) {
+  const nodes = [];
+  let after = undefined;
+
+  for (;;) {
+    const page = await fetchPage(
+      after ? { first: pageSize, after } : { first: pageSize }
+    );
+    nodes.push(...(page?.nodes || []));
+
+    if (!page?.pageInfo?.hasNextPage || !page.pageInfo.endCursor) {
+      return nodes;
+    }
+
+    after = page.pageInfo.endCursor;
+  }
+}
+
+/**
+ * Describes how to get the next page in tool output
+ *
+ * @param {{ hasMore?: boolean, nextCursor?: string }} page - Pagination of a tool result
+ * @returns {string} Hint for the next call, or an empty string on the last page
+ */
+export function formatNextPageHint(page) {
+  if (!page.hasMore || !page.nextCursor) {
+    return '';
+  }
+
+  return `\nMore results are available. Call again with cursor: "${page.nextCursor}" to get the next page.\n`;
+}
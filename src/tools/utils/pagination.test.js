@@ -0,0 +1,111 @@
+/**
+ * Tests for pagination utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  collectPage,
+  decodeCursor,
+  encodeCursor,
+  fetchAllNodes,
+  formatNextPageHint,
+} from './pagination.js';
+
+/**
+ * Creates a fake Linear connection over numbers 1 to count
+ * @param {number} count - Number of nodes
+ * @returns {Object} Page fetcher that records its calls
+ */
+function createConnection(count) {
+  const all = Array.from({ length: count }, (_, index) => index + 1);
+
+  return mock.fn(async ({ first, after }) => {
+    const start = after ? Number(after) : 0;
+    const nodes = all.slice(start, start + first);
+    const end = start + nodes.length;
+    return {
+      nodes,
+      pageInfo: { hasNextPage: end < count, endCursor: String(end) },
+    };
+  });
+}
+
+describe('pagination utilities', () => {
+  it('should round-trip cursors and reject foreign ones', () => {
+    assert.deepStrictEqual(decodeCursor(encodeCursor({ after: 'abc' })), {
+      after: 'abc',
+      skip: 0,
+    });
+    assert.deepStrictEqual(decodeCursor(undefined), {
+      after: undefined,
+      skip: 0,
+    });
+    assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+  });
+
+  it('should return one page and a cursor to the next', async () => {
+    const fetchPage = createConnection(5);
+
+    const first = await collectPage(fetchPage, { limit: 2 });
+    assert.deepStrictEqual(first.nodes, [1, 2]);
+    assert.strictEqual(first.hasMore, true);
+
+    const second = await collectPage(fetchPage, {
+      limit: 2,
+      cursor: first.nextCursor,
+    });
+    assert.deepStrictEqual(second.nodes, [3, 4]);
+
+    const last = await collectPage(fetchPage, {
+      limit: 2,
+      cursor: second.nextCursor,
+    });
+    assert.deepStrictEqual(last.nodes, [5]);
+    assert.strictEqual(last.hasMore, false);
+    assert.strictEqual(last.nextCursor, undefined);
+  });
+
+  it('should keep paging until a client-side filter fills the limit', async () => {
+    const fetchPage = createConnection(350);
+    const matches = node => node % 50 === 0;
+
+    const first = await collectPage(fetchPage, { limit: 3, matches });
+    assert.deepStrictEqual(first.nodes, [50, 100, 150]);
+    assert.strictEqual(fetchPage.mock.callCount(), 2);
+    assert.strictEqual(first.hasMore, true);
+
+    // Continues in the middle of the page the first call stopped in
+    const second = await collectPage(fetchPage, {
+      limit: 3,
+      matches,
+      cursor: first.nextCursor,
+    });
+    assert.deepStrictEqual(second.nodes, [200, 250, 300]);
+
+    const last = await collectPage(fetchPage, {
+      limit: 3,
+      matches,
+      cursor: second.nextCursor,
+    });
+    assert.deepStrictEqual(last.nodes, [350]);
+    assert.strictEqual(last.hasMore, false);
+  });
+
+  it('should fetch every node of a connection', async () => {
+    const fetchPage = createConnection(600);
+
+    const nodes = await fetchAllNodes(fetchPage);
+
+    assert.strictEqual(nodes.length, 600);
+    assert.strictEqual(fetchPage.mock.callCount(), 3);
+  });
+
+  it('should only hint at the next page when there is one', () => {
+    assert.strictEqual(formatNextPageHint({ hasMore: false }), '');
+    assert.ok(
+      formatNextPageHint({ hasMore: true, nextCursor: 'abc' }).includes(
+        'cursor: "abc"'
+      )
+    );
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Project reference resolution utilities
+ *
+ * Tools accept a project as its ID or name, so the project names offered as
+ * completions can be passed on as they are. Resolved references are kept in
+ * the metadata cache.
+ */
+import { ErrorCode, isLookupMiss, ToolError } from './errors.js';
+import { metadataCache } from './metadata-cache.js';
+
+/**
+ * A project as references resolve to
+ *
+ * @typedef {Object} ProjectReference
+ * @property {string} id - Project ID
+ * @property {string} name - Project name
+ */
+
+/**
+ * Resolves a project reference to the project it points at
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} reference - Project ID or name
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<ProjectReference>} The resolved project
+ * @throws {Error} If no project or several projects match
+ */
+export async function resolveProject(client, reference, logger) {
+  const wanted = (reference || '').trim();
+
+  if (!wanted) {
+    throw new ToolError(ErrorCode.VALIDATION, 'Project reference is required');
+  }
+
+  return metadataCache(client).load('projects', wanted.toLowerCase(), () =>
+    findProject(client, wanted, logger)
+  );
+}
+
+/**
+ * Looks a project up in Linear by ID, then by name
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} wanted - Trimmed project ID or name
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<ProjectReference>} The matching project
+ * @throws {Error} If no project or several projects match
+ */
+async function findProject(client, wanted, logger) {
+  logger?.debug(`Resolving project reference: ${wanted}`);
+
+  try {
+    const project = await client.project(wanted);
+    if (project) {
+      return { id: project.id, name: project.name };
+    }
+  } catch (error) {
+    // Not an ID (or slug) of a project, try it as a name
+    if (!isLookupMiss(error)) {
+      throw error;
+    }
+    logger?.debug(`No project with ID ${wanted}: ${error.message}`);
+  }
+
+  const projects = await client.projects({
+    // @ts-ignore - The Linear SDK types may not be fully accurate
+    filter: { name: { eqIgnoreCase: wanted } },
+    first: 2,
+  });
+  const matches = projects?.nodes || [];
+
+  if (matches.length > 1) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Several projects are named "${wanted}". Use the project ID instead: ${matches
+        .map(project => project.id)
+        .join(', ')}`
+    );
+  }
+
+  if (matches.length === 0) {
+    throw new ToolError(ErrorCode.NOT_FOUND, `Project "${wanted}" not found`, {
+      nextStep:
+        'Call list_projects to find the ID or exact name of the project.',
+    });
+  }
+
+  logger?.debug(`Resolved project reference "${wanted}" to ${matches[0].id}`);
+  return { id: matches[0].id, name: matches[0].name };
+}
@@ -0,0 +1,78 @@
+/**
+ * Team reference resolution utilities
+ *
+ * Tools accept a team as its ID, key (e.g. ENG) or name so agents don't have
+ * to look up IDs before every call. The teams are kept in the metadata cache.
+ */
+import { fetchAllNodes } from './pagination.js';
+import { ErrorCode, ToolError } from './errors.js';
+import { metadataCache } from './metadata-cache.js';
+
+/**
+ * A team as references are resolved against
+ *
+ * @typedef {Object} TeamReference
+ * @property {string} id - Team ID
+ * @property {string} key - Team key, e.g. ENG
+ * @property {string} name - Team name
+ */
+
+/**
+ * Fetches the teams of the workspace, from the metadata cache when it has them
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @returns {Promise<TeamReference[]>} The workspace's teams
+ */
+export async function fetchTeams(client) {
+  return metadataCache(client).load('teams', 'all', async () =>
+    (
+      await fetchAllNodes(params =>
+        // @ts-ignore - The Linear SDK types may not be fully accurate
+        client.teams(params)
+      )
+    ).map(team => ({ id: team.id, key: team.key, name: team.name }))
+  );
+}
+
+/**
+ * Resolves a team reference to the team it points at
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} reference - Team ID, key or name
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<TeamReference>} The resolved team
+ * @throws {Error} If no team matches, listing the available teams
+ */
+export async function resolveTeam(client, reference, logger) {
+  const wanted = (reference || '').trim().toLowerCase();
+
+  if (!wanted) {
+    throw new ToolError(ErrorCode.VALIDATION, 'Team reference is required');
+  }
+
+  logger?.debug(`Resolving team reference: ${reference}`);
+
+  const teams = await fetchTeams(client);
+
+  const team =
+    teams.find(team => team.id.toLowerCase() === wanted) ||
+    teams.find(team => team.key.toLowerCase() === wanted) ||
+    teams.find(team => team.name.toLowerCase() === wanted);
+
+  if (!team) {
+    const available = teams
+      .map(team => `${team.key} (${team.name})`)
+      .join(', ');
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `Team "${reference}" not found. Available teams: ${available || 'none'}`,
+      {
+        nextStep:
+          'Use one of the available team keys, or call list_teams to find a valid team ID, key or name.',
+      }
+    );
+  }
+
+  logger?.debug(`Resolved team reference "${reference}" to ${team.key}`);
+  return team;
+}
@@ -0,0 +1,47 @@
+/**
+ * Tests for team reference resolution utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { createCache } from '../../effects/cache/mod.js';
+import { withMetadataCache } from './metadata-cache.js';
+import { resolveTeam } from './team-reference.js';
+
+describe('resolveTeam', () => {
+  const teams = [
+    { id: 'team-1', name: 'Engineering', key: 'ENG' },
+    { id: 'team-2', name: 'Product', key: 'PROD' },
+  ];
+
+  /**
+   * Creates a mock client with the teams
+   * @returns {Object} Mock Linear client
+   */
+  const createClient = () => ({
+    teams: mock.fn(async () => ({ nodes: teams })),
+  });
+
+  it('should resolve teams by ID, key or name', async () => {
+    const client = createClient();
+
+    assert.strictEqual((await resolveTeam(client, 'team-2')).key, 'PROD');
+    assert.strictEqual((await resolveTeam(client, 'eng')).id, 'team-1');
+    assert.strictEqual((await resolveTeam(client, 'product')).id, 'team-2');
+  });
+
+  it('should list the available teams when nothing matches', async () => {
+    await assert.rejects(
+      resolveTeam(createClient(), 'DESIGN'),
+      /Team "DESIGN" not found\. Available teams: ENG \(Engineering\), PROD \(Product\)/
+    );
+  });
+
+  it('should look teams up in the metadata cache', async () => {
+    const client = withMetadataCache(createClient(), createCache());
+
+    await resolveTeam(client, 'ENG');
+    await resolveTeam(client, 'PROD');
+
+    assert.strictEqual(client.teams.mock.callCount(), 1);
+  });
+});
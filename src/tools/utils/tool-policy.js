@@ -0,0 +1,101 @@
+/**
+ * Tool policy utilities
+ *
+ * Servers can be limited to the tools an agent should have: read-only mode
+ * leaves out every tool that changes data in Linear, and allow and deny lists
+ * pick tools by name or glob, such as `list_*`.
+ */
+
+/**
+ * @typedef {Object} ToolPolicy
+ * @property {boolean} [readOnly=false] - Whether to leave out write tools
+ * @property {string[]} [allow] - Names or globs of the only tools to offer, all when not given
+ * @property {string[]} [deny] - Names or globs of tools not to offer, even when allowed
+ */
+
+/**
+ * @typedef {Object} DisabledTool
+ * @property {string} name - Tool name
+ * @property {string} reason - Why the tool was left out
+ */
+
+/**
+ * Whether a tool name matches a name or glob, where `*` stands for any
+ * characters and `?` for one
+ *
+ * @param {string} name - Tool name
+ * @param {string} pattern - Name or glob
+ * @returns {boolean} Whether the name matches
+ */
+export function matchesToolPattern(name, pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i').test(name);
+}
+
+/**
+ * Splits tools into the ones a policy offers and the ones it leaves out
+ *
+ * Read-only mode and the deny list win over the allow list.
+ *
+ * @template {{ name: string, write?: boolean }} T
+ * @param {T[]} tools - Tools of a session
+ * @param {ToolPolicy} [policy={}] - Tool policy
+ * @returns {{ enabled: T[], disabled: DisabledTool[] }} Tools to offer, and the ones left out with the reason
+ */
+export function applyToolPolicy(
+  tools,
+  { readOnly = false, allow, deny = [] } = {}
+) {
+  /** @type {T[]} */
+  const enabled = [];
+  /** @type {DisabledTool[]} */
+  const disabled = [];
+
+  for (const tool of tools) {
+    const denied = deny.find(pattern => matchesToolPattern(tool.name, pattern));
+
+    let reason;
+    if (readOnly && tool.write) {
+      reason = 'writes to Linear in read-only mode';
+    } else if (denied) {
+      reason = `denied by "${denied}"`;
+    } else if (
+      allow &&
+      !allow.some(pattern => matchesToolPattern(tool.name, pattern))
+    ) {
+      reason = 'not in the allow list';
+    }
+
+    if (reason) {
+      disabled.push({ name: tool.name, reason });
+    } else {
+      enabled.push(tool);
+    }
+  }
+
+  return { enabled, disabled };
+}
+
+/**
+ * Finds allow and deny patterns that match none of the tools, which are
+ * likely typos
+ *
+ * @param {{ name: string }[]} tools - Tools of a session
+ * @param {ToolPolicy} [policy={}] - Tool policy
+ * @returns {string[]} Patterns matching no tool
+ */
+export function findUnmatchedToolPatterns(
+  tools,
+  { allow = [], deny = [] } = {}
+) {
+  return [...allow, ...deny].filter(
+    pattern => !tools.some(tool => matchesToolPattern(tool.name, pattern))
+  );
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for the tool policy utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  applyToolPolicy,
+  findUnmatchedToolPatterns,
+  matchesToolPattern,
+} from './tool-policy.js';
+
+const tools = [
+  { name: 'list_issues' },
+  { name: 'get_issue' },
+  { name: 'list_workspaces' },
+  { name: 'create_issue', write: true },
+  { name: 'add_comment', write: true },
+];
+
+/**
+ * @param {{ enabled: { name: string }[] }} result - Policy result
+ * @returns {string[]} Names of the enabled tools
+ */
+const enabledNames = ({ enabled }) => enabled.map(tool => tool.name);
+
+describe('matchesToolPattern', () => {
+  it('should match names and globs', () => {
+    assert.ok(matchesToolPattern('list_issues', 'list_issues'));
+    assert.ok(matchesToolPattern('list_issues', 'list_*'));
+    assert.ok(matchesToolPattern('get_issue', '???_issue'));
+    assert.ok(matchesToolPattern('Get_Issue', 'get_issue'));
+    assert.ok(!matchesToolPattern('list_issues', 'list'));
+    assert.ok(!matchesToolPattern('get_issue', 'get.issue'));
+  });
+});
+
+describe('applyToolPolicy', () => {
+  it('should offer every tool without a policy', () => {
+    assert.deepStrictEqual(applyToolPolicy(tools), {
+      enabled: tools,
+      disabled: [],
+    });
+  });
+
+  it('should leave out write tools in read-only mode', () => {
+    const result = applyToolPolicy(tools, { readOnly: true });
+
+    assert.deepStrictEqual(enabledNames(result), [
+      'list_issues',
+      'get_issue',
+      'list_workspaces',
+    ]);
+    assert.deepStrictEqual(result.disabled, [
+      { name: 'create_issue', reason: 'writes to Linear in read-only mode' },
+      { name: 'add_comment', reason: 'writes to Linear in read-only mode' },
+    ]);
+  });
+
+  it('should apply the deny list over the allow list', () => {
+    const result = applyToolPolicy(tools, {
+      allow: ['list_*', 'create_issue'],
+      deny: ['list_work*'],
+    });
+
+    assert.deepStrictEqual(enabledNames(result), [
+      'list_issues',
+      'create_issue',
+    ]);
+    assert.deepStrictEqual(result.disabled, [
+      { name: 'get_issue', reason: 'not in the allow list' },
+      { name: 'list_workspaces', reason: 'denied by "list_work*"' },
+      { name: 'add_comment', reason: 'not in the allow list' },
+    ]);
+  });
+});
+
+describe('findUnmatchedToolPatterns', () => {
+  it('should find patterns matching no tool', () => {
+    assert.deepStrictEqual(
+      findUnmatchedToolPatterns(tools, {
+        allow: ['list_*', 'lsit_issues'],
+        deny: ['delete_*'],
+      }),
+      ['lsit_issues', 'delete_*']
+    );
+  });
+});
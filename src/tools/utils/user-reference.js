@@ -0,0 +1,109 @@
+/**
+ * User reference resolution utilities
+ *
+ * Tools accept a user as their ID, email, display name or full name, like
+ * list_members shows them. Resolved references are kept in the metadata
+ * cache.
+ */
+import { ErrorCode, isLookupMiss, ToolError } from './errors.js';
+import { metadataCache } from './metadata-cache.js';
+
+/**
+ * A user as references resolve to
+ *
+ * @typedef {Object} UserReference
+ * @property {string} id - User ID
+ * @property {string} name - Full name
+ * @property {string} [displayName] - Display name
+ * @property {string} [email] - Email address
+ */
+
+/**
+ * Reduces an SDK user to the data references resolve to
+ *
+ * @param {any} user - User returned by the Linear SDK
+ * @returns {UserReference} User data
+ */
+const toUserReference = user => ({
+  id: user.id,
+  name: user.name,
+  displayName: user.displayName || undefined,
+  email: user.email || undefined,
+});
+
+/**
+ * Resolves a user reference to the user it points at
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} reference - User ID, email, display name or name
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<UserReference>} The resolved user
+ * @throws {Error} If no user or several users match
+ */
+export async function resolveUser(client, reference, logger) {
+  const wanted = (reference || '').trim();
+
+  if (!wanted) {
+    throw new ToolError(ErrorCode.VALIDATION, 'User reference is required');
+  }
+
+  return metadataCache(client).load('users', wanted.toLowerCase(), () =>
+    findUser(client, wanted, logger)
+  );
+}
+
+/**
+ * Looks a user up in Linear by ID, then by email or name
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {string} wanted - Trimmed user ID, email, display name or name
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<UserReference>} The matching user
+ * @throws {Error} If no user or several users match
+ */
+async function findUser(client, wanted, logger) {
+  logger?.debug(`Resolving user reference: ${wanted}`);
+
+  try {
+    const user = await client.user(wanted);
+    if (user) {
+      return toUserReference(user);
+    }
+  } catch (error) {
+    // Not an ID of a user, try it as an email or name
+    if (!isLookupMiss(error)) {
+      throw error;
+    }
+    logger?.debug(`No user with ID ${wanted}: ${error.message}`);
+  }
+
+  const users = await client.users({
+    filter: {
+      or: [
+        { email: { eqIgnoreCase: wanted } },
+        { displayName: { eqIgnoreCase: wanted } },
+        { name: { eqIgnoreCase: wanted } },
+      ],
+    },
+    first: 2,
+  });
+  const matches = users?.nodes || [];
+
+  if (matches.length > 1) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Several users match "${wanted}". Use the user ID or email instead: ${matches
+        .map(user => `${user.id} (${user.email})`)
+        .join(', ')}`
+    );
+  }
+
+  if (matches.length === 0) {
+    throw new ToolError(ErrorCode.NOT_FOUND, `User "${wanted}" not found`, {
+      nextStep: 'Call list_members to find the ID or email of the user.',
+    });
+  }
+
+  logger?.debug(`Resolved user reference "${wanted}" to ${matches[0].id}`);
+  return toUserReference(matches[0]);
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for user reference resolution utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { createCache } from '../../effects/cache/mod.js';
+import { withMetadataCache } from './metadata-cache.js';
+import { resolveUser } from './user-reference.js';
+
+describe('resolveUser', () => {
+  const jane = {
+    id: 'user-1',
+    name: 'Jane Smith',
+    displayName: 'jane',
+    email: 'jane@example.com',
+  };
+
+  /**
+   * Creates a mock client finding Jane by ID and the given users by filter
+   * @param {Object[]} [matches] - Users the filtered lookup returns
+   * @returns {Object} Mock Linear client
+   */
+  const createClient = (matches = []) => ({
+    user: mock.fn(async id => {
+      if (id === jane.id) return jane;
+      throw new Error('Entity not found: User');
+    }),
+    users: mock.fn(async () => ({ nodes: matches })),
+  });
+
+  it('should resolve users by ID', async () => {
+    const client = createClient();
+
+    assert.deepStrictEqual(await resolveUser(client, 'user-1'), jane);
+    assert.strictEqual(client.users.mock.calls.length, 0);
+  });
+
+  it('should fall back to the email or name', async () => {
+    const client = createClient([jane]);
+
+    assert.deepStrictEqual(await resolveUser(client, 'jane@example.com'), jane);
+    assert.deepStrictEqual(
+      client.users.mock.calls[0].arguments[0].filter.or[0],
+      { email: { eqIgnoreCase: 'jane@example.com' } }
+    );
+  });
+
+  it('should look users up in the metadata cache', async () => {
+    const client = withMetadataCache(createClient([jane]), createCache());
+
+    await resolveUser(client, 'Jane@example.com');
+    await resolveUser(client, 'jane@example.com');
+
+    assert.strictEqual(client.users.mock.callCount(), 1);
+  });
+
+  it('should reject unknown and ambiguous users', async () => {
+    await assert.rejects(
+      resolveUser(createClient(), 'nobody'),
+      /User "nobody" not found/
+    );
+    await assert.rejects(
+      resolveUser(
+        createClient([jane, { id: 'user-2', email: 'j@example.com' }]),
+        'Jane'
+      ),
+      /Several users match "Jane"/
+    );
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Workflow state utilities
+ *
+ * Linear teams define their own workflow states, but every state belongs to
+ * one of a fixed set of types. These helpers order states the way Linear
+ * shows them and resolve a state from its ID, its name or its type. The
+ * states of each team are kept in the metadata cache.
+ */
+import { ErrorCode, ToolError } from './errors.js';
+import { metadataCache } from './metadata-cache.js';
+import { fetchAllNodes } from './pagination.js';
+
+/**
+ * Workflow state types in the order Linear displays them
+ */
+export const WORKFLOW_STATE_TYPES = [
+  'triage',
+  'backlog',
+  'unstarted',
+  'started',
+  'completed',
+  'canceled',
+];
+
+/**
+ * Common words for state types that differ from Linear's own type names
+ */
+const STATE_TYPE_ALIASES = {
+  todo: 'unstarted',
+  'to do': 'unstarted',
+  'in progress': 'started',
+  done: 'completed',
+  complete: 'completed',
+  closed: 'completed',
+  cancelled: 'canceled',
+  cancel: 'canceled',
+};
+
+/**
+ * Sorts workflow states by type, then by their position within the type
+ *
+ * @template {{ type?: string, position?: number }} S
+ * @param {S[]} states - Workflow states
+ * @returns {S[]} A sorted copy of the states
+ */
+export function sortWorkflowStates(states) {
+  const typeIndex = type => {
+    const index = WORKFLOW_STATE_TYPES.indexOf(type);
+    return index === -1 ? WORKFLOW_STATE_TYPES.length : index;
+  };
+
+  return [...states].sort(
+    (a, b) =>
+      typeIndex(a.type) - typeIndex(b.type) ||
+      (a.position ?? 0) - (b.position ?? 0)
+  );
+}
+
+/**
+ * Finds a workflow state by ID or name, falling back to the first state of a
+ * type
+ *
+ * A state whose name matches always wins, so a team with a state literally
+ * called "Done" gets that state rather than the first completed one.
+ *
+ * @template {{ id?: string, name: string, type?: string, position?: number }} S
+ * @param {S[]} states - The team's workflow states
+ * @param {string} target - State ID, name, type (e.g. "started") or alias (e.g. "done")
+ * @returns {S|undefined} The matching state
+ */
+export function findWorkflowState(states, target) {
+  const wanted = (target || '').trim().toLowerCase();
+
+  const byId = states.find(state => state.id?.toLowerCase() === wanted);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = states.find(state => state.name.toLowerCase() === wanted);
+  if (byName) {
+    return byName;
+  }
+
+  const type = WORKFLOW_STATE_TYPES.includes(wanted)
+    ? wanted
+    : STATE_TYPE_ALIASES[wanted];
+
+  if (!type) {
+    return undefined;
+  }
+
+  return sortWorkflowStates(states).find(state => state.type === type);
+}
+
+/**
+ * A workflow state as states are resolved against
+ *
+ * @typedef {Object} WorkflowStateReference
+ * @property {string} id - State ID
+ * @property {string} name - State name
+ * @property {string} [type] - State type, e.g. started
+ * @property {string} [color] - State color
+ * @property {number} [position] - Position within its type
+ * @property {string} [description] - State description
+ */
+
+/**
+ * Fetches the workflow states of a team, from the metadata cache when it has
+ * them
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string }} team - Team whose states to fetch
+ * @returns {Promise<WorkflowStateReference[]>} The team's states, in board order
+ */
+export async function fetchTeamStates(client, team) {
+  return metadataCache(client).load('states', team.id, async () =>
+    sortWorkflowStates(
+      await fetchAllNodes(params =>
+        client.workflowStates({
+          ...params,
+          filter: { team: { id: { eq: team.id } } },
+        })
+      )
+    ).map(state => ({
+      id: state.id,
+      name: state.name,
+      type: state.type,
+      color: state.color,
+      position: state.position,
+      description: state.description || undefined,
+    }))
+  );
+}
+
+/**
+ * Resolves a workflow state of a team from its ID, name or type
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {{ id: string, name: string }} team - Team the state belongs to
+ * @param {string} target - State ID, name, type or alias
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<WorkflowStateReference>} The matching workflow state
+ * @throws {Error} If the state cannot be found, listing the team's states
+ */
+export async function resolveWorkflowState(client, team, target, logger) {
+  logger?.debug(`Resolving state "${target}" in team ${team.name}`);
+
+  const states = await fetchTeamStates(client, team);
+  const match = findWorkflowState(states, target);
+
+  if (!match) {
+    const available = states.map(state => state.name).join(', ');
+    throw new ToolError(
+      ErrorCode.NOT_FOUND,
+      `Status "${target}" not found in team ${team.name}. Available states: ${
+        available || 'none'
+      }`,
+      {
+        nextStep:
+          'Use one of the available states, or call list_workflow_states to see the states of each team.',
+      }
+    );
+  }
+
+  logger?.debug(`Resolved state "${target}" to ${match.name} (${match.id})`);
+  return match;
+}
+
+/**
+ * Resolves a workflow state of an issue's team from its name or type
+ *
+ * @param {import('@linear/sdk').LinearClient} client - Linear client from SDK
+ * @param {any} issue - Issue returned by the Linear SDK
+ * @param {string} target - State name, type or alias
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger] - Optional logger
+ * @returns {Promise<any>} The matching workflow state
+ * @throws {Error} If the issue has no team or the state cannot be found
+ */
+export async function resolveIssueWorkflowState(client, issue, target, logger) {
+  const team = await issue.team;
+
+  if (!team) {
+    throw new Error(
+      `Could not determine the team of issue ${issue.identifier || issue.id}`
+    );
+  }
+
+  return resolveWorkflowState(client, team, target, logger);
+}
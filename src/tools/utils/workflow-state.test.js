@@ -0,0 +1,103 @@
+/**
+ * Tests for workflow state utilities
+ */
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { createCache } from '../../effects/cache/mod.js';
+import { withMetadataCache } from './metadata-cache.js';
+import {
+  findWorkflowState,
+  resolveWorkflowState,
+  sortWorkflowStates,
+} from './workflow-state.js';
+
+const states = [
+  { id: 's-done', name: 'Done', type: 'completed', position: 0 },
+  { id: 's-review', name: 'In Review', type: 'started', position: 2 },
+  { id: 's-progress', name: 'In Progress', type: 'started', position: 1 },
+  { id: 's-backlog', name: 'Backlog', type: 'backlog', position: 0 },
+  { id: 's-canceled', name: 'Canceled', type: 'canceled', position: 0 },
+  { id: 's-todo', name: 'Todo', type: 'unstarted', position: 0 },
+  { id: 's-triage', name: 'Triage', type: 'triage', position: 0 },
+];
+
+describe('sortWorkflowStates', () => {
+  it('should order states by type and then position', () => {
+    assert.deepStrictEqual(
+      sortWorkflowStates(states).map(state => state.id),
+      [
+        's-triage',
+        's-backlog',
+        's-todo',
+        's-progress',
+        's-review',
+        's-done',
+        's-canceled',
+      ]
+    );
+  });
+});
+
+describe('findWorkflowState', () => {
+  it('should match state IDs', () => {
+    assert.strictEqual(findWorkflowState(states, 's-review').id, 's-review');
+  });
+
+  it('should match state names case-insensitively', () => {
+    assert.strictEqual(findWorkflowState(states, 'in review').id, 's-review');
+  });
+
+  it('should match the first state of a type', () => {
+    assert.strictEqual(findWorkflowState(states, 'started').id, 's-progress');
+  });
+
+  it('should understand common aliases', () => {
+    assert.strictEqual(findWorkflowState(states, 'cancelled').id, 's-canceled');
+  });
+
+  it('should prefer a state name over a type alias', () => {
+    const custom = [
+      { id: 's-shipped', name: 'Shipped', type: 'completed', position: 0 },
+      { id: 's-done', name: 'Done', type: 'completed', position: 1 },
+    ];
+    assert.strictEqual(findWorkflowState(custom, 'done').id, 's-done');
+  });
+
+  it('should return undefined for unknown states', () => {
+    assert.strictEqual(findWorkflowState(states, 'Blocked'), undefined);
+  });
+});
+
+describe('resolveWorkflowState', () => {
+  const team = { id: 'team-1', name: 'Engineering' };
+  /**
+   * Creates a mock client with the team's states
+   * @returns {Object} Mock Linear client
+   */
+  const createClient = () => ({
+    workflowStates: mock.fn(async () => ({ nodes: states })),
+  });
+
+  it('should list the available states when nothing matches', async () => {
+    await assert.rejects(
+      resolveWorkflowState(createClient(), team, 'Blocked'),
+      /Status "Blocked" not found in team Engineering\. Available states: Triage, Backlog, Todo, In Progress, In Review, Done, Canceled/
+    );
+  });
+
+  it('should look states up in the metadata cache', async () => {
+    const client = withMetadataCache(createClient(), createCache());
+
+    assert.strictEqual(
+      (await resolveWorkflowState(client, team, 'Todo')).type,
+      'unstarted'
+    );
+    await resolveWorkflowState(client, team, 'done');
+
+    assert.strictEqual(client.workflowStates.mock.callCount(), 1);
+    assert.deepStrictEqual(
+      client.workflowStates.mock.calls[0].arguments[0].filter,
+      { team: { id: { eq: 'team-1' } } }
+    );
+  });
+});
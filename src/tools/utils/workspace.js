@@ -0,0 +1,122 @@
+/**
+ * Workspace utilities
+ *
+ * A server configured with named workspaces acts in several Linear
+ * workspaces at once. Every tool takes an optional `workspace` argument that
+ * picks the credentials a call acts with, and its output names the workspace
+ * the result came from.
+ */
+import { z } from 'zod';
+import { ErrorCode, ToolError } from './errors.js';
+
+/**
+ * Schema of the `workspace` argument every tool takes
+ */
+export const WorkspaceSchema = z
+  .string()
+  .min(1)
+  .optional()
+  .describe(
+    'Name of the Linear workspace to use, as listed by list_workspaces. Defaults to the default workspace'
+  );
+
+/**
+ * @typedef {Object} SelectedWorkspace
+ * @property {string} [name] - Name of the workspace, when the server has named workspaces
+ * @property {import('./linear-client.js').LinearClientContext} ctx - Tool context acting with the workspace's credentials
+ */
+
+/**
+ * Selects the workspace a tool call acts in
+ *
+ * Without named workspaces the context is returned as is, so the call acts
+ * with the session's own credentials. Named workspaces each cache their
+ * metadata apart from the others.
+ *
+ * @param {import('./linear-client.js').LinearClientContext} ctx - Tool context
+ * @param {string} [name] - Requested workspace, or the default one when not given
+ * @returns {SelectedWorkspace} The workspace and the context to call the tool with
+ * @throws {Error} If the workspace is unknown
+ */
+export function selectWorkspace(ctx, name) {
+  const { workspaces, defaultWorkspace } = ctx.config;
+
+  if (!workspaces) {
+    if (name) {
+      throw new ToolError(
+        ErrorCode.VALIDATION,
+        `Unknown workspace "${name}". This server has no named workspaces`,
+        { nextStep: 'Leave out the workspace argument.' }
+      );
+    }
+    return { ctx };
+  }
+
+  const selected = name || defaultWorkspace;
+  const apiKey = workspaces[selected];
+  if (!apiKey) {
+    throw new ToolError(
+      ErrorCode.VALIDATION,
+      `Unknown workspace "${selected}". Available workspaces: ${Object.keys(
+        workspaces
+      ).join(', ')}`,
+      {
+        nextStep:
+          'Use one of the available workspaces, or call list_workspaces to see what each one is.',
+      }
+    );
+  }
+
+  return {
+    name: selected,
+    ctx: {
+      ...ctx,
+      effects: {
+        ...ctx.effects,
+        cache: ctx.effects?.cache?.scope(selected),
+      },
+      config: {
+        ...ctx.config,
+        linearApiKey: apiKey,
+        linearAccessToken: undefined,
+      },
+    },
+  };
+}
+
+/**
+ * Labels a tool response with the workspace it came from
+ *
+ * The text starts with the workspace name, and structured content gets a
+ * `workspace` field.
+ *
+ * @param {import('../types/mod.js').McpToolResponse} response - Tool response
+ * @param {string} [name] - Workspace name, if the server has named workspaces
+ * @returns {import('../types/mod.js').McpToolResponse} The labelled response
+ */
+export function labelWorkspace(response, name) {
+  if (!name) {
+    return response;
+  }
+
+  const [first, ...rest] = response.content;
+  if (!first) {
+    return response;
+  }
+
+  const labelled = {
+    ...response,
+    content: [
+      { ...first, text: `Workspace: ${name}\n\n${first.text}` },
+      ...rest,
+    ],
+  };
+  if (response.structuredContent) {
+    labelled.structuredContent = {
+      ...response.structuredContent,
+      workspace: name,
+    };
+  }
+
+  return labelled;
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for workspace utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { z } from 'zod';
+import { createCache } from '../../effects/cache/mod.js';
+import { create_tool } from './create-tool.js';
+import { labelWorkspace, selectWorkspace } from './workspace.js';
+
+const config = {
+  linearApiKey: 'lin_api_product',
+  workspaces: { product: 'lin_api_product', labs: 'lin_api_labs' },
+  defaultWorkspace: 'product',
+};
+
+// A tool that answers with the API key it acts with
+const WhoAmI = create_tool({
+  name: 'who_am_i',
+  description: 'Shows the API key of the call',
+  inputSchema: z.object({}),
+  handler: async ctx => ({
+    content: [{ type: 'text', text: ctx.config.linearApiKey }],
+  }),
+});
+
+describe('selectWorkspace', () => {
+  it('should act with the credentials of the requested workspace', () => {
+    const ctx = /** @type {any} */ ({
+      config: { ...config, linearAccessToken: 'lin_oauth_x' },
+    });
+
+    const selected = selectWorkspace(ctx, 'labs');
+
+    assert.strictEqual(selected.name, 'labs');
+    assert.strictEqual(selected.ctx.config.linearApiKey, 'lin_api_labs');
+    assert.strictEqual(selected.ctx.config.linearAccessToken, undefined);
+    assert.strictEqual(selectWorkspace(ctx).name, 'product');
+  });
+
+  it('should cache metadata apart for each workspace', async () => {
+    const ctx = /** @type {any} */ ({
+      config,
+      effects: { cache: createCache() },
+    });
+
+    await selectWorkspace(ctx, 'labs').ctx.effects.cache.set('teams', 'all', [
+      'LAB',
+    ]);
+
+    assert.deepStrictEqual(
+      await selectWorkspace(ctx, 'labs').ctx.effects.cache.get('teams', 'all'),
+      ['LAB']
+    );
+    assert.strictEqual(
+      await selectWorkspace(ctx).ctx.effects.cache.get('teams', 'all'),
+      undefined
+    );
+  });
+
+  it('should keep the session credentials without named workspaces', () => {
+    const ctx = /** @type {any} */ ({
+      config: { linearApiKey: 'lin_api_session' },
+    });
+
+    assert.deepStrictEqual(selectWorkspace(ctx), { ctx });
+    assert.throws(
+      () => selectWorkspace(ctx, 'labs'),
+      /Unknown workspace "labs". This server has no named workspaces/
+    );
+  });
+
+  it('should list the available workspaces for an unknown one', () => {
+    assert.throws(
+      () => selectWorkspace(/** @type {any} */ ({ config }), 'ops'),
+      /Unknown workspace "ops". Available workspaces: product, labs/
+    );
+  });
+});
+
+describe('labelWorkspace', () => {
+  it('should prefix the first content item with the workspace', () => {
+    /** @type {import('../types/mod.js').McpToolResponse} */
+    const response = { content: [{ type: 'text', text: 'Done' }] };
+
+    assert.strictEqual(
+      labelWorkspace(response, 'labs').content[0].text,
+      'Workspace: labs\n\nDone'
+    );
+    assert.strictEqual(labelWorkspace(response, undefined), response);
+  });
+});
+
+describe('create_tool workspace argument', () => {
+  it('should call the tool in the requested workspace', async () => {
+    const tool = new WhoAmI({ config });
+
+    assert.ok('workspace' in tool.shape);
+    assert.strictEqual(
+      (await tool.call({ workspace: 'labs' })).content[0].text,
+      'Workspace: labs\n\nlin_api_labs'
+    );
+    assert.strictEqual(
+      (await tool.call({})).content[0].text,
+      'Workspace: product\n\nlin_api_product'
+    );
+  });
+
+  it('should report an unknown workspace as a tool error', async () => {
+    const tool = new WhoAmI({ config });
+
+    const response = await tool.call({ workspace: 'ops' });
+
+    assert.strictEqual(response.isError, true);
+    assert.match(
+      response.content[0].text,
+      /Available workspaces: product, labs/
+    );
+  });
+});
@@ -0,0 +1,466 @@
+/**
+ * HTTP transport for the MCP server
+ *
+ * Serves the Streamable HTTP transport on `/mcp`. Clients that only speak
+ * the older HTTP+SSE protocol revision open an event stream on `/sse` and
+ * post their messages to `/messages`. Every client session gets its own
+ * McpServer, so sessions never share protocol state.
+ *
+ * A session is authenticated by the request that opens it, and every later
+ * request of the session must carry the same credentials. Streamable HTTP
+ * sessions that see no requests for a while are closed, since clients that
+ * go away without ending their session would otherwise keep it forever.
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import {
+  describeSessionCredential,
+  isSameCredential,
+} from '../utils/credentials/mod.js';
+
+/**
+ * Path of the Streamable HTTP endpoint
+ */
+export const MCP_PATH = '/mcp';
+
+/**
+ * Path clients of the HTTP+SSE transport open their event stream on
+ */
+export const SSE_PATH = '/sse';
+
+/**
+ * Path clients of the HTTP+SSE transport post their messages to
+ */
+export const SSE_MESSAGES_PATH = '/messages';
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * How long a Streamable HTTP session may go without requests, in milliseconds
+ */
+export const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * Longest time between two checks for idle sessions, in milliseconds
+ */
+const MAX_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Raised when a request body is larger than MAX_BODY_SIZE
+ */
+class PayloadTooLargeError extends Error {
+  constructor() {
+    super(`Request body is larger than ${MAX_BODY_SIZE} bytes`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {StreamableHTTPServerTransport|SSEServerTransport} transport - Transport of the session
+ * @property {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - Server connected to the transport
+ * @property {import('../utils/credentials/mod.js').SessionCredential} credential - Credential the session was opened with
+ * @property {number} lastActiveAt - When the session last got a request, in milliseconds
+ */
+
+/**
+ * @typedef {Object} HttpServerHandle
+ * @property {string} url - Base URL the server listens on
+ * @property {Map<string, Session>} sessions - Open sessions by session ID
+ * @property {() => Promise<void>} close - Closes every session and stops listening
+ */
+
+/**
+ * Sends a JSON-RPC error response that isn't tied to a request
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(
+    JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null })
+  );
+}
+
+/**
+ * Sends a 401 response for a request without valid credentials
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} message - Why the credentials were rejected
+ */
+function sendUnauthorized(res, message) {
+  res.setHeader('WWW-Authenticate', 'Bearer realm="mcp-linear"');
+  sendJsonRpcError(res, 401, -32001, message);
+}
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<any>} Parsed body
+ * @throws {SyntaxError} When the body isn't valid JSON
+ * @throws {PayloadTooLargeError} When the body is larger than MAX_BODY_SIZE
+ */
+async function readJsonBody(req) {
+  if (Number(req.headers['content-length']) > MAX_BODY_SIZE) {
+    throw new PayloadTooLargeError();
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw new PayloadTooLargeError();
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Starts an HTTP server for MCP clients
+ *
+ * @param {Object} options - Server options
+ * @param {(req: http.IncomingMessage) => import('../utils/credentials/mod.js').SessionCredential} options.authenticate - Resolves the credential of a request, throwing when there is none
+ * @param {(credential: import('../utils/credentials/mod.js').SessionCredential) => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} options.createServer - Creates the MCP server of a new session
+ * @param {string} options.host - Host to listen on
+ * @param {number} options.port - Port to listen on, 0 for any free port
+ * @param {number} [options.sessionIdleTimeout=DEFAULT_SESSION_IDLE_TIMEOUT] - Milliseconds after which Streamable HTTP sessions without requests are closed
+ * @param {import('../effects/logging/mod.js').LoggingEffect} options.logger - Logger
+ * @returns {Promise<HttpServerHandle>} The running server
+ */
+export async function startHttpServer({
+  authenticate,
+  createServer,
+  host,
+  port,
+  sessionIdleTimeout = DEFAULT_SESSION_IDLE_TIMEOUT,
+  logger,
+}) {
+  /** @type {Map<string, Session>} */
+  const sessions = new Map();
+
+  /**
+   * Closes the MCP server of a session, logging instead of failing
+   *
+   * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - Server to close
+   */
+  const closeServer = async server => {
+    try {
+      await server.close();
+    } catch (error) {
+      logger.warn(`Error closing session: ${error.message}`);
+    }
+  };
+
+  /**
+   * Closes Streamable HTTP sessions that went without requests for too long
+   *
+   * SSE sessions end with their event stream, so only Streamable HTTP
+   * sessions can be left behind by clients that went away.
+   */
+  const closeIdleSessions = async () => {
+    const idleSince = Date.now() - sessionIdleTimeout;
+
+    for (const [sessionId, session] of sessions) {
+      if (
+        session.transport instanceof StreamableHTTPServerTransport &&
+        session.lastActiveAt < idleSince
+      ) {
+        sessions.delete(sessionId);
+        logger.info(`Closed idle session ${sessionId} (${sessions.size} open)`);
+        await closeServer(session.server);
+      }
+    }
+  };
+
+  const sweep = setInterval(
+    () => closeIdleSessions(),
+    Math.min(sessionIdleTimeout, MAX_SWEEP_INTERVAL)
+  );
+  sweep.unref();
+
+  /**
+   * Forgets a session once its transport closed
+   *
+   * @param {string|undefined} sessionId - Session ID
+   */
+  const forgetSession = sessionId => {
+    if (sessionId && sessions.delete(sessionId)) {
+      logger.info(`Closed session ${sessionId} (${sessions.size} open)`);
+    }
+  };
+
+  /**
+   * Resolves the credential of a request, answering 401 when there is none
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @returns {import('../utils/credentials/mod.js').SessionCredential|undefined} The credential, if valid
+   */
+  const authenticateRequest = (req, res) => {
+    try {
+      return authenticate(req);
+    } catch (error) {
+      logger.warn(`Rejected ${req.method} ${req.url}: ${error.message}`);
+      sendUnauthorized(res, error.message);
+      return undefined;
+    }
+  };
+
+  /**
+   * Checks that a request carries the credentials its session was opened with
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {Session} session - Session the request belongs to
+   * @returns {boolean} Whether the request may use the session
+   */
+  const authorizeSessionRequest = (req, res, session) => {
+    const credential = authenticateRequest(req, res);
+    if (!credential) {
+      return false;
+    }
+
+    if (!isSameCredential(credential, session.credential)) {
+      logger.warn(`Rejected ${req.method} ${req.url}: credentials changed`);
+      sendJsonRpcError(
+        res,
+        403,
+        -32001,
+        'Credentials do not match the ones the session was opened with'
+      );
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Handles a request to the Streamable HTTP endpoint
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  const handleStreamableRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (typeof sessionId === 'string') {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(
+          res,
+          400,
+          -32000,
+          `Session ${sessionId} uses the SSE transport`
+        );
+        return;
+      }
+      if (!authorizeSessionRequest(req, res, session)) {
+        return;
+      }
+
+      session.lastActiveAt = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(
+        res,
+        400,
+        -32000,
+        'Bad Request: No valid session ID provided'
+      );
+      return;
+    }
+
+    const credential = authenticateRequest(req, res);
+    if (!credential) {
+      return;
+    }
+
+    const server = createServer(credential);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: newSessionId => {
+        sessions.set(newSessionId, {
+          transport,
+          server,
+          credential,
+          lastActiveAt: Date.now(),
+        });
+        logger.info(
+          `Opened Streamable HTTP session ${newSessionId} with ${describeSessionCredential(credential)} (${sessions.size} open)`
+        );
+      },
+    });
+    transport.onclose = () => forgetSession(transport.sessionId);
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // A failed initialization leaves no session that would close the server
+      if (!transport.sessionId || !sessions.has(transport.sessionId)) {
+        await closeServer(server);
+      }
+    }
+  };
+
+  /**
+   * Opens the event stream of an HTTP+SSE session
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  const handleSseStream = async (req, res) => {
+    const credential = authenticateRequest(req, res);
+    if (!credential) {
+      return;
+    }
+
+    const server = createServer(credential);
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    sessions.set(transport.sessionId, {
+      transport,
+      server,
+      credential,
+      lastActiveAt: Date.now(),
+    });
+    transport.onclose = () => forgetSession(transport.sessionId);
+    res.on('close', () => forgetSession(transport.sessionId));
+
+    logger.info(
+      `Opened SSE session ${transport.sessionId} with ${describeSessionCredential(credential)} (${sessions.size} open)`
+    );
+    await server.connect(transport);
+  };
+
+  /**
+   * Handles a message posted by a client of the HTTP+SSE transport
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {URL} url - Request URL
+   */
+  const handleSseMessage = async (req, res, url) => {
+    const sessionId = url.searchParams.get('sessionId');
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    if (!authorizeSessionRequest(req, res, session)) {
+      return;
+    }
+
+    session.lastActiveAt = Date.now();
+    await session.transport.handlePostMessage(
+      req,
+      res,
+      await readJsonBody(req)
+    );
+  };
+
+  /**
+   * Routes a request to its handler
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    logger.debug(`${req.method} ${url.pathname}`);
+
+    if (url.pathname === MCP_PATH) {
+      if (!['GET', 'POST', 'DELETE'].includes(req.method || '')) {
+        res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+        return;
+      }
+      await handleStreamableRequest(req, res);
+    } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+      await handleSseStream(req, res);
+    } else if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+      await handleSseMessage(req, res, url);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (error instanceof SyntaxError) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+      if (error instanceof PayloadTooLargeError) {
+        logger.warn(`Rejected ${req.method} ${req.url}: ${error.message}`);
+        res.setHeader('Connection', 'close');
+        sendJsonRpcError(res, 413, -32600, error.message);
+        return;
+      }
+
+      logger.error(`Error handling ${req.method} ${req.url}: ${error.message}`);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve(undefined);
+    });
+  });
+
+  const address = /** @type {import('node:net').AddressInfo} */ (
+    httpServer.address()
+  );
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+  logger.info(
+    `Listening on ${url}${MCP_PATH} (SSE clients: ${url}${SSE_PATH})`
+  );
+
+  return {
+    url,
+    sessions,
+    close: async () => {
+      logger.info(`Shutting down with ${sessions.size} open session(s)`);
+      clearInterval(sweep);
+
+      await Promise.all(
+        [...sessions.values()].map(({ server }) => closeServer(server))
+      );
+      sessions.clear();
+
+      await new Promise(resolve => {
+        httpServer.close(() => resolve(undefined));
+        httpServer.closeAllConnections();
+      });
+      logger.info('HTTP server stopped');
+    },
+  };
+}
@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import fs from 'fs/promises';
+import { CACHE_KINDS } from '../../effects/cache/mod.js';
 import { noopLogger } from '../../effects/logging/mod.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -12,17 +13,25 @@ const rootDir = resolve(__dirname, '../../..');
 
 /**
  * @typedef {Object} Config
- * @property {string} linearApiKey - Linear API key
+ * @property {string} [linearApiKey] - Linear API key used when a session doesn't bring its own
+ * @property {string} [linearAccessToken] - Linear OAuth access token a session brought
+ * @property {import('../../effects/linear/oauth.js').OAuthConfig} [oauth] - Linear OAuth application, when using OAuth
+ * @property {Record<string, string>} [apiKeyRegistry] - Linear API keys by the token sessions authenticate with
+ * @property {Record<string, string>} [workspaces] - Linear API keys by workspace name, when the server acts in several workspaces
+ * @property {string} [defaultWorkspace] - Workspace tools use when no workspace is given
+ * @property {boolean} [allowAnonymous] - Whether HTTP sessions without an Authorization header may use the server's credentials
+ * @property {CacheConfig} [cache] - Metadata cache settings
+ * @property {import('../../tools/utils/tool-policy.js').ToolPolicy} [tools] - Which tools the server offers
  */
 
 /**
- * Get application configuration from environment variables or .env file
+ * Load environment variables from the .env and .env.local files in the
+ * project root, without overriding variables that are already set
  *
  * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger=noopLogger] - Logger to use
- * @throws Error if required environment variables are not set
- * @returns {Promise<Config>} Config object with all required configuration
+ * @returns {Promise<void>}
  */
-export async function getConfig(logger = noopLogger) {
+export async function loadEnvFiles(logger = noopLogger) {
   // Try to load configuration from .env file
   try {
     // Look for .env file in project root
@@ -49,15 +58,444 @@ export async function getConfig(logger = noopLogger) {
   } catch (error) {
     logger.warn(`Could not load .env file: ${error.message}`);
   }
+}
+
+/**
+ * Load the Linear API key registry, a JSON file mapping the tokens sessions
+ * authenticate with to the Linear API keys they act with
+ *
+ * @param {string} filePath - Path of the registry file
+ * @throws Error if the file can't be read or isn't a map of tokens to keys
+ * @returns {Promise<Record<string, string>>} Linear API keys by token
+ */
+export async function loadApiKeyRegistry(filePath) {
+  let registry;
+  try {
+    registry = JSON.parse(
+      await fs.readFile(resolve(rootDir, filePath), 'utf8')
+    );
+  } catch (error) {
+    throw new Error(
+      `Could not read Linear API key registry ${filePath}: ${error.message}`
+    );
+  }
+
+  if (
+    typeof registry !== 'object' ||
+    registry === null ||
+    Array.isArray(registry) ||
+    !Object.values(registry).every(apiKey => typeof apiKey === 'string')
+  ) {
+    throw new Error(
+      `Linear API key registry ${filePath} must be a JSON object mapping tokens to Linear API keys`
+    );
+  }
+
+  return registry;
+}
+
+/**
+ * Scopes requested when LINEAR_OAUTH_SCOPES isn't set
+ */
+const DEFAULT_OAUTH_SCOPES = ['read', 'write'];
+
+/**
+ * Get the Linear OAuth application configuration from environment variables
+ *
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if a client ID is set without a client secret
+ * @returns {import('../../effects/linear/oauth.js').OAuthConfig|undefined} OAuth configuration, if a client ID is set
+ */
+export function getOAuthConfig(env = process.env) {
+  const clientId = env.LINEAR_OAUTH_CLIENT_ID;
+  if (!clientId) {
+    return undefined;
+  }
+
+  const clientSecret = env.LINEAR_OAUTH_CLIENT_SECRET;
+  if (!clientSecret) {
+    throw new Error(
+      'LINEAR_OAUTH_CLIENT_SECRET must be set along with LINEAR_OAUTH_CLIENT_ID'
+    );
+  }
+
+  const scopes = env.LINEAR_OAUTH_SCOPES
+    ? env.LINEAR_OAUTH_SCOPES.split(/[\s,]+/).filter(Boolean)
+    : DEFAULT_OAUTH_SCOPES;
+
+  return {
+    clientId,
+    clientSecret,
+    scopes,
+    redirectUri:
+      env.LINEAR_OAUTH_REDIRECT_URI || 'http://localhost:8765/oauth/callback',
+    tokenFile: resolve(
+      rootDir,
+      env.LINEAR_OAUTH_TOKEN_FILE || '.linear-oauth-token.json'
+    ),
+  };
+}
+
+/**
+ * Prefix of the environment variables naming workspaces
+ */
+const WORKSPACE_ENV_PREFIX = 'LINEAR_WORKSPACE_';
+
+/**
+ * @typedef {Object} WorkspaceConfig
+ * @property {Record<string, string>} workspaces - Linear API keys by workspace name
+ * @property {string} defaultWorkspace - Workspace tools use when no workspace is given
+ */
+
+/**
+ * Get the named workspaces from environment variables
+ *
+ * Every `LINEAR_WORKSPACE_<NAME>` variable holds the Linear API key of a
+ * workspace. Names are lowercased with underscores turned into hyphens, so
+ * `LINEAR_WORKSPACE_ACME_LABS` is the workspace "acme-labs".
+ * LINEAR_DEFAULT_WORKSPACE picks the default, which is otherwise the first
+ * workspace by name.
+ *
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if LINEAR_DEFAULT_WORKSPACE names an unknown workspace
+ * @returns {WorkspaceConfig|undefined} Workspace configuration, if any workspace is set
+ */
+export function getWorkspaceConfig(env = process.env) {
+  /** @type {Record<string, string>} */
+  const workspaces = {};
+  for (const [variable, apiKey] of Object.entries(env)) {
+    if (!variable.startsWith(WORKSPACE_ENV_PREFIX) || !apiKey) {
+      continue;
+    }
+    const name = variable
+      .slice(WORKSPACE_ENV_PREFIX.length)
+      .toLowerCase()
+      .replace(/_/g, '-');
+    workspaces[name] = apiKey;
+  }
+
+  const names = Object.keys(workspaces).sort();
+  if (names.length === 0) {
+    return undefined;
+  }
+
+  const defaultWorkspace = env.LINEAR_DEFAULT_WORKSPACE || names[0];
+  if (!workspaces[defaultWorkspace]) {
+    throw new Error(
+      `LINEAR_DEFAULT_WORKSPACE is "${defaultWorkspace}", but there is no such workspace. Configured workspaces are: ${names.join(', ')}`
+    );
+  }
+
+  return { workspaces, defaultWorkspace };
+}
+
+/**
+ * @typedef {Object} CacheConfig
+ * @property {string} [file] - File the metadata cache is persisted to between restarts
+ * @property {Partial<Record<import('../../effects/cache/mod.js').CacheKind, number>>} ttls - Cache lifetimes in milliseconds overriding the defaults
+ */
+
+/**
+ * Get the metadata cache settings from environment variables
+ *
+ * LINEAR_CACHE_FILE persists the cache to a file. `LINEAR_CACHE_TTL_<KIND>`
+ * variables set how many seconds each kind is kept, e.g.
+ * `LINEAR_CACHE_TTL_LABELS=60`; 0 turns caching of that kind off.
+ *
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if a lifetime isn't a whole number of seconds
+ * @returns {CacheConfig} Cache configuration
+ */
+export function getCacheConfig(env = process.env) {
+  /** @type {CacheConfig['ttls']} */
+  const ttls = {};
+  for (const kind of CACHE_KINDS) {
+    const variable = `LINEAR_CACHE_TTL_${kind.toUpperCase()}`;
+    const value = env[variable]?.trim();
+    if (!value) {
+      continue;
+    }
+    if (!/^\d+$/.test(value)) {
+      throw new Error(
+        `Invalid ${variable} "${value}". Use a whole number of seconds`
+      );
+    }
+    ttls[kind] = Number(value) * 1000;
+  }
+
+  return {
+    file: env.LINEAR_CACHE_FILE
+      ? resolve(rootDir, env.LINEAR_CACHE_FILE)
+      : undefined,
+    ttls,
+  };
+}
+
+/**
+ * Values boolean settings like LINEAR_READ_ONLY are turned on and off with
+ */
+const BOOLEAN_VALUES = {
+  true: true,
+  1: true,
+  yes: true,
+  false: false,
+  0: false,
+  no: false,
+};
+
+/**
+ * Reads a boolean setting from an environment variable
+ *
+ * @param {Record<string, string|undefined>} env - Environment variables
+ * @param {string} name - Name of the variable
+ * @throws Error if the variable is set to something other than a boolean
+ * @returns {boolean|undefined} The setting, if the variable is set
+ */
+function getBooleanEnv(env, name) {
+  const value = env[name]?.trim().toLowerCase();
+  if (!value) {
+    return undefined;
+  }
+  if (!Object.hasOwn(BOOLEAN_VALUES, value)) {
+    throw new Error(`Invalid ${name} "${env[name]}". Use true or false`);
+  }
+  return BOOLEAN_VALUES[/** @type {keyof typeof BOOLEAN_VALUES} */ (value)];
+}
+
+/**
+ * Splits a list of tool names or globs separated by commas or whitespace
+ *
+ * @param {string} value - Tool names or globs
+ * @returns {string[]} Tool names or globs
+ */
+function parseToolPatterns(value) {
+  return value.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Load a tool policy file, a JSON object with optional `readOnly`, `allow`
+ * and `deny` fields
+ *
+ * @param {string} filePath - Path of the tool policy file
+ * @throws Error if the file can't be read or its fields have the wrong types
+ * @returns {Promise<import('../../tools/utils/tool-policy.js').ToolPolicy>} Tool policy
+ */
+export async function loadToolPolicyFile(filePath) {
+  let policy;
+  try {
+    policy = JSON.parse(await fs.readFile(resolve(rootDir, filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `Could not read tool configuration ${filePath}: ${error.message}`
+    );
+  }
+
+  /**
+   * @param {unknown} list - Field value
+   * @returns {boolean} Whether it's missing or a list of strings
+   */
+  const isPatternList = list =>
+    list === undefined ||
+    (Array.isArray(list) && list.every(item => typeof item === 'string'));
+
+  if (
+    typeof policy !== 'object' ||
+    policy === null ||
+    Array.isArray(policy) ||
+    !['boolean', 'undefined'].includes(typeof policy.readOnly) ||
+    !isPatternList(policy.allow) ||
+    !isPatternList(policy.deny)
+  ) {
+    throw new Error(
+      `Tool configuration ${filePath} must be a JSON object with an optional boolean "readOnly" and optional "allow" and "deny" lists of tool names or globs`
+    );
+  }
+
+  return { readOnly: policy.readOnly, allow: policy.allow, deny: policy.deny };
+}
+
+/**
+ * Get which tools the server offers from environment variables and the tool
+ * configuration file
+ *
+ * LINEAR_TOOLS_CONFIG names a JSON file with `readOnly`, `allow` and `deny`
+ * fields. LINEAR_READ_ONLY, LINEAR_TOOLS_ALLOW and LINEAR_TOOLS_DENY, lists
+ * separated by commas, take precedence over the file's fields.
+ *
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if LINEAR_READ_ONLY isn't a boolean or the file is invalid
+ * @returns {Promise<import('../../tools/utils/tool-policy.js').ToolPolicy>} Tool policy
+ */
+export async function getToolPolicy(env = process.env) {
+  const file = env.LINEAR_TOOLS_CONFIG
+    ? await loadToolPolicyFile(env.LINEAR_TOOLS_CONFIG)
+    : {};
+
+  const readOnly =
+    getBooleanEnv(env, 'LINEAR_READ_ONLY') ?? file.readOnly ?? false;
+
+  return {
+    readOnly,
+    allow: env.LINEAR_TOOLS_ALLOW
+      ? parseToolPatterns(env.LINEAR_TOOLS_ALLOW)
+      : file.allow,
+    deny: env.LINEAR_TOOLS_DENY
+      ? parseToolPatterns(env.LINEAR_TOOLS_DENY)
+      : file.deny || [],
+  };
+}
+
+/**
+ * Get whether HTTP clients without an Authorization header may act with the
+ * server's own credentials
+ *
+ * Off unless MCP_ALLOW_ANONYMOUS is set, so anyone who can reach the server
+ * doesn't get its API key, OAuth token or workspaces by just leaving the
+ * header out.
+ *
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if MCP_ALLOW_ANONYMOUS isn't a boolean
+ * @returns {boolean} Whether anonymous clients may use the server's credentials
+ */
+export function getAllowAnonymous(env = process.env) {
+  return getBooleanEnv(env, 'MCP_ALLOW_ANONYMOUS') ?? false;
+}
+
+/**
+ * Get application configuration from environment variables or .env file
+ *
+ * The global LINEAR_API_KEY is optional, since HTTP sessions can bring their
+ * own credentials and the server can use OAuth instead. With named workspaces
+ * it defaults to the key of the default workspace. HTTP sessions only fall
+ * back to these credentials when MCP_ALLOW_ANONYMOUS is set.
+ *
+ * @param {import('../../effects/logging/mod.js').LoggingEffect} [logger=noopLogger] - Logger to use
+ * @throws Error if the API key registry can't be loaded, OAuth is misconfigured, the default workspace is unknown, MCP_ALLOW_ANONYMOUS isn't a boolean, a cache lifetime is invalid or the tool configuration is
+ * @returns {Promise<Config>} Config object with all required configuration
+ */
+export async function getConfig(logger = noopLogger) {
+  await loadEnvFiles(logger);
 
   // Get config from environment variables
-  const linearApiKey = process.env.LINEAR_API_KEY;
-  if (!linearApiKey) {
-    throw new Error('LINEAR_API_KEY environment variable is not set');
+  const workspaceConfig = getWorkspaceConfig();
+  if (workspaceConfig) {
+    logger.info(
+      `Configured workspaces: ${Object.keys(workspaceConfig.workspaces).join(', ')} (default: ${workspaceConfig.defaultWorkspace})`
+    );
+  }
+
+  const linearApiKey =
+    process.env.LINEAR_API_KEY ||
+    workspaceConfig?.workspaces[workspaceConfig.defaultWorkspace];
+  const oauth = getOAuthConfig();
+  if (!linearApiKey && !oauth) {
+    logger.info('LINEAR_API_KEY is not set, sessions must bring their own');
+  }
+
+  const allowAnonymous = getAllowAnonymous();
+  if (allowAnonymous && (linearApiKey || oauth)) {
+    logger.warn(
+      "MCP_ALLOW_ANONYMOUS is set: HTTP clients without an Authorization header act with the server's credentials"
+    );
+  }
+
+  const registryPath = process.env.LINEAR_API_KEY_REGISTRY;
+  const apiKeyRegistry = registryPath
+    ? await loadApiKeyRegistry(registryPath)
+    : undefined;
+  if (apiKeyRegistry) {
+    logger.info(
+      `Loaded ${Object.keys(apiKeyRegistry).length} tokens from the Linear API key registry`
+    );
+  }
+
+  const cache = getCacheConfig();
+  if (cache.file) {
+    logger.info(`Persisting the metadata cache to ${cache.file}`);
+  }
+
+  const tools = await getToolPolicy();
+  if (tools.readOnly) {
+    logger.info('Read-only mode: tools that write to Linear are disabled');
   }
 
   return {
     linearApiKey,
+    allowAnonymous,
+    apiKeyRegistry,
+    oauth,
+    cache,
+    tools,
+    ...workspaceConfig,
+  };
+}
+
+/**
+ * @typedef {Object} TransportOptions
+ * @property {'stdio'|'http'} transport - How MCP clients connect to the server
+ * @property {string} host - Host the HTTP transport listens on
+ * @property {number} port - Port the HTTP transport listens on
+ */
+
+/**
+ * Transports the server can be started with
+ */
+export const TRANSPORTS = ['stdio', 'http'];
+
+/**
+ * Get the transport options from command line flags, falling back to the
+ * MCP_TRANSPORT, MCP_HOST and MCP_PORT environment variables
+ *
+ * Flags are given as `--transport http` or `--transport=http`.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
+ * @param {Record<string, string|undefined>} [env=process.env] - Environment variables
+ * @throws Error if an option is unknown or has an invalid value
+ * @returns {TransportOptions} Transport options
+ */
+export function getTransportOptions(
+  argv = process.argv.slice(2),
+  env = process.env
+) {
+  const flags = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const match = argv[index].match(/^--(transport|host|port)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(
+        `Unknown option "${argv[index]}". Valid options are --transport, --host and --port`
+      );
+    }
+
+    const [, name, inlineValue] = match;
+    const value = inlineValue ?? argv[++index];
+    if (!value || value.startsWith('--')) {
+      throw new Error(`Option --${name} needs a value`);
+    }
+    flags[name] = value;
+  }
+
+  const transport = (flags.transport || env.MCP_TRANSPORT || 'stdio')
+    .trim()
+    .toLowerCase();
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(
+      `Unknown transport "${transport}". Valid transports are: ${TRANSPORTS.join(', ')}`
+    );
+  }
+
+  const portValue = String(flags.port || env.MCP_PORT || '3000').trim();
+  const port = Number(portValue);
+  if (!/^\d+$/.test(portValue) || port > 65535) {
+    throw new Error(
+      `Invalid port "${portValue}". Use a number between 0 and 65535`
+    );
+  }
+
+  return {
+    transport: /** @type {'stdio'|'http'} */ (transport),
+    host: (flags.host || env.MCP_HOST || '127.0.0.1').trim(),
+    port,
   };
 }
 
@@ -0,0 +1,266 @@
+/**
+ * Tests for configuration utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getAllowAnonymous,
+  getCacheConfig,
+  getOAuthConfig,
+  getToolPolicy,
+  getTransportOptions,
+  getWorkspaceConfig,
+  loadApiKeyRegistry,
+} from './mod.js';
+
+describe('getTransportOptions', () => {
+  it('should default to the stdio transport', () => {
+    assert.deepStrictEqual(getTransportOptions([], {}), {
+      transport: 'stdio',
+      host: '127.0.0.1',
+      port: 3000,
+    });
+  });
+
+  it('should read options from environment variables', () => {
+    assert.deepStrictEqual(
+      getTransportOptions([], {
+        MCP_TRANSPORT: 'HTTP',
+        MCP_HOST: '0.0.0.0',
+        MCP_PORT: '8080',
+      }),
+      { transport: 'http', host: '0.0.0.0', port: 8080 }
+    );
+  });
+
+  it('should prefer command line flags over environment variables', () => {
+    assert.deepStrictEqual(
+      getTransportOptions(['--transport', 'http', '--port=4000'], {
+        MCP_TRANSPORT: 'stdio',
+        MCP_PORT: '8080',
+      }),
+      { transport: 'http', host: '127.0.0.1', port: 4000 }
+    );
+  });
+
+  it('should reject unknown options and invalid values', () => {
+    assert.throws(
+      () => getTransportOptions(['--verbose'], {}),
+      /Unknown option "--verbose"/
+    );
+    assert.throws(
+      () => getTransportOptions(['--transport', 'websocket'], {}),
+      /Unknown transport "websocket". Valid transports are: stdio, http/
+    );
+    assert.throws(
+      () => getTransportOptions(['--port'], {}),
+      /Option --port needs a value/
+    );
+    assert.throws(
+      () => getTransportOptions([], { MCP_PORT: 'eighty' }),
+      /Invalid port "eighty"/
+    );
+  });
+});
+
+describe('loadApiKeyRegistry', () => {
+  it('should load a map of tokens to Linear API keys', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-linear-'));
+    const file = path.join(dir, 'keys.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify({ 'alice-token': 'lin_api_alice_0123456789' })
+    );
+
+    try {
+      assert.deepStrictEqual(await loadApiKeyRegistry(file), {
+        'alice-token': 'lin_api_alice_0123456789',
+      });
+
+      await fs.writeFile(file, JSON.stringify(['lin_api_alice_0123456789']));
+      await assert.rejects(
+        () => loadApiKeyRegistry(file),
+        /must be a JSON object mapping tokens to Linear API keys/
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true });
+    }
+  });
+
+  it('should explain when the registry file cannot be read', async () => {
+    await assert.rejects(
+      () => loadApiKeyRegistry('/nonexistent/keys.json'),
+      /Could not read Linear API key registry \/nonexistent\/keys.json/
+    );
+  });
+});
+
+describe('getOAuthConfig', () => {
+  it('should only configure OAuth when a client ID is set', () => {
+    assert.strictEqual(getOAuthConfig({}), undefined);
+  });
+
+  it('should read the OAuth application from environment variables', () => {
+    const oauth = getOAuthConfig({
+      LINEAR_OAUTH_CLIENT_ID: 'client-id',
+      LINEAR_OAUTH_CLIENT_SECRET: 'client-secret',
+      LINEAR_OAUTH_SCOPES: 'read, issues:create',
+      LINEAR_OAUTH_TOKEN_FILE: '/tmp/token.json',
+    });
+
+    assert.deepStrictEqual(oauth, {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      scopes: ['read', 'issues:create'],
+      redirectUri: 'http://localhost:8765/oauth/callback',
+      tokenFile: '/tmp/token.json',
+    });
+  });
+
+  it('should require a client secret with a client ID', () => {
+    assert.throws(
+      () => getOAuthConfig({ LINEAR_OAUTH_CLIENT_ID: 'client-id' }),
+      /LINEAR_OAUTH_CLIENT_SECRET must be set/
+    );
+  });
+});
+
+describe('getWorkspaceConfig', () => {
+  it('should only configure workspaces when one is set', () => {
+    assert.strictEqual(
+      getWorkspaceConfig({ LINEAR_API_KEY: 'lin_api_key' }),
+      undefined
+    );
+  });
+
+  it('should read workspaces from environment variables', () => {
+    assert.deepStrictEqual(
+      getWorkspaceConfig({
+        LINEAR_WORKSPACE_PRODUCT: 'lin_api_product',
+        LINEAR_WORKSPACE_ACME_LABS: 'lin_api_labs',
+        LINEAR_WORKSPACE_EMPTY: '',
+      }),
+      {
+        workspaces: {
+          product: 'lin_api_product',
+          'acme-labs': 'lin_api_labs',
+        },
+        defaultWorkspace: 'acme-labs',
+      }
+    );
+  });
+
+  it('should use the default workspace that is set', () => {
+    const env = {
+      LINEAR_WORKSPACE_PRODUCT: 'lin_api_product',
+      LINEAR_WORKSPACE_LABS: 'lin_api_labs',
+      LINEAR_DEFAULT_WORKSPACE: 'product',
+    };
+
+    assert.strictEqual(getWorkspaceConfig(env).defaultWorkspace, 'product');
+    assert.throws(
+      () => getWorkspaceConfig({ ...env, LINEAR_DEFAULT_WORKSPACE: 'ops' }),
+      /LINEAR_DEFAULT_WORKSPACE is "ops", but there is no such workspace. Configured workspaces are: labs, product/
+    );
+  });
+});
+
+describe('getCacheConfig', () => {
+  it('should keep the cache in memory with default lifetimes by default', () => {
+    assert.deepStrictEqual(getCacheConfig({}), { file: undefined, ttls: {} });
+  });
+
+  it('should read the cache file and lifetimes in seconds', () => {
+    const cache = getCacheConfig({
+      LINEAR_CACHE_FILE: '/tmp/linear-cache.json',
+      LINEAR_CACHE_TTL_LABELS: '60',
+      LINEAR_CACHE_TTL_PROJECTS: '0',
+    });
+
+    assert.strictEqual(cache.file, '/tmp/linear-cache.json');
+    assert.deepStrictEqual(cache.ttls, { labels: 60000, projects: 0 });
+    assert.throws(
+      () => getCacheConfig({ LINEAR_CACHE_TTL_TEAMS: '5m' }),
+      /Invalid LINEAR_CACHE_TTL_TEAMS "5m". Use a whole number of seconds/
+    );
+  });
+});
+
+describe('getAllowAnonymous', () => {
+  it('should refuse anonymous clients unless MCP_ALLOW_ANONYMOUS is set', () => {
+    assert.strictEqual(getAllowAnonymous({}), false);
+    assert.strictEqual(
+      getAllowAnonymous({ MCP_ALLOW_ANONYMOUS: 'true' }),
+      true
+    );
+    assert.strictEqual(getAllowAnonymous({ MCP_ALLOW_ANONYMOUS: 'no' }), false);
+    assert.throws(
+      () => getAllowAnonymous({ MCP_ALLOW_ANONYMOUS: 'maybe' }),
+      /Invalid MCP_ALLOW_ANONYMOUS "maybe". Use true or false/
+    );
+  });
+});
+
+describe('getToolPolicy', () => {
+  it('should offer every tool by default', async () => {
+    assert.deepStrictEqual(await getToolPolicy({}), {
+      readOnly: false,
+      allow: undefined,
+      deny: [],
+    });
+  });
+
+  it('should read the policy from environment variables', async () => {
+    assert.deepStrictEqual(
+      await getToolPolicy({
+        LINEAR_READ_ONLY: 'yes',
+        LINEAR_TOOLS_ALLOW: 'list_*, get_*',
+        LINEAR_TOOLS_DENY: 'list_workspaces',
+      }),
+      {
+        readOnly: true,
+        allow: ['list_*', 'get_*'],
+        deny: ['list_workspaces'],
+      }
+    );
+    await assert.rejects(
+      () => getToolPolicy({ LINEAR_READ_ONLY: 'sometimes' }),
+      /Invalid LINEAR_READ_ONLY "sometimes". Use true or false/
+    );
+  });
+
+  it('should read the configuration file, with environment variables taking precedence', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-linear-'));
+    const file = path.join(dir, 'tools.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        readOnly: true,
+        allow: ['list_*'],
+        deny: ['list_cycles'],
+      })
+    );
+
+    try {
+      assert.deepStrictEqual(
+        await getToolPolicy({
+          LINEAR_TOOLS_CONFIG: file,
+          LINEAR_READ_ONLY: 'false',
+          LINEAR_TOOLS_DENY: 'list_labels',
+        }),
+        { readOnly: false, allow: ['list_*'], deny: ['list_labels'] }
+      );
+
+      await fs.writeFile(file, JSON.stringify({ allow: 'list_*' }));
+      await assert.rejects(
+        () => getToolPolicy({ LINEAR_TOOLS_CONFIG: file }),
+        /must be a JSON object with an optional boolean "readOnly"/
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Session credential utilities
+ *
+ * In a shared HTTP deployment every user acts as themselves, so comments and
+ * issues are attributed to them. A session authenticates with an
+ * `Authorization: Bearer <token>` header, where the token is the user's
+ * Linear API key, their Linear OAuth access token or a token from the API key
+ * registry. Sessions without the header are refused, unless the server allows
+ * anonymous clients: then they use the global LINEAR_API_KEY, or the server's
+ * stored OAuth token when OAuth is configured.
+ */
+
+/**
+ * @typedef {Object} SessionCredential
+ * @property {string} [apiKey] - Linear API key the session acts with
+ * @property {string} [accessToken] - Linear OAuth access token the session acts with
+ * @property {'header'|'registry'|'global'|'oauth'} source - Where the credential came from; 'oauth' sessions use the stored OAuth token
+ */
+
+/**
+ * Masks an API key for logging
+ *
+ * @param {string|undefined} apiKey - API key
+ * @returns {string} The first and last 4 characters of the key
+ */
+export function maskApiKey(apiKey) {
+  return apiKey
+    ? apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4)
+    : '<not set>';
+}
+
+/**
+ * Describes a session credential for logging, without revealing it
+ *
+ * @param {SessionCredential} credential - Session credential
+ * @returns {string} Description such as "header API key lin_...abcd"
+ */
+export function describeSessionCredential(credential) {
+  if (credential.apiKey) {
+    return `${credential.source} API key ${maskApiKey(credential.apiKey)}`;
+  }
+  if (credential.accessToken) {
+    return `${credential.source} OAuth token ${maskApiKey(credential.accessToken)}`;
+  }
+  return 'stored OAuth token';
+}
+
+/**
+ * Checks whether two credentials act as the same Linear user
+ *
+ * @param {SessionCredential} a - Credential
+ * @param {SessionCredential} b - Other credential
+ * @returns {boolean} Whether both use the same key or token
+ */
+export function isSameCredential(a, b) {
+  return a.apiKey === b.apiKey && a.accessToken === b.accessToken;
+}
+
+/**
+ * Resolves the Linear credential a session acts with
+ *
+ * Requests without an Authorization header only act with the server's own
+ * API key or OAuth token when the server allows anonymous clients.
+ *
+ * @param {string|undefined} authorization - Authorization header of the request that opened the session
+ * @param {import('../config/mod.js').Config} config - Server configuration
+ * @returns {SessionCredential} The session's credential
+ * @throws {Error} If the header is missing while anonymous clients aren't allowed, is malformed, the token is unknown or there is no credential at all
+ */
+export function resolveSessionCredential(authorization, config) {
+  if (!authorization) {
+    if (!config.allowAnonymous) {
+      throw new Error(
+        'Missing Authorization header. Send your Linear API key in an "Authorization: Bearer <key>" header'
+      );
+    }
+    if (config.linearApiKey) {
+      return { apiKey: config.linearApiKey, source: 'global' };
+    }
+    if (config.oauth) {
+      return { source: 'oauth' };
+    }
+    throw new Error(
+      'No Linear credentials. Send your Linear API key in an "Authorization: Bearer <key>" header, or set LINEAR_API_KEY on the server'
+    );
+  }
+
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw new Error(
+      'Malformed Authorization header. Use "Authorization: Bearer <key>"'
+    );
+  }
+
+  const token = match[1];
+  const registeredKey = config.apiKeyRegistry?.[token];
+  if (registeredKey) {
+    return { apiKey: registeredKey, source: 'registry' };
+  }
+
+  if (token.startsWith('lin_api_')) {
+    return { apiKey: token, source: 'header' };
+  }
+
+  if (token.startsWith('lin_oauth_')) {
+    return { accessToken: token, source: 'header' };
+  }
+
+  throw new Error(
+    "Unknown bearer token. Send a Linear API key (lin_api_...), an OAuth access token (lin_oauth_...) or a token from the server's API key registry"
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for session credential utilities
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { maskApiKey, resolveSessionCredential } from './mod.js';
+
+const headerKey = 'lin_api_session_key_0123456789';
+const globalKey = 'lin_api_global_key_0123456789';
+const registeredKey = 'lin_api_registered_key_0123456789';
+
+describe('resolveSessionCredential', () => {
+  it('should use the Linear API key from the Authorization header', () => {
+    assert.deepStrictEqual(
+      resolveSessionCredential(`Bearer ${headerKey}`, {
+        linearApiKey: globalKey,
+      }),
+      { apiKey: headerKey, source: 'header' }
+    );
+  });
+
+  it('should use an OAuth access token from the Authorization header', () => {
+    assert.deepStrictEqual(
+      resolveSessionCredential('Bearer lin_oauth_0123456789', {}),
+      { accessToken: 'lin_oauth_0123456789', source: 'header' }
+    );
+  });
+
+  it('should look bearer tokens up in the API key registry', () => {
+    assert.deepStrictEqual(
+      resolveSessionCredential('bearer alice-token', {
+        apiKeyRegistry: { 'alice-token': registeredKey },
+      }),
+      { apiKey: registeredKey, source: 'registry' }
+    );
+  });
+
+  it('should fall back to the global API key without a header', () => {
+    assert.deepStrictEqual(
+      resolveSessionCredential(undefined, {
+        linearApiKey: globalKey,
+        allowAnonymous: true,
+      }),
+      { apiKey: globalKey, source: 'global' }
+    );
+  });
+
+  it('should fall back to the stored OAuth token when OAuth is configured', () => {
+    assert.deepStrictEqual(
+      resolveSessionCredential(undefined, {
+        oauth: /** @type {any} */ ({ clientId: 'client-id' }),
+        allowAnonymous: true,
+      }),
+      { source: 'oauth' }
+    );
+  });
+
+  it("should not lend the server's credentials to anonymous clients by default", () => {
+    assert.throws(
+      () =>
+        resolveSessionCredential(undefined, {
+          linearApiKey: globalKey,
+          oauth: /** @type {any} */ ({ clientId: 'client-id' }),
+        }),
+      /Missing Authorization header/
+    );
+  });
+
+  it('should explain what is missing when there are no credentials', () => {
+    assert.throws(
+      () => resolveSessionCredential(undefined, { allowAnonymous: true }),
+      /No Linear credentials. Send your Linear API key in an "Authorization: Bearer <key>" header, or set LINEAR_API_KEY on the server/
+    );
+    assert.throws(
+      () => resolveSessionCredential(`Basic ${headerKey}`, {}),
+      /Malformed Authorization header/
+    );
+    assert.throws(
+      () =>
+        resolveSessionCredential('Bearer bob-token', {
+          linearApiKey: globalKey,
+          apiKeyRegistry: { 'alice-token': registeredKey },
+        }),
+      /Unknown bearer token/
+    );
+  });
+});
+
+describe('maskApiKey', () => {
+  it('should only show the start and end of a key', () => {
+    assert.strictEqual(maskApiKey(headerKey), 'lin_...6789');
+    assert.strictEqual(maskApiKey(undefined), '<not set>');
+  });
+});